@@ -0,0 +1,156 @@
+// Image assets stored in R2 (PROJECTS_BUCKET)
+//
+// Product images are uploaded once and referenced by ID everywhere else
+// (projects, generate-banner requests). The ID is the SHA-256 of the image bytes,
+// so uploading the same image again is a no-op. Objects live under
+// `assets/${deviceId}/${assetId}/`:
+//   original - the uploaded image
+//   thumb    - thumbnail made by the client (Workers have no canvas to resize with)
+// Assets are served from the app's own origin, so only PNG, JPEG and WebP are
+// accepted, with the type read from the bytes: an SVG or HTML "image" would run
+// script for whoever opens it.
+
+import { base64ToBytes, bytesToBase64, detectImageType, getImageDimensions } from './image.js';
+
+export const MAX_ASSET_BYTES = 10 * 1024 * 1024;
+const MAX_THUMBNAIL_BYTES = 200 * 1024;
+
+const assetPrefix = (deviceId, assetId) => `assets/${deviceId}/${assetId}/`;
+
+export function isAssetId(value) {
+  return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+}
+
+async function sha256Hex(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function toAsset(assetId, object) {
+  const meta = object.customMetadata || {};
+  return {
+    assetId,
+    mimeType: object.httpMetadata?.contentType || 'application/octet-stream',
+    fileName: meta.fileName || '',
+    width: Number(meta.width) || null,
+    height: Number(meta.height) || null,
+    size: object.size,
+  };
+}
+
+/**
+ * Store an image, reusing the existing object when the same bytes were uploaded before
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding
+ * @param {string} deviceId - Owner device
+ * @param {Object} image - { base64, fileName } (a mimeType sent with it is ignored)
+ * @param {Object} thumbnail - Optional JPEG { base64 }
+ * @returns {Promise<Object>} Asset { assetId, mimeType, fileName, width, height, size, deduplicated }
+ * @throws {Error} With `status` 400 for invalid images
+ */
+export async function putAsset(bucket, deviceId, image, thumbnail = null) {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+  if (!image?.base64) {
+    throw invalid('Image data is required');
+  }
+  const mimeType = detectImageType(image.base64);
+  if (!mimeType) {
+    throw invalid('Only PNG, JPEG and WebP images are supported');
+  }
+  if (thumbnail?.base64 && detectImageType(thumbnail.base64) !== 'image/jpeg') {
+    throw invalid('Thumbnails must be JPEG images');
+  }
+
+  const bytes = base64ToBytes(image.base64);
+  if (bytes.length > MAX_ASSET_BYTES) {
+    throw invalid(`Image exceeds ${MAX_ASSET_BYTES / 1024 / 1024}MB`);
+  }
+
+  const assetId = await sha256Hex(bytes);
+  const prefix = assetPrefix(deviceId, assetId);
+
+  const existing = await bucket.head(`${prefix}original`);
+  if (existing) {
+    return { ...toAsset(assetId, existing), deduplicated: true };
+  }
+
+  const dimensions = getImageDimensions(image.base64);
+  const customMetadata = {
+    fileName: (image.fileName || '').slice(0, 200),
+    width: String(dimensions?.width || ''),
+    height: String(dimensions?.height || ''),
+  };
+
+  const thumbBytes = thumbnail?.base64 ? base64ToBytes(thumbnail.base64) : null;
+  await Promise.all([
+    bucket.put(`${prefix}original`, bytes, {
+      httpMetadata: { contentType: mimeType },
+      customMetadata,
+    }),
+    thumbBytes && thumbBytes.length <= MAX_THUMBNAIL_BYTES && bucket.put(`${prefix}thumb`, thumbBytes, {
+      httpMetadata: { contentType: 'image/jpeg' },
+    }),
+  ]);
+
+  return {
+    ...toAsset(assetId, { size: bytes.length, httpMetadata: { contentType: mimeType }, customMetadata }),
+    deduplicated: false,
+  };
+}
+
+/**
+ * Get the R2 object of an asset
+ * @param {string} variant - 'original' or 'thumb' (falls back to the original when there is no thumbnail)
+ * @returns {Promise<R2ObjectBody|null>}
+ */
+export async function getAssetObject(bucket, deviceId, assetId, variant = 'original') {
+  const prefix = assetPrefix(deviceId, assetId);
+  if (variant === 'thumb') {
+    const thumb = await bucket.get(`${prefix}thumb`);
+    if (thumb) return thumb;
+  }
+  return bucket.get(`${prefix}original`);
+}
+
+/**
+ * Load an asset as base64 for the Gemini API
+ * @returns {Promise<{base64: string, mimeType: string}|null>}
+ */
+export async function getAssetBase64(bucket, deviceId, assetId) {
+  const object = await getAssetObject(bucket, deviceId, assetId);
+  if (!object) return null;
+  return {
+    base64: bytesToBase64(await object.arrayBuffer()),
+    mimeType: object.httpMetadata?.contentType || 'image/jpeg',
+  };
+}
+
+/**
+ * Product image reference stored in projects and sent by the client
+ * @param {Object} image - { assetId, fileName, mimeType }
+ */
+export function toImageRef(image) {
+  return {
+    assetId: image.assetId,
+    fileName: image.fileName || '',
+    mimeType: image.mimeType || 'image/jpeg',
+  };
+}
+
+/**
+ * Move inline base64 product images (from older clients and records) to the asset store
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding
+ * @param {string} deviceId - Owner device
+ * @param {Array} images - Product images, refs and/or { base64, mimeType, fileName }
+ * @returns {Promise<{images: Array, changed: boolean}>} Images as refs
+ */
+export async function externalizeImages(bucket, deviceId, images = []) {
+  let changed = false;
+  const refs = await Promise.all(images.map(async (image) => {
+    if (isAssetId(image.assetId)) return toImageRef(image);
+    changed = true;
+    const asset = await putAsset(bucket, deviceId, image);
+    return toImageRef({ ...asset, fileName: image.fileName || asset.fileName });
+  }));
+  return { images: refs, changed };
+}
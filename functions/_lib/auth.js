@@ -0,0 +1,121 @@
+// User accounts, magic-link sign-in and sessions (stored in PROJECTS_KV)
+//
+// Keys:
+//   user:${userId}         - { id, email, createdAt, workspaceIds }
+//   user-email:${email}    - userId
+//   magic:${token}         - { email } sign-in link, expires after MAGIC_LINK_TTL_SECONDS
+//   session:${token}       - { userId, createdAt }, expires after SESSION_TTL_SECONDS
+// The session token is kept in an HttpOnly cookie.
+
+export const SESSION_COOKIE = 'sb_session';
+export const SESSION_TTL_SECONDS = 30 * 24 * 60 * 60;
+export const MAGIC_LINK_TTL_SECONDS = 15 * 60;
+
+const userKey = (userId) => `user:${userId}`;
+const userEmailKey = (email) => `user-email:${email}`;
+
+export function randomToken(bytes = 32) {
+  const data = crypto.getRandomValues(new Uint8Array(bytes));
+  return [...data].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function normalizeEmail(email) {
+  const value = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? value : null;
+}
+
+export async function getUser(kv, userId) {
+  return userId ? kv.get(userKey(userId), 'json') : null;
+}
+
+export async function putUser(kv, user) {
+  await kv.put(userKey(user.id), JSON.stringify(user));
+}
+
+export async function getUserByEmail(kv, email) {
+  const userId = await kv.get(userEmailKey(email));
+  return getUser(kv, userId);
+}
+
+/**
+ * Get the user with an email address, creating the account if there is none
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {string} email - Normalized email
+ * @returns {Promise<{user: Object, created: boolean}>}
+ */
+export async function getOrCreateUser(kv, email) {
+  const existing = await getUserByEmail(kv, email);
+  if (existing) return { user: existing, created: false };
+
+  const user = {
+    id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    email,
+    createdAt: Date.now(),
+    workspaceIds: [],
+  };
+  await putUser(kv, user);
+  await kv.put(userEmailKey(email), user.id);
+  return { user, created: true };
+}
+
+/**
+ * Create a single-use sign-in link token
+ * @returns {Promise<string>} Token
+ */
+export async function createMagicLink(kv, email) {
+  const token = randomToken();
+  await kv.put(`magic:${token}`, JSON.stringify({ email }), { expirationTtl: MAGIC_LINK_TTL_SECONDS });
+  return token;
+}
+
+/**
+ * Use up a sign-in link token
+ * @returns {Promise<string|null>} Email, or null if the link is invalid or expired
+ */
+export async function consumeMagicLink(kv, token) {
+  if (!token) return null;
+  const link = await kv.get(`magic:${token}`, 'json');
+  if (!link) return null;
+  await kv.delete(`magic:${token}`);
+  return link.email;
+}
+
+export async function createSession(kv, userId) {
+  const token = randomToken();
+  await kv.put(`session:${token}`, JSON.stringify({ userId, createdAt: Date.now() }), {
+    expirationTtl: SESSION_TTL_SECONDS,
+  });
+  return token;
+}
+
+export async function deleteSession(kv, token) {
+  if (token) await kv.delete(`session:${token}`);
+}
+
+export function getSessionToken(request) {
+  const cookie = request.headers.get('Cookie') || '';
+  const match = cookie.match(new RegExp(`(?:^|;\\s*)${SESSION_COOKIE}=([0-9a-f]+)`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Resolve the signed-in user of a request
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} User, or null when not signed in
+ */
+export async function getSessionUser(kv, request) {
+  const token = getSessionToken(request);
+  if (!token) return null;
+  const session = await kv.get(`session:${token}`, 'json');
+  return session ? getUser(kv, session.userId) : null;
+}
+
+/**
+ * Set-Cookie value for a session token (pass null to clear the cookie)
+ */
+export function sessionCookie(token) {
+  return token
+    ? `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${SESSION_TTL_SECONDS}`
+    : `${SESSION_COOKIE}=; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=0`;
+}
@@ -0,0 +1,538 @@
+// Banner image generation with Gemini, shared by /api/generate-banner and the
+// generation queue consumer (workers/generation-queue), which runs queued jobs
+
+import { generateContent, GeminiError, GEMINI_ERROR_CODES } from './gemini.js';
+import { getImageDimensions } from './image.js';
+import { allSettledWithLimit } from './concurrency.js';
+import { JOB_STATUS, completeJob, deleteJobPlan, failJob, getJobPlan, getJobRecord, isJobFinished, updateJob } from './jobs.js';
+import { getAssetBase64 } from './assets.js';
+import { toBrandStyleGuide } from './brandKits.js';
+import { isLogoComposited, toLogoAreaRequirement } from './logoPlacement.js';
+import { toPaletteRequirement } from './palette.js';
+import { TEXT_FREE_REQUIREMENT, isTextOverlay } from './textOverlay.js';
+
+const IMAGE_SYSTEM_PROMPT = `Act as a world-class commercial photographer and high-end digital artist specializing in product advertising. Your goal is to generate hyper-realistic, aesthetically perfect images that exceed industry standards (e.g., Adobe Firefly, Midjourney v6).
+
+Core Principles:
+1. Lighting & Rendering: Use sophisticated studio lighting, including three-point lighting, rim lighting, and global illumination. Maximize ray-traced reflections and realistic shadows.
+2. Technical Quality: 8K resolution, photorealistic RAW quality, sharp focus on the product, and beautiful bokeh in the background. Ensure ultra-fine textures (metal, glass, fabric).
+3. Composition: Follow professional advertising layouts. Prioritize "Negative Space" for future text placement in banners. Use the Rule of Thirds or centered hero shots for impact.
+4. Color & Tone: Clean, vibrant, and commercially balanced color grading. No visual noise, no artifacts, and no distortion.
+5. Aesthetics: Maintain a premium, high-end commercial look. The output must be ready for high-quality print or digital marketing campaigns.
+6. Text Rendering: Render all text clearly and accurately. Japanese text must be rendered perfectly with appropriate fonts.`;
+
+const REFERENCE_IMAGE_PROMPT = `CRITICAL PRODUCT PRESERVATION INSTRUCTION:
+You are provided with reference product images. These are the PRIMARY references that MUST be preserved exactly.
+
+## LAYER 1 - MUST PRESERVE (NO CHANGES ALLOWED):
+- Product shape, silhouette, and proportions
+- All logos, brand names, and text on the product
+- Product colors and color gradients
+- Label positions, design, and content
+- Package shape, materials, and textures
+- Any text, numbers, or symbols on the product
+
+## LAYER 2 - CAN MODIFY:
+- Background scene and environment
+- Lighting angle and intensity (while maintaining product visibility)
+- Props and decorative elements around the product
+- Overall mood and atmosphere
+
+## LAYER 3 - STYLE REQUIREMENTS:
+- Harmonize lighting between product and new background
+- Match shadow direction with the new light source
+- Ensure product appears naturally placed in the scene
+- Maintain commercial photography quality
+
+## NEGATIVE CONSTRAINTS (PROHIBITED):
+- DO NOT alter product colors, even slightly
+- DO NOT change or obscure any logos or brand text
+- DO NOT modify product shape or proportions
+- DO NOT add text or elements ON the product
+- DO NOT blur or distort product details
+- DO NOT change label positions or content`;
+
+const MULTI_IMAGE_REFERENCE_PROMPT = `MULTIPLE REFERENCE IMAGES PROVIDED:
+Multiple product images have been provided from different angles to help you understand the product completely.
+
+## HOW TO USE MULTIPLE REFERENCES:
+1. Study all provided images to understand the complete product shape and design
+2. Identify consistent brand elements (logos, colors, text) across all images
+3. Use the best angle/view for the final banner composition
+4. Maintain consistency with all reference images - the product should look identical
+
+## BRAND LOGO (if provided):
+If a brand logo is included in the references, ensure it is incorporated naturally into the banner design:
+- Place the logo in an appropriate corner or designated space
+- Maintain the exact logo design, colors, and proportions
+- Do not distort, recolor, or modify the logo in any way`;
+
+const LAYOUT_REFERENCE_PROMPT = `LAYOUT REFERENCE: An ASCII art layout diagram is provided as a visual guide.
+Follow this layout structure exactly:
+- Place elements (product, text, CTA buttons) in the positions shown in the ASCII diagram
+- Maintain the visual hierarchy and spacing indicated
+- Use the layout as a blueprint for composition`;
+
+const BASE_IMAGE_PROMPT = `BASE IMAGE: The last provided image is the banner the user selected from the previous generation.
+Use it as the starting point and apply the additional requirements to it:
+- Keep its composition, product placement and overall style unless the requirements say otherwise
+- Change only what the requirements ask for`;
+
+const ASPECT_RATIO_MAP = {
+  '1:1': '1:1',
+  '4:5': '3:4', // Closest supported ratio for Instagram feed
+  '9:16': '9:16',
+  '1.91:1': '16:9',
+  '16:9': '16:9',
+};
+
+// Output sizes each image model accepts (mirrors IMAGE_MODELS in ModelSelector).
+// Models without supportsImageSize reject imageConfig.imageSize and always generate
+// at their native size; the width and height of each candidate report what came back.
+const IMAGE_MODEL_CAPABILITIES = {
+  'gemini-3-pro-image-preview': { supports4K: true, supportsImageSize: true },
+  'gemini-2.5-flash-image': { supports4K: false, supportsImageSize: false },
+  'gemini-2.0-flash-exp-image-generation': { supports4K: false, supportsImageSize: false },
+};
+
+const RESOLUTIONS = ['1K', '2K', '4K'];
+
+// Check the requested resolution against the model's capabilities
+function validateResolution(model, resolution) {
+  if (!RESOLUTIONS.includes(resolution)) {
+    return `Unsupported resolution: ${resolution} (expected ${RESOLUTIONS.join(', ')})`;
+  }
+  const capabilities = IMAGE_MODEL_CAPABILITIES[model] || { supports4K: false };
+  if (resolution === '4K' && !capabilities.supports4K) {
+    return `4K resolution is not supported by ${model}`;
+  }
+  return null;
+}
+
+// Image generation is slow, so keep retries inside the client's 120s fetch window.
+// Only quota/overload errors are retried; timeouts are reported for manual retry.
+const IMAGE_REQUEST_OPTIONS = {
+  timeoutMs: 90000,
+  maxRetries: 2,
+  deadlineMs: 110000,
+};
+
+// Candidates run in parallel, but only a few at a time to stay under the image model's rate limit.
+// All candidates share IMAGE_REQUEST_OPTIONS.deadlineMs; ones that cannot start in time are reported as timeouts.
+const MAX_CANDIDATES = 4;
+const CANDIDATE_CONCURRENCY = 2;
+const MIN_CANDIDATE_TIME_MS = 30000;
+
+// Pull the generated image and any text out of a generateContent response
+function extractImage(data) {
+  let imageData = null;
+  let mimeType = 'image/png';
+  let textResponse = '';
+
+  for (const part of data.candidates?.[0]?.content?.parts || []) {
+    if (part.text) {
+      textResponse += part.text;
+    } else if (part.inlineData?.data) {
+      // camelCase response (SDK-style)
+      imageData = part.inlineData.data;
+      mimeType = part.inlineData.mimeType || mimeType;
+    } else if (part.inline_data?.data) {
+      // snake_case response (REST API-style)
+      imageData = part.inline_data.data;
+      mimeType = part.inline_data.mime_type || mimeType;
+    }
+  }
+
+  return { imageData, mimeType, textResponse };
+}
+
+// Generate one candidate within what is left of the shared deadline
+async function generateCandidate(apiKey, model, requestBody, deadlineAt) {
+  const remainingMs = deadlineAt - Date.now();
+  if (remainingMs < MIN_CANDIDATE_TIME_MS) {
+    throw new GeminiError(GEMINI_ERROR_CODES.TIMEOUT, null, {
+      details: `Skipped: only ${remainingMs}ms left before the deadline`,
+    });
+  }
+
+  // Call Gemini API for image generation (retries quota/overload errors, user can retry the rest)
+  const data = await generateContent(apiKey, model, requestBody, {
+    ...IMAGE_REQUEST_OPTIONS,
+    deadlineMs: remainingMs,
+  });
+
+  const { imageData, mimeType, textResponse } = extractImage(data);
+  console.log('Image data found:', !!imageData);
+  console.log('Text response:', textResponse?.substring(0, 100));
+
+  if (!imageData) {
+    throw new GeminiError(
+      GEMINI_ERROR_CODES.INVALID_RESPONSE,
+      'No image was generated. The model may have refused to generate the image or encountered an error.',
+      { status: 400, details: textResponse }
+    );
+  }
+
+  // Report the size the model actually returned, which can differ from the request
+  const dimensions = getImageDimensions(imageData);
+  console.log('Generated image size:', dimensions ? `${dimensions.width}x${dimensions.height}` : 'unknown');
+
+  return { imageData, mimeType, textResponse, dimensions };
+}
+
+/**
+ * Load product images sent as asset references ({ assetId }) from R2.
+ * Images sent inline ({ base64 }) by older clients are used as they are.
+ * @param {Object} formData - Form data from the request body
+ * @param {string} deviceId - Owner device of the assets
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding
+ * @returns {Promise<Object>} Form data with base64 product images
+ */
+export async function resolveProductImages(formData, deviceId, bucket) {
+  const images = formData.productImages || (formData.productImage ? [formData.productImage] : []);
+  if (!images.some(img => img.assetId && !img.base64)) return formData;
+
+  if (!bucket || !deviceId) {
+    throw new GeminiError(GEMINI_ERROR_CODES.INVALID_REQUEST, '商品画像を読み込めませんでした。画像をアップロードし直してください。', {
+      details: bucket ? 'Device ID required to resolve image assets' : 'R2 not configured',
+    });
+  }
+
+  const productImages = await Promise.all(images.map(async (img) => {
+    if (img.base64) return img;
+    const asset = await getAssetBase64(bucket, deviceId, img.assetId);
+    if (!asset) {
+      throw new GeminiError(GEMINI_ERROR_CODES.INVALID_REQUEST, '商品画像が見つかりません。画像をアップロードし直してください。', {
+        details: `Asset not found: ${img.assetId}`,
+      });
+    }
+    return { ...img, ...asset };
+  }));
+
+  return { ...formData, productImages, productImage: productImages[0] };
+}
+
+/**
+ * Load the brand logo sent as a brand kit logo reference ({ assetId }) from R2,
+ * in the resolution it was uploaded in. A logo composited on the client is not loaded.
+ * @param {Object} formData - Form data from the request body
+ * @param {string} deviceId - Owner space of the brand kit
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding
+ * @returns {Promise<Object>} Form data with a base64 brand logo
+ */
+export async function resolveBrandLogo(formData, deviceId, bucket) {
+  const logo = formData.brandLogo;
+  if (!logo?.assetId || logo.base64 || isLogoComposited(formData)) return formData;
+
+  const asset = bucket && deviceId ? await getAssetBase64(bucket, deviceId, logo.assetId) : null;
+  if (!asset) {
+    throw new GeminiError(GEMINI_ERROR_CODES.INVALID_REQUEST, 'ブランドロゴを読み込めませんでした。ブランドキットのロゴを確認してください。', {
+      details: bucket ? `Asset not found: ${logo.assetId}` : 'R2 not configured',
+    });
+  }
+  return { ...formData, brandLogo: { ...logo, ...asset } };
+}
+
+/**
+ * Validate a generate-banner request body and build the Gemini request
+ * @param {Object} body - Request body
+ * @returns {Object} Generation plan for runBannerGeneration()
+ */
+export function buildBannerGeneration(body) {
+  const {
+    formData,
+    asciiResult,
+    asciiImage, // ASCII art as base64 image
+    imagePrompt,
+    feedback,
+    baseImage, // Selected candidate to refine ({ imageData, mimeType })
+    model = 'gemini-3-pro-image-preview', // Default to Nano Banana Pro
+    resolution = '1K', // Default resolution (1K, 2K, or 4K)
+    candidateCount = 1
+  } = body;
+
+  const resolutionError = validateResolution(model, resolution);
+  if (resolutionError) {
+    throw new GeminiError(GEMINI_ERROR_CODES.INVALID_REQUEST, 'この画像モデルでは選択された解像度を利用できません。モデル設定を確認してください。', {
+      details: resolutionError,
+    });
+  }
+
+  const count = Math.floor(Number(candidateCount));
+  if (!(count >= 1 && count <= MAX_CANDIDATES)) {
+    throw new GeminiError(GEMINI_ERROR_CODES.INVALID_REQUEST, `候補数は1〜${MAX_CANDIDATES}の範囲で指定してください。`, {
+      details: `Invalid candidateCount: ${candidateCount}`,
+    });
+  }
+
+  // Determine aspect ratio
+  const aspectRatio = ASPECT_RATIO_MAP[formData.platformDetails?.ratio] || '1:1';
+
+  // Get product images (multiple) and brand logo (left out when the original file is composited afterwards)
+  const productImages = formData.productImages || (formData.productImage ? [formData.productImage] : []);
+  const composeLogo = isLogoComposited(formData);
+  const brandLogo = composeLogo ? null : formData.brandLogo;
+  const imageApproach = formData.imageApproach; // 'reference' or null
+
+  // Build the prompt based on approach
+  let prompt = imagePrompt.fullPrompt;
+  let contentParts = [];
+
+  // Add ASCII layout image as reference (if available)
+  if (asciiImage) {
+    prompt = `${LAYOUT_REFERENCE_PROMPT}\n\n${prompt}`;
+    contentParts.push({
+      inline_data: {
+        mime_type: 'image/png',
+        data: asciiImage
+      }
+    });
+  }
+
+  // Handle reference images (product images + brand logo)
+  const hasReferenceImages = productImages.length > 0 || brandLogo;
+
+  if (hasReferenceImages && imageApproach === 'reference') {
+    // Add reference prompts
+    prompt = `${REFERENCE_IMAGE_PROMPT}\n\n${prompt}`;
+
+    // If multiple images, add multi-image prompt
+    if (productImages.length > 1 || brandLogo) {
+      prompt = `${MULTI_IMAGE_REFERENCE_PROMPT}\n\n${prompt}`;
+    }
+
+    // Add all product images as reference (up to 10)
+    const maxImages = 10;
+    const imagesToInclude = productImages.slice(0, maxImages);
+
+    console.log(`Adding ${imagesToInclude.length} product image(s) as reference`);
+
+    imagesToInclude.forEach((img, index) => {
+      contentParts.push({
+        inline_data: {
+          mime_type: img.mimeType || 'image/jpeg',
+          data: img.base64
+        }
+      });
+      console.log(`Added product image ${index + 1}: ${img.fileName || 'unnamed'}`);
+    });
+
+    // Add brand logo as reference (if available)
+    if (brandLogo) {
+      console.log(`Adding brand logo as reference: ${brandLogo.name}`);
+      contentParts.push({
+        inline_data: {
+          mime_type: brandLogo.mimeType || 'image/png',
+          data: brandLogo.base64
+        }
+      });
+
+      // Add instruction about the logo
+      prompt += `\n\nBRAND LOGO INSTRUCTION: A brand logo has been provided. Include this logo naturally in the banner design, maintaining its exact appearance, colors, and proportions.`;
+    }
+
+    contentParts.push({ text: prompt });
+  } else {
+    // No product images: Standard generation
+    contentParts.push({ text: prompt });
+  }
+
+  // Add the selected candidate as the image to refine
+  if (baseImage?.imageData) {
+    const textPart = contentParts.pop();
+    contentParts.push({
+      inline_data: {
+        mime_type: baseImage.mimeType || 'image/png',
+        data: baseImage.imageData
+      }
+    });
+    textPart.text = `${BASE_IMAGE_PROMPT}\n\n${textPart.text}`;
+    contentParts.push(textPart);
+  }
+
+  // Add feedback if provided
+  if (feedback) {
+    const lastPart = contentParts[contentParts.length - 1];
+    if (lastPart.text) {
+      lastPart.text += `\n\nAdditional requirements: ${feedback}`;
+    }
+  }
+
+  // Brand colors and typography from the brand kit
+  const brandStyleGuide = toBrandStyleGuide(formData.brandKit);
+  if (brandStyleGuide) {
+    const lastPart = contentParts[contentParts.length - 1];
+    if (lastPart.text) {
+      lastPart.text += `\n\n${brandStyleGuide}`;
+    }
+  }
+
+  // The project's color palette, as a hard constraint
+  const paletteRequirement = toPaletteRequirement(formData.palette);
+  if (paletteRequirement) {
+    const lastPart = contentParts[contentParts.length - 1];
+    if (lastPart.text) {
+      lastPart.text += `\n\n${paletteRequirement}`;
+    }
+  }
+
+  // Keep the logo area free for the composited logo
+  if (composeLogo) {
+    const lastPart = contentParts[contentParts.length - 1];
+    if (lastPart.text) {
+      lastPart.text += `\n\n${toLogoAreaRequirement(formData.logoPlacement)}`;
+    }
+  }
+
+  // Add text rendering instructions, or keep the image text-free when the copy is drawn as text layers
+  if (isTextOverlay(formData)) {
+    const lastPart = contentParts[contentParts.length - 1];
+    if (lastPart.text) {
+      lastPart.text += `\n\n${TEXT_FREE_REQUIREMENT}`;
+    }
+  } else if (asciiResult?.copyText && asciiResult.copyText.length > 0) {
+    const lastPart = contentParts[contentParts.length - 1];
+    if (lastPart.text) {
+      lastPart.text += `\n\nIMPORTANT - Render the following text clearly in the image:\n`;
+      asciiResult.copyText.forEach((text, i) => {
+        lastPart.text += `${i + 1}. "${text}"\n`;
+      });
+    }
+  }
+
+  // Add system prompt as part of the content instead of systemInstruction
+  // (systemInstruction may not be supported for image generation models)
+  const systemPromptPart = { text: `[System Instructions]\n${IMAGE_SYSTEM_PROMPT}\n\n[User Request]\n` };
+  const allParts = [systemPromptPart, ...contentParts];
+
+  console.log('=== Gemini Image Generation Request ===');
+  console.log('Model:', model);
+  console.log('Aspect ratio:', aspectRatio);
+  console.log('Resolution:', resolution);
+  console.log('Candidates:', count);
+  console.log('Base image included:', !!baseImage?.imageData);
+  console.log('Product images count:', productImages.length);
+  console.log('Brand logo included:', !!brandLogo);
+  console.log('Brand logo composited:', composeLogo);
+  console.log('Text overlay:', isTextOverlay(formData));
+  console.log('Content parts count:', allParts.length);
+
+  const requestBody = {
+    contents: [{
+      parts: allParts
+    }],
+    generationConfig: {
+      responseModalities: ['TEXT', 'IMAGE'],
+      imageConfig: {
+        aspectRatio: aspectRatio,
+        ...(IMAGE_MODEL_CAPABILITIES[model]?.supportsImageSize && { imageSize: resolution }),
+      }
+    }
+  };
+
+  console.log('Request body (without image data):', JSON.stringify({
+    ...requestBody,
+    contents: requestBody.contents.map(c => ({
+      ...c,
+      parts: c.parts.map(p => p.inline_data ? { inline_data: '...[image data]...' } : p)
+    }))
+  }, null, 2));
+
+  return { model, resolution, aspectRatio, count, requestBody, productImages, brandLogo };
+}
+
+/**
+ * Generate the candidates of a plan from buildBannerGeneration()
+ * @param {string} apiKey - Gemini API key
+ * @param {Object} plan - Generation plan
+ * @returns {Promise<Object>} Response body with candidates and per-candidate errors
+ */
+export async function runBannerGeneration(apiKey, plan) {
+  const { model, resolution, aspectRatio, count, requestBody, productImages, brandLogo } = plan;
+  console.log('Starting API call at:', new Date().toISOString());
+
+  const deadlineAt = Date.now() + IMAGE_REQUEST_OPTIONS.deadlineMs;
+  const results = await allSettledWithLimit(
+    Array.from({ length: count }),
+    CANDIDATE_CONCURRENCY,
+    () => generateCandidate(apiKey, model, requestBody, deadlineAt)
+  );
+
+  const candidates = [];
+  const errors = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      const { imageData, mimeType, textResponse, dimensions } = result.value;
+      candidates.push({
+        index,
+        imageData,
+        mimeType,
+        textResponse,
+        resolution: {
+          requested: resolution,
+          aspectRatio: aspectRatio,
+          width: dimensions?.width || null,
+          height: dimensions?.height || null,
+        },
+      });
+    } else {
+      const error = result.reason;
+      console.error(`Candidate ${index + 1} failed:`, error);
+      errors.push({
+        index,
+        error: error.message,
+        code: error.code || GEMINI_ERROR_CODES.UNKNOWN,
+        canRetry: error.retryable !== false,
+      });
+    }
+  });
+  console.log(`Image generation finished with model: ${model} (${candidates.length}/${count} succeeded)`);
+
+  // Nothing to show: report the first failure like a single generation would
+  if (candidates.length === 0) {
+    throw results[0].reason;
+  }
+
+  // Top-level image fields mirror the first candidate for single-image clients
+  const [first] = candidates;
+  return {
+    imageData: first.imageData,
+    textResponse: first.textResponse,
+    mimeType: first.mimeType,
+    resolution: first.resolution,
+    candidates,
+    errors,
+    approach: 'reference',
+    referenceImagesCount: productImages.length,
+    logoIncluded: !!brandLogo,
+  };
+}
+
+/**
+ * Run a queued banner job: the generation queue consumer calls this for each message.
+ * Jobs that have finished, gone stale or been dismissed are skipped, so a message
+ * delivered again does no harm. A consumer stopped mid-run leaves the job running;
+ * the queue delivers the message again and the job starts over.
+ * @param {Object} env - Consumer environment (PROJECTS_BUCKET, GEMINI_API_KEY)
+ * @param {Object} message - { deviceId, jobId } as sent by /api/generate-banner
+ */
+export async function runQueuedBannerJob(env, { deviceId, jobId }) {
+  const bucket = env.PROJECTS_BUCKET;
+  const job = await getJobRecord(bucket, deviceId, jobId);
+  const plan = job && !isJobFinished(job) && await getJobPlan(bucket, deviceId, jobId);
+  if (!plan) {
+    await deleteJobPlan(bucket, deviceId, jobId);
+    return;
+  }
+
+  let current = job;
+  try {
+    current = await updateJob(bucket, deviceId, current, { status: JOB_STATUS.RUNNING });
+    const result = await runBannerGeneration(env.GEMINI_API_KEY, plan);
+    await completeJob(bucket, deviceId, current, result);
+  } catch (error) {
+    console.error('Banner job failed:', error);
+    await failJob(bucket, deviceId, current, error);
+  }
+  await deleteJobPlan(bucket, deviceId, jobId);
+}
@@ -0,0 +1,229 @@
+// Brand kits: logos, colors, fonts and copy rules shared by the projects of a space
+//
+// Records live in PROJECTS_KV at `brand-kit:${spaceId}:${kitId}`:
+//   { id, name, logos, colors, fonts, toneOfVoice, forbiddenWords, createdAt, updatedAt }
+//   logos:  [{ id, name, variant, assetId, mimeType, width, height }]
+//   colors: [{ name, hex }]
+//   fonts:  [{ name, usage }]
+// Logo images are full-resolution image assets (see assets.js) of the same space.
+// Removing a logo leaves its asset in place, since assets are shared by content.
+//
+// Projects refer to a kit and one of its logos by ID (brandKitId, brandLogoId). The
+// generation endpoints get the kit's text fields and a logo reference in formData.
+
+import { putAsset } from './assets.js';
+
+// default: general use, light: for light backgrounds, dark: for dark backgrounds
+export const BRAND_LOGO_VARIANTS = ['default', 'light', 'dark'];
+
+const MAX_BRAND_KITS = 20;
+const MAX_LOGOS = 20;
+const MAX_COLORS = 12;
+const MAX_FONTS = 6;
+const MAX_FORBIDDEN_WORDS = 100;
+const MAX_TONE_LENGTH = 2000;
+
+export const brandKitKey = (spaceId, kitId) => `brand-kit:${spaceId}:${kitId}`;
+
+const invalid = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const newId = () => `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+const text = (value, maxLength) => (typeof value === 'string' ? value.trim().slice(0, maxLength) : '');
+
+function normalizeHex(value) {
+  const hex = text(value, 7).toLowerCase();
+  if (/^#[0-9a-f]{6}$/.test(hex)) return hex;
+  if (/^#[0-9a-f]{3}$/.test(hex)) return `#${[...hex.slice(1)].map(c => c + c).join('')}`;
+  return null;
+}
+
+function normalizeColors(colors) {
+  if (!Array.isArray(colors)) return [];
+  return colors.slice(0, MAX_COLORS).map((color) => {
+    const hex = normalizeHex(color?.hex);
+    if (!hex) throw invalid(`Invalid color: ${color?.hex}`);
+    return { name: text(color.name, 40), hex };
+  });
+}
+
+function normalizeFonts(fonts) {
+  if (!Array.isArray(fonts)) return [];
+  return fonts
+    .slice(0, MAX_FONTS)
+    .map(font => ({ name: text(font?.name, 80), usage: text(font?.usage, 80) }))
+    .filter(font => font.name);
+}
+
+function normalizeForbiddenWords(words) {
+  if (!Array.isArray(words)) return [];
+  const unique = new Set(words.map(word => text(word, 50)).filter(Boolean));
+  return [...unique].slice(0, MAX_FORBIDDEN_WORDS);
+}
+
+/**
+ * Build the editable fields of a kit from request input, keeping existing values for omitted fields
+ * @param {Object} input - Kit fields from the request body
+ * @param {Object} existing - Current kit, or null when creating
+ * @returns {Object} { name, colors, fonts, toneOfVoice, forbiddenWords }
+ * @throws {Error} With `status` 400 for invalid colors or a missing name
+ */
+export function buildBrandKitFields(input = {}, existing = null) {
+  const pick = (field) => (input[field] !== undefined ? input[field] : existing?.[field]);
+
+  const name = text(pick('name'), 80);
+  if (!name) throw invalid('Brand kit name required');
+
+  return {
+    name,
+    colors: normalizeColors(pick('colors')),
+    fonts: normalizeFonts(pick('fonts')),
+    toneOfVoice: text(pick('toneOfVoice'), MAX_TONE_LENGTH),
+    forbiddenWords: normalizeForbiddenWords(pick('forbiddenWords')),
+  };
+}
+
+async function putBrandKit(kv, spaceId, kit) {
+  await kv.put(brandKitKey(spaceId, kit.id), JSON.stringify(kit));
+}
+
+/**
+ * List the brand kits of a space, by name
+ * @returns {Promise<Array>} Brand kits
+ */
+export async function listBrandKits(kv, spaceId) {
+  const list = await kv.list({ prefix: brandKitKey(spaceId, '') });
+  const kits = await Promise.all(list.keys.map(key => kv.get(key.name, 'json')));
+  return kits.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name, 'ja'));
+}
+
+export async function getBrandKit(kv, spaceId, kitId) {
+  return kv.get(brandKitKey(spaceId, kitId), 'json');
+}
+
+/**
+ * Create a brand kit
+ * @returns {Promise<Object>} New kit
+ * @throws {Error} With `status` 400 for invalid input, 409 when the space has too many kits
+ */
+export async function createBrandKit(kv, spaceId, input) {
+  const fields = buildBrandKitFields(input);
+  const list = await kv.list({ prefix: brandKitKey(spaceId, '') });
+  if (list.keys.length >= MAX_BRAND_KITS) {
+    throw invalid(`A space can have up to ${MAX_BRAND_KITS} brand kits`, 409);
+  }
+
+  const now = Date.now();
+  const kit = { id: newId(), ...fields, logos: [], createdAt: now, updatedAt: now };
+  await putBrandKit(kv, spaceId, kit);
+  return kit;
+}
+
+/**
+ * Update the fields of a brand kit (logos are added and removed separately)
+ * @returns {Promise<Object|null>} Updated kit, or null when it does not exist
+ */
+export async function updateBrandKit(kv, spaceId, kitId, input) {
+  const existing = await getBrandKit(kv, spaceId, kitId);
+  if (!existing) return null;
+
+  const kit = { ...existing, ...buildBrandKitFields(input, existing), updatedAt: Date.now() };
+  await putBrandKit(kv, spaceId, kit);
+  return kit;
+}
+
+/**
+ * Delete a brand kit. Projects that refer to it keep the ID and generate without a kit.
+ * @returns {Promise<boolean>} Whether the kit existed
+ */
+export async function deleteBrandKit(kv, spaceId, kitId) {
+  if (!(await getBrandKit(kv, spaceId, kitId))) return false;
+  await kv.delete(brandKitKey(spaceId, kitId));
+  return true;
+}
+
+/**
+ * Upload a logo into a kit, at the resolution it was uploaded in
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding
+ * @param {string} spaceId - Space of the kit
+ * @param {string} kitId - Kit ID
+ * @param {Object} logo - { image: { base64, mimeType, fileName }, thumbnail, name, variant }
+ * @returns {Promise<Object|null>} Updated kit, or null when it does not exist
+ * @throws {Error} With `status` 400 for invalid images or variants, 409 when the kit is full
+ */
+export async function addBrandLogo(kv, bucket, spaceId, kitId, { image, thumbnail = null, name, variant = 'default' }) {
+  const kit = await getBrandKit(kv, spaceId, kitId);
+  if (!kit) return null;
+
+  if (!BRAND_LOGO_VARIANTS.includes(variant)) {
+    throw invalid(`Unknown logo variant: ${variant}`);
+  }
+  if (kit.logos.length >= MAX_LOGOS) {
+    throw invalid(`A brand kit can have up to ${MAX_LOGOS} logos`, 409);
+  }
+
+  const asset = await putAsset(bucket, spaceId, image, thumbnail);
+  const logo = {
+    id: newId(),
+    name: text(name, 80) || text(image.fileName, 80).replace(/\.[^/.]+$/, '') || 'ロゴ',
+    variant,
+    assetId: asset.assetId,
+    mimeType: asset.mimeType,
+    width: asset.width,
+    height: asset.height,
+  };
+
+  const updated = { ...kit, logos: [...kit.logos, logo], updatedAt: Date.now() };
+  await putBrandKit(kv, spaceId, updated);
+  return updated;
+}
+
+/**
+ * Remove a logo from a kit
+ * @returns {Promise<Object|null>} Updated kit, or null when the kit or logo does not exist
+ */
+export async function removeBrandLogo(kv, spaceId, kitId, logoId) {
+  const kit = await getBrandKit(kv, spaceId, kitId);
+  if (!kit || !kit.logos.some(logo => logo.id === logoId)) return null;
+
+  const updated = { ...kit, logos: kit.logos.filter(logo => logo.id !== logoId), updatedAt: Date.now() };
+  await putBrandKit(kv, spaceId, updated);
+  return updated;
+}
+
+/**
+ * Brand guidelines section for the layout prompts (Japanese)
+ * @param {Object|null} brandKit - formData.brandKit
+ * @returns {string} Prompt section, or '' without a kit
+ */
+export function toBrandGuidelines(brandKit) {
+  if (!brandKit) return '';
+  const lines = [
+    brandKit.colors?.length > 0 && `- ブランドカラー: ${brandKit.colors.map(c => (c.name ? `${c.name} ${c.hex}` : c.hex)).join('、')}`,
+    brandKit.fonts?.length > 0 && `- フォント: ${brandKit.fonts.map(f => (f.usage ? `${f.name}（${f.usage}）` : f.name)).join('、')}`,
+    brandKit.toneOfVoice && `- トーン・オブ・ボイス: ${brandKit.toneOfVoice}`,
+    brandKit.forbiddenWords?.length > 0 && `- 使用禁止ワード（コピーに絶対に含めない）: ${brandKit.forbiddenWords.join('、')}`,
+  ].filter(Boolean);
+  if (lines.length === 0) return '';
+
+  return `
+## ブランドガイドライン（${brandKit.name || 'ブランドキット'}）:
+${lines.join('\n')}
+- 配色・フォントの推奨はこのガイドラインに従ってください`;
+}
+
+/**
+ * Brand style section for the image prompts (English)
+ * @param {Object|null} brandKit - formData.brandKit
+ * @returns {string} Prompt section, or '' without colors, fonts or tone
+ */
+export function toBrandStyleGuide(brandKit) {
+  if (!brandKit) return '';
+  const lines = [
+    brandKit.colors?.length > 0 && `- Brand colors (use as the dominant palette): ${brandKit.colors.map(c => (c.name ? `${c.hex} (${c.name})` : c.hex)).join(', ')}`,
+    brandKit.fonts?.length > 0 && `- Typography: ${brandKit.fonts.map(f => (f.usage ? `${f.name} for ${f.usage}` : f.name)).join(', ')}`,
+    brandKit.toneOfVoice && `- Tone of voice: ${brandKit.toneOfVoice}`,
+  ].filter(Boolean);
+  return lines.length > 0 ? `## Brand Guidelines:\n${lines.join('\n')}` : '';
+}
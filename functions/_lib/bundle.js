@@ -0,0 +1,201 @@
+// Project export / import bundles
+//
+// A bundle is a single JSON document with everything needed to recreate a project,
+// for backups and for moving a project to another device ID:
+//   manifest - { format, formatVersion, schemaVersion, exportedAt, projectId, counts }
+//   project  - project record, product images as asset references
+//   assets   - { [assetId]: { base64, mimeType, fileName } } product images and brand logos
+//   history  - versions with the ASCII layout image and banner candidates inlined
+//   brandKit - the project's brand kit (see brandKits.js), or null
+//
+// Export streams the bundle out; import sends it back in pieces, so neither side
+// holds a whole bundle in a Worker. The client reads the file, uploads each asset
+// to /api/assets, creates the project here (with asset references rewritten to what
+// the uploads returned) and then adds the versions one at a time to
+// /api/projects/:id/history. The project gets a new ID and the versions new IDs.
+// The brand kit keeps its ID, so a kit that already exists in the target space is reused.
+
+import { getAssetBase64 } from './assets.js';
+import { brandKitKey, getBrandKit } from './brandKits.js';
+import { getVersion, listVersions } from './history.js';
+import {
+  PROJECT_SCHEMA_VERSION,
+  buildProjectFields,
+  migrateProject,
+  projectKey,
+  putProject,
+} from './projects.js';
+
+export const BUNDLE_FORMAT = 'smart-banner-project';
+export const BUNDLE_VERSION = 1;
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Asset IDs referenced by a list of product images
+const assetIdsOf = (images) => (images || []).map(img => img.assetId).filter(Boolean);
+
+// Bundle JSON, one piece at a time: only a single version or asset is in memory at once.
+// The manifest comes last because its counts are known only after the history is read.
+async function* bundleParts(bucket, deviceId, project, brandKit) {
+  yield `{"project":${JSON.stringify(project)},"brandKit":${JSON.stringify(brandKit)},"history":[`;
+
+  const assetIds = new Set([...assetIdsOf(project.productImages), ...assetIdsOf(brandKit?.logos)]);
+  let versions = 0;
+  let candidates = 0;
+  if (bucket) {
+    for (const summary of await listVersions(bucket, deviceId, project.id)) {
+      const version = await getVersion(bucket, deviceId, project.id, summary.id);
+      if (!version) continue;
+      const { id, step, label, createdAt, snapshot, asciiImage } = version;
+      assetIdsOf(snapshot?.formData?.productImages).forEach(assetId => assetIds.add(assetId));
+      yield `${versions > 0 ? ',' : ''}${JSON.stringify({ id, step, label, createdAt, snapshot, asciiImage, candidates: version.candidates })}`;
+      versions += 1;
+      candidates += version.candidates.length;
+    }
+  }
+
+  yield '],"assets":{';
+  const fileNames = Object.fromEntries([
+    ...(brandKit?.logos || []).map(logo => [logo.assetId, logo.name]),
+    ...(project.productImages || []).map(img => [img.assetId, img.fileName]),
+  ]);
+  let assets = 0;
+  if (bucket) {
+    for (const assetId of assetIds) {
+      const asset = await getAssetBase64(bucket, deviceId, assetId);
+      if (!asset) continue;
+      yield `${assets > 0 ? ',' : ''}${JSON.stringify(assetId)}:${JSON.stringify({ ...asset, fileName: fileNames[assetId] || '' })}`;
+      assets += 1;
+    }
+  }
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    formatVersion: BUNDLE_VERSION,
+    schemaVersion: project.schemaVersion,
+    exportedAt: Date.now(),
+    projectId: project.id,
+    counts: {
+      productImages: project.productImages?.length || 0,
+      assets,
+      versions,
+      candidates,
+    },
+  };
+  yield `},"manifest":${JSON.stringify(manifest)}}`;
+}
+
+/**
+ * Export a project as a bundle, streamed so long histories fit in Worker memory
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding (without it, history and assets are left out)
+ * @param {string} deviceId - Owner device
+ * @param {string} projectId - Project ID
+ * @returns {Promise<{project: Object, body: ReadableStream}|null>} The exported project and the
+ *   bundle JSON as a byte stream, or null if the project does not exist
+ */
+export async function exportProjectBundle(kv, bucket, deviceId, projectId) {
+  const stored = await kv.get(projectKey(deviceId, projectId), 'json');
+  if (!stored) return null;
+
+  const project = { ...migrateProject(stored).project };
+  delete project.deletedAt;
+
+  const brandKit = project.brandKitId ? await getBrandKit(kv, deviceId, project.brandKitId) : null;
+
+  const encoder = new TextEncoder();
+  const parts = bundleParts(bucket, deviceId, project, brandKit);
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await parts.next();
+        if (done) controller.close();
+        else controller.enqueue(encoder.encode(value));
+      } catch (error) {
+        console.error('Error streaming project bundle:', error);
+        controller.error(error);
+      }
+    },
+  });
+
+  return { project, body };
+}
+
+/**
+ * Check that the project part of a bundle can be imported
+ * @param {Object} bundle - { manifest, project, brandKit } of a parsed bundle
+ * @throws {Error} With `status` 400 and the reason
+ */
+export function validateBundle(bundle) {
+  const manifest = bundle?.manifest;
+  if (!manifest || manifest.format !== BUNDLE_FORMAT) {
+    throw invalid('Not a project export file');
+  }
+  if (!(manifest.formatVersion >= 1 && manifest.formatVersion <= BUNDLE_VERSION)) {
+    throw invalid(`Unsupported bundle format version: ${manifest.formatVersion}`);
+  }
+  if ((manifest.schemaVersion || 1) > PROJECT_SCHEMA_VERSION) {
+    throw invalid('The project was exported by a newer version of the app');
+  }
+
+  const { project, brandKit } = bundle;
+  if (!project || typeof project !== 'object' || typeof project.name !== 'string') {
+    throw invalid('Bundle has no project');
+  }
+  if (brandKit && (typeof brandKit.id !== 'string' || !Array.isArray(brandKit.logos))) {
+    throw invalid('Bundle has an invalid brand kit');
+  }
+}
+
+/**
+ * Find an active project that was created from the same source project,
+ * or is the source project itself (re-importing a backup on the same device)
+ * @param {Array} summaries - Project summaries of the device
+ * @param {Object} bundle - Validated bundle
+ * @returns {Object|null} Project summary
+ */
+export function findImportedProject(summaries, bundle) {
+  const sourceId = bundle.manifest.projectId || bundle.project.id;
+  return summaries.find(project =>
+    !project.deletedAt && (project.id === sourceId || project.importedFrom === sourceId)
+  ) || null;
+}
+
+// Store the bundle's brand kit unless the target space already has it.
+// Logos need the asset store; without R2 the kit comes without them.
+async function importBrandKit(kv, bucket, deviceId, brandKit) {
+  if (await getBrandKit(kv, deviceId, brandKit.id)) return false;
+
+  const logos = bucket ? brandKit.logos.filter(logo => logo.assetId) : [];
+  await kv.put(brandKitKey(deviceId, brandKit.id), JSON.stringify({ ...brandKit, logos, updatedAt: Date.now() }));
+  return true;
+}
+
+/**
+ * Recreate the project of a validated bundle under a new ID. Its images (and the brand
+ * kit's logos) must already be uploaded, with references to the stored assets.
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding (without it, product images are
+ *   inline in the project and history cannot be imported)
+ * @param {string} deviceId - Device to import into
+ * @param {Object} bundle - Validated { manifest, project, brandKit }
+ * @returns {Promise<Object>} { project, brandKitImported }
+ */
+export async function importProjectBundle(kv, bucket, deviceId, bundle) {
+  const { manifest, brandKit = null } = bundle;
+  const source = migrateProject(bundle.project).project;
+  const brandKitImported = brandKit ? await importBrandKit(kv, bucket, deviceId, brandKit) : false;
+
+  const now = Date.now();
+  const project = {
+    id: `${now}-${Math.random().toString(36).substr(2, 9)}`,
+    ...buildProjectFields({ ...source, productImages: source.productImages || [] }),
+    isTemplate: !!source.isTemplate,
+    importedFrom: manifest.projectId || source.id || null,
+    createdAt: source.createdAt || now,
+    updatedAt: now,
+  };
+  await putProject(kv, deviceId, project);
+
+  return { project, brandKitImported };
+}
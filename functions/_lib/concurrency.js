@@ -0,0 +1,28 @@
+// Bounded concurrency for fan-out requests (e.g. multiple banner candidates)
+
+/**
+ * Like Promise.allSettled(items.map(fn)), but runs at most `limit` calls at a time
+ * @param {Array} items - Inputs
+ * @param {number} limit - Maximum number of calls in flight
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array<{status: string, value?: any, reason?: any}>>} Results in input order
+ */
+export async function allSettledWithLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
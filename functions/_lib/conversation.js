@@ -0,0 +1,53 @@
+// Multi-turn refinement conversations for the refine-* endpoints
+//
+// The client sends the refinement thread it is currently on as
+// `history: [{ feedback, result }]`, oldest first. The first turn is the initial
+// generation (feedback null). It is replayed to Gemini as alternating
+// user / model messages so earlier instructions stay in context.
+
+// Keep the first turn plus the most recent ones to bound the request size
+const MAX_HISTORY_TURNS = 12;
+
+/**
+ * Normalize the refinement thread from a request body
+ * @param {Array} history - [{ feedback, result }] from the client
+ * @param {Object} fallbackResult - Previous result for clients that send no history
+ * @returns {Array<{feedback: string|null, result: Object}>}
+ */
+export function getRefinementTurns(history, fallbackResult) {
+  const turns = Array.isArray(history)
+    ? history.filter(turn => turn && turn.result)
+    : [];
+
+  if (turns.length === 0) {
+    return fallbackResult ? [{ feedback: null, result: fallbackResult }] : [];
+  }
+
+  if (turns.length > MAX_HISTORY_TURNS) {
+    return [turns[0], ...turns.slice(-(MAX_HISTORY_TURNS - 1))];
+  }
+  return turns;
+}
+
+/**
+ * Build the Gemini conversation for a refinement request
+ * @param {string} contextPrompt - Opening user message describing the original task
+ * @param {Array} turns - Output of getRefinementTurns()
+ * @param {string} finalPrompt - User message with the new feedback
+ * @param {Function} serializeResult - Turns a stored result into the model's reply text
+ * @returns {Array<{role: string, text: string}>}
+ */
+export function buildRefinementMessages(contextPrompt, turns, finalPrompt, serializeResult) {
+  const messages = [];
+
+  turns.forEach((turn, i) => {
+    const userText = i === 0
+      ? contextPrompt
+      : `**User Feedback / Modification Request:**\n${turn.feedback || '(no feedback)'}`;
+    messages.push({ role: 'user', text: userText });
+    messages.push({ role: 'model', text: serializeResult(turn.result) });
+  });
+
+  messages.push({ role: 'user', text: finalPrompt });
+  return messages;
+}
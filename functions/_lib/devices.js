@@ -0,0 +1,190 @@
+// Linking browsers to a shared project space with pairing codes (stored in PROJECTS_KV)
+//
+// A lighter alternative to accounts: one browser creates a short-lived pairing code,
+// another redeems it, and from then on both device IDs resolve to the same linked
+// space (`ln_${random}`). The API middleware does the resolution and hands routes
+// the space as context.data.spaceId. Linked space IDs never reach the client and cannot be
+// used directly, which is what makes revoking a device effective.
+//
+// Keys:
+//   pairing:${code}          - { deviceId, label, createdAt }, expires after PAIRING_CODE_TTL_SECONDS
+//   device-link:${deviceId}  - { spaceId, linkId }
+//   linked-space:${spaceId}  - { id, createdAt, devices: [{ linkId, deviceId, label, linkedAt }] }
+
+import { randomToken } from './auth.js';
+import { assertSpaceMovable, moveSpaceProjects } from './spaces.js';
+
+export const PAIRING_CODE_TTL_SECONDS = 10 * 60;
+
+const LINKED_SPACE_PREFIX = 'ln_';
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+const CODE_LENGTH = 8;
+
+const pairingKey = (code) => `pairing:${code}`;
+const deviceLinkKey = (deviceId) => `device-link:${deviceId}`;
+const linkedSpaceKey = (spaceId) => `linked-space:${spaceId}`;
+
+export const isLinkedSpace = (spaceId) => typeof spaceId === 'string' && spaceId.startsWith(LINKED_SPACE_PREFIX);
+
+function httpError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Normalize a pairing code as typed by a user ("abcd-2345" -> "ABCD2345")
+ * @returns {string|null} Code, or null if it cannot be one
+ */
+export function normalizePairingCode(code) {
+  const value = typeof code === 'string' ? code.toUpperCase().replace(/[\s-]/g, '') : '';
+  return value.length === CODE_LENGTH && [...value].every(c => CODE_ALPHABET.includes(c)) ? value : null;
+}
+
+/**
+ * Space a device's projects are stored in
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {string} deviceId - Device ID as sent by the client
+ * @returns {Promise<string>} Linked space ID, or the device ID itself when not linked
+ */
+export async function resolveDeviceSpace(kv, deviceId) {
+  const link = await kv.get(deviceLinkKey(deviceId), 'json');
+  return link ? link.spaceId : deviceId;
+}
+
+/**
+ * Create a pairing code for a device
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {string} deviceId - Device creating the code
+ * @param {string} label - Name of the device, shown in the device list
+ * @returns {Promise<{code: string, expiresAt: number}>}
+ */
+export async function createPairingCode(kv, deviceId, label) {
+  const bytes = crypto.getRandomValues(new Uint8Array(CODE_LENGTH));
+  const code = [...bytes].map(b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+  const createdAt = Date.now();
+  await kv.put(pairingKey(code), JSON.stringify({ deviceId, label, createdAt }), {
+    expirationTtl: PAIRING_CODE_TTL_SECONDS,
+  });
+  return { code, expiresAt: createdAt + PAIRING_CODE_TTL_SECONDS * 1000 };
+}
+
+async function putLinkedSpace(kv, space) {
+  await kv.put(linkedSpaceKey(space.id), JSON.stringify(space));
+}
+
+async function linkDevice(kv, bucket, queue, space, deviceId, label) {
+  // Projects created before linking come along into the shared space
+  await moveSpaceProjects(kv, bucket, queue, deviceId, space.id);
+
+  const linkId = randomToken(8);
+  await kv.put(deviceLinkKey(deviceId), JSON.stringify({ spaceId: space.id, linkId }));
+  return {
+    ...space,
+    devices: [...space.devices, { linkId, deviceId, label: label || '', linkedAt: Date.now() }],
+  };
+}
+
+/**
+ * Redeem a pairing code, linking this device with the one that created the code
+ * The first pairing of a device creates the linked space; both devices' existing
+ * projects are moved into it (in the background with a queue, see spaces.js).
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding (optional)
+ * @param {Queue} queue - SPACE_MOVE_QUEUE binding (optional)
+ * @param {string} deviceId - Device redeeming the code
+ * @param {string} code - Normalized pairing code
+ * @param {string} label - Name of the device
+ * @returns {Promise<Object>} Linked space record
+ * @throws {Error} With `status` 404 (invalid or expired code), 400 (own code) or
+ * 409 (this device is already linked to another space, or projects are still being
+ * moved into one of the devices)
+ */
+export async function redeemPairingCode(kv, bucket, queue, deviceId, code, label) {
+  const pairing = code ? await kv.get(pairingKey(code), 'json') : null;
+  if (!pairing) {
+    throw httpError('Invalid or expired pairing code', 404);
+  }
+  if (pairing.deviceId === deviceId) {
+    throw httpError('Enter the code on another browser', 400);
+  }
+
+  const [issuerLink, ownLink] = await Promise.all([
+    kv.get(deviceLinkKey(pairing.deviceId), 'json'),
+    kv.get(deviceLinkKey(deviceId), 'json'),
+  ]);
+  if (ownLink && ownLink.spaceId !== issuerLink?.spaceId) {
+    throw httpError('This browser is already linked to other devices', 409);
+  }
+  if (ownLink) {
+    await kv.delete(pairingKey(code));
+    return kv.get(linkedSpaceKey(ownLink.spaceId), 'json');
+  }
+
+  // Checked before anything is linked, so a refused move leaves both devices as they were
+  await assertSpaceMovable(kv, deviceId);
+  if (!issuerLink) await assertSpaceMovable(kv, pairing.deviceId);
+  await kv.delete(pairingKey(code));
+
+  let space = issuerLink ? await kv.get(linkedSpaceKey(issuerLink.spaceId), 'json') : null;
+  if (!space) {
+    space = { id: `${LINKED_SPACE_PREFIX}${randomToken(16)}`, createdAt: Date.now(), devices: [] };
+    space = await linkDevice(kv, bucket, queue, space, pairing.deviceId, pairing.label);
+  }
+  space = await linkDevice(kv, bucket, queue, space, deviceId, label);
+  await putLinkedSpace(kv, space);
+  return space;
+}
+
+/**
+ * Devices linked with a device, as shown to it (device IDs are not exposed)
+ * @returns {Promise<Array>} [{ linkId, label, linkedAt, current }], empty when not linked
+ */
+export async function listLinkedDevices(kv, deviceId) {
+  const link = await kv.get(deviceLinkKey(deviceId), 'json');
+  const space = link ? await kv.get(linkedSpaceKey(link.spaceId), 'json') : null;
+  return (space?.devices || []).map(device => ({
+    linkId: device.linkId,
+    label: device.label,
+    linkedAt: device.linkedAt,
+    current: device.deviceId === deviceId,
+  }));
+}
+
+/**
+ * Unlink a device (any linked device may revoke any other, or itself)
+ * The revoked device starts over with its own empty space; the projects stay
+ * shared. When only one device would be left, the space is dissolved and its
+ * projects move back to that device's own ID.
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding (optional)
+ * @param {Queue} queue - SPACE_MOVE_QUEUE binding (optional)
+ * @param {string} deviceId - Device making the request
+ * @param {string} linkId - Device to unlink
+ * @returns {Promise<Array>} Remaining devices
+ * @throws {Error} With `status` 404 when the device is not linked with this one,
+ *   409 while projects are still being moved into the shared space
+ */
+export async function revokeDevice(kv, bucket, queue, deviceId, linkId) {
+  const link = await kv.get(deviceLinkKey(deviceId), 'json');
+  const space = link ? await kv.get(linkedSpaceKey(link.spaceId), 'json') : null;
+  const target = space?.devices.find(device => device.linkId === linkId);
+  if (!target) {
+    throw httpError('Device not found', 404);
+  }
+
+  const devices = space.devices.filter(device => device.linkId !== linkId);
+  if (devices.length === 1) {
+    await assertSpaceMovable(kv, space.id);
+  }
+  await kv.delete(deviceLinkKey(target.deviceId));
+
+  if (devices.length === 1) {
+    const [last] = devices;
+    await moveSpaceProjects(kv, bucket, queue, space.id, last.deviceId);
+    await kv.delete(deviceLinkKey(last.deviceId));
+    await kv.delete(linkedSpaceKey(space.id));
+    return [];
+  }
+
+  await putLinkedSpace(kv, { ...space, devices });
+  return listLinkedDevices(kv, deviceId);
+}
@@ -0,0 +1,320 @@
+// Shared Gemini API client (fetch-based for Cloudflare Workers)
+//
+// All endpoints go through generateContent() so timeouts, retries and error
+// reporting behave the same everywhere. Failures are thrown as GeminiError with
+// a stable `code` the UI can use to decide whether to offer a retry.
+
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+export const GEMINI_ERROR_CODES = {
+  QUOTA: 'quota_exceeded',
+  OVERLOADED: 'overloaded',
+  SAFETY_BLOCKED: 'safety_blocked',
+  TIMEOUT: 'timeout',
+  INVALID_REQUEST: 'invalid_request',
+  INVALID_RESPONSE: 'invalid_response',
+  UNKNOWN: 'unknown',
+};
+
+const ERROR_DETAILS = {
+  [GEMINI_ERROR_CODES.QUOTA]: {
+    status: 429,
+    retryable: true,
+    message: 'APIの利用制限に達しました。少し待ってからリトライしてください。',
+  },
+  [GEMINI_ERROR_CODES.OVERLOADED]: {
+    status: 503,
+    retryable: true,
+    message: 'モデルが混雑しています。リトライボタンで再試行してください。',
+  },
+  [GEMINI_ERROR_CODES.SAFETY_BLOCKED]: {
+    status: 422,
+    retryable: false,
+    message: '安全性フィルターによりブロックされました。入力内容や指示を変更してください。',
+  },
+  [GEMINI_ERROR_CODES.TIMEOUT]: {
+    status: 504,
+    retryable: true,
+    message: 'タイムアウトしました。リトライボタンで再試行してください。',
+  },
+  [GEMINI_ERROR_CODES.INVALID_REQUEST]: {
+    status: 400,
+    retryable: false,
+    message: 'リクエストが不正です。入力内容やモデル設定を確認してください。',
+  },
+  [GEMINI_ERROR_CODES.INVALID_RESPONSE]: {
+    status: 502,
+    retryable: true,
+    message: 'AIの応答を解析できませんでした。もう一度お試しください。',
+  },
+  [GEMINI_ERROR_CODES.UNKNOWN]: {
+    status: 502,
+    retryable: true,
+    message: 'APIエラーが発生しました',
+  },
+};
+
+// Finish reasons that mean the output was withheld by a safety filter
+const SAFETY_FINISH_REASONS = new Set([
+  'SAFETY',
+  'BLOCKLIST',
+  'PROHIBITED_CONTENT',
+  'SPII',
+  'IMAGE_SAFETY',
+  'IMAGE_PROHIBITED_CONTENT',
+]);
+
+const DEFAULT_OPTIONS = {
+  timeoutMs: 60000,
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 20000,
+  maxRetryAfterMs: 30000, // Longest wait the API may ask for; longer ones are reported to the caller instead
+  retryBudgetMs: 45000, // Total time spent waiting between attempts
+  deadlineMs: null, // Total time budget across all attempts (null = unlimited)
+};
+
+// Quota message with the wait the API asked for, when it gave one
+const quotaMessage = (retryAfterMs) =>
+  `APIの利用制限に達しました。約${Math.max(1, Math.ceil(retryAfterMs / 1000))}秒待ってからリトライしてください。`;
+
+export class GeminiError extends Error {
+  constructor(code, message, { status, details = null, retryAfterMs = null } = {}) {
+    const info = ERROR_DETAILS[code] || ERROR_DETAILS[GEMINI_ERROR_CODES.UNKNOWN];
+    const defaultMessage = code === GEMINI_ERROR_CODES.QUOTA && retryAfterMs != null
+      ? quotaMessage(retryAfterMs)
+      : info.message;
+    super(message || defaultMessage);
+    this.name = 'GeminiError';
+    this.code = code;
+    this.status = status || info.status;
+    this.retryable = info.retryable;
+    this.details = details;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+function parseRetryAfter(headerValue) {
+  if (!headerValue) return null;
+  const seconds = Number(headerValue);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(headerValue);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Gemini also reports the wait time as google.rpc.RetryInfo, e.g. "retryDelay": "27s"
+function parseRetryInfo(errorBody) {
+  const details = errorBody?.error?.details || [];
+  const retryInfo = details.find(d => d['@type']?.endsWith('RetryInfo'));
+  const match = retryInfo?.retryDelay?.match(/^([\d.]+)s$/);
+  return match ? Number(match[1]) * 1000 : null;
+}
+
+// Map an HTTP failure from the API to a GeminiError
+function classifyHttpError(status, errorText, retryAfterHeader) {
+  let errorBody = null;
+  try {
+    errorBody = JSON.parse(errorText);
+  } catch {
+    // Non-JSON error body, keep the raw text as details
+  }
+
+  const apiStatus = errorBody?.error?.status;
+  const retryAfterMs = parseRetryAfter(retryAfterHeader) ?? parseRetryInfo(errorBody);
+  const options = { status, details: errorText, retryAfterMs };
+
+  if (status === 429 || apiStatus === 'RESOURCE_EXHAUSTED') {
+    return new GeminiError(GEMINI_ERROR_CODES.QUOTA, null, options);
+  }
+  if (status === 503 || apiStatus === 'UNAVAILABLE') {
+    return new GeminiError(GEMINI_ERROR_CODES.OVERLOADED, null, options);
+  }
+  if (status === 504 || apiStatus === 'DEADLINE_EXCEEDED') {
+    return new GeminiError(GEMINI_ERROR_CODES.TIMEOUT, null, options);
+  }
+  if (status >= 400 && status < 500) {
+    return new GeminiError(GEMINI_ERROR_CODES.INVALID_REQUEST, null, options);
+  }
+  return new GeminiError(GEMINI_ERROR_CODES.UNKNOWN, null, options);
+}
+
+// Throw if the prompt or the first candidate was blocked by a safety filter
+function assertNotBlocked(data) {
+  const blockReason = data.promptFeedback?.blockReason;
+  if (blockReason) {
+    throw new GeminiError(GEMINI_ERROR_CODES.SAFETY_BLOCKED, null, { details: `Prompt blocked: ${blockReason}` });
+  }
+
+  const candidate = data.candidates?.[0];
+  if (candidate && SAFETY_FINISH_REASONS.has(candidate.finishReason) && !candidate.content?.parts?.length) {
+    throw new GeminiError(GEMINI_ERROR_CODES.SAFETY_BLOCKED, null, { details: `Response blocked: ${candidate.finishReason}` });
+  }
+}
+
+// Exponential backoff with full jitter, capped at maxDelayMs
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+async function attemptRequest(url, requestBody, timeoutMs) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(requestBody),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw classifyHttpError(response.status, errorText, response.headers.get('Retry-After'));
+    }
+
+    const data = await response.json();
+    assertNotBlocked(data);
+    return data;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new GeminiError(GEMINI_ERROR_CODES.TIMEOUT, null, { details: `Request timeout after ${timeoutMs}ms` });
+    }
+    if (error instanceof GeminiError) throw error;
+    throw new GeminiError(GEMINI_ERROR_CODES.UNKNOWN, null, { details: error.message });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Call models/{model}:generateContent with timeout and retry handling.
+ * Only quota (429) and overloaded (503) errors are retried; timeouts are not,
+ * since a second long attempt would usually exceed the client's own deadline.
+ * A wait the API asks for (Retry-After / RetryInfo) longer than maxRetryAfterMs, or
+ * one that would take the waits past retryBudgetMs, is not waited out: the error is
+ * thrown with its retryAfterMs so the caller can tell the user when to try again.
+ *
+ * @param {string} apiKey - Gemini API key
+ * @param {string} model - Model ID
+ * @param {Object} requestBody - Raw generateContent request body
+ * @param {Object} options - timeoutMs, maxRetries, baseDelayMs, maxDelayMs, maxRetryAfterMs, retryBudgetMs, deadlineMs
+ * @returns {Promise<Object>} Parsed API response
+ */
+export async function generateContent(apiKey, model, requestBody, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const url = `${API_BASE}/${model}:generateContent?key=${apiKey}`;
+  const startedAt = Date.now();
+  const remaining = () => config.deadlineMs ? config.deadlineMs - (Date.now() - startedAt) : Infinity;
+  let waitedMs = 0;
+
+  for (let attempt = 0; ; attempt++) {
+    const timeoutMs = Math.min(config.timeoutMs, remaining());
+
+    try {
+      return await attemptRequest(url, requestBody, timeoutMs);
+    } catch (error) {
+      const retriable = error.code === GEMINI_ERROR_CODES.QUOTA || error.code === GEMINI_ERROR_CODES.OVERLOADED;
+      if (!retriable || attempt >= config.maxRetries) throw error;
+
+      const delay = error.retryAfterMs ?? backoffDelay(attempt, config);
+      if (delay > config.maxRetryAfterMs || waitedMs + delay > config.retryBudgetMs) throw error;
+      // Give up rather than start an attempt that cannot finish within the deadline
+      if (delay + 1000 >= remaining()) throw error;
+      waitedMs += delay;
+
+      console.warn(`Gemini ${error.code} (attempt ${attempt + 1}/${config.maxRetries + 1}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Join the text parts of the first candidate
+ * @param {Object} data - generateContent response
+ * @returns {string}
+ */
+export function extractText(data) {
+  const parts = data.candidates?.[0]?.content?.parts || [];
+  return parts.filter(p => p.text && !p.thought).map(p => p.text).join('');
+}
+
+/**
+ * Text generation helper used by the layout and prompt endpoints
+ * @param {string} apiKey - Gemini API key
+ * @param {string} model - Model ID
+ * @param {string} systemInstruction - System prompt
+ * @param {string|Array<{role: string, text: string}>} prompt - User prompt, or a multi-turn
+ *   conversation of 'user' / 'model' messages ending with a user message
+ * @param {Object} options - jsonMode, responseSchema, temperature, plus generateContent() options
+ * @returns {Promise<string>} Response text
+ */
+export async function generateText(apiKey, model, systemInstruction, prompt, options = {}) {
+  const { jsonMode = false, responseSchema = null, temperature = 0.7, ...requestOptions } = options;
+  const messages = Array.isArray(prompt) ? prompt : [{ role: 'user', text: prompt }];
+
+  const requestBody = {
+    systemInstruction: {
+      parts: [{ text: systemInstruction }]
+    },
+    contents: messages.map(({ role, text }) => ({
+      role,
+      parts: [{ text }]
+    })),
+    generationConfig: {
+      temperature,
+    }
+  };
+
+  if (jsonMode || responseSchema) {
+    requestBody.generationConfig.responseMimeType = 'application/json';
+  }
+  if (responseSchema) {
+    requestBody.generationConfig.responseSchema = responseSchema;
+  }
+
+  const data = await generateContent(apiKey, model, requestBody, requestOptions);
+  return extractText(data);
+}
+
+/**
+ * Build the JSON error response shared by all endpoints.
+ * `code` and `canRetry` let the UI decide whether to show the retry button; errors
+ * the API gave a wait time for also carry `retryAfterMs` and a Retry-After header.
+ * @param {Error} error - Caught error
+ * @param {string} fallbackMessage - Message for unexpected (non-Gemini) errors
+ * @returns {Response}
+ */
+export function errorResponse(error, fallbackMessage) {
+  if (error instanceof GeminiError) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (error.retryAfterMs != null) {
+      headers['Retry-After'] = String(Math.ceil(error.retryAfterMs / 1000));
+    }
+    return new Response(JSON.stringify({
+      error: error.message,
+      code: error.code,
+      canRetry: error.retryable,
+      retryAfterMs: error.retryAfterMs,
+      details: error.details,
+    }), {
+      status: error.status,
+      headers
+    });
+  }
+
+  return new Response(JSON.stringify({
+    error: error.message || fallbackMessage,
+    code: GEMINI_ERROR_CODES.UNKNOWN,
+    canRetry: true,
+  }), {
+    status: 500,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
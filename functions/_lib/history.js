@@ -0,0 +1,141 @@
+// Project iteration history stored in R2 (PROJECTS_BUCKET)
+//
+// Each version is a snapshot of the app state after a step (layout, prompt or
+// banner) under `history/${deviceId}/${projectId}/${versionId}/`:
+//   version.json     - { id, step, label, createdAt, snapshot } (no image data)
+//   ascii.png        - ASCII layout image used as the banner layout reference
+//   candidate-${n}   - generated banner candidates
+// The timeline is listed from version.json custom metadata, so listing reads no bodies.
+
+import { base64ToBytes, bytesToBase64 } from './image.js';
+
+export const HISTORY_STEPS = ['layout', 'prompt', 'banner'];
+
+const historyPrefix = (deviceId, projectId) => `history/${deviceId}/${projectId}/`;
+const versionPrefix = (deviceId, projectId, versionId) => `${historyPrefix(deviceId, projectId)}${versionId}/`;
+
+function toSummary(meta, versionId) {
+  return {
+    id: versionId,
+    step: meta.step,
+    label: meta.label || '',
+    createdAt: Number(meta.createdAt) || 0,
+    candidateCount: Number(meta.candidateCount) || 0,
+  };
+}
+
+/**
+ * Store a new version
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding
+ * @param {string} deviceId - Owner device
+ * @param {string} projectId - Project ID
+ * @param {Object} version - { step, label, snapshot, asciiImage, candidates: [{ index, imageData, mimeType }] },
+ *   and createdAt when importing a version recorded earlier
+ * @returns {Promise<Object>} Version summary
+ */
+export async function putVersion(bucket, deviceId, projectId, { step, label = '', snapshot, asciiImage, candidates = [], createdAt = Date.now() }) {
+  const versionId = `${createdAt}-${Math.random().toString(36).substr(2, 9)}`;
+  const text = typeof label === 'string' ? label : '';
+  const prefix = versionPrefix(deviceId, projectId, versionId);
+
+  await Promise.all([
+    asciiImage && bucket.put(`${prefix}ascii.png`, base64ToBytes(asciiImage), {
+      httpMetadata: { contentType: 'image/png' },
+    }),
+    ...candidates.map(candidate => bucket.put(`${prefix}candidate-${candidate.index}`, base64ToBytes(candidate.imageData), {
+      httpMetadata: { contentType: candidate.mimeType || 'image/png' },
+    })),
+  ]);
+
+  const metadata = {
+    step,
+    label: text.slice(0, 200),
+    createdAt: String(createdAt),
+    candidateCount: String(candidates.length),
+  };
+
+  // version.json is written last so a listed version always has its images
+  await bucket.put(`${prefix}version.json`, JSON.stringify({
+    id: versionId,
+    step,
+    label: text,
+    createdAt,
+    snapshot,
+    hasAsciiImage: !!asciiImage,
+    candidates: candidates.map(({ imageData, ...rest }) => ({ ...rest, hasImage: !!imageData })),
+  }), {
+    httpMetadata: { contentType: 'application/json' },
+    customMetadata: metadata,
+  });
+
+  return toSummary(metadata, versionId);
+}
+
+/**
+ * List the versions of a project, oldest first
+ * @returns {Promise<Array>} Version summaries
+ */
+export async function listVersions(bucket, deviceId, projectId) {
+  const prefix = historyPrefix(deviceId, projectId);
+  const versions = [];
+  let cursor;
+
+  do {
+    const list = await bucket.list({ prefix, cursor, include: ['customMetadata'] });
+    for (const object of list.objects) {
+      if (!object.key.endsWith('/version.json')) continue;
+      const versionId = object.key.slice(prefix.length, -'/version.json'.length);
+      versions.push(toSummary(object.customMetadata || {}, versionId));
+    }
+    cursor = list.truncated ? list.cursor : undefined;
+  } while (cursor);
+
+  return versions.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Get a version with its images inlined as base64
+ * @returns {Promise<Object|null>} Version, or null if not found
+ */
+export async function getVersion(bucket, deviceId, projectId, versionId) {
+  const prefix = versionPrefix(deviceId, projectId, versionId);
+  const object = await bucket.get(`${prefix}version.json`);
+  if (!object) return null;
+
+  const version = await object.json();
+
+  const readImage = async (key) => {
+    const image = await bucket.get(`${prefix}${key}`);
+    return image ? bytesToBase64(await image.arrayBuffer()) : null;
+  };
+
+  const [asciiImage, candidates] = await Promise.all([
+    version.hasAsciiImage ? readImage('ascii.png') : null,
+    Promise.all(version.candidates.map(async ({ hasImage, ...candidate }) => ({
+      ...candidate,
+      imageData: hasImage ? await readImage(`candidate-${candidate.index}`) : null,
+    }))),
+  ]);
+
+  return { ...version, asciiImage, candidates: candidates.filter(c => c.imageData) };
+}
+
+/**
+ * Delete all versions of a project
+ */
+export async function deleteHistory(bucket, deviceId, projectId) {
+  const prefix = historyPrefix(deviceId, projectId);
+  const keys = [];
+  let cursor;
+
+  do {
+    const list = await bucket.list({ prefix, cursor });
+    keys.push(...list.objects.map(object => object.key));
+    cursor = list.truncated ? list.cursor : undefined;
+  } while (cursor);
+
+  // R2 deletes up to 1000 keys per call
+  for (let i = 0; i < keys.length; i += 1000) {
+    await bucket.delete(keys.slice(i, i + 1000));
+  }
+}
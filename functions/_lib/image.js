@@ -0,0 +1,105 @@
+// Image helpers for base64 payloads (no canvas available in Workers)
+
+/**
+ * Decode a base64 string into bytes
+ * @param {string} base64 - Base64 data without data: prefix
+ * @param {number} maxBytes - Only decode the first maxBytes bytes (headers are enough for sizes)
+ * @returns {Uint8Array}
+ */
+export function base64ToBytes(base64, maxBytes = Infinity) {
+  // 4 base64 chars encode 3 bytes
+  const length = Number.isFinite(maxBytes) ? Math.ceil(maxBytes / 3) * 4 : base64.length;
+  const binary = atob(base64.slice(0, length));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} buffer - Binary data
+ * @returns {string}
+ */
+export function bytesToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // Chunked to stay under the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function readPngSize(view) {
+  // Signature (8) + IHDR length (4) + "IHDR" (4), then width/height as uint32
+  return { width: view.getUint32(16), height: view.getUint32(20), format: 'png' };
+}
+
+function readJpegSize(bytes, view) {
+  let offset = 2;
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xFF) return null;
+    const marker = bytes[offset + 1];
+    // SOF0-SOF15 except DHT (C4), JPG (C8) and DAC (CC) carry the frame size
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5), format: 'jpeg' };
+    }
+    offset += 2 + view.getUint16(offset + 2);
+  }
+  return null;
+}
+
+function readWebpSize(bytes, view) {
+  const chunk = String.fromCharCode(...bytes.slice(12, 16));
+  if (chunk === 'VP8X') {
+    const width = 1 + (bytes[24] | bytes[25] << 8 | bytes[26] << 16);
+    const height = 1 + (bytes[27] | bytes[28] << 8 | bytes[29] << 16);
+    return { width, height, format: 'webp' };
+  }
+  if (chunk === 'VP8 ') {
+    return { width: view.getUint16(26, true) & 0x3FFF, height: view.getUint16(28, true) & 0x3FFF, format: 'webp' };
+  }
+  if (chunk === 'VP8L') {
+    const bits = view.getUint32(21, true);
+    return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1, format: 'webp' };
+  }
+  return null;
+}
+
+/**
+ * MIME type of a PNG, JPEG or WebP image, read from its content rather than trusted from the client
+ * @param {string} base64 - Base64 image data
+ * @returns {string|null} image/png, image/jpeg or image/webp, or null for anything else
+ */
+export function detectImageType(base64) {
+  const format = getImageDimensions(base64)?.format;
+  return format ? `image/${format}` : null;
+}
+
+/**
+ * Read the pixel dimensions of a PNG, JPEG or WebP image
+ * @param {string} base64 - Base64 image data
+ * @returns {{width: number, height: number, format: string}|null} Null if the format is unknown
+ */
+export function getImageDimensions(base64) {
+  try {
+    // JPEG frame headers can come after large EXIF blocks, so read generously
+    const bytes = base64ToBytes(base64, 256 * 1024);
+    const view = new DataView(bytes.buffer);
+
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) {
+      return readPngSize(view);
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+      return readJpegSize(bytes, view);
+    }
+    if (String.fromCharCode(...bytes.slice(0, 4)) === 'RIFF' && String.fromCharCode(...bytes.slice(8, 12)) === 'WEBP') {
+      return readWebpSize(bytes, view);
+    }
+  } catch (error) {
+    console.error('Failed to read image dimensions:', error);
+  }
+  return null;
+}
@@ -0,0 +1,273 @@
+// Generation jobs stored in R2 (PROJECTS_BUCKET)
+//
+// A job record lives at `jobs/${deviceId}/${jobId}` with its summary as custom
+// metadata, so listing jobs reads no bodies. Generated images are stored under
+// `job-images/${deviceId}/${jobId}/${index}` and merged back in getJob().
+// The generation request of a queued job (its plan, with the product images) is kept
+// at `job-plans/${deviceId}/${jobId}` until the queue consumer has run it.
+// R2 reads are strongly consistent, so a poll right after the job finishes sees
+// it finished (KV could serve a cached "running" for up to a minute).
+//
+// Job IDs start with the time left until MAX_JOB_TIME, so keys list newest first.
+// R2 has no per-object TTL: jobs older than JOB_TTL_MS are left out and deleted when
+// a list runs into them, and dismissed jobs are deleted with their images.
+
+import { base64ToBytes, bytesToBase64 } from './image.js';
+
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+};
+
+// Finished jobs (and their images) are kept for a day
+const JOB_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Generation gives up well before this, so an older running job was cut off
+const JOB_STALE_MS = 5 * 60 * 1000;
+
+// A pending job waits in the generation queue; one not started by then was lost
+const JOB_QUEUE_TIMEOUT_MS = 30 * 60 * 1000;
+
+const MAX_JOB_TIME = 9999999999999;
+
+export const DEFAULT_JOB_PAGE_SIZE = 20;
+export const MAX_JOB_PAGE_SIZE = 100;
+
+const jobsPrefix = (deviceId) => `jobs/${deviceId}/`;
+const jobKey = (deviceId, jobId) => `${jobsPrefix(deviceId)}${jobId}`;
+const imagePrefix = (deviceId, jobId) => `job-images/${deviceId}/${jobId}/`;
+const planKey = (deviceId, jobId) => `job-plans/${deviceId}/${jobId}`;
+
+export function isJobFinished(job) {
+  return job.status === JOB_STATUS.SUCCEEDED || job.status === JOB_STATUS.FAILED;
+}
+
+const isExpired = (job) => Date.now() - job.createdAt > JOB_TTL_MS;
+
+// The job was never started, or the consumer running it was stopped before it could
+// record the outcome. Reported as failed without writing: the record stays as it was left.
+function withStaleCheck(job) {
+  const timeout = job.status === JOB_STATUS.PENDING ? JOB_QUEUE_TIMEOUT_MS : JOB_STALE_MS;
+  if (isJobFinished(job) || Date.now() - job.updatedAt <= timeout) return job;
+  return {
+    ...job,
+    status: JOB_STATUS.FAILED,
+    error: { error: '生成が完了しませんでした。もう一度お試しください。', code: 'timeout', canRetry: true },
+  };
+}
+
+function toSummary(meta, jobId) {
+  return {
+    id: jobId,
+    type: meta.type,
+    label: meta.label || '',
+    status: meta.status,
+    createdAt: Number(meta.createdAt) || 0,
+    updatedAt: Number(meta.updatedAt) || 0,
+  };
+}
+
+async function putJob(bucket, deviceId, job) {
+  await bucket.put(jobKey(deviceId, job.id), JSON.stringify(job), {
+    httpMetadata: { contentType: 'application/json' },
+    customMetadata: {
+      type: job.type,
+      label: job.label.slice(0, 200),
+      status: job.status,
+      createdAt: String(job.createdAt),
+      updatedAt: String(job.updatedAt),
+    },
+  });
+  return job;
+}
+
+/**
+ * Create a pending job
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding
+ * @param {string} deviceId - Owner device
+ * @param {Object} options - type, label (shown in the job list), context (small data the client needs to resume)
+ * @returns {Promise<Object>} Job record
+ */
+export async function createJob(bucket, deviceId, { type, label = '', context = null }) {
+  const now = Date.now();
+  return putJob(bucket, deviceId, {
+    id: `${String(MAX_JOB_TIME - now).padStart(13, '0')}-${Math.random().toString(36).substr(2, 9)}`,
+    type,
+    label,
+    status: JOB_STATUS.PENDING,
+    context,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+  });
+}
+
+/**
+ * Update the status (and optionally other fields) of a job
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding
+ * @param {string} deviceId - Owner device
+ * @param {Object} job - Current job record
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object>} Updated job record
+ */
+export async function updateJob(bucket, deviceId, job, changes) {
+  return putJob(bucket, deviceId, { ...job, ...changes, updatedAt: Date.now() });
+}
+
+/**
+ * Store a banner result and mark the job as succeeded.
+ * Candidate images go to separate objects and are merged back in getJob().
+ */
+export async function completeJob(bucket, deviceId, job, result) {
+  const candidates = await Promise.all((result.candidates || []).map(async (candidate) => {
+    const { imageData, ...rest } = candidate;
+    await bucket.put(`${imagePrefix(deviceId, job.id)}${candidate.index}`, base64ToBytes(imageData), {
+      httpMetadata: { contentType: candidate.mimeType || 'image/png' },
+    });
+    return rest;
+  }));
+
+  // The top-level image fields duplicate the first candidate, rebuilt on read
+  const { imageData, ...rest } = result;
+  return updateJob(bucket, deviceId, job, {
+    status: JOB_STATUS.SUCCEEDED,
+    result: { ...rest, hasImage: !!imageData, candidates },
+  });
+}
+
+/**
+ * Mark a job as failed with the same error shape the endpoints return
+ */
+export async function failJob(bucket, deviceId, job, error) {
+  return updateJob(bucket, deviceId, job, {
+    status: JOB_STATUS.FAILED,
+    error: {
+      error: error.message || 'Generation failed',
+      code: error.code || 'unknown',
+      canRetry: error.retryable !== false,
+      retryAfterMs: error.retryAfterMs ?? null,
+    },
+  });
+}
+
+/**
+ * Store the generation request of a job for the queue consumer
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding
+ * @param {string} deviceId - Owner device
+ * @param {string} jobId - Job ID
+ * @param {Object} plan - Generation plan (see buildBannerGeneration())
+ */
+export async function putJobPlan(bucket, deviceId, jobId, plan) {
+  await bucket.put(planKey(deviceId, jobId), JSON.stringify(plan), {
+    httpMetadata: { contentType: 'application/json' },
+  });
+}
+
+/**
+ * Get the generation request of a job
+ * @returns {Promise<Object|null>} Generation plan, or null once the job has run
+ */
+export async function getJobPlan(bucket, deviceId, jobId) {
+  const object = await bucket.get(planKey(deviceId, jobId));
+  return object ? object.json() : null;
+}
+
+/**
+ * Delete the generation request of a job
+ */
+export async function deleteJobPlan(bucket, deviceId, jobId) {
+  await bucket.delete(planKey(deviceId, jobId));
+}
+
+/**
+ * Get a job record without its images (stale jobs are reported as failed)
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding
+ * @param {string} deviceId - Owner device
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job record, or null if not found / expired
+ */
+export async function getJobRecord(bucket, deviceId, jobId) {
+  const object = await bucket.get(jobKey(deviceId, jobId));
+  if (!object) return null;
+
+  const job = await object.json();
+  if (isExpired(job)) {
+    await deleteJob(bucket, deviceId, jobId);
+    return null;
+  }
+  return withStaleCheck(job);
+}
+
+/**
+ * Get a job, with candidate images merged into the result once it has succeeded
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding
+ * @param {string} deviceId - Owner device
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job record, or null if not found / expired
+ */
+export async function getJob(bucket, deviceId, jobId) {
+  const job = await getJobRecord(bucket, deviceId, jobId);
+  if (job?.status !== JOB_STATUS.SUCCEEDED) return job;
+
+  const candidates = await Promise.all(job.result.candidates.map(async (candidate) => {
+    const image = await bucket.get(`${imagePrefix(deviceId, jobId)}${candidate.index}`);
+    return { ...candidate, imageData: image ? bytesToBase64(await image.arrayBuffer()) : null };
+  }));
+  const available = candidates.filter(c => c.imageData);
+  if (available.length === 0) {
+    return { ...job, status: JOB_STATUS.FAILED, result: null, error: { error: '生成結果の有効期限が切れました', code: 'unknown', canRetry: true } };
+  }
+
+  const { hasImage, ...result } = job.result;
+  return {
+    ...job,
+    result: {
+      ...result,
+      ...(hasImage && { imageData: available[0].imageData, mimeType: available[0].mimeType }),
+      candidates: available,
+    },
+  };
+}
+
+/**
+ * List a page of the jobs of a device from custom metadata, newest first.
+ * Expired jobs found on the page are deleted, so a page can hold fewer than `limit` jobs.
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding
+ * @param {string} deviceId - Owner device
+ * @param {Object} options - cursor (from the previous page's nextCursor), limit
+ * @returns {Promise<{jobs: Array, nextCursor: string|null}>} Job summaries (id, type, label, status, createdAt, updatedAt)
+ */
+export async function listJobs(bucket, deviceId, { cursor, limit = DEFAULT_JOB_PAGE_SIZE } = {}) {
+  const prefix = jobsPrefix(deviceId);
+  const list = await bucket.list({ prefix, cursor: cursor || undefined, limit, include: ['customMetadata'] });
+
+  const jobs = list.objects.map(object => toSummary(object.customMetadata || {}, object.key.slice(prefix.length)));
+  await Promise.all(jobs.filter(isExpired).map(job => deleteJob(bucket, deviceId, job.id)));
+
+  return {
+    jobs: jobs.filter(job => !isExpired(job)).map(withStaleCheck),
+    nextCursor: list.truncated ? list.cursor : null,
+  };
+}
+
+/**
+ * Delete a job with its images and generation request, without reading them
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding
+ * @param {string} deviceId - Owner device
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} false when the job does not exist
+ */
+export async function deleteJob(bucket, deviceId, jobId) {
+  if (!await bucket.head(jobKey(deviceId, jobId))) return false;
+
+  const list = await bucket.list({ prefix: imagePrefix(deviceId, jobId) });
+  await bucket.delete([
+    jobKey(deviceId, jobId),
+    planKey(deviceId, jobId),
+    ...list.objects.map(object => object.key),
+  ]);
+  return true;
+}
@@ -0,0 +1,315 @@
+// Structured layout result shared by generate-ascii and refine-ascii
+//
+// The layout designer returns JSON matching LAYOUT_RESPONSE_SCHEMA. Results are
+// validated here and sent back to the model for one repair pass if invalid.
+// Responses also carry `structure`, the elements of the ASCII art with their
+// bounding boxes (see shared/asciiLayout.js); it is derived, never sent back to the model.
+
+import { parseAsciiLayout } from '../../shared/asciiLayout.js';
+import { generateText, GeminiError, GEMINI_ERROR_CODES } from './gemini.js';
+
+export const ELEMENT_TYPES = ['HEADLINE', 'SUBTEXT', 'PRODUCT', 'CTA', 'BADGE', 'LOGO', 'DECORATION', 'BACKGROUND'];
+
+// Gemini responseSchema (OpenAPI subset)
+export const LAYOUT_RESPONSE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    ascii: { type: 'STRING', description: 'ASCII art layout using box-drawing characters and [TAG] markers' },
+    designNotes: { type: 'STRING', description: 'Layout strategy and why it converts' },
+    copy: {
+      type: 'OBJECT',
+      properties: {
+        headline: { type: 'STRING' },
+        subtext: { type: 'STRING' },
+        cta: { type: 'STRING' },
+        extra: { type: 'ARRAY', items: { type: 'STRING' } },
+      },
+      required: ['headline', 'subtext', 'cta', 'extra'],
+      propertyOrdering: ['headline', 'subtext', 'cta', 'extra'],
+    },
+    colorStyleRecommendations: { type: 'STRING' },
+    imageInstructions: { type: 'STRING', description: 'Instructions for the image generation model, in English' },
+    elements: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          type: { type: 'STRING', enum: ELEMENT_TYPES },
+          description: { type: 'STRING' },
+          text: { type: 'STRING' },
+        },
+        required: ['type', 'description'],
+        propertyOrdering: ['type', 'description', 'text'],
+      },
+    },
+  },
+  required: ['ascii', 'designNotes', 'copy', 'colorStyleRecommendations', 'imageInstructions', 'elements'],
+  propertyOrdering: ['ascii', 'designNotes', 'copy', 'colorStyleRecommendations', 'imageInstructions', 'elements'],
+};
+
+// Output format section for the layout system prompts
+export const LAYOUT_OUTPUT_FORMAT = `必ず以下のフィールドを持つJSONオブジェクトのみを出力してください：
+- ascii: ASCIIレイアウト（コードブロック記号 \`\`\` は含めない）
+- designNotes: レイアウト戦略の説明 - なぜこの配置がコンバージョンに効果的か
+- copy: コピー（必ず日本語で出力）
+  - headline: 日本語のキャッチコピー
+  - subtext: 日本語のサブテキスト
+  - cta: 日本語のCTAボタンテキスト
+  - extra: バッジ等に表示するその他の日本語テキスト（なければ空配列）
+- colorStyleRecommendations: 具体的な配色、フォント、スタイルの推奨
+- imageInstructions: Nano Banana Pro向けの具体的な画像生成指示（英語で記述）
+  - Background / Lighting / Product Placement / Mood/Atmosphere / Additional Elements の各項目を含める
+- elements: ASCIIレイアウト内の要素一覧（type は ${ELEMENT_TYPES.join(', ')} のいずれか、description は要素の説明、text は表示テキストがあれば記入）`;
+
+const containsJapanese = (str) => /[\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FAF]/.test(str);
+
+const isString = (value) => typeof value === 'string';
+
+/**
+ * Validate a parsed layout result against the schema
+ * @param {Object} layout - Parsed JSON from the model
+ * @param {Object} options - requireJapaneseCopy: copy must contain Japanese text,
+ *   partial: empty sections are allowed and mean "unchanged" (used by refinement),
+ *   forbiddenWords: words the copy must not contain (from the brand kit, case-insensitive),
+ *   palette: hex colors colorStyleRecommendations must assign (the project's color palette)
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export function validateLayout(layout, { requireJapaneseCopy = true, partial = false, forbiddenWords = [], palette = [] } = {}) {
+  const errors = [];
+  const isFilled = (value) => isString(value) && (partial || value.trim() !== '');
+
+  if (!layout || typeof layout !== 'object' || Array.isArray(layout)) {
+    return ['response is not a JSON object'];
+  }
+
+  const asciiUnchanged = partial && layout.ascii === '';
+  if (!asciiUnchanged && (!isString(layout.ascii) || layout.ascii.trim().split('\n').length < 3)) {
+    errors.push('ascii must be a multi-line ASCII layout string');
+  }
+
+  for (const field of ['designNotes', 'colorStyleRecommendations', 'imageInstructions']) {
+    if (!isFilled(layout[field])) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  }
+
+  // An empty section in a refinement keeps the previous recommendations
+  if (palette.length > 0 && isString(layout.colorStyleRecommendations) && layout.colorStyleRecommendations.trim()) {
+    const recommendations = layout.colorStyleRecommendations.toLowerCase();
+    const missing = palette.filter(hex => !recommendations.includes(hex.toLowerCase()));
+    if (missing.length > 0) {
+      errors.push(`colorStyleRecommendations must assign every palette color by hex code (missing: ${missing.join(', ')})`);
+    }
+  }
+
+  const copy = layout.copy;
+  if (!copy || typeof copy !== 'object') {
+    errors.push('copy must be an object with headline, subtext, cta and extra');
+  } else {
+    for (const field of ['headline', 'subtext', 'cta']) {
+      if (!isFilled(copy[field])) {
+        errors.push(`copy.${field} must be a non-empty string`);
+      } else if (requireJapaneseCopy && copy[field].trim() && !containsJapanese(copy[field])) {
+        errors.push(`copy.${field} must be written in Japanese (got "${copy[field]}")`);
+      }
+    }
+    if (!Array.isArray(copy.extra) || !copy.extra.every(isString)) {
+      errors.push('copy.extra must be an array of strings');
+    }
+
+    const copyTexts = [copy.headline, copy.subtext, copy.cta, ...(Array.isArray(copy.extra) ? copy.extra : [])]
+      .filter(isString)
+      .map(text => text.toLowerCase());
+    for (const word of forbiddenWords) {
+      if (copyTexts.some(text => text.includes(word.toLowerCase()))) {
+        errors.push(`copy must not contain the forbidden word "${word}"`);
+      }
+    }
+  }
+
+  if (!Array.isArray(layout.elements)) {
+    errors.push('elements must be an array');
+  } else {
+    layout.elements.forEach((element, i) => {
+      if (!ELEMENT_TYPES.includes(element?.type)) {
+        errors.push(`elements[${i}].type must be one of ${ELEMENT_TYPES.join(', ')}`);
+      }
+      if (!isString(element?.description)) {
+        errors.push(`elements[${i}].description must be a string`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Strip surrounding quotes/brackets the model sometimes keeps around copy
+const cleanCopy = (str) => (str || '').trim().replace(/^["「『【]|["」』】]$/g, '').trim();
+
+// Strip a ``` fence if the model wrapped the ASCII art in one anyway
+const stripCodeFence = (str) => str.replace(/^```[a-z]*\n?/i, '').replace(/\n?```\s*$/, '');
+
+/**
+ * Normalize a validated layout into the response shape used by the UI
+ * @param {Object} layout - Validated layout JSON
+ * @returns {Object} { ascii, designNotes, copy, copyText, colorStyleRecommendations, imageInstructions, elements, structure }
+ */
+export function normalizeLayout(layout) {
+  const copy = {
+    headline: cleanCopy(layout.copy.headline),
+    subtext: cleanCopy(layout.copy.subtext),
+    cta: cleanCopy(layout.copy.cta),
+    extra: layout.copy.extra.map(cleanCopy).filter(Boolean),
+  };
+
+  const ascii = stripCodeFence(layout.ascii.trim());
+
+  return {
+    ascii,
+    designNotes: layout.designNotes.trim(),
+    copy,
+    copyText: toCopyText(copy),
+    colorStyleRecommendations: layout.colorStyleRecommendations.trim(),
+    imageInstructions: layout.imageInstructions.trim(),
+    elements: layout.elements.map(({ type, description, text }) => ({
+      type,
+      description,
+      ...(text ? { text } : {}),
+    })),
+    structure: parseAsciiLayout(ascii),
+  };
+}
+
+/**
+ * Rebuild structured copy from a copyText list (results created before `copy` existed)
+ * @param {string[]} copyText - Ordered copy lines
+ * @returns {Object} { headline, subtext, cta, extra }
+ */
+export function fromCopyText(copyText = []) {
+  const [headline = '', subtext = '', cta = '', ...extra] = copyText;
+  return { headline, subtext, cta, extra };
+}
+
+/**
+ * The layout fields of a stored result, without response-only extras like rawResponse
+ * @param {Object} result - Layout result from generate-ascii / refine-ascii
+ * @returns {Object} Layout in LAYOUT_RESPONSE_SCHEMA shape
+ */
+export function pickLayout(result) {
+  return {
+    ascii: result.ascii || '',
+    designNotes: result.designNotes || '',
+    copy: result.copy || fromCopyText(result.copyText),
+    colorStyleRecommendations: result.colorStyleRecommendations || '',
+    imageInstructions: result.imageInstructions || '',
+    elements: result.elements || [],
+  };
+}
+
+/**
+ * Structured copy from the user's manual copy input
+ * @param {Object} manualCopy - { headline, subtext, cta }
+ * @returns {Object} { headline, subtext, cta, extra }
+ */
+export function copyFromManual(manualCopy) {
+  return {
+    headline: manualCopy.headline || '',
+    subtext: manualCopy.subtext || '',
+    cta: manualCopy.cta || '',
+    extra: [],
+  };
+}
+
+/**
+ * Merge a refined (partial) layout into the previous result.
+ * Empty sections in the refinement keep the previous value, except elements: they
+ * describe the ASCII art, so the previous ones are dropped when the art changed.
+ * @param {Object} previous - Previous layout result
+ * @param {Object} refined - Normalized refined layout
+ * @returns {Object} Complete layout result
+ */
+export function mergeLayout(previous, refined) {
+  const previousCopy = previous.copy || fromCopyText(previous.copyText);
+  const pick = (field) => refined[field] || previous[field] || '';
+
+  const copy = {
+    headline: refined.copy.headline || previousCopy.headline,
+    subtext: refined.copy.subtext || previousCopy.subtext,
+    cta: refined.copy.cta || previousCopy.cta,
+    extra: refined.copy.extra.length > 0 ? refined.copy.extra : (previousCopy.extra || []),
+  };
+
+  const ascii = pick('ascii');
+
+  return {
+    ascii,
+    designNotes: pick('designNotes'),
+    copy,
+    copyText: toCopyText(copy),
+    colorStyleRecommendations: pick('colorStyleRecommendations'),
+    imageInstructions: pick('imageInstructions'),
+    elements: refined.elements.length > 0 || ascii !== previous.ascii ? refined.elements : (previous.elements || []),
+    structure: parseAsciiLayout(ascii),
+  };
+}
+
+/**
+ * Flatten structured copy into the ordered copyText list
+ * @param {Object} copy - { headline, subtext, cta, extra }
+ * @returns {string[]}
+ */
+export function toCopyText(copy) {
+  return [copy.headline, copy.subtext, copy.cta, ...(copy.extra || [])]
+    .filter(text => text && text.trim() !== '');
+}
+
+function parseLayout(text, validateOptions) {
+  try {
+    const layout = JSON.parse(text);
+    return { layout, errors: validateLayout(layout, validateOptions) };
+  } catch (error) {
+    return { layout: null, errors: [`invalid JSON: ${error.message}`] };
+  }
+}
+
+/**
+ * Request a structured layout, validating it and running one repair pass on failure
+ * @param {string} apiKey - Gemini API key
+ * @param {string} model - Model ID
+ * @param {string} systemPrompt - Layout designer system prompt
+ * @param {string|Array<{role: string, text: string}>} prompt - Request prompt or conversation
+ * @param {Object} options - validateLayout() options (requireJapaneseCopy, partial, forbiddenWords, palette)
+ * @returns {Promise<{ layout: Object, rawResponse: string }>} Normalized layout and raw model output
+ */
+export async function generateLayout(apiKey, model, systemPrompt, prompt, options = {}) {
+  const messages = Array.isArray(prompt) ? prompt : [{ role: 'user', text: prompt }];
+  const text = await generateText(apiKey, model, systemPrompt, messages, { responseSchema: LAYOUT_RESPONSE_SCHEMA });
+  const first = parseLayout(text, options);
+  if (first.errors.length === 0) {
+    return { layout: normalizeLayout(first.layout), rawResponse: text };
+  }
+
+  console.warn('Layout validation failed, requesting repair:', first.errors);
+
+  // Continue the conversation so the model sees its own invalid output
+  const repairPrompt = `The JSON layout above failed validation. Fix every listed problem and return the corrected JSON only. Keep all valid content unchanged.
+
+## Validation errors:
+${first.errors.map(e => `- ${e}`).join('\n')}`;
+
+  const repairedText = await generateText(apiKey, model, systemPrompt, [
+    ...messages,
+    { role: 'model', text },
+    { role: 'user', text: repairPrompt },
+  ], {
+    responseSchema: LAYOUT_RESPONSE_SCHEMA,
+    temperature: 0.2,
+  });
+  const repaired = parseLayout(repairedText, options);
+  if (repaired.errors.length > 0) {
+    console.error('Layout repair failed:', repaired.errors);
+    throw new GeminiError(GEMINI_ERROR_CODES.INVALID_RESPONSE, null, { details: repaired.errors.join('; ') });
+  }
+
+  return { layout: normalizeLayout(repaired.layout), rawResponse: repairedText };
+}
@@ -0,0 +1,74 @@
+// Logo placement of a project: whether the image model draws the brand logo ('ai'), or
+// the banner is generated without it and the client composites the original logo file
+// on top ('composite'), at the [LOGO] position of the ASCII layout or in a corner.
+//
+//   { mode, position, size, margin, variant }
+//   size:    logo width in % of the banner width
+//   margin:  distance from the banner edges in % of its shorter side
+//   variant: 'auto' (by background brightness) or a brand logo variant (see brandKits.js)
+
+import { BRAND_LOGO_VARIANTS } from './brandKits.js';
+
+const LOGO_PLACEMENT_MODES = ['ai', 'composite'];
+const LOGO_POSITIONS = ['layout', 'top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+export const DEFAULT_LOGO_PLACEMENT = { mode: 'ai', position: 'layout', size: 20, margin: 4, variant: 'auto' };
+
+const POSITION_DESCRIPTIONS = {
+  layout: 'at the [LOGO] position of the layout',
+  'top-left': 'in the top-left corner',
+  'top-right': 'in the top-right corner',
+  'bottom-left': 'in the bottom-left corner',
+  'bottom-right': 'in the bottom-right corner',
+};
+
+const clamp = (value, min, max, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+};
+
+/**
+ * Fill in and bound the fields of a logo placement
+ * @param {Object} placement - Placement from a request or record
+ * @returns {Object} { mode, position, size, margin, variant }
+ */
+export function normalizeLogoPlacement(placement) {
+  const input = placement && typeof placement === 'object' ? placement : {};
+  const defaults = DEFAULT_LOGO_PLACEMENT;
+  return {
+    mode: LOGO_PLACEMENT_MODES.includes(input.mode) ? input.mode : defaults.mode,
+    position: LOGO_POSITIONS.includes(input.position) ? input.position : defaults.position,
+    size: clamp(input.size, 5, 50, defaults.size),
+    margin: clamp(input.margin, 0, 15, defaults.margin),
+    variant: input.variant === 'auto' || BRAND_LOGO_VARIANTS.includes(input.variant) ? input.variant : defaults.variant,
+  };
+}
+
+/**
+ * Whether the logo of a generation request is composited on the client
+ * @param {Object} formData - Form data with brandLogo and logoPlacement
+ * @returns {boolean}
+ */
+export function isLogoComposited(formData) {
+  return !!formData?.brandLogo && formData.logoPlacement?.mode === 'composite';
+}
+
+/**
+ * Where the composited logo goes, for the image prompts (English)
+ * @param {Object} placement - Logo placement
+ * @returns {string} e.g. 'in the top-left corner'
+ */
+export function describeLogoArea(placement) {
+  const { position, size } = normalizeLogoPlacement(placement);
+  return `${POSITION_DESCRIPTIONS[position]} (about ${size}% of the banner width)`;
+}
+
+/**
+ * Requirement for the banner request when the logo is composited afterwards (English)
+ * @param {Object} placement - Logo placement
+ * @returns {string} Prompt section
+ */
+export function toLogoAreaRequirement(placement) {
+  return `LOGO AREA (hard constraint): Do not draw, write or imitate any logo, brand mark or logotype anywhere in the image.
+Keep the area ${describeLogoArea(placement)} as calm, uncluttered background without text or objects; the original logo file is placed there after generation.`;
+}
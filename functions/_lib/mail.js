@@ -0,0 +1,69 @@
+// Outgoing email (sign-in links, workspace invitations)
+//
+// With MAIL_WEBHOOK_URL set, messages are POSTed there as JSON ({ to, subject, text })
+// for a mail provider or relay to deliver. Without it, and only with
+// DEV_MAIL_OUTBOX = "true", a local stand-in keeps each message in PROJECTS_KV for a
+// day to be read at /api/auth/outbox, so sign-in works during development.
+// With neither, mail is not configured and sending fails with 503.
+
+const OUTBOX_TTL_SECONDS = 24 * 60 * 60;
+
+const useOutbox = (env) => !env.MAIL_WEBHOOK_URL && env.DEV_MAIL_OUTBOX === 'true' && !!env.PROJECTS_KV;
+
+/**
+ * Whether emails can be sent (through the webhook or the development outbox)
+ * @param {Object} env - Function environment
+ * @returns {boolean}
+ */
+export function canSendMail(env) {
+  return !!env.MAIL_WEBHOOK_URL || useOutbox(env);
+}
+
+/**
+ * Whether sent emails go to the development outbox
+ * @param {Object} env - Function environment
+ * @returns {boolean}
+ */
+export function isOutboxEnabled(env) {
+  return useOutbox(env);
+}
+
+/**
+ * Send an email
+ * @param {Object} env - Function environment
+ * @param {Object} message - { to, subject, text }
+ * @throws {Error} With `status` 503 when mail is not configured
+ */
+export async function sendMail(env, message) {
+  if (env.MAIL_WEBHOOK_URL) {
+    const response = await fetch(env.MAIL_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+    });
+    if (!response.ok) {
+      throw new Error(`Mail webhook failed: ${response.status}`);
+    }
+    return;
+  }
+
+  if (!useOutbox(env)) {
+    throw Object.assign(new Error('Mail is not configured'), { status: 503 });
+  }
+
+  const id = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  await env.PROJECTS_KV.put(`outbox:${id}`, JSON.stringify({ ...message, id, sentAt: Date.now() }), {
+    expirationTtl: OUTBOX_TTL_SECONDS,
+  });
+}
+
+/**
+ * Messages kept by the local stand-in, newest first
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @returns {Promise<Array>}
+ */
+export async function listOutbox(kv) {
+  const list = await kv.list({ prefix: 'outbox:' });
+  const messages = await Promise.all(list.keys.map(key => kv.get(key.name, 'json')));
+  return messages.filter(Boolean).sort((a, b) => b.sentAt - a.sentAt);
+}
@@ -0,0 +1,47 @@
+// Color palette of a project: hex colors extracted from the brand logo and product
+// images on the client (and edited there), which every generation step must stick to.
+
+const MAX_PALETTE_COLORS = 8;
+
+/**
+ * Keep the valid, distinct colors of a palette
+ * @param {Array} palette - Hex colors from a request or record
+ * @returns {string[]} Lowercase '#rrggbb' colors
+ */
+export function normalizePalette(palette) {
+  if (!Array.isArray(palette)) return [];
+  const colors = palette
+    .filter(color => typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color.trim()))
+    .map(color => color.trim().toLowerCase());
+  return [...new Set(colors)].slice(0, MAX_PALETTE_COLORS);
+}
+
+/**
+ * Palette section for the layout prompts (Japanese)
+ * @param {Array} palette - Hex colors
+ * @returns {string} Prompt section, or '' without a palette
+ */
+export function toPaletteInstruction(palette) {
+  const colors = normalizePalette(palette);
+  if (colors.length === 0) return '';
+
+  return `
+## カラーパレット（厳守）:
+${colors.join(', ')}
+- 背景色・文字色・アクセントカラー・ボタン色はすべてこのパレットから選んでください
+- パレットにない色は使わないでください（写真の商品そのものの色は除く）
+- colorStyleRecommendations では、各色の用途を16進カラーコードで明記してください`;
+}
+
+/**
+ * Palette requirement for the image prompts and the banner request (English)
+ * @param {Array} palette - Hex colors
+ * @returns {string} Prompt section, or '' without a palette
+ */
+export function toPaletteRequirement(palette) {
+  const colors = normalizePalette(palette);
+  if (colors.length === 0) return '';
+
+  return `COLOR PALETTE (hard constraint): ${colors.join(', ')}
+Use only these colors for backgrounds, text, accents, buttons and decorations. Do not introduce other hues (the product itself keeps its real colors).`;
+}
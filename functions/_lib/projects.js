@@ -0,0 +1,446 @@
+// Project record schema shared by the project CRUD endpoints
+//
+// Records live at `project:${deviceId}:${projectId}`. The list summary of each
+// project is also stored as the key's metadata, so the sidebar can be served from
+// KV list() alone without reading every record (and its product images).
+//
+// The default list order (most recently updated first) is kept as an index, so its
+// pages come straight from KV list() with its cursor instead of listing the whole space:
+//   project-index:${deviceId}:${active|trash}:${MAX_INDEX_TIME - updatedAt}:${projectId}
+//     - empty value, the summary as metadata
+//   project-index-built:${deviceId} - set once the index holds every project of the space
+// putProject() and deleteProject() keep it up to date. A save moves the entry from the
+// key of the record it replaces, so that record must be passed in.
+//
+// Deleting a project moves it to the trash (deletedAt is set); trashed projects are
+// purged with their history once TRASH_RETENTION_MS has passed.
+//
+// Version history:
+//   1 - product fields only (records without schemaVersion)
+//   2 - adds platform, copyMode, manualCopy and models (text/image model, resolution, candidate count)
+//   3 - productImages are image asset references ({ assetId, fileName, mimeType }, see assets.js).
+//       Inline base64 images of older records are moved to the asset store when the
+//       record is next read or saved with R2 configured.
+//   4 - adds brandKitId and brandLogoId (see brandKits.js). brandLogoName stays as the
+//       logo's display name; older records only have the name of a browser-local logo.
+//   5 - adds palette (hex colors the generated layouts and banners must use, see palette.js)
+//   6 - adds logoPlacement (AI-drawn or composited logo, see logoPlacement.js)
+//   7 - adds textOverlay (copy rendered by the model or drawn as text layers, see textOverlay.js)
+
+import { externalizeImages, isAssetId, toImageRef } from './assets.js';
+import { deleteHistory } from './history.js';
+import { DEFAULT_LOGO_PLACEMENT, normalizeLogoPlacement } from './logoPlacement.js';
+import { normalizePalette } from './palette.js';
+import { countProjectReviews, deleteProjectReviews, listReviewCounts } from './reviews.js';
+import { deleteProjectShares } from './shares.js';
+import { DEFAULT_TEXT_OVERLAY, normalizeTextOverlay } from './textOverlay.js';
+
+export const PROJECT_SCHEMA_VERSION = 7;
+
+export const TRASH_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Product-specific fields left empty when a project is duplicated as a template
+const TEMPLATE_CLEARED_FIELDS = {
+  productName: '',
+  productDescription: '',
+  targetAudience: '',
+  productImages: [],
+  manualCopy: null,
+};
+
+const DEFAULT_PLATFORM = 'instagram_feed';
+const COPY_MODES = ['ai', 'manual'];
+
+function normalizeManualCopy(manualCopy) {
+  if (!manualCopy || typeof manualCopy !== 'object') return null;
+  return {
+    headline: String(manualCopy.headline || ''),
+    subtext: String(manualCopy.subtext || ''),
+    cta: String(manualCopy.cta || ''),
+  };
+}
+
+// Keep only what identifies an image; inline images stay until they can be externalized
+function normalizeProductImages(images) {
+  if (!Array.isArray(images)) return [];
+  return images.map(image => isAssetId(image.assetId)
+    ? toImageRef(image)
+    : { base64: image.base64, mimeType: image.mimeType, fileName: image.fileName || '' });
+}
+
+function normalizeModels(models) {
+  if (!models || typeof models !== 'object') return null;
+  const { text, image, resolution, candidateCount } = models;
+  return {
+    text: text || null,
+    image: image || null,
+    resolution: resolution || null,
+    candidateCount: Number(candidateCount) || 1,
+  };
+}
+
+/**
+ * Bring a stored project up to the current schema version
+ * @param {Object} project - Project record from KV
+ * @returns {{project: Object, migrated: boolean}}
+ */
+export function migrateProject(project) {
+  let current = project;
+  const from = project.schemaVersion || 1;
+
+  if (from < 2) {
+    // Version 1 projects always opened as Instagram feed with AI copy
+    current = {
+      ...current,
+      platform: DEFAULT_PLATFORM,
+      copyMode: 'ai',
+      manualCopy: null,
+      models: null,
+      schemaVersion: 2,
+    };
+  }
+
+  if (from < 3) {
+    // Image references are introduced by externalizeProjectImages()
+    current = { ...current, schemaVersion: 3 };
+  }
+
+  if (from < 4) {
+    // Logos were kept in the browser; the name alone cannot be resolved to a kit
+    current = { ...current, brandKitId: null, brandLogoId: null, schemaVersion: 4 };
+  }
+
+  if (from < 5) {
+    current = { ...current, palette: [], schemaVersion: 5 };
+  }
+
+  if (from < 6) {
+    // Logos used to be drawn by the image model
+    current = { ...current, logoPlacement: { ...DEFAULT_LOGO_PLACEMENT }, schemaVersion: 6 };
+  }
+
+  if (from < 7) {
+    // Copy used to be rendered by the image model
+    current = { ...current, textOverlay: { ...DEFAULT_TEXT_OVERLAY }, schemaVersion: 7 };
+  }
+
+  return { project: current, migrated: from < PROJECT_SCHEMA_VERSION };
+}
+
+/**
+ * Move inline base64 product images of a project to the asset store
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding (nothing is moved without it)
+ * @param {string} deviceId - Owner device
+ * @param {Object} project - Project record
+ * @returns {Promise<{project: Object, changed: boolean}>}
+ */
+export async function externalizeProjectImages(bucket, deviceId, project) {
+  if (!bucket || !project.productImages?.length) return { project, changed: false };
+
+  const { images, changed } = await externalizeImages(bucket, deviceId, project.productImages);
+  return changed
+    ? { project: { ...project, productImages: images }, changed }
+    : { project, changed };
+}
+
+/**
+ * Build a project record from request input, keeping existing values for omitted fields
+ * @param {Object} input - Project fields from the request body
+ * @param {Object} existing - Current (migrated) record, or null when creating
+ * @returns {Object} Fields to store (without id / timestamps)
+ */
+export function buildProjectFields(input, existing = null) {
+  // null clears nullable fields; for the rest it means "keep the current value"
+  const pick = (field, fallback, nullable = false) => {
+    const provided = nullable ? input[field] !== undefined : input[field] != null;
+    if (provided) return input[field];
+    return existing ? existing[field] : fallback;
+  };
+  const copyMode = pick('copyMode', 'ai');
+
+  return {
+    name: input.name ?? existing?.name,
+    productName: pick('productName', ''),
+    productDescription: pick('productDescription', ''),
+    targetAudience: pick('targetAudience', ''),
+    designGoal: pick('designGoal', '商品販売'),
+    vibe: pick('vibe', ''),
+    additionalNotes: pick('additionalNotes', ''),
+    brandKitId: pick('brandKitId', null, true),
+    brandLogoId: pick('brandLogoId', null, true),
+    brandLogoName: pick('brandLogoName', null, true),
+    palette: normalizePalette(pick('palette', [])),
+    logoPlacement: normalizeLogoPlacement(pick('logoPlacement', null)),
+    textOverlay: normalizeTextOverlay(pick('textOverlay', null)),
+    productImages: normalizeProductImages(pick('productImages', [])),
+    platform: pick('platform', DEFAULT_PLATFORM) || DEFAULT_PLATFORM,
+    copyMode: COPY_MODES.includes(copyMode) ? copyMode : 'ai',
+    manualCopy: normalizeManualCopy(pick('manualCopy', null, true)),
+    models: normalizeModels(pick('models', null)),
+    schemaVersion: PROJECT_SCHEMA_VERSION,
+  };
+}
+
+/**
+ * Project metadata for list views (no image data)
+ * @param {Object} project - Project record
+ * @returns {Object}
+ */
+export function toProjectSummary(project) {
+  return {
+    id: project.id,
+    name: project.name,
+    productName: project.productName,
+    platform: project.platform || DEFAULT_PLATFORM,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+    imageCount: project.productImages?.length || 0,
+    hasLogo: !!(project.brandLogoId || project.brandLogoName),
+    isTemplate: !!project.isTemplate,
+    deletedAt: project.deletedAt || null,
+    importedFrom: project.importedFrom || null,
+    // Counted from the review records by listProjectSummaries
+    reviewCounts: {},
+  };
+}
+
+/**
+ * Build a copy of a project with a new ID. History and its reviews are not copied; the copy starts fresh.
+ * Product images are shared, since assets are stored by content.
+ * @param {Object} source - Project record (migrated)
+ * @param {Object} options - { asTemplate, name }
+ * @returns {Object} New project record
+ */
+export function duplicateProject(source, { asTemplate = false, name } = {}) {
+  const now = Date.now();
+  const copy = {
+    ...source,
+    ...(asTemplate ? TEMPLATE_CLEARED_FIELDS : {}),
+    id: `${now}-${Math.random().toString(36).substr(2, 9)}`,
+    name: name || (asTemplate ? `${source.name}（テンプレート）` : `${source.name} のコピー`),
+    isTemplate: asTemplate,
+    createdAt: now,
+    updatedAt: now,
+  };
+  delete copy.deletedAt;
+  delete copy.importedFrom;
+  return copy;
+}
+
+/**
+ * Whether a trashed project is past its retention period
+ * @param {Object} summary - Project summary or record
+ * @param {number} now - Current time
+ * @returns {boolean}
+ */
+export function isPurgeDue(summary, now = Date.now()) {
+  return !!summary.deletedAt && now - summary.deletedAt >= TRASH_RETENTION_MS;
+}
+
+// KV metadata is limited to 1024 bytes, so long names are shortened in the summary
+const METADATA_TEXT_LIMIT = 80;
+
+// Ties are broken by project ID, so each order is total and a page can resume after any project
+const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+export const PROJECT_SORTS = {
+  updated: (a, b) => (b.updatedAt || 0) - (a.updatedAt || 0) || byId(a, b),
+  created: (a, b) => (b.createdAt || 0) - (a.createdAt || 0) || byId(a, b),
+  name: (a, b) => (a.name || '').localeCompare(b.name || '', 'ja') || byId(a, b),
+};
+
+// The summary field each order sorts by
+const SORT_FIELDS = { updated: 'updatedAt', created: 'createdAt', name: 'name' };
+
+/**
+ * Opaque list cursor: the sort key and ID of the last project of a page.
+ * The next page starts after that position, so projects created, deleted or
+ * renamed in the meantime do not shift it.
+ * @param {string} sort - PROJECT_SORTS key
+ * @param {Object} summary - Last project summary of the page
+ * @returns {string}
+ */
+export function encodeListCursor(sort, summary) {
+  const json = JSON.stringify({ sort, value: summary[SORT_FIELDS[sort]] ?? null, id: summary.id });
+  return btoa(String.fromCharCode(...new TextEncoder().encode(json)))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * The position a list cursor resumes after, as a summary-shaped object for PROJECT_SORTS
+ * @param {string} cursor - Cursor from encodeListCursor()
+ * @param {string} sort - Sort of the requested page
+ * @returns {Object} { id, [sort field]: value }
+ * @throws {Error} With `status` 400 when the cursor is invalid or from another sort
+ */
+export function decodeListCursor(cursor, sort) {
+  let position = null;
+  try {
+    const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+    position = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+  } catch {
+    position = null;
+  }
+  if (!position || position.sort !== sort || typeof position.id !== 'string') {
+    throw Object.assign(new Error('Invalid cursor'), { status: 400 });
+  }
+  return { id: position.id, [SORT_FIELDS[sort]]: position.value };
+}
+
+export const projectKey = (deviceId, projectId) => `project:${deviceId}:${projectId}`;
+
+/**
+ * ETag of a project revision. updatedAt changes on every save, so it identifies the revision.
+ * @param {Object} project - Project record
+ * @returns {string}
+ */
+export const projectEtag = (project) => `"${project.updatedAt || 0}"`;
+
+/**
+ * Check an If-Match precondition against the stored record.
+ * Requests without If-Match (older clients) always match. KV has no compare-and-swap,
+ * so two saves landing within the same instant can still both pass; this catches
+ * the common case of a tab or device saving over changes it has not seen.
+ * @param {string|null} ifMatch - If-Match header value
+ * @param {Object} project - Current project record
+ * @returns {boolean}
+ */
+export function matchesEtag(ifMatch, project) {
+  if (!ifMatch) return true;
+  const etag = projectEtag(project);
+  return ifMatch.split(',').some((tag) => {
+    const value = tag.trim().replace(/^W\//, '');
+    return value === '*' || value === etag;
+  });
+}
+
+/**
+ * Timestamp for a new revision, always later than the current one so the ETag changes
+ * @param {Object} existing - Current project record
+ * @returns {number}
+ */
+export const nextUpdatedAt = (existing) => Math.max(Date.now(), (existing?.updatedAt || 0) + 1);
+
+function toMetadata(project) {
+  const summary = toProjectSummary(project);
+  return {
+    ...summary,
+    name: (summary.name || '').slice(0, METADATA_TEXT_LIMIT),
+    productName: (summary.productName || '').slice(0, METADATA_TEXT_LIMIT),
+  };
+}
+
+const MAX_INDEX_TIME = 9999999999999;
+
+const indexPrefix = (deviceId, trash) => `project-index:${deviceId}:${trash ? 'trash' : 'active'}:`;
+const indexKey = (deviceId, project) => `${indexPrefix(deviceId, !!project.deletedAt)}${
+  String(MAX_INDEX_TIME - (project.updatedAt || 0)).padStart(13, '0')}:${project.id}`;
+const indexBuiltKey = (deviceId) => `project-index-built:${deviceId}`;
+
+/**
+ * Store a project record with its summary as key metadata, and index it
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {string} deviceId - Owner device
+ * @param {Object} project - Project record
+ * @param {Object|null} previous - Stored record this one replaces (null for a new project)
+ */
+export async function putProject(kv, deviceId, project, previous = null) {
+  const metadata = toMetadata(project);
+  await kv.put(projectKey(deviceId, project.id), JSON.stringify(project), { metadata });
+  await kv.put(indexKey(deviceId, project), '', { metadata });
+  if (previous && indexKey(deviceId, previous) !== indexKey(deviceId, project)) {
+    await kv.delete(indexKey(deviceId, previous));
+  }
+}
+
+/**
+ * Delete a project record and its index entry, leaving its history, reviews and share links
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {string} deviceId - Owner device
+ * @param {Object} project - Project record or summary
+ */
+export async function deleteProjectRecord(kv, deviceId, project) {
+  await kv.delete(projectKey(deviceId, project.id));
+  await kv.delete(indexKey(deviceId, project));
+}
+
+/**
+ * Delete a project permanently, with its version history, reviews and share links
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding (optional)
+ * @param {string} deviceId - Owner device
+ * @param {Object} project - Project record or summary
+ */
+export async function deleteProject(kv, bucket, deviceId, project) {
+  await deleteProjectRecord(kv, deviceId, project);
+  await deleteProjectReviews(kv, deviceId, project.id);
+  await deleteProjectShares(kv, deviceId, project.id);
+  if (bucket) {
+    await deleteHistory(bucket, deviceId, project.id);
+  }
+}
+
+// Summaries of all projects from key metadata, without review counts
+async function listProjectMetadata(kv, deviceId) {
+  const keys = [];
+  let cursor;
+
+  do {
+    const list = await kv.list({ prefix: projectKey(deviceId, ''), cursor });
+    keys.push(...list.keys);
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+
+  const summaries = await Promise.all(keys.map(async (key) => {
+    if (key.metadata) return key.metadata;
+
+    const stored = await kv.get(key.name, 'json');
+    if (!stored) return null;
+    const { project } = migrateProject(stored);
+    await putProject(kv, deviceId, project, stored);
+    return toMetadata(project);
+  }));
+  return summaries.filter(Boolean);
+}
+
+/**
+ * List the summaries of all projects of a device.
+ * Records saved before summaries were kept as metadata are read once and
+ * rewritten with metadata (and migrated to the current schema). Review counts come
+ * from the review records, for projects that have any.
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {string} deviceId - Owner device
+ * @returns {Promise<Array>} Project summaries (unsorted)
+ */
+export async function listProjectSummaries(kv, deviceId) {
+  const summaries = await listProjectMetadata(kv, deviceId);
+  const reviewCounts = await listReviewCounts(kv, deviceId);
+
+  return summaries.map(summary => reviewCounts[summary.id]
+    ? { ...summary, reviewCounts: reviewCounts[summary.id] }
+    : summary);
+}
+
+/**
+ * List a page of the active or trashed projects of a device from the index, most
+ * recently updated first. A space listed for the first time is indexed from its records.
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {string} deviceId - Owner device
+ * @param {Object} options - trash, cursor (from the previous page's nextCursor), limit
+ * @returns {Promise<{projects: Array, nextCursor: string|null}>} Project summaries with review counts
+ */
+export async function listProjectPage(kv, deviceId, { trash = false, cursor, limit }) {
+  if (!cursor && !await kv.get(indexBuiltKey(deviceId))) {
+    for (const summary of await listProjectMetadata(kv, deviceId)) {
+      await kv.put(indexKey(deviceId, summary), '', { metadata: summary });
+    }
+    await kv.put(indexBuiltKey(deviceId), String(Date.now()));
+  }
+
+  const list = await kv.list({ prefix: indexPrefix(deviceId, trash), cursor: cursor || undefined, limit });
+  const projects = await Promise.all(list.keys.map(async ({ metadata }) => ({
+    ...metadata,
+    reviewCounts: await countProjectReviews(kv, deviceId, metadata.id),
+  })));
+  return { projects, nextCursor: list.list_complete ? null : list.cursor };
+}
@@ -0,0 +1,273 @@
+// Review workflow for banner versions
+//
+// Each reviewed version has its own record in PROJECTS_KV:
+//   review:${spaceId}:${projectId}:${versionId} - { status, statusUpdatedAt, statusUpdatedBy, comments }
+//     with { status, statusUpdatedAt, commentCount } as key metadata, so the timeline
+//     and the project list badges are served from KV list() alone
+// comments: [{ id, parentId, candidateIndex, x, y, text, author, createdAt }]
+//   Top-level comments are pinned at x / y (0-1, relative to the banner as shown);
+//   replies have the thread's first comment as parentId and no position.
+//
+// Reviews are kept out of the project record: an autosave writes the whole record
+// from a read that KV may serve up to 60 seconds stale, which would drop comments
+// and status changes made in the meantime. They also don't bump the project's
+// updatedAt, so they never make the save of an open editor fail its If-Match check.
+// Two review changes of the same version can still race the same way (KV has no
+// compare-and-swap), but only with each other.
+
+export const REVIEW_STATUSES = ['draft', 'in_review', 'approved', 'rejected'];
+
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_AUTHOR_LENGTH = 40;
+
+function invalid(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Name recorded with a comment or status change: the signed-in user's email,
+ * otherwise the name the reviewer entered
+ * @param {Object|null} user - Signed-in user (context.data.user)
+ * @param {string} name - Name from the request body
+ * @returns {string}
+ */
+export function toReviewAuthor(user, name) {
+  if (user) return user.email;
+  const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_AUTHOR_LENGTH) : '';
+  return trimmed || '匿名';
+}
+
+const reviewKey = (spaceId, projectId, versionId) => `review:${spaceId}:${projectId}:${versionId}`;
+const reviewPrefix = (spaceId, projectId) => `review:${spaceId}:${projectId}:`;
+
+const DRAFT_REVIEW = {
+  status: 'draft',
+  statusUpdatedAt: null,
+  statusUpdatedBy: null,
+  comments: [],
+};
+
+const toReviewSummary = (review) => ({
+  status: review.status,
+  statusUpdatedAt: review.statusUpdatedAt,
+  commentCount: review.comments.length,
+});
+
+const writeReview = (kv, spaceId, projectId, versionId, review) => kv.put(
+  reviewKey(spaceId, projectId, versionId),
+  JSON.stringify(review),
+  { metadata: toReviewSummary(review) }
+);
+
+async function listReviewKeys(kv, prefix) {
+  const keys = [];
+  let cursor;
+  do {
+    const list = await kv.list({ prefix, cursor });
+    keys.push(...list.keys);
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+  return keys;
+}
+
+/**
+ * Review of a version (versions nobody has reviewed yet are drafts)
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {string} spaceId - Owner space
+ * @param {Object} project - Project record
+ * @param {string} versionId - Version ID
+ * @returns {Promise<Object>} { status, statusUpdatedAt, statusUpdatedBy, comments }
+ */
+export async function getVersionReview(kv, spaceId, project, versionId) {
+  return await kv.get(reviewKey(spaceId, project.id, versionId), 'json') || DRAFT_REVIEW;
+}
+
+/**
+ * Store the review of a version
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {string} spaceId - Owner space
+ * @param {Object} project - Project record
+ * @param {string} versionId - Version ID
+ * @param {Object} review - Review from setReviewStatus, addReviewComment or deleteReviewComment
+ */
+export async function putVersionReview(kv, spaceId, project, versionId, review) {
+  await writeReview(kv, spaceId, project.id, versionId, review);
+}
+
+/**
+ * Set the status of a version
+ * @param {Object} review - Current review (getVersionReview)
+ * @param {string} status - New status
+ * @param {string} author - Name recorded with the change
+ * @returns {Object} Updated review
+ * @throws {Error} With `status` 400 for an unknown status
+ */
+export function setReviewStatus(review, status, author) {
+  if (!REVIEW_STATUSES.includes(status)) {
+    throw invalid(`Unknown review status: ${status}`);
+  }
+  return {
+    ...review,
+    status,
+    statusUpdatedAt: Date.now(),
+    statusUpdatedBy: author,
+  };
+}
+
+/**
+ * Add a comment pinned to the banner, or a reply to a thread
+ * @param {Object} review - Current review (getVersionReview)
+ * @param {Object} input - { text, parentId } for replies, { text, x, y, candidateIndex } for new threads
+ * @param {string} author - Name shown with the comment
+ * @returns {{review: Object, comment: Object}}
+ * @throws {Error} With `status` 400 for invalid input, 404 when the thread does not exist
+ */
+export function addReviewComment(review, input, author) {
+  const text = typeof input?.text === 'string' ? input.text.trim() : '';
+  if (!text) {
+    throw invalid('Comment text required');
+  }
+
+  const comment = {
+    id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    parentId: null,
+    candidateIndex: null,
+    x: null,
+    y: null,
+    text: text.slice(0, MAX_COMMENT_LENGTH),
+    author,
+    createdAt: Date.now(),
+  };
+
+  if (input.parentId) {
+    const parent = review.comments.find(c => c.id === input.parentId);
+    if (!parent) {
+      throw invalid('Comment not found', 404);
+    }
+    // Threads are one level deep: replies to a reply join the same thread
+    comment.parentId = parent.parentId || parent.id;
+  } else {
+    const x = Number(input.x);
+    const y = Number(input.y);
+    if (!(x >= 0 && x <= 1 && y >= 0 && y <= 1)) {
+      throw invalid('Comment position must be between 0 and 1');
+    }
+    comment.x = x;
+    comment.y = y;
+    comment.candidateIndex = Number.isInteger(input.candidateIndex) ? input.candidateIndex : 0;
+  }
+
+  return {
+    review: { ...review, comments: [...review.comments, comment] },
+    comment,
+  };
+}
+
+/**
+ * Delete a comment; deleting the first comment of a thread deletes its replies
+ * @param {Object} review - Current review (getVersionReview)
+ * @param {string} commentId - Comment ID
+ * @returns {Object} Updated review
+ * @throws {Error} With `status` 404 when the comment does not exist
+ */
+export function deleteReviewComment(review, commentId) {
+  if (!review.comments.some(c => c.id === commentId)) {
+    throw invalid('Comment not found', 404);
+  }
+  return {
+    ...review,
+    comments: review.comments.filter(c => c.id !== commentId && c.parentId !== commentId),
+  };
+}
+
+/**
+ * Status and comment count of every reviewed version, for the timeline
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {string} spaceId - Owner space
+ * @param {Object} project - Project record
+ * @returns {Promise<Object>} { [versionId]: { status, statusUpdatedAt, commentCount } }
+ */
+export async function listReviewSummaries(kv, spaceId, project) {
+  const prefix = reviewPrefix(spaceId, project.id);
+  const keys = await listReviewKeys(kv, prefix);
+  return Object.fromEntries(keys.map(key => [key.name.slice(prefix.length), key.metadata]));
+}
+
+/**
+ * Number of versions per status other than draft, for the project list badges
+ * @param {Object} reviews - Review summaries by version ID
+ * @returns {Object} e.g. { approved: 2, in_review: 1 } (statuses without versions are left out)
+ */
+function countReviewStatuses(reviews) {
+  const counts = {};
+  for (const review of Object.values(reviews || {})) {
+    if (review?.status && review.status !== 'draft') {
+      counts[review.status] = (counts[review.status] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Review counts of one project, for a page of the project list
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {string} spaceId - Owner space
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object>} { [status]: count }
+ */
+export async function countProjectReviews(kv, spaceId, projectId) {
+  const keys = await listReviewKeys(kv, reviewPrefix(spaceId, projectId));
+  return countReviewStatuses(Object.fromEntries(keys.map(key => [key.name, key.metadata])));
+}
+
+/**
+ * Review counts of every project in a space that has review records
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {string} spaceId - Owner space
+ * @returns {Promise<Object>} { [projectId]: { [status]: count } }
+ */
+export async function listReviewCounts(kv, spaceId) {
+  const prefix = `review:${spaceId}:`;
+  const byProject = {};
+  for (const key of await listReviewKeys(kv, prefix)) {
+    const [projectId, versionId] = key.name.slice(prefix.length).split(':');
+    byProject[projectId] = { ...byProject[projectId], [versionId]: key.metadata };
+  }
+  return Object.fromEntries(Object.entries(byProject).map(([projectId, reviews]) => [
+    projectId,
+    countReviewStatuses(reviews),
+  ]));
+}
+
+/**
+ * Move the review records of a project to another space and project ID
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {string} fromSpaceId - Current space of the project
+ * @param {string} fromProjectId - Current project ID
+ * @param {string} toSpaceId - Target space
+ * @param {string} toProjectId - Project ID in the target space
+ */
+export async function moveProjectReviews(kv, fromSpaceId, fromProjectId, toSpaceId, toProjectId) {
+  const prefix = reviewPrefix(fromSpaceId, fromProjectId);
+  for (const key of await listReviewKeys(kv, prefix)) {
+    const review = await kv.get(key.name);
+    if (review) {
+      await kv.put(`${reviewPrefix(toSpaceId, toProjectId)}${key.name.slice(prefix.length)}`, review, {
+        metadata: key.metadata,
+      });
+    }
+    await kv.delete(key.name);
+  }
+}
+
+/**
+ * Delete the review records of a project
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {string} spaceId - Owner space
+ * @param {string} projectId - Project ID
+ */
+export async function deleteProjectReviews(kv, spaceId, projectId) {
+  for (const key of await listReviewKeys(kv, reviewPrefix(spaceId, projectId))) {
+    await kv.delete(key.name);
+  }
+}
@@ -0,0 +1,250 @@
+// Read-only share links for a project or a single banner version
+//
+// A share link carries a signed token `${payload}.${signature}`: base64url JSON
+// { sid, exp } signed with HMAC-SHA256, so forged and expired tokens are rejected
+// without a lookup. The share record must also still exist, so deleting it revokes
+// the link (once the deletion has reached every KV location, which can take up to
+// a minute). Records live in PROJECTS_KV:
+//   share:${shareId}                           - { id, spaceId, projectId, versionId, createdAt, expiresAt }
+//   shares:${spaceId}:${projectId}:${shareId}  - index for listing a project's links
+// Both expire with the link, and are deleted with the project. When a project moves
+// to another space (see spaces.js), its records are rewritten with moveProjectShares();
+// the share ID, and so the token, stays the same.
+//
+// Tokens are signed with SHARE_SECRET; without it, sharing fails with 503.
+
+import { randomToken } from './auth.js';
+import { listVersions, getVersion } from './history.js';
+import { migrateProject, projectKey } from './projects.js';
+
+export const SHARE_EXPIRY_DAYS = [1, 7, 30];
+export const DEFAULT_SHARE_EXPIRY_DAYS = 7;
+
+const shareKey = (shareId) => `share:${shareId}`;
+const shareIndexPrefix = (spaceId, projectId) => `shares:${spaceId}:${projectId}:`;
+
+const encoder = new TextEncoder();
+
+function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+  return atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+}
+
+function getShareSecret(env) {
+  if (!env.SHARE_SECRET) {
+    throw Object.assign(new Error('Share links are not configured (SHARE_SECRET)'), { status: 503 });
+  }
+  return env.SHARE_SECRET;
+}
+
+async function sign(env, data) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(getShareSecret(env)),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return toBase64Url(new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(data))));
+}
+
+async function signShareToken(env, share) {
+  const payload = toBase64Url(encoder.encode(JSON.stringify({ sid: share.id, exp: share.expiresAt })));
+  return `${payload}.${await sign(env, payload)}`;
+}
+
+/**
+ * Check a share token's signature and expiry
+ * @returns {Promise<{sid: string, exp: number}|null>} Payload, or null when invalid or expired
+ */
+async function verifyShareToken(env, token) {
+  const [payload, signature] = typeof token === 'string' ? token.split('.') : [];
+  if (!payload || !signature) return null;
+
+  // Compare HMACs of both values rather than the values, so timing reveals nothing
+  const expected = await sign(env, payload);
+  if ((await sign(env, expected)) !== (await sign(env, signature))) return null;
+
+  // The payload is our own once the signature matches
+  const data = JSON.parse(fromBase64Url(payload));
+  return data.exp > Date.now() ? data : null;
+}
+
+const toShareSummary = async (env, share) => ({
+  id: share.id,
+  projectId: share.projectId,
+  versionId: share.versionId,
+  createdAt: share.createdAt,
+  expiresAt: share.expiresAt,
+  token: await signShareToken(env, share),
+});
+
+/**
+ * Create a share link
+ * @param {Object} env - Function environment (PROJECTS_KV, SHARE_SECRET)
+ * @param {string} spaceId - Space of the project
+ * @param {string} projectId - Project ID
+ * @param {Object} options - { versionId (null shares the project's latest banners), expiresInDays }
+ * @returns {Promise<Object>} Share summary with its token
+ */
+export async function createShare(env, spaceId, projectId, { versionId = null, expiresInDays = DEFAULT_SHARE_EXPIRY_DAYS } = {}) {
+  const days = SHARE_EXPIRY_DAYS.includes(expiresInDays) ? expiresInDays : DEFAULT_SHARE_EXPIRY_DAYS;
+  const createdAt = Date.now();
+  const share = {
+    id: randomToken(12),
+    spaceId,
+    projectId,
+    versionId,
+    createdAt,
+    expiresAt: createdAt + days * 24 * 60 * 60 * 1000,
+  };
+
+  const options = { expirationTtl: days * 24 * 60 * 60 };
+  await env.PROJECTS_KV.put(shareKey(share.id), JSON.stringify(share), options);
+  await env.PROJECTS_KV.put(`${shareIndexPrefix(spaceId, projectId)}${share.id}`, '', options);
+  return toShareSummary(env, share);
+}
+
+/**
+ * List the active share links of a project, newest first
+ * @returns {Promise<Array>} Share summaries with their tokens
+ */
+export async function listShares(env, spaceId, projectId) {
+  const list = await env.PROJECTS_KV.list({ prefix: shareIndexPrefix(spaceId, projectId) });
+  const shares = await Promise.all(list.keys.map(key => env.PROJECTS_KV.get(shareKey(key.name.split(':').pop()), 'json')));
+  return Promise.all(shares
+    .filter(share => share && share.expiresAt > Date.now())
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(share => toShareSummary(env, share)));
+}
+
+/**
+ * Revoke a share link
+ * @returns {Promise<boolean>} Whether the link existed
+ */
+export async function revokeShare(kv, spaceId, projectId, shareId) {
+  const share = await kv.get(shareKey(shareId), 'json');
+  if (!share || share.spaceId !== spaceId || share.projectId !== projectId) return false;
+
+  await kv.delete(shareKey(shareId));
+  await kv.delete(`${shareIndexPrefix(spaceId, projectId)}${shareId}`);
+  return true;
+}
+
+/**
+ * Delete the share links of a project
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {string} spaceId - Space of the project
+ * @param {string} projectId - Project ID
+ */
+export async function deleteProjectShares(kv, spaceId, projectId) {
+  const list = await kv.list({ prefix: shareIndexPrefix(spaceId, projectId) });
+  await Promise.all(list.keys.flatMap(key => [
+    kv.delete(shareKey(key.name.split(':').pop())),
+    kv.delete(key.name),
+  ]));
+}
+
+/**
+ * Move the share links of a project to another space and project ID, keeping their tokens
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {string} fromSpaceId - Current space of the project
+ * @param {string} fromProjectId - Current project ID
+ * @param {string} toSpaceId - Target space
+ * @param {string} toProjectId - Project ID in the target space
+ * @returns {Promise<number>} Number of links moved
+ */
+export async function moveProjectShares(kv, fromSpaceId, fromProjectId, toSpaceId, toProjectId) {
+  const list = await kv.list({ prefix: shareIndexPrefix(fromSpaceId, fromProjectId) });
+  let moved = 0;
+
+  for (const key of list.keys) {
+    const shareId = key.name.split(':').pop();
+    const share = await kv.get(shareKey(shareId), 'json');
+
+    // KV expirations must be at least 60 seconds ahead; links closer to expiry are dropped
+    const expiration = share && Math.floor(share.expiresAt / 1000);
+    if (share && expiration > Date.now() / 1000 + 60) {
+      const options = { expiration };
+      await kv.put(shareKey(shareId), JSON.stringify({ ...share, spaceId: toSpaceId, projectId: toProjectId }), options);
+      await kv.put(`${shareIndexPrefix(toSpaceId, toProjectId)}${shareId}`, '', options);
+      moved += 1;
+    } else if (share) {
+      await kv.delete(shareKey(shareId));
+    }
+    await kv.delete(key.name);
+  }
+
+  return moved;
+}
+
+/**
+ * Resolve a share token to its share record
+ * @returns {Promise<Object|null>} Share, or null when invalid, expired or revoked
+ */
+export async function resolveShare(env, token) {
+  const payload = await verifyShareToken(env, token);
+  return payload ? env.PROJECTS_KV.get(shareKey(payload.sid), 'json') : null;
+}
+
+// Layout, copy and banners of a version, without the generation internals
+function toReviewVersion(version) {
+  const { asciiHistory, banner } = version.snapshot || {};
+  const layout = asciiHistory?.turns.find(turn => turn.id === asciiHistory.activeId)?.result || null;
+
+  return {
+    id: version.id,
+    step: version.step,
+    label: version.label,
+    createdAt: version.createdAt,
+    layout: layout && {
+      ascii: layout.ascii,
+      copyText: layout.copyText || [],
+      designNotes: layout.designNotes || '',
+    },
+    banners: version.candidates.map(({ index, imageData, mimeType }) => ({ index, imageData, mimeType })),
+    selectedIndex: banner?.selectedIndex ?? 0,
+    starred: banner?.starred || [],
+  };
+}
+
+/**
+ * What a share link shows: the project and either the shared version, or the
+ * project's latest banner version (the latest version when there are no banners yet)
+ * @param {Object} env - Function environment
+ * @param {Object} share - Share record
+ * @returns {Promise<Object|null>} { project, version }, or null when the project is gone
+ */
+export async function getShareReview(env, share) {
+  const stored = await env.PROJECTS_KV.get(projectKey(share.spaceId, share.projectId), 'json');
+  if (!stored || stored.deletedAt) return null;
+  const { project } = migrateProject(stored);
+
+  let version = null;
+  if (env.PROJECTS_BUCKET) {
+    let versionId = share.versionId;
+    if (!versionId) {
+      const versions = await listVersions(env.PROJECTS_BUCKET, share.spaceId, share.projectId);
+      const latest = versions.filter(v => v.step === 'banner').pop() || versions.pop();
+      versionId = latest?.id;
+    }
+    const found = versionId && await getVersion(env.PROJECTS_BUCKET, share.spaceId, share.projectId, versionId);
+    version = found ? toReviewVersion(found) : null;
+  }
+
+  return {
+    project: {
+      name: project.name,
+      productName: project.productName,
+      productDescription: project.productDescription,
+      targetAudience: project.targetAudience,
+      designGoal: project.designGoal,
+      platform: project.platform,
+      updatedAt: project.updatedAt,
+    },
+    version,
+  };
+}
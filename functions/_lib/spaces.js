@@ -0,0 +1,216 @@
+// Moving project data between spaces
+//
+// A space is what projects are partitioned by: a device ID, a linked space (see
+// devices.js) or a workspace space ID (see workspaces.js). Moving copies projects and
+// brand kits (KV), their history, image assets and generation jobs (R2) to the target
+// space and then deletes them from the source. Share links and reviews follow their
+// project, so existing links keep working.
+//
+// A space can hold more than one request may move, so a move runs in batches and can
+// be resumed. Its progress is kept in PROJECTS_KV:
+//   space-move:${fromSpaceId}                 - { toSpaceId, stage, kitIdMap, idMap, startedAt, updatedAt }
+//   space-move-to:${toSpaceId}:${fromSpaceId} - marks a move into a space, which cannot
+//                                               itself be moved until that has finished
+// Each batch deletes what it moved, so the next one continues with what is left in the
+// source. With SPACE_MOVE_QUEUE bound, batches run on the consumer in
+// workers/space-move-queue and the projects show up in the target over the next
+// moments; without it (local development), all batches run within the request.
+// A generation job still running while its space moves finishes in the old space.
+
+import { brandKitKey } from './brandKits.js';
+import { deleteProjectRecord, projectKey, putProject } from './projects.js';
+import { moveProjectReviews } from './reviews.js';
+import { moveProjectShares } from './shares.js';
+
+// Items (KV records or R2 objects) moved per batch
+const MOVE_BATCH_SIZE = 25;
+
+// A move whose last batch is older than this is assumed to have lost its queue message
+const MOVE_STALL_MS = 5 * 60 * 1000;
+
+const moveKey = (fromSpaceId) => `space-move:${fromSpaceId}`;
+const incomingMovePrefix = (toSpaceId) => `space-move-to:${toSpaceId}:`;
+
+const newId = () => `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+function httpError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Move a batch of R2 objects, one at a time since banner images can be large
+async function moveObjects(bucket, fromPrefix, toPrefix, limit, mapPath = (path) => path) {
+  const list = await bucket.list({ prefix: fromPrefix, limit });
+  for (const { key } of list.objects) {
+    const object = await bucket.get(key);
+    if (!object) continue;
+    await bucket.put(`${toPrefix}${mapPath(key.slice(fromPrefix.length))}`, await object.arrayBuffer(), {
+      httpMetadata: object.httpMetadata,
+      customMetadata: object.customMetadata,
+    });
+  }
+  if (list.objects.length > 0) {
+    await bucket.delete(list.objects.map(object => object.key));
+  }
+  return { count: list.objects.length, complete: !list.truncated };
+}
+
+// KV list() can still return a key deleted by an earlier batch for a while, so
+// anything already moved keeps the ID it was given instead of being copied again
+// under a new one.
+async function moveBrandKits(kv, move, fromSpaceId, limit) {
+  const list = await kv.list({ prefix: brandKitKey(fromSpaceId, ''), limit });
+  for (const key of list.keys) {
+    const kit = await kv.get(key.name, 'json');
+    if (kit) {
+      if (!move.kitIdMap[kit.id]) {
+        const taken = await kv.get(brandKitKey(move.toSpaceId, kit.id));
+        move.kitIdMap[kit.id] = taken ? newId() : kit.id;
+      }
+      const id = move.kitIdMap[kit.id];
+      await kv.put(brandKitKey(move.toSpaceId, id), JSON.stringify({ ...kit, id }));
+    }
+    await kv.delete(key.name);
+  }
+  return { count: list.keys.length, complete: list.list_complete };
+}
+
+async function moveProjects(kv, move, fromSpaceId, limit) {
+  const list = await kv.list({ prefix: projectKey(fromSpaceId, ''), limit });
+  for (const key of list.keys) {
+    const project = await kv.get(key.name, 'json');
+    if (project) {
+      if (!move.idMap[project.id]) {
+        const taken = await kv.get(projectKey(move.toSpaceId, project.id));
+        move.idMap[project.id] = taken ? newId() : project.id;
+      }
+      const id = move.idMap[project.id];
+      const brandKitId = move.kitIdMap[project.brandKitId] || project.brandKitId || null;
+      await putProject(kv, move.toSpaceId, { ...project, id, brandKitId });
+      await moveProjectShares(kv, fromSpaceId, project.id, move.toSpaceId, id);
+      await moveProjectReviews(kv, fromSpaceId, project.id, move.toSpaceId, id);
+      await deleteProjectRecord(kv, fromSpaceId, project);
+    } else {
+      await kv.delete(key.name);
+    }
+  }
+  return { count: list.keys.length, complete: list.list_complete };
+}
+
+// R2 prefixes moved after the KV records. Job images and plans go before the job
+// records, so a job listed in the target space already has them.
+const objectStage = (root, mapPath) => (kv, bucket, move, fromSpaceId, limit) => {
+  if (!bucket) return { count: 0, complete: true };
+  return moveObjects(bucket, `${root}/${fromSpaceId}/`, `${root}/${move.toSpaceId}/`, limit, mapPath?.(move));
+};
+
+const MOVE_STAGES = [
+  (kv, bucket, move, fromSpaceId, limit) => moveBrandKits(kv, move, fromSpaceId, limit),
+  (kv, bucket, move, fromSpaceId, limit) => moveProjects(kv, move, fromSpaceId, limit),
+  // Asset IDs are content hashes, so an existing key in the target is the same image
+  objectStage('assets'),
+  objectStage('history', (move) => (path) => {
+    const [projectId, ...rest] = path.split('/');
+    return [move.idMap[projectId] || projectId, ...rest].join('/');
+  }),
+  objectStage('job-images'),
+  objectStage('job-plans'),
+  objectStage('jobs'),
+];
+
+const toMoveResult = (move, done) => ({
+  done,
+  projects: Object.keys(move.idMap).length,
+  renamed: Object.entries(move.idMap).filter(([from, to]) => from !== to).length,
+  brandKits: Object.keys(move.kitIdMap).length,
+});
+
+/**
+ * Check that a space can be moved now
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {string} spaceId - Space to move
+ * @throws {Error} With `status` 409 while projects are still being moved into the space
+ */
+export async function assertSpaceMovable(kv, spaceId) {
+  const incoming = await kv.list({ prefix: incomingMovePrefix(spaceId), limit: 1 });
+  if (incoming.keys.length > 0) {
+    throw httpError('Projects are still being moved into this space. Try again in a few minutes', 409);
+  }
+}
+
+/**
+ * Run the next batch of a space move
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding (optional)
+ * @param {string} fromSpaceId - Source space
+ * @returns {Promise<{done: boolean, projects: number, renamed: number, brandKits: number}>}
+ *   Counts of the whole move so far; done once the source space is empty
+ */
+export async function runSpaceMoveBatch(kv, bucket, fromSpaceId) {
+  const move = await kv.get(moveKey(fromSpaceId), 'json');
+  if (!move) return { done: true, projects: 0, renamed: 0, brandKits: 0 };
+
+  // Empty stages are passed in the same batch
+  let budget = MOVE_BATCH_SIZE;
+  while (budget > 0 && move.stage < MOVE_STAGES.length) {
+    const { count, complete } = await MOVE_STAGES[move.stage](kv, bucket, move, fromSpaceId, budget);
+    budget -= count;
+    if (complete) move.stage += 1;
+  }
+
+  if (move.stage < MOVE_STAGES.length) {
+    await kv.put(moveKey(fromSpaceId), JSON.stringify({ ...move, updatedAt: Date.now() }));
+    return toMoveResult(move, false);
+  }
+
+  await kv.delete(`${incomingMovePrefix(move.toSpaceId)}${fromSpaceId}`);
+  await kv.delete(moveKey(fromSpaceId));
+  return toMoveResult(move, true);
+}
+
+/**
+ * Move all projects, brand kits and generation jobs of a space into another space.
+ * Projects and kits whose ID is already taken in the target space get a new ID.
+ * Starting a move that is already running resumes it if it has stalled.
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {R2Bucket} bucket - PROJECTS_BUCKET binding (optional)
+ * @param {Queue} queue - SPACE_MOVE_QUEUE binding (optional; without it the move
+ *   finishes within this call)
+ * @param {string} fromSpaceId - Source space
+ * @param {string} toSpaceId - Target space
+ * @returns {Promise<{done: boolean, projects: number, renamed: number, brandKits: number}>}
+ *   done is false while the move continues in the background
+ * @throws {Error} With `status` 409 when the space is being moved elsewhere, or
+ *   projects are still being moved into it
+ */
+export async function moveSpaceProjects(kv, bucket, queue, fromSpaceId, toSpaceId) {
+  const existing = await kv.get(moveKey(fromSpaceId), 'json');
+  if (existing && existing.toSpaceId !== toSpaceId) {
+    throw httpError('The projects of this space are already being moved', 409);
+  }
+  if (!existing) {
+    await assertSpaceMovable(kv, fromSpaceId);
+    const now = Date.now();
+    await kv.put(`${incomingMovePrefix(toSpaceId)}${fromSpaceId}`, '');
+    await kv.put(moveKey(fromSpaceId), JSON.stringify({
+      toSpaceId,
+      stage: 0,
+      kitIdMap: {},
+      idMap: {},
+      startedAt: now,
+      updatedAt: now,
+    }));
+  }
+
+  if (queue) {
+    if (!existing || Date.now() - existing.updatedAt > MOVE_STALL_MS) {
+      await queue.send({ fromSpaceId });
+    }
+    return toMoveResult(existing || { idMap: {}, kitIdMap: {} }, false);
+  }
+
+  let result;
+  do {
+    result = await runSpaceMoveBatch(kv, bucket, fromSpaceId);
+  } while (!result.done);
+  return result;
+}
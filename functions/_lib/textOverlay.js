@@ -0,0 +1,40 @@
+// Text rendering of a project: whether the image model renders the copy ('ai'), or
+// generates a text-free background and the client draws the headline, subtext and
+// CTA as real text layers on top ('overlay'), placed from the ASCII layout.
+//
+//   { mode, font }
+//   font: default font of the text layers ('gothic', 'mincho' or 'maru'); fonts,
+//         weights, colors and positions are adjusted per layer in the preview
+
+const TEXT_RENDERING_MODES = ['ai', 'overlay'];
+const OVERLAY_FONTS = ['gothic', 'mincho', 'maru'];
+
+export const DEFAULT_TEXT_OVERLAY = { mode: 'ai', font: 'gothic' };
+
+/**
+ * Fill in the fields of a text overlay setting
+ * @param {Object} textOverlay - Setting from a request or record
+ * @returns {Object} { mode, font }
+ */
+export function normalizeTextOverlay(textOverlay) {
+  const input = textOverlay && typeof textOverlay === 'object' ? textOverlay : {};
+  return {
+    mode: TEXT_RENDERING_MODES.includes(input.mode) ? input.mode : DEFAULT_TEXT_OVERLAY.mode,
+    font: OVERLAY_FONTS.includes(input.font) ? input.font : DEFAULT_TEXT_OVERLAY.font,
+  };
+}
+
+/**
+ * Whether the copy of a generation request is drawn on the client
+ * @param {Object} formData - Form data with textOverlay
+ * @returns {boolean}
+ */
+export function isTextOverlay(formData) {
+  return formData?.textOverlay?.mode === 'overlay';
+}
+
+// Requirement for the banner request when the copy is drawn afterwards (English)
+export const TEXT_FREE_REQUIREMENT = `TEXT-FREE BACKGROUND (hard constraint, overrides any text rendering instruction above):
+Do not render any text, letters, numbers, words or button labels anywhere in the image, except what is printed on the product itself.
+The headline, subtext and CTA button are added afterwards as text layers at the [HEADLINE], [SUBTEXT] and [CTA] positions of the layout.
+Keep those areas calm and evenly lit, without objects or busy patterns, so overlaid text stays readable.`;
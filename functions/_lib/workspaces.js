@@ -0,0 +1,181 @@
+// Team workspaces (stored in PROJECTS_KV at `workspace:${workspaceId}`)
+//
+// A workspace is a project space shared by its members. Everything that is
+// partitioned by device ID (projects, history, assets, jobs) is partitioned by the
+// workspace's space ID (`ws_${workspaceId}`) instead, so the API is the same for
+// both; the API middleware checks membership before a workspace space is used.
+//
+// Roles: owner (manage members) > editor (edit projects) > viewer (read only)
+
+import { getUser, getOrCreateUser, putUser } from './auth.js';
+
+export const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+const WORKSPACE_SPACE_PREFIX = 'ws_';
+const workspaceKey = (workspaceId) => `workspace:${workspaceId}`;
+
+export const workspaceSpaceId = (workspaceId) => `${WORKSPACE_SPACE_PREFIX}${workspaceId}`;
+
+/**
+ * Workspace ID of a space ID
+ * @param {string} spaceId - Device ID or workspace space ID
+ * @returns {string|null} Workspace ID, or null for device spaces
+ */
+export function parseWorkspaceSpace(spaceId) {
+  return typeof spaceId === 'string' && spaceId.startsWith(WORKSPACE_SPACE_PREFIX)
+    ? spaceId.slice(WORKSPACE_SPACE_PREFIX.length)
+    : null;
+}
+
+export function getMemberRole(workspace, userId) {
+  return workspace?.members.find(member => member.userId === userId)?.role || null;
+}
+
+/**
+ * Whether a user has at least a role in a workspace
+ * @param {Object} workspace - Workspace record
+ * @param {string} userId - User ID
+ * @param {string} minRole - 'viewer', 'editor' or 'owner'
+ * @returns {boolean}
+ */
+export function hasRole(workspace, userId, minRole) {
+  const role = getMemberRole(workspace, userId);
+  return !!role && ROLE_RANK[role] >= ROLE_RANK[minRole];
+}
+
+export async function getWorkspace(kv, workspaceId) {
+  return workspaceId ? kv.get(workspaceKey(workspaceId), 'json') : null;
+}
+
+export async function putWorkspace(kv, workspace) {
+  await kv.put(workspaceKey(workspace.id), JSON.stringify(workspace));
+}
+
+/**
+ * Load a workspace for a user who needs at least a role in it
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object|null} user - Signed-in user
+ * @param {string} minRole - 'viewer', 'editor' or 'owner'
+ * @returns {Promise<Object>} Workspace record
+ * @throws {Error} With `status` 401 (not signed in), 404 (not a member) or 403 (role too low)
+ */
+export async function getWorkspaceForUser(kv, workspaceId, user, minRole) {
+  if (!user) {
+    throw Object.assign(new Error('Sign in required'), { status: 401 });
+  }
+  const workspace = await getWorkspace(kv, workspaceId);
+  if (!getMemberRole(workspace, user.id)) {
+    throw Object.assign(new Error('Workspace not found'), { status: 404 });
+  }
+  if (!hasRole(workspace, user.id, minRole)) {
+    throw Object.assign(new Error('Not allowed in this workspace'), { status: 403 });
+  }
+  return workspace;
+}
+
+/**
+ * Workspace as seen by one of its members
+ */
+export function toWorkspaceSummary(workspace, userId) {
+  return {
+    id: workspace.id,
+    name: workspace.name,
+    spaceId: workspaceSpaceId(workspace.id),
+    role: getMemberRole(workspace, userId),
+    memberCount: workspace.members.length,
+    createdAt: workspace.createdAt,
+  };
+}
+
+/**
+ * Create a workspace owned by a user
+ * @param {KVNamespace} kv - PROJECTS_KV binding
+ * @param {Object} owner - User record
+ * @param {string} name - Workspace name
+ * @returns {Promise<Object>} Workspace record
+ */
+export async function createWorkspace(kv, owner, name) {
+  const now = Date.now();
+  const workspace = {
+    id: `${now}-${Math.random().toString(36).substr(2, 9)}`,
+    name: name || `${owner.email} のワークスペース`,
+    createdAt: now,
+    members: [{ userId: owner.id, email: owner.email, role: 'owner', addedAt: now }],
+  };
+  await putWorkspace(kv, workspace);
+  await putUser(kv, { ...owner, workspaceIds: [...(owner.workspaceIds || []), workspace.id] });
+  return workspace;
+}
+
+/**
+ * List the workspaces of a user (skipping any that were deleted or left)
+ * @returns {Promise<Array>} Workspace summaries
+ */
+export async function listUserWorkspaces(kv, user) {
+  const workspaces = await Promise.all((user.workspaceIds || []).map(id => getWorkspace(kv, id)));
+  return workspaces
+    .filter(workspace => workspace && getMemberRole(workspace, user.id))
+    .map(workspace => toWorkspaceSummary(workspace, user.id));
+}
+
+/**
+ * Add a member by email (an account is created for new addresses), or change their role
+ * @returns {Promise<{workspace: Object, member: Object}>}
+ */
+export async function addMember(kv, workspace, email, role) {
+  const { user } = await getOrCreateUser(kv, email);
+  const member = { userId: user.id, email: user.email, role, addedAt: Date.now() };
+  const members = workspace.members.some(m => m.userId === user.id)
+    ? workspace.members.map(m => (m.userId === user.id ? { ...m, role } : m))
+    : [...workspace.members, member];
+
+  const updated = { ...workspace, members };
+  await putWorkspace(kv, updated);
+  if (!(user.workspaceIds || []).includes(workspace.id)) {
+    await putUser(kv, { ...user, workspaceIds: [...(user.workspaceIds || []), workspace.id] });
+  }
+  return { workspace: updated, member: members.find(m => m.userId === user.id) };
+}
+
+/**
+ * Change the role of a member. The last owner cannot be demoted.
+ * @throws {Error} With `status` 400 / 404
+ */
+export async function updateMemberRole(kv, workspace, userId, role) {
+  assertKeepsOwner(workspace, userId, role);
+  const updated = {
+    ...workspace,
+    members: workspace.members.map(m => (m.userId === userId ? { ...m, role } : m)),
+  };
+  await putWorkspace(kv, updated);
+  return updated;
+}
+
+/**
+ * Remove a member. The last owner cannot be removed.
+ * @throws {Error} With `status` 400 / 404
+ */
+export async function removeMember(kv, workspace, userId) {
+  assertKeepsOwner(workspace, userId, null);
+  const updated = { ...workspace, members: workspace.members.filter(m => m.userId !== userId) };
+  await putWorkspace(kv, updated);
+
+  const user = await getUser(kv, userId);
+  if (user) {
+    await putUser(kv, { ...user, workspaceIds: (user.workspaceIds || []).filter(id => id !== workspace.id) });
+  }
+  return updated;
+}
+
+function assertKeepsOwner(workspace, userId, newRole) {
+  const member = workspace.members.find(m => m.userId === userId);
+  if (!member) {
+    throw Object.assign(new Error('Member not found'), { status: 404 });
+  }
+  const owners = workspace.members.filter(m => m.role === 'owner');
+  if (member.role === 'owner' && newRole !== 'owner' && owners.length === 1) {
+    throw Object.assign(new Error('A workspace needs at least one owner'), { status: 400 });
+  }
+}
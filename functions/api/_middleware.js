@@ -1,4 +1,58 @@
-// CORS middleware for all API routes
+// Middleware for all API routes: CORS, sign-in, workspace access and linked devices
+
+import { getSessionUser } from '../_lib/auth.js';
+import { isLinkedSpace, resolveDeviceSpace } from '../_lib/devices.js';
+import { getWorkspaceForUser, parseWorkspaceSpace } from '../_lib/workspaces.js';
+
+const READ_METHODS = ['GET', 'HEAD'];
+
+// The space a request names: `deviceId` in the query string. Request bodies are
+// never read here, so uploads and imports are not parsed twice.
+function getRequestedSpace(request) {
+  return new URL(request.url).searchParams.get('deviceId');
+}
+
+function jsonError(status, error) {
+  return new Response(JSON.stringify({ error }), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+// Resolve the signed-in user into context.data.user and the space the request may
+// work in into context.data.spaceId. Routes read the space from there, never from
+// the request. Workspace spaces are only used by their members (viewers may only
+// read); device spaces stay open as before, for use without an account.
+// context.data.deviceId keeps the ID the client sent.
+async function authorize(context) {
+  const { request, env } = context;
+  context.data.user = env.PROJECTS_KV ? await getSessionUser(env.PROJECTS_KV, request) : null;
+  context.data.deviceId = getRequestedSpace(request);
+  context.data.spaceId = context.data.deviceId;
+
+  // Only reachable through a linked device ID, so that unlinking a device revokes access
+  if (isLinkedSpace(context.data.deviceId)) {
+    return jsonError(403, 'Not allowed');
+  }
+
+  const workspaceId = parseWorkspaceSpace(context.data.deviceId);
+  if (!workspaceId) {
+    // A device linked with a pairing code works in the shared space
+    if (context.data.deviceId && env.PROJECTS_KV) {
+      context.data.spaceId = await resolveDeviceSpace(env.PROJECTS_KV, context.data.deviceId);
+    }
+    return null;
+  }
+
+  const minRole = READ_METHODS.includes(request.method) ? 'viewer' : 'editor';
+  try {
+    context.data.workspace = await getWorkspaceForUser(env.PROJECTS_KV, workspaceId, context.data.user, minRole);
+  } catch (error) {
+    if (!error.status) throw error;
+    return jsonError(error.status, error.message);
+  }
+  return null;
+}
 
 export async function onRequest(context) {
   const { request, next } = context;
@@ -9,20 +63,21 @@ export async function onRequest(context) {
       headers: {
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
         'Access-Control-Max-Age': '86400',
       },
     });
   }
 
   // Process the request
-  const response = await next();
+  const response = (await authorize(context)) || await next();
 
   // Add CORS headers to response
   const newResponse = new Response(response.body, response);
   newResponse.headers.set('Access-Control-Allow-Origin', '*');
   newResponse.headers.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  newResponse.headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  newResponse.headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-Match');
+  newResponse.headers.set('Access-Control-Expose-Headers', 'ETag');
 
   return newResponse;
 }
@@ -0,0 +1,52 @@
+// Image Assets API - Upload product images once and reference them by ID
+
+import { putAsset } from '../_lib/assets.js'
+
+/**
+ * POST /api/assets - Upload an image
+ *
+ * Query: deviceId
+ * Body: { image: { base64, fileName }, thumbnail: { base64 } }
+ * image is a PNG, JPEG or WebP (its type is read from the bytes); thumbnail a JPEG.
+ * Response: { asset: { assetId, mimeType, fileName, width, height, size, deduplicated } }
+ * Uploading the same image again returns the existing asset.
+ */
+export async function onRequestPost(context) {
+  const { request, env, data } = context
+
+  try {
+    const body = await request.json()
+    const { image, thumbnail } = body
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_BUCKET) {
+      return new Response(JSON.stringify({ error: 'R2 not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const asset = await putAsset(env.PROJECTS_BUCKET, deviceId, image, thumbnail)
+
+    return new Response(JSON.stringify({ asset }), {
+      status: asset.deduplicated ? 200 : 201,
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error uploading asset:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to upload asset'
+    }), {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
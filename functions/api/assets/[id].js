@@ -0,0 +1,65 @@
+// Image Assets API - Serve a single image
+
+import { getAssetObject, isAssetId } from '../../_lib/assets.js'
+
+/**
+ * GET /api/assets/:id - Get the image bytes
+ *
+ * Query: deviceId, variant (original | thumb)
+ * Asset IDs are content hashes, so responses never change and are cached indefinitely.
+ * Served inline with nosniff and a sandbox CSP, so the bytes are only ever shown as an image.
+ */
+export async function onRequestGet(context) {
+  const { request, env, data, params } = context
+
+  try {
+    const url = new URL(request.url)
+    const deviceId = data.spaceId
+    const variant = url.searchParams.get('variant') === 'thumb' ? 'thumb' : 'original'
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_BUCKET) {
+      return new Response(JSON.stringify({ error: 'R2 not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const object = isAssetId(params.id)
+      ? await getAssetObject(env.PROJECTS_BUCKET, deviceId, params.id, variant)
+      : null
+
+    if (!object) {
+      return new Response(JSON.stringify({ error: 'Asset not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    return new Response(object.body, {
+      headers: {
+        'Content-Type': object.httpMetadata?.contentType || 'application/octet-stream',
+        'Content-Disposition': 'inline',
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Security-Policy': "default-src 'none'; sandbox",
+        'Cache-Control': 'private, max-age=31536000, immutable',
+        'ETag': object.httpEtag,
+      }
+    })
+
+  } catch (error) {
+    console.error('Error getting asset:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to get asset'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
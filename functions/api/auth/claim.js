@@ -0,0 +1,68 @@
+// Auth API - Move this browser's projects into a workspace
+
+import { getWorkspace, hasRole, parseWorkspaceSpace, workspaceSpaceId } from '../../_lib/workspaces.js'
+import { moveSpaceProjects } from '../../_lib/spaces.js'
+
+/**
+ * POST /api/auth/claim - Claim the projects created without an account
+ *
+ * Query: deviceId
+ * Body: { workspaceId }
+ * Moves all projects of the device (with their history and images) into the
+ * workspace. Requires editor access to the workspace.
+ * Response: { success, done, projects, renamed } - done is false while the move
+ * continues in the background (counts are then partial); 409 while the device's
+ * projects are already being moved elsewhere
+ */
+export async function onRequestPost(context) {
+  const { request, env, data } = context
+
+  try {
+    if (!data.user) {
+      return new Response(JSON.stringify({ error: 'Sign in required' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const { workspaceId } = await request.json()
+    const deviceId = data.spaceId
+
+    if (!deviceId || !workspaceId || parseWorkspaceSpace(deviceId)) {
+      return new Response(JSON.stringify({ error: 'Device ID and workspace ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const workspace = await getWorkspace(env.PROJECTS_KV, workspaceId)
+    if (!hasRole(workspace, data.user.id, 'editor')) {
+      return new Response(JSON.stringify({ error: workspace ? 'Not allowed in this workspace' : 'Workspace not found' }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const result = await moveSpaceProjects(env.PROJECTS_KV, env.PROJECTS_BUCKET, env.SPACE_MOVE_QUEUE, deviceId, workspaceSpaceId(workspaceId))
+
+    return new Response(JSON.stringify({ success: true, ...result }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error claiming device projects:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to claim projects'
+    }), {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
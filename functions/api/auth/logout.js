@@ -0,0 +1,32 @@
+// Auth API - Sign out
+
+import { deleteSession, getSessionToken, sessionCookie } from '../../_lib/auth.js'
+
+/**
+ * POST /api/auth/logout - End the session
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context
+
+  try {
+    if (env.PROJECTS_KV) {
+      await deleteSession(env.PROJECTS_KV, getSessionToken(request))
+    }
+
+    return new Response(JSON.stringify({ success: true }), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Set-Cookie': sessionCookie(null),
+      }
+    })
+
+  } catch (error) {
+    console.error('Error signing out:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to sign out'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
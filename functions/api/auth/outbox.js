@@ -0,0 +1,44 @@
+// Auth API - Local mail stand-in (development only)
+
+import { isOutboxEnabled, listOutbox } from '../../_lib/mail.js'
+
+/**
+ * GET /api/auth/outbox - Emails kept by the local mail stand-in
+ *
+ * Only available with DEV_MAIL_OUTBOX = "true" and no MAIL_WEBHOOK_URL, since the
+ * messages contain sign-in links.
+ * Query: email (optional) to show only messages to that address
+ * Response: { messages: [{ id, to, subject, text, sentAt }] }
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context
+
+  try {
+    if (!isOutboxEnabled(env)) {
+      return new Response(JSON.stringify({ error: 'Not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const email = (new URL(request.url).searchParams.get('email') || '').trim().toLowerCase()
+    const messages = (await listOutbox(env.PROJECTS_KV))
+      .filter(message => !email || message.to === email)
+
+    return new Response(JSON.stringify({ messages }), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+      }
+    })
+
+  } catch (error) {
+    console.error('Error listing outbox:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to list outbox'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
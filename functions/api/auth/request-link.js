@@ -0,0 +1,67 @@
+// Auth API - Email a sign-in link
+
+import { createMagicLink, normalizeEmail, MAGIC_LINK_TTL_SECONDS } from '../../_lib/auth.js'
+import { canSendMail, isOutboxEnabled, sendMail } from '../../_lib/mail.js'
+
+/**
+ * POST /api/auth/request-link - Send a sign-in link
+ *
+ * Body: { email }
+ * Response: { success, outbox } - outbox is set when links go to the local mail
+ * stand-in and can be read at /api/auth/outbox (development only)
+ * The account is created when the link is first used. 503 when mail is not configured.
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context
+
+  try {
+    const body = await request.json()
+    const email = normalizeEmail(body.email)
+
+    if (!email) {
+      return new Response(JSON.stringify({ error: 'Valid email required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!canSendMail(env)) {
+      return new Response(JSON.stringify({ error: 'Mail is not configured' }), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const token = await createMagicLink(env.PROJECTS_KV, email)
+    const link = `${new URL(request.url).origin}/api/auth/verify?token=${token}`
+
+    await sendMail(env, {
+      to: email,
+      subject: 'Smart Banner Generator ログインリンク',
+      text: `以下のリンクからログインしてください（${MAGIC_LINK_TTL_SECONDS / 60}分間有効）。\n\n${link}\n\nこのメールに心当たりがない場合は破棄してください。`,
+    })
+
+    return new Response(JSON.stringify({
+      success: true,
+      outbox: isOutboxEnabled(env) ? '/api/auth/outbox' : null
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error sending sign-in link:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to send sign-in link'
+    }), {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
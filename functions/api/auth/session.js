@@ -0,0 +1,35 @@
+// Auth API - Current session
+
+import { listUserWorkspaces } from '../../_lib/workspaces.js'
+
+/**
+ * GET /api/auth/session - The signed-in user and their workspaces
+ *
+ * Response: { user: { id, email } | null, workspaces }
+ */
+export async function onRequestGet(context) {
+  const { env, data } = context
+
+  try {
+    const user = data.user
+
+    return new Response(JSON.stringify({
+      user: user ? { id: user.id, email: user.email } : null,
+      workspaces: user ? await listUserWorkspaces(env.PROJECTS_KV, user) : []
+    }), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+      }
+    })
+
+  } catch (error) {
+    console.error('Error getting session:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to get session'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
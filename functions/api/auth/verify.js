@@ -0,0 +1,54 @@
+// Auth API - Sign in with an emailed link
+
+import { consumeMagicLink, createSession, getOrCreateUser, sessionCookie } from '../../_lib/auth.js'
+import { createWorkspace } from '../../_lib/workspaces.js'
+
+/**
+ * GET /api/auth/verify?token= - Sign in and return to the app
+ *
+ * Creates the account (with a personal workspace) on first sign-in, sets the
+ * session cookie and redirects to /?signedIn=1, or to /?signInError=expired when
+ * the link is invalid, used or expired.
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context
+  const url = new URL(request.url)
+
+  try {
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const email = await consumeMagicLink(env.PROJECTS_KV, url.searchParams.get('token'))
+    if (!email) {
+      return Response.redirect(`${url.origin}/?signInError=expired`, 302)
+    }
+
+    const { user } = await getOrCreateUser(env.PROJECTS_KV, email)
+    if (!user.workspaceIds?.length) {
+      await createWorkspace(env.PROJECTS_KV, user)
+    }
+
+    const token = await createSession(env.PROJECTS_KV, user.id)
+
+    return new Response(null, {
+      status: 302,
+      headers: {
+        'Location': `${url.origin}/?signedIn=1`,
+        'Set-Cookie': sessionCookie(token),
+      }
+    })
+
+  } catch (error) {
+    console.error('Error verifying sign-in link:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to sign in'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
@@ -0,0 +1,93 @@
+// Brand Kits API - List and Create
+// Kits belong to a space (device, linked or workspace) like its projects
+
+import { createBrandKit, listBrandKits } from '../_lib/brandKits.js'
+
+/**
+ * GET /api/brand-kits - List the brand kits of a space
+ *
+ * Query: deviceId
+ * Response: { brandKits }
+ */
+export async function onRequestGet(context) {
+  const { env, data } = context
+
+  try {
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured', brandKits: [] }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const brandKits = await listBrandKits(env.PROJECTS_KV, deviceId)
+
+    return new Response(JSON.stringify({ brandKits }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error listing brand kits:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to list brand kits'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
+
+/**
+ * POST /api/brand-kits - Create a brand kit
+ *
+ * Query: deviceId
+ * Body: { brandKit: { name, colors, fonts, toneOfVoice, forbiddenWords } }
+ * Response: { brandKit }
+ */
+export async function onRequestPost(context) {
+  const { request, env, data } = context
+
+  try {
+    const { brandKit } = await request.json()
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const created = await createBrandKit(env.PROJECTS_KV, deviceId, brandKit)
+
+    return new Response(JSON.stringify({ brandKit: created }), {
+      status: 201,
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error creating brand kit:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to create brand kit'
+    }), {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
@@ -0,0 +1,143 @@
+// Brand Kits API - Get, Update and Delete a kit
+
+import { deleteBrandKit, getBrandKit, updateBrandKit } from '../../_lib/brandKits.js'
+
+function notFound() {
+  return new Response(JSON.stringify({ error: 'Brand kit not found' }), {
+    status: 404,
+    headers: { 'Content-Type': 'application/json' }
+  })
+}
+
+/**
+ * GET /api/brand-kits/:id - Get a brand kit
+ *
+ * Query: deviceId
+ * Response: { brandKit }
+ */
+export async function onRequestGet(context) {
+  const { env, data, params } = context
+
+  try {
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const brandKit = await getBrandKit(env.PROJECTS_KV, deviceId, params.id)
+    if (!brandKit) return notFound()
+
+    return new Response(JSON.stringify({ brandKit }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error getting brand kit:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to get brand kit'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
+
+/**
+ * PUT /api/brand-kits/:id - Update the name, colors, fonts, tone of voice and forbidden words
+ *
+ * Query: deviceId
+ * Body: { brandKit } - omitted fields are left unchanged
+ * Response: { brandKit }
+ */
+export async function onRequestPut(context) {
+  const { request, env, data, params } = context
+
+  try {
+    const { brandKit } = await request.json()
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const updated = await updateBrandKit(env.PROJECTS_KV, deviceId, params.id, brandKit || {})
+    if (!updated) return notFound()
+
+    return new Response(JSON.stringify({ brandKit: updated }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error updating brand kit:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to update brand kit'
+    }), {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
+
+/**
+ * DELETE /api/brand-kits/:id - Delete a brand kit
+ *
+ * Query: deviceId
+ * Projects using the kit keep their reference and generate without brand guidelines.
+ */
+export async function onRequestDelete(context) {
+  const { env, data, params } = context
+
+  try {
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!(await deleteBrandKit(env.PROJECTS_KV, deviceId, params.id))) return notFound()
+
+    return new Response(JSON.stringify({ success: true }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error deleting brand kit:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to delete brand kit'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
@@ -0,0 +1,57 @@
+// Brand Kits API - Upload logos
+
+import { addBrandLogo } from '../../../_lib/brandKits.js'
+
+/**
+ * POST /api/brand-kits/:id/logos - Add a logo to a kit
+ *
+ * Query: deviceId
+ * Body: { image: { base64, fileName }, thumbnail: { base64 },
+ *         name, variant: 'default' | 'light' | 'dark' }
+ * The image is stored as uploaded, without resizing, so it stays usable for print.
+ * Response: { brandKit }
+ */
+export async function onRequestPost(context) {
+  const { request, env, data, params } = context
+
+  try {
+    const logo = await request.json()
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV || !env.PROJECTS_BUCKET) {
+      return new Response(JSON.stringify({ error: 'Storage not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const brandKit = await addBrandLogo(env.PROJECTS_KV, env.PROJECTS_BUCKET, deviceId, params.id, logo)
+    if (!brandKit) {
+      return new Response(JSON.stringify({ error: 'Brand kit not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    return new Response(JSON.stringify({ brandKit }), {
+      status: 201,
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error uploading brand logo:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to upload logo'
+    }), {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
@@ -0,0 +1,52 @@
+// Brand Kits API - Remove a logo
+
+import { removeBrandLogo } from '../../../../_lib/brandKits.js'
+
+/**
+ * DELETE /api/brand-kits/:id/logos/:logoId - Remove a logo from a kit
+ *
+ * Query: deviceId
+ * Response: { brandKit }
+ */
+export async function onRequestDelete(context) {
+  const { env, data, params } = context
+
+  try {
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const brandKit = await removeBrandLogo(env.PROJECTS_KV, deviceId, params.id, params.logoId)
+    if (!brandKit) {
+      return new Response(JSON.stringify({ error: 'Logo not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    return new Response(JSON.stringify({ brandKit }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error removing brand logo:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to remove logo'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
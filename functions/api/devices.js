@@ -0,0 +1,48 @@
+// Linked Devices API - List
+
+import { listLinkedDevices } from '../_lib/devices.js'
+import { parseWorkspaceSpace } from '../_lib/workspaces.js'
+
+/**
+ * GET /api/devices - Browsers linked with this one by pairing code
+ *
+ * Query: deviceId
+ * Response: { devices: [{ linkId, label, linkedAt, current }] } - empty when not linked
+ */
+export async function onRequestGet(context) {
+  const { env, data } = context
+
+  try {
+    // The ID the client sent; data.spaceId is the shared space it resolves to
+    const deviceId = data.deviceId
+
+    if (!deviceId || parseWorkspaceSpace(deviceId)) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured', devices: [] }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    return new Response(JSON.stringify({
+      devices: await listLinkedDevices(env.PROJECTS_KV, deviceId)
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error listing linked devices:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to list linked devices'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
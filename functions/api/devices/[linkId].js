@@ -0,0 +1,49 @@
+// Linked Devices API - Unlink
+
+import { revokeDevice } from '../../_lib/devices.js'
+import { parseWorkspaceSpace } from '../../_lib/workspaces.js'
+
+/**
+ * DELETE /api/devices/:linkId - Unlink a device (or this browser itself)
+ *
+ * Query: deviceId
+ * The unlinked browser no longer sees the shared projects and starts with an
+ * empty project list.
+ * Response: { devices } - the devices still linked with this browser
+ */
+export async function onRequestDelete(context) {
+  const { env, data, params } = context
+
+  try {
+    const deviceId = data.deviceId
+
+    if (!deviceId || parseWorkspaceSpace(deviceId)) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const devices = await revokeDevice(env.PROJECTS_KV, env.PROJECTS_BUCKET, env.SPACE_MOVE_QUEUE, deviceId, params.linkId)
+
+    return new Response(JSON.stringify({ devices }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error unlinking device:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to unlink device'
+    }), {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
@@ -0,0 +1,61 @@
+// Linked Devices API - Redeem a pairing code
+
+import { listLinkedDevices, normalizePairingCode, redeemPairingCode } from '../../_lib/devices.js'
+import { parseWorkspaceSpace } from '../../_lib/workspaces.js'
+
+/**
+ * POST /api/devices/pair - Link this browser with the one that created the code
+ *
+ * Query: deviceId
+ * Body: { code, label }
+ * Both browsers then share one project space; projects either of them already
+ * had are moved into it.
+ * Response: { devices } - 404 for an invalid or expired code, 409 when this
+ * browser is already linked to other devices
+ */
+export async function onRequestPost(context) {
+  const { request, env, data } = context
+
+  try {
+    const body = await request.json()
+    const deviceId = data.deviceId
+
+    if (!deviceId || parseWorkspaceSpace(deviceId)) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    await redeemPairingCode(
+      env.PROJECTS_KV,
+      env.PROJECTS_BUCKET,
+      env.SPACE_MOVE_QUEUE,
+      deviceId,
+      normalizePairingCode(body.code),
+      String(body.label || '').slice(0, 100)
+    )
+
+    return new Response(JSON.stringify({
+      devices: await listLinkedDevices(env.PROJECTS_KV, deviceId)
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error redeeming pairing code:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to link device'
+    }), {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
@@ -0,0 +1,50 @@
+// Linked Devices API - Create a pairing code
+
+import { createPairingCode } from '../../_lib/devices.js'
+import { parseWorkspaceSpace } from '../../_lib/workspaces.js'
+
+/**
+ * POST /api/devices/pairing-code - Create a code to enter on another browser
+ *
+ * Query: deviceId
+ * Body: { label }
+ * Response: { code, expiresAt }
+ */
+export async function onRequestPost(context) {
+  const { request, env, data } = context
+
+  try {
+    const { label } = await request.json()
+    const deviceId = data.deviceId
+
+    if (!deviceId || parseWorkspaceSpace(deviceId)) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const pairing = await createPairingCode(env.PROJECTS_KV, deviceId, String(label || '').slice(0, 100))
+
+    return new Response(JSON.stringify(pairing), {
+      status: 201,
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error creating pairing code:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to create pairing code'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
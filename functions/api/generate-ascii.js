@@ -1,5 +1,10 @@
 // ASCII Layout Generation using Gemini API (fetch-based for Cloudflare Workers)
 
+import { toBrandGuidelines } from '../_lib/brandKits.js';
+import { errorResponse } from '../_lib/gemini.js';
+import { generateLayout, copyFromManual, toCopyText, LAYOUT_OUTPUT_FORMAT } from '../_lib/layout.js';
+import { normalizePalette, toPaletteInstruction } from '../_lib/palette.js';
+
 const ASPECT_RATIOS = {
   'instagram_feed': { width: 40, height: 50, ratio: '4:5' },
   'instagram_reels': { width: 30, height: 53, ratio: '9:16' },
@@ -56,30 +61,7 @@ ASCIIアートと一緒に、画像生成AI（Nano Banana Pro）が鮮明で具
 - イラストやアイコンの具体的な描写
 
 ### 4. 出力形式:
-必ず以下の構造で出力してください：
-
-\`\`\`ascii
-[ASCIIレイアウト]
-\`\`\`
-
-### Design Notes:
-[レイアウト戦略の説明 - なぜこの配置がコンバージョンに効果的か]
-
-### Copy Suggestions (必ず日本語で出力):
-- Headline: "【日本語のキャッチコピー】"
-- Subtext: "【日本語のサブテキスト】"
-- CTA: "【日本語のCTAボタンテキスト】"
-
-### Color & Style Recommendations:
-[具体的な配色、フォント、スタイルの推奨]
-
-### Image Generation Instructions (画像生成AIへの指示):
-[Nano Banana Pro向けの具体的な画像生成指示を英語で記述]
-- Background: [背景の詳細]
-- Lighting: [照明の詳細]
-- Product Placement: [商品配置の詳細]
-- Mood/Atmosphere: [雰囲気の詳細]
-- Additional Elements: [追加要素の詳細]
+${LAYOUT_OUTPUT_FORMAT}
 
 ## 重要なルール:
 - 出力は1つのデザインのみ
@@ -89,36 +71,6 @@ ASCIIアートと一緒に、画像生成AI（Nano Banana Pro）が鮮明で具
 - 良いコピー例: "今すぐ購入", "限定50%OFF", "美しさを、もっと身近に"
 - 悪いコピー例: "Buy Now", "Limited Offer", "Beauty for everyone"`;
 
-async function callGeminiAPI(apiKey, model, systemInstruction, userPrompt) {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      systemInstruction: {
-        parts: [{ text: systemInstruction }]
-      },
-      contents: [{
-        parts: [{ text: userPrompt }]
-      }],
-      generationConfig: {
-        temperature: 0.7,
-      }
-    })
-  });
-
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Gemini API error: ${error}`);
-  }
-
-  const data = await response.json();
-  return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-}
-
 export async function onRequestPost(context) {
   const { request, env } = context;
 
@@ -137,6 +89,8 @@ export async function onRequestPost(context) {
       copyMode = 'ai',
       manualCopy = null,
       brandLogo = null,
+      brandKit = null,
+      palette = [],
     } = body;
 
     const apiKey = env.GEMINI_API_KEY;
@@ -170,6 +124,9 @@ ${manualTexts}
 - ロゴ名: ${brandLogo.name}
 - ロゴをレイアウトに含めてください（[LOGO]で配置位置を示す）` : '';
 
+    const brandInstruction = toBrandGuidelines(brandKit);
+    const paletteInstruction = toPaletteInstruction(palette);
+
     // Platform-specific instructions
     const platformInstructions = {
       'instagram_feed': 'Instagramフィード向け。じっくり読ませる・比較させるコンテンツに最適。4:5の縦長フォーマットを活かした構成。',
@@ -201,208 +158,51 @@ ${vibe ? `- ブランドの雰囲気・トンマナ: ${vibe}` : ''}
 ${additionalNotes ? `- その他の要望: ${additionalNotes}` : ''}
 ${copyInstruction}
 ${logoInstruction}
+${brandInstruction}
+${paletteInstruction}
 
-## 出力要件:
-1. ASCIIアートでレイアウトを作成
-2. デザインノート（レイアウト戦略の説明）
-3. コピー提案（日本語で）
-4. カラー・スタイル推奨
-5. 画像生成AIへの具体的な指示（英語で）
+## 出力要件（JSONで出力）:
+1. ascii: ASCIIアートでレイアウトを作成
+2. designNotes: デザインノート（レイアウト戦略の説明）
+3. copy: コピー提案（日本語で）
+4. colorStyleRecommendations: カラー・スタイル推奨
+5. imageInstructions: 画像生成AIへの具体的な指示（英語で）
+6. elements: レイアウト要素の一覧
 
 このプラットフォームと商品に最適化された、コンバージョン率を最大化するレイアウトを作成してください。
 ${copyInstruction}
 
 Please create an ASCII layout that maximizes conversion for this specific platform and product. Include strategic placement of product image, headline, subtext, and CTA button.`;
 
-    const text = await callGeminiAPI(apiKey, model, SYSTEM_PROMPT, userPrompt);
-
-    // Parse ASCII and notes from response
-    const asciiMatch = text.match(/```ascii\n([\s\S]*?)```/);
-    const ascii = asciiMatch ? asciiMatch[1].trim() : extractAsciiBlock(text);
-
-    // Extract design notes
-    const notesMatch = text.match(/### Design Notes:([\s\S]*?)(?=###|$)/);
-    const designNotes = notesMatch ? notesMatch[1].trim() : '';
-
-    // Helper function to check if text contains Japanese characters
-    const containsJapanese = (str) => /[\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FAF]/.test(str);
-
-    // Helper function to clean and validate copy text
-    const cleanAndValidate = (str) => {
-      if (!str) return null;
-      // Remove quotes, brackets, markdown, and trim
-      let cleaned = str.trim()
-        .replace(/^["「『【]|["」』】]$/g, '')
-        .replace(/^\*+\s*|\s*\*+$/g, '') // Remove markdown bold
-        .trim();
-      // Skip if too short, starts with common English words, or doesn't contain Japanese
-      if (cleaned.length < 2) return null;
-      if (/^(The|A|An|This|It|Is|Are|Was|Were|Be|Been|Being|Have|Has|Had|Do|Does|Did|Will|Would|Could|Should|May|Might|Must|Shall|Can|Need|Positioned|Located|Placed|Designed|Created)\b/i.test(cleaned)) return null;
-      if (!containsJapanese(cleaned)) return null;
-      return cleaned;
-    };
-
-    // Extract copy suggestions (flexible patterns for various model outputs)
-    const copyTexts = [];
-
-    // Try multiple patterns for headline (prioritize quoted Japanese text)
-    const headlinePatterns = [
-      /Headline:\s*["「『【]([^"」』】]+)["」』】]/i,
-      /Headline:\s*[""「『【]([^""」』】]+)[""」』】]/i,
-      /- Headline:\s*["「『【]([^"」』】]+)["」』】]/i,
-      /\*\*Headline\*\*:\s*["「『【]([^"」』】]+)["」』】]/i,
-    ];
-
-    // Try multiple patterns for subtext
-    const subtextPatterns = [
-      /Subtext:\s*["「『【]([^"」』】]+)["」』】]/i,
-      /Subtext:\s*[""「『【]([^""」』】]+)[""」』】]/i,
-      /- Subtext:\s*["「『【]([^"」』】]+)["」』】]/i,
-      /\*\*Subtext\*\*:\s*["「『【]([^"」』】]+)["」』】]/i,
-      /Sub-?headline:\s*["「『【]([^"」』】]+)["」』】]/i,
-    ];
-
-    // Try multiple patterns for CTA
-    const ctaPatterns = [
-      /CTA:\s*["「『【]([^"」』】]+)["」』】]/i,
-      /CTA:\s*[""「『【]([^""」』】]+)[""」』】]/i,
-      /- CTA:\s*["「『【]([^"」』】]+)["」』】]/i,
-      /\*\*CTA\*\*:\s*["「『【]([^"」』】]+)["」』】]/i,
-      /Call.?to.?Action:\s*["「『【]([^"」』】]+)["」』】]/i,
-    ];
-
-    // Extract headline
-    for (const pattern of headlinePatterns) {
-      const match = text.match(pattern);
-      if (match && match[1]) {
-        const cleaned = cleanAndValidate(match[1]);
-        if (cleaned) {
-          copyTexts.push(cleaned);
-          break;
-        }
-      }
-    }
-
-    // Extract subtext
-    for (const pattern of subtextPatterns) {
-      const match = text.match(pattern);
-      if (match && match[1]) {
-        const cleaned = cleanAndValidate(match[1]);
-        if (cleaned) {
-          copyTexts.push(cleaned);
-          break;
-        }
-      }
-    }
-
-    // Extract CTA
-    for (const pattern of ctaPatterns) {
-      const match = text.match(pattern);
-      if (match && match[1]) {
-        const cleaned = cleanAndValidate(match[1]);
-        if (cleaned) {
-          copyTexts.push(cleaned);
-          break;
-        }
-      }
-    }
-
-    // If no copy found, try to extract from Copy Suggestions section
-    if (copyTexts.length === 0) {
-      const copySectionMatch = text.match(/### Copy Suggestions[^:]*:?([\s\S]*?)(?=###|$)/i);
-      if (copySectionMatch) {
-        const lines = copySectionMatch[1].split('\n').filter(line => line.trim());
-        for (const line of lines) {
-          // Match quoted text in various formats
-          const quotedMatch = line.match(/["「『【]([^"」』】]+)["」』】]/);
-          if (quotedMatch) {
-            const cleaned = cleanAndValidate(quotedMatch[1]);
-            if (cleaned) {
-              copyTexts.push(cleaned);
-            }
-          }
-        }
-      }
-    }
-
-    // Final fallback: look for any Japanese text in quotes anywhere in the response
-    if (copyTexts.length === 0) {
-      const allQuotedJapanese = text.matchAll(/["「『【]([^"」』】]{5,})["」』】]/g);
-      for (const match of allQuotedJapanese) {
-        const cleaned = cleanAndValidate(match[1]);
-        if (cleaned && copyTexts.length < 3) {
-          copyTexts.push(cleaned);
-        }
-      }
-    }
+    const isManualCopy = copyMode === 'manual' && manualCopy;
+    const { layout, rawResponse } = await generateLayout(apiKey, model, SYSTEM_PROMPT, userPrompt, {
+      // Manual copy is supplied by the user, so don't reject the model's copy for it
+      requireJapaneseCopy: !isManualCopy,
+      forbiddenWords: isManualCopy ? [] : brandKit?.forbiddenWords || [],
+      palette: normalizePalette(palette),
+    });
 
-    console.log('Extracted copy texts:', copyTexts);
-    console.log('Copy texts contain Japanese:', copyTexts.map(t => containsJapanese(t)));
+    console.log('Extracted copy:', layout.copy);
 
     // Use manual copy if provided, otherwise use AI-generated copy
-    let finalCopyTexts = copyTexts;
-    if (copyMode === 'manual' && manualCopy) {
-      finalCopyTexts = [
-        manualCopy.headline,
-        manualCopy.subtext,
-        manualCopy.cta,
-      ].filter(text => text && text.trim() !== '');
-      console.log('Using manual copy:', finalCopyTexts);
+    let copy = layout.copy;
+    if (isManualCopy) {
+      copy = copyFromManual(manualCopy);
+      console.log('Using manual copy:', copy);
     }
 
-    // Extract image generation instructions
-    const imageInstructionsMatch = text.match(/### Image Generation Instructions[^:]*:?([\s\S]*?)(?=###|$)/i);
-    const imageInstructions = imageInstructionsMatch ? imageInstructionsMatch[1].trim() : '';
-
-    // Extract color & style recommendations
-    const colorStyleMatch = text.match(/### Color & Style Recommendations[^:]*:?([\s\S]*?)(?=###|$)/i);
-    const colorStyleRecommendations = colorStyleMatch ? colorStyleMatch[1].trim() : '';
-
-    console.log('Image instructions extracted:', imageInstructions?.substring(0, 100));
-
     return new Response(JSON.stringify({
-      ascii: ascii || text,
-      designNotes: designNotes || text,
-      copyText: finalCopyTexts,
-      rawResponse: text,
+      ...layout,
+      copy,
+      copyText: toCopyText(copy),
+      rawResponse,
       copyMode: copyMode,
-      imageInstructions: imageInstructions,
-      colorStyleRecommendations: colorStyleRecommendations,
     }), {
       headers: { 'Content-Type': 'application/json' }
     });
 
   } catch (error) {
     console.error('Error generating ASCII:', error);
-    return new Response(JSON.stringify({
-      error: error.message || 'Failed to generate ASCII layout'
-    }), {
-      status: 500,
-      headers: { 'Content-Type': 'application/json' }
-    });
+    return errorResponse(error, 'Failed to generate ASCII layout');
   }
 }
-
-function extractAsciiBlock(text) {
-  const lines = text.split('\n');
-  const asciiLines = [];
-  let inAsciiBlock = false;
-
-  for (const line of lines) {
-    if (line.includes('┌') || line.includes('┐') || line.includes('│') ||
-        line.includes('└') || line.includes('┘') || line.includes('[') ||
-        line.includes('===') || line.includes('---')) {
-      inAsciiBlock = true;
-    }
-
-    if (inAsciiBlock) {
-      asciiLines.push(line);
-    }
-
-    if (inAsciiBlock && line.trim() === '' && asciiLines.length > 5) {
-      break;
-    }
-  }
-
-  return asciiLines.join('\n');
-}
@@ -1,5 +1,11 @@
 // Generate Image Prompt from ASCII Layout (fetch-based for Cloudflare Workers)
 
+import { toBrandStyleGuide } from '../_lib/brandKits.js';
+import { generateText, errorResponse } from '../_lib/gemini.js';
+import { describeLogoArea, isLogoComposited } from '../_lib/logoPlacement.js';
+import { normalizePalette, toPaletteRequirement } from '../_lib/palette.js';
+import { isTextOverlay } from '../_lib/textOverlay.js';
+
 const SYSTEM_PROMPT = `You are an expert AI Image Prompt Engineer specializing in Adobe Firefly and Midjourney.
 
 Your goal is to convert ASCII art layouts and design descriptions into highly detailed, professional-grade image generation prompts in English.
@@ -31,42 +37,6 @@ Return a JSON object with these exact fields:
   "fullPrompt": "[Complete prompt in one paragraph for direct use with image generation AI]"
 }`;
 
-async function callGeminiAPI(apiKey, model, systemInstruction, userPrompt, jsonMode = false) {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-
-  const requestBody = {
-    systemInstruction: {
-      parts: [{ text: systemInstruction }]
-    },
-    contents: [{
-      parts: [{ text: userPrompt }]
-    }],
-    generationConfig: {
-      temperature: 0.7,
-    }
-  };
-
-  if (jsonMode) {
-    requestBody.generationConfig.responseMimeType = 'application/json';
-  }
-
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(requestBody)
-  });
-
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Gemini API error: ${error}`);
-  }
-
-  const data = await response.json();
-  return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-}
-
 export async function onRequestPost(context) {
   const { request, env } = context;
 
@@ -104,7 +74,11 @@ export async function onRequestPost(context) {
 - Design Goal: ${formData.designGoal}
 ${formData.vibe ? `- Brand Vibe: ${formData.vibe}` : ''}
 ${formData.targetAudience ? `- Target Audience: ${formData.targetAudience}` : ''}
-${formData.brandLogo ? `- Brand Logo: ${formData.brandLogo.name} (should be included in the design)` : ''}
+${formData.brandLogo && !isLogoComposited(formData) ? `- Brand Logo: ${formData.brandLogo.name} (should be included in the design)` : ''}
+${isLogoComposited(formData) ? `- Brand Logo: added afterwards from the original file. Do not describe or draw any logo; keep the area ${describeLogoArea(formData.logoPlacement)} calm and empty.` : ''}
+
+${toBrandStyleGuide(formData.brandKit)}
+${toPaletteRequirement(formData.palette)}
 
 ## ASCII Layout:
 \`\`\`
@@ -116,6 +90,7 @@ ${asciiResult.designNotes || 'N/A'}
 
 ## Suggested Copy Text:
 ${asciiResult.copyText?.join('\n') || 'N/A'}
+${isTextOverlay(formData) ? `(Added afterwards as text layers by the app. The image itself must contain NO text: keep the text areas of the layout calm and empty.)` : ''}
 
 ${imageInstructions ? `## Image Generation Instructions (from Layout Designer):
 ${imageInstructions}
@@ -130,12 +105,15 @@ Create a detailed, professional image generation prompt that:
 1. Follows the ASCII layout structure precisely
 2. Incorporates the design strategy and image generation instructions
 3. Maintains the specified brand vibe and design goals
-4. Includes specific instructions for text rendering with the suggested copy
+${isTextOverlay(formData)
+  ? '4. Asks for a completely text-free image with clean, readable space at the text positions of the layout'
+  : '4. Includes specific instructions for text rendering with the suggested copy'}
 5. Specifies materials, lighting, and atmosphere in physical, concrete terms
+${normalizePalette(formData.palette).length > 0 ? '6. Uses only the colors of the COLOR PALETTE, naming each by its hex code' : ''}
 
 Output as JSON with the required fields.`;
 
-    const text = await callGeminiAPI(apiKey, model, SYSTEM_PROMPT, userPrompt, true);
+    const text = await generateText(apiKey, model, SYSTEM_PROMPT, userPrompt, { jsonMode: true });
 
     let result;
     try {
@@ -158,11 +136,6 @@ Output as JSON with the required fields.`;
 
   } catch (error) {
     console.error('Error generating image prompt:', error);
-    return new Response(JSON.stringify({
-      error: error.message || 'Failed to generate image prompt'
-    }), {
-      status: 500,
-      headers: { 'Content-Type': 'application/json' }
-    });
+    return errorResponse(error, 'Failed to generate image prompt');
   }
 }
@@ -0,0 +1,51 @@
+// Generation Jobs API - List
+// Jobs are created by POST /api/generate-banner with `async: true`
+
+import { DEFAULT_JOB_PAGE_SIZE, MAX_JOB_PAGE_SIZE, listJobs } from '../_lib/jobs.js'
+
+/**
+ * GET /api/jobs - List recent generation jobs for a device, newest first
+ *
+ * Query: deviceId, cursor (opaque, from the previous page's nextCursor), limit
+ * Response: { jobs, nextCursor } (nextCursor is null on the last page)
+ */
+export async function onRequestGet(context) {
+  const { request, env, data } = context
+
+  try {
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    // Without R2 generation runs synchronously, so there are never any jobs
+    if (!env.PROJECTS_BUCKET) {
+      return new Response(JSON.stringify({ jobs: [], nextCursor: null }), {
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const url = new URL(request.url)
+    const { jobs, nextCursor } = await listJobs(env.PROJECTS_BUCKET, deviceId, {
+      cursor: url.searchParams.get('cursor'),
+      limit: Math.min(Number(url.searchParams.get('limit')) || DEFAULT_JOB_PAGE_SIZE, MAX_JOB_PAGE_SIZE),
+    })
+
+    return new Response(JSON.stringify({ jobs, nextCursor }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error listing jobs:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to list jobs'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
@@ -0,0 +1,101 @@
+// Generation Jobs API - Poll and dismiss a single job
+
+import { getJob, deleteJob } from '../../_lib/jobs.js'
+
+/**
+ * GET /api/jobs/:id - Get job status, with the result once it has succeeded
+ */
+export async function onRequestGet(context) {
+  const { env, data, params } = context
+
+  try {
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_BUCKET) {
+      return new Response(JSON.stringify({ error: 'R2 not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const job = await getJob(env.PROJECTS_BUCKET, deviceId, params.id)
+
+    if (!job) {
+      return new Response(JSON.stringify({ error: 'Job not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    return new Response(JSON.stringify({ job }), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+      }
+    })
+
+  } catch (error) {
+    console.error('Error getting job:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to get job'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
+
+/**
+ * DELETE /api/jobs/:id - Remove a job from the list
+ *
+ * A job still waiting in the queue is not run; one already running is not cancelled.
+ */
+export async function onRequestDelete(context) {
+  const { env, data, params } = context
+
+  try {
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_BUCKET) {
+      return new Response(JSON.stringify({ error: 'R2 not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const deleted = await deleteJob(env.PROJECTS_BUCKET, deviceId, params.id)
+    if (!deleted) {
+      return new Response(JSON.stringify({ error: 'Job not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    return new Response(JSON.stringify({ success: true }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error deleting job:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to delete job'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
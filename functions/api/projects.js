@@ -1,15 +1,41 @@
 // Project CRUD API - List and Create
 // Uses Cloudflare KV for storage
 
+import {
+  PROJECT_SORTS,
+  buildProjectFields,
+  decodeListCursor,
+  deleteProject,
+  encodeListCursor,
+  externalizeProjectImages,
+  isPurgeDue,
+  listProjectPage,
+  listProjectSummaries,
+  projectEtag,
+  putProject,
+  toProjectSummary,
+} from '../_lib/projects.js'
+
+const DEFAULT_PAGE_SIZE = 30
+const MAX_PAGE_SIZE = 100
+
 /**
- * GET /api/projects - List all projects for a device
+ * GET /api/projects - List projects for a device, one page at a time
+ *
+ * Query: deviceId, cursor (opaque, from the previous page's nextCursor), limit,
+ * sort (updated | created | name), q (matches name or product name),
+ * trash (true lists the trash instead of the active projects)
+ * Response: { projects, nextCursor, total }
+ * The default order without a search is paged from the project index, and its total
+ * is null; other orders and searches list every summary of the space.
+ * Trashed projects past their retention period are purged in the background.
  */
 export async function onRequestGet(context) {
-  const { request, env } = context
+  const { request, env, data } = context
 
   try {
     const url = new URL(request.url)
-    const deviceId = url.searchParams.get('deviceId')
+    const deviceId = data.spaceId
 
     if (!deviceId) {
       return new Response(JSON.stringify({ error: 'Device ID required' }), {
@@ -18,47 +44,67 @@ export async function onRequestGet(context) {
       })
     }
 
+    const sort = PROJECT_SORTS[url.searchParams.get('sort')] ? url.searchParams.get('sort') : 'updated'
+    const query = (url.searchParams.get('q') || '').trim().toLowerCase()
+    const limit = Math.min(Number(url.searchParams.get('limit')) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+    const cursor = url.searchParams.get('cursor')
+    const trash = url.searchParams.get('trash') === 'true'
+
     // Check if KV is configured
     if (!env.PROJECTS_KV) {
       return new Response(JSON.stringify({
         error: 'KV not configured',
-        projects: []
+        projects: [],
+        nextCursor: null,
+        total: 0
       }), {
         status: 200,
         headers: { 'Content-Type': 'application/json' }
       })
     }
 
-    // List all projects for this device
-    const prefix = `project:${deviceId}:`
-    const list = await env.PROJECTS_KV.list({ prefix })
-
-    // Fetch all project metadata (without images for faster loading)
-    const projects = await Promise.all(
-      list.keys.map(async (key) => {
-        const data = await env.PROJECTS_KV.get(key.name, 'json')
-        if (data) {
-          // Return metadata only (exclude large image data for list view)
-          return {
-            id: data.id,
-            name: data.name,
-            productName: data.productName,
-            createdAt: data.createdAt,
-            updatedAt: data.updatedAt,
-            imageCount: data.productImages?.length || 0,
-            hasLogo: !!data.brandLogoName,
-          }
-        }
-        return null
+    const now = Date.now()
+    const purge = (summaries) => {
+      const expired = summaries.filter(project => isPurgeDue(project, now))
+      if (expired.length > 0) {
+        context.waitUntil(Promise.all(expired.map(project =>
+          deleteProject(env.PROJECTS_KV, env.PROJECTS_BUCKET, deviceId, project)
+        )).catch(err => console.error('Failed to purge trashed projects:', err)))
+      }
+      return summaries.filter(project => !isPurgeDue(project, now))
+    }
+
+    if (sort === 'updated' && !query) {
+      const page = await listProjectPage(env.PROJECTS_KV, deviceId, { trash, cursor, limit })
+      return new Response(JSON.stringify({
+        projects: purge(page.projects),
+        nextCursor: page.nextCursor,
+        total: null,
+      }), {
+        headers: { 'Content-Type': 'application/json' }
       })
-    )
+    }
 
-    // Filter out nulls and sort by updatedAt descending
-    const validProjects = projects
-      .filter(Boolean)
-      .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+    // Summaries come from key metadata, so sorting and search need no record reads
+    const after = cursor ? decodeListCursor(cursor, sort) : null
+    const summaries = purge(await listProjectSummaries(env.PROJECTS_KV, deviceId))
 
-    return new Response(JSON.stringify({ projects: validProjects }), {
+    const matching = summaries
+      .filter(project => !!project.deletedAt === trash)
+      .filter(project => !query ||
+        project.name?.toLowerCase().includes(query) ||
+        project.productName?.toLowerCase().includes(query))
+      .sort(PROJECT_SORTS[sort])
+
+    // Resume after the last project of the previous page
+    const remaining = after ? matching.filter(project => PROJECT_SORTS[sort](project, after) > 0) : matching
+    const projects = remaining.slice(0, limit)
+
+    return new Response(JSON.stringify({
+      projects,
+      nextCursor: remaining.length > limit ? encodeListCursor(sort, projects[projects.length - 1]) : null,
+      total: matching.length,
+    }), {
       headers: { 'Content-Type': 'application/json' }
     })
 
@@ -67,7 +113,7 @@ export async function onRequestGet(context) {
     return new Response(JSON.stringify({
       error: error.message || 'Failed to list projects'
     }), {
-      status: 500,
+      status: error.status || 500,
       headers: { 'Content-Type': 'application/json' }
     })
   }
@@ -77,11 +123,12 @@ export async function onRequestGet(context) {
  * POST /api/projects - Create a new project
  */
 export async function onRequestPost(context) {
-  const { request, env } = context
+  const { request, env, data } = context
 
   try {
     const body = await request.json()
-    const { deviceId, project } = body
+    const { project } = body
+    const deviceId = data.spaceId
 
     if (!deviceId) {
       return new Response(JSON.stringify({ error: 'Device ID required' }), {
@@ -111,38 +158,24 @@ export async function onRequestPost(context) {
     const projectId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
     const now = Date.now()
 
-    const projectData = {
+    const { project: projectData } = await externalizeProjectImages(env.PROJECTS_BUCKET, deviceId, {
       id: projectId,
-      name: project.name,
-      productName: project.productName || '',
-      productDescription: project.productDescription || '',
-      targetAudience: project.targetAudience || '',
-      designGoal: project.designGoal || '商品販売',
-      vibe: project.vibe || '',
-      additionalNotes: project.additionalNotes || '',
-      brandLogoName: project.brandLogoName || null,
-      productImages: project.productImages || [],
+      ...buildProjectFields(project),
       createdAt: now,
       updatedAt: now,
-    }
+    })
 
     // Store in KV
-    const key = `project:${deviceId}:${projectId}`
-    await env.PROJECTS_KV.put(key, JSON.stringify(projectData))
+    await putProject(env.PROJECTS_KV, deviceId, projectData)
 
     return new Response(JSON.stringify({
       success: true,
-      project: {
-        id: projectData.id,
-        name: projectData.name,
-        productName: projectData.productName,
-        createdAt: projectData.createdAt,
-        updatedAt: projectData.updatedAt,
-        imageCount: projectData.productImages?.length || 0,
-        hasLogo: !!projectData.brandLogoName,
-      }
+      project: toProjectSummary(projectData)
     }), {
-      headers: { 'Content-Type': 'application/json' }
+      headers: {
+        'Content-Type': 'application/json',
+        'ETag': projectEtag(projectData),
+      }
     })
 
   } catch (error) {
@@ -1,15 +1,28 @@
 // Project CRUD API - Get, Update, Delete single project
 
+import {
+  buildProjectFields,
+  deleteProject,
+  externalizeProjectImages,
+  matchesEtag,
+  migrateProject,
+  nextUpdatedAt,
+  projectEtag,
+  projectKey,
+  putProject,
+  toProjectSummary,
+} from '../../_lib/projects.js'
+
 /**
  * GET /api/projects/:id - Get a single project with full data
+ * The ETag header identifies the revision; send it back as If-Match when updating.
  */
 export async function onRequestGet(context) {
-  const { request, env, params } = context
+  const { env, data, params } = context
 
   try {
     const projectId = params.id
-    const url = new URL(request.url)
-    const deviceId = url.searchParams.get('deviceId')
+    const deviceId = data.spaceId
 
     if (!deviceId) {
       return new Response(JSON.stringify({ error: 'Device ID required' }), {
@@ -25,18 +38,27 @@ export async function onRequestGet(context) {
       })
     }
 
-    const key = `project:${deviceId}:${projectId}`
-    const project = await env.PROJECTS_KV.get(key, 'json')
+    const stored = await env.PROJECTS_KV.get(projectKey(deviceId, projectId), 'json')
 
-    if (!project) {
+    if (!stored) {
       return new Response(JSON.stringify({ error: 'Project not found' }), {
         status: 404,
         headers: { 'Content-Type': 'application/json' }
       })
     }
 
+    // Upgrade old records in place so they only need migrating once
+    const { project: migratedProject, migrated } = migrateProject(stored)
+    const { project, changed } = await externalizeProjectImages(env.PROJECTS_BUCKET, deviceId, migratedProject)
+    if (migrated || changed) {
+      await putProject(env.PROJECTS_KV, deviceId, project, stored)
+    }
+
     return new Response(JSON.stringify({ project }), {
-      headers: { 'Content-Type': 'application/json' }
+      headers: {
+        'Content-Type': 'application/json',
+        'ETag': projectEtag(project),
+      }
     })
 
   } catch (error) {
@@ -52,14 +74,18 @@ export async function onRequestGet(context) {
 
 /**
  * PUT /api/projects/:id - Update a project
+ * With an If-Match header, the update is rejected with 409 when the project has been
+ * saved elsewhere since that revision. The 409 body has the current project
+ * ({ error, code: 'conflict', project }) so the client can resolve the conflict.
  */
 export async function onRequestPut(context) {
-  const { request, env, params } = context
+  const { request, env, data, params } = context
 
   try {
     const projectId = params.id
     const body = await request.json()
-    const { deviceId, project } = body
+    const { project } = body
+    const deviceId = data.spaceId
 
     if (!deviceId) {
       return new Response(JSON.stringify({ error: 'Device ID required' }), {
@@ -75,46 +101,48 @@ export async function onRequestPut(context) {
       })
     }
 
-    const key = `project:${deviceId}:${projectId}`
-    const existingProject = await env.PROJECTS_KV.get(key, 'json')
+    const stored = await env.PROJECTS_KV.get(projectKey(deviceId, projectId), 'json')
 
-    if (!existingProject) {
+    if (!stored) {
       return new Response(JSON.stringify({ error: 'Project not found' }), {
         status: 404,
         headers: { 'Content-Type': 'application/json' }
       })
     }
 
-    // Merge updates with existing data
-    const updatedProject = {
-      ...existingProject,
-      name: project.name ?? existingProject.name,
-      productName: project.productName ?? existingProject.productName,
-      productDescription: project.productDescription ?? existingProject.productDescription,
-      targetAudience: project.targetAudience ?? existingProject.targetAudience,
-      designGoal: project.designGoal ?? existingProject.designGoal,
-      vibe: project.vibe ?? existingProject.vibe,
-      additionalNotes: project.additionalNotes ?? existingProject.additionalNotes,
-      brandLogoName: project.brandLogoName !== undefined ? project.brandLogoName : existingProject.brandLogoName,
-      productImages: project.productImages ?? existingProject.productImages,
-      updatedAt: Date.now(),
+    // Merge updates with existing data (migrated to the current schema first)
+    const existingProject = migrateProject(stored).project
+
+    if (!matchesEtag(request.headers.get('If-Match'), existingProject)) {
+      return new Response(JSON.stringify({
+        error: 'Project has been modified',
+        code: 'conflict',
+        project: existingProject
+      }), {
+        status: 409,
+        headers: {
+          'Content-Type': 'application/json',
+          'ETag': projectEtag(existingProject),
+        }
+      })
     }
 
-    await env.PROJECTS_KV.put(key, JSON.stringify(updatedProject))
+    const { project: updatedProject } = await externalizeProjectImages(env.PROJECTS_BUCKET, deviceId, {
+      ...existingProject,
+      ...buildProjectFields(project || {}, existingProject),
+      updatedAt: nextUpdatedAt(existingProject),
+    })
+
+    await putProject(env.PROJECTS_KV, deviceId, updatedProject, stored)
 
     return new Response(JSON.stringify({
       success: true,
-      project: {
-        id: updatedProject.id,
-        name: updatedProject.name,
-        productName: updatedProject.productName,
-        createdAt: updatedProject.createdAt,
-        updatedAt: updatedProject.updatedAt,
-        imageCount: updatedProject.productImages?.length || 0,
-        hasLogo: !!updatedProject.brandLogoName,
-      }
+      project: toProjectSummary(updatedProject)
     }), {
-      headers: { 'Content-Type': 'application/json' }
+      headers: {
+        'Content-Type': 'application/json',
+        'ETag': projectEtag(updatedProject),
+      }
     })
 
   } catch (error) {
@@ -129,15 +157,17 @@ export async function onRequestPut(context) {
 }
 
 /**
- * DELETE /api/projects/:id - Delete a project
+ * DELETE /api/projects/:id - Move a project to the trash
+ * With permanent=true (or for a project already in the trash), the project and
+ * its history are deleted permanently.
  */
 export async function onRequestDelete(context) {
-  const { request, env, params } = context
+  const { request, env, data, params } = context
 
   try {
     const projectId = params.id
     const url = new URL(request.url)
-    const deviceId = url.searchParams.get('deviceId')
+    const deviceId = data.spaceId
 
     if (!deviceId) {
       return new Response(JSON.stringify({ error: 'Device ID required' }), {
@@ -153,20 +183,32 @@ export async function onRequestDelete(context) {
       })
     }
 
-    const key = `project:${deviceId}:${projectId}`
-
     // Check if project exists
-    const existingProject = await env.PROJECTS_KV.get(key, 'json')
-    if (!existingProject) {
+    const stored = await env.PROJECTS_KV.get(projectKey(deviceId, projectId), 'json')
+    if (!stored) {
       return new Response(JSON.stringify({ error: 'Project not found' }), {
         status: 404,
         headers: { 'Content-Type': 'application/json' }
       })
     }
 
-    await env.PROJECTS_KV.delete(key)
+    if (url.searchParams.get('permanent') === 'true' || stored.deletedAt) {
+      await deleteProject(env.PROJECTS_KV, env.PROJECTS_BUCKET, deviceId, stored)
 
-    return new Response(JSON.stringify({ success: true }), {
+      return new Response(JSON.stringify({ success: true, permanent: true }), {
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const existingProject = migrateProject(stored).project
+    const trashedProject = { ...existingProject, deletedAt: Date.now(), updatedAt: nextUpdatedAt(existingProject) }
+    await putProject(env.PROJECTS_KV, deviceId, trashedProject, stored)
+
+    return new Response(JSON.stringify({
+      success: true,
+      permanent: false,
+      project: toProjectSummary(trashedProject)
+    }), {
       headers: { 'Content-Type': 'application/json' }
     })
 
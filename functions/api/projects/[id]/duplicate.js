@@ -0,0 +1,76 @@
+// Project Duplicate API - Copy a project, optionally as a template
+
+import {
+  duplicateProject,
+  migrateProject,
+  projectEtag,
+  projectKey,
+  putProject,
+  toProjectSummary,
+} from '../../../_lib/projects.js'
+
+/**
+ * POST /api/projects/:id/duplicate - Create a copy of a project
+ *
+ * Query: deviceId
+ * Body: { asTemplate, name }
+ * A template copy keeps the platform, design settings, copy mode, logo and models,
+ * and leaves the product name, description, target audience, images and manual copy empty.
+ * Response: { success, project } (summary of the new project)
+ */
+export async function onRequestPost(context) {
+  const { request, env, data, params } = context
+
+  try {
+    const body = await request.json()
+    const { asTemplate = false, name } = body
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const stored = await env.PROJECTS_KV.get(projectKey(deviceId, params.id), 'json')
+    if (!stored) {
+      return new Response(JSON.stringify({ error: 'Project not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const copy = duplicateProject(migrateProject(stored).project, {
+      asTemplate: !!asTemplate,
+      name: typeof name === 'string' ? name.trim() : '',
+    })
+    await putProject(env.PROJECTS_KV, deviceId, copy)
+
+    return new Response(JSON.stringify({
+      success: true,
+      project: toProjectSummary(copy)
+    }), {
+      headers: {
+        'Content-Type': 'application/json',
+        'ETag': projectEtag(copy),
+      }
+    })
+
+  } catch (error) {
+    console.error('Error duplicating project:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to duplicate project'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
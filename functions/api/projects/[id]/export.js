@@ -0,0 +1,59 @@
+// Project Export API - Download a project as a single bundle file
+
+import { exportProjectBundle } from '../../../_lib/bundle.js'
+
+/**
+ * GET /api/projects/:id/export - Export a project
+ *
+ * Query: deviceId
+ * Response: bundle JSON (see _lib/bundle.js) as a file download, streamed as it is read
+ */
+export async function onRequestGet(context) {
+  const { env, data, params } = context
+
+  try {
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const bundle = await exportProjectBundle(env.PROJECTS_KV, env.PROJECTS_BUCKET, deviceId, params.id)
+
+    if (!bundle) {
+      return new Response(JSON.stringify({ error: 'Project not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const fileName = `${bundle.project.name || 'project'}.sbproject.json`
+
+    return new Response(bundle.body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Disposition': `attachment; filename="project.sbproject.json"; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+        'Cache-Control': 'no-store',
+      }
+    })
+
+  } catch (error) {
+    console.error('Error exporting project:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to export project'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
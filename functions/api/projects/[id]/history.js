@@ -0,0 +1,118 @@
+// Project History API - List and add versions
+// Versions are stored in R2 (PROJECTS_BUCKET), see functions/_lib/history.js
+
+import { HISTORY_STEPS, listVersions, putVersion } from '../../../_lib/history.js'
+import { projectKey } from '../../../_lib/projects.js'
+
+/**
+ * GET /api/projects/:id/history - List the version timeline of a project
+ */
+export async function onRequestGet(context) {
+  const { env, data, params } = context
+
+  try {
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    // History is optional; without a bucket the timeline is just empty
+    if (!env.PROJECTS_BUCKET) {
+      return new Response(JSON.stringify({
+        error: 'R2 not configured',
+        versions: []
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const versions = await listVersions(env.PROJECTS_BUCKET, deviceId, params.id)
+
+    return new Response(JSON.stringify({ versions }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error listing project history:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to list project history'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
+
+/**
+ * POST /api/projects/:id/history - Add a version (layout, prompt or banner step)
+ *
+ * Body: { version: { step, label, snapshot, asciiImage, candidates, createdAt } }
+ * createdAt is only sent when importing a bundle, to keep the original time.
+ */
+export async function onRequestPost(context) {
+  const { request, env, data, params } = context
+
+  try {
+    const body = await request.json()
+    const { version } = body
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!version || !HISTORY_STEPS.includes(version.step) || !version.snapshot) {
+      return new Response(JSON.stringify({ error: 'Version step and snapshot required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV || !env.PROJECTS_BUCKET) {
+      return new Response(JSON.stringify({
+        error: 'Storage not configured. Please set up the KV and R2 bindings.'
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const project = await env.PROJECTS_KV.get(projectKey(deviceId, params.id), 'json')
+    if (!project) {
+      return new Response(JSON.stringify({ error: 'Project not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const summary = await putVersion(env.PROJECTS_BUCKET, deviceId, params.id, {
+      step: version.step,
+      label: version.label || '',
+      ...(Number(version.createdAt) > 0 && { createdAt: Math.min(Number(version.createdAt), Date.now()) }),
+      snapshot: version.snapshot,
+      asciiImage: version.asciiImage || null,
+      candidates: (version.candidates || []).filter(c => c.imageData),
+    })
+
+    return new Response(JSON.stringify({ success: true, version: summary }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error saving project version:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to save project version'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
@@ -0,0 +1,50 @@
+// Project History API - Get a single version
+
+import { getVersion } from '../../../../_lib/history.js'
+
+/**
+ * GET /api/projects/:id/history/:versionId - Get a version with its images
+ */
+export async function onRequestGet(context) {
+  const { env, data, params } = context
+
+  try {
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_BUCKET) {
+      return new Response(JSON.stringify({ error: 'R2 not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const version = await getVersion(env.PROJECTS_BUCKET, deviceId, params.id, params.versionId)
+
+    if (!version) {
+      return new Response(JSON.stringify({ error: 'Version not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    return new Response(JSON.stringify({ version }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error getting project version:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to get project version'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
@@ -0,0 +1,83 @@
+// Project Restore API - Take a project out of the trash
+
+import {
+  deleteProject,
+  isPurgeDue,
+  migrateProject,
+  nextUpdatedAt,
+  projectKey,
+  projectEtag,
+  putProject,
+  toProjectSummary,
+} from '../../../_lib/projects.js'
+
+/**
+ * POST /api/projects/:id/restore - Restore a trashed project
+ *
+ * Query: deviceId
+ * Response: { success, project } (summary of the restored project)
+ * Projects past their retention period are purged instead (410).
+ * Restoring is a new revision, so If-Match values from before the trash no longer match.
+ */
+export async function onRequestPost(context) {
+  const { env, data, params } = context
+
+  try {
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const stored = await env.PROJECTS_KV.get(projectKey(deviceId, params.id), 'json')
+    if (!stored) {
+      return new Response(JSON.stringify({ error: 'Project not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    // The list purges lazily, so an expired project may still be stored
+    if (isPurgeDue(stored)) {
+      await deleteProject(env.PROJECTS_KV, env.PROJECTS_BUCKET, deviceId, stored)
+      return new Response(JSON.stringify({ error: 'Project has been purged from the trash' }), {
+        status: 410,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const existing = migrateProject(stored).project
+    const restored = { ...existing, updatedAt: nextUpdatedAt(existing) }
+    delete restored.deletedAt
+    await putProject(env.PROJECTS_KV, deviceId, restored, stored)
+
+    return new Response(JSON.stringify({
+      success: true,
+      project: toProjectSummary(restored)
+    }), {
+      headers: {
+        'Content-Type': 'application/json',
+        'ETag': projectEtag(restored),
+      }
+    })
+
+  } catch (error) {
+    console.error('Error restoring project:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to restore project'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
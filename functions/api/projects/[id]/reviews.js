@@ -0,0 +1,56 @@
+// Project Reviews API - Review status of every version
+
+import { migrateProject, projectKey } from '../../../_lib/projects.js'
+import { listReviewSummaries } from '../../../_lib/reviews.js'
+
+/**
+ * GET /api/projects/:id/reviews - Status and comment count per version
+ *
+ * Query: deviceId
+ * Versions that have never been reviewed are left out (they are drafts).
+ * Response: { reviews: { [versionId]: { status, statusUpdatedAt, commentCount } } }
+ */
+export async function onRequestGet(context) {
+  const { env, data, params } = context
+
+  try {
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured', reviews: {} }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const stored = await env.PROJECTS_KV.get(projectKey(deviceId, params.id), 'json')
+    if (!stored) {
+      return new Response(JSON.stringify({ error: 'Project not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    return new Response(JSON.stringify({
+      reviews: await listReviewSummaries(env.PROJECTS_KV, deviceId, migrateProject(stored).project)
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error listing reviews:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to list reviews'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
@@ -0,0 +1,117 @@
+// Project Reviews API - Review of a single version
+
+import { migrateProject, projectKey } from '../../../../_lib/projects.js'
+import { getVersionReview, putVersionReview, setReviewStatus, toReviewAuthor } from '../../../../_lib/reviews.js'
+
+/**
+ * GET /api/projects/:id/reviews/:versionId - Status and comments of a version
+ *
+ * Query: deviceId
+ * Response: { review: { status, statusUpdatedAt, statusUpdatedBy, comments } }
+ */
+export async function onRequestGet(context) {
+  const { env, data, params } = context
+
+  try {
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const stored = await env.PROJECTS_KV.get(projectKey(deviceId, params.id), 'json')
+    if (!stored) {
+      return new Response(JSON.stringify({ error: 'Project not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    return new Response(JSON.stringify({
+      review: await getVersionReview(env.PROJECTS_KV, deviceId, migrateProject(stored).project, params.versionId)
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error getting review:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to get review'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
+
+/**
+ * PUT /api/projects/:id/reviews/:versionId - Set the status of a version
+ *
+ * Query: deviceId
+ * Body: { status, author }
+ * status is draft, in_review, approved or rejected. author is the name recorded
+ * with the change when nobody is signed in.
+ * Response: { review }
+ */
+export async function onRequestPut(context) {
+  const { request, env, data, params } = context
+
+  try {
+    const body = await request.json()
+    const { status, author } = body
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const stored = await env.PROJECTS_KV.get(projectKey(deviceId, params.id), 'json')
+    const existing = stored && migrateProject(stored).project
+    if (!existing || existing.deletedAt) {
+      return new Response(JSON.stringify({ error: 'Project not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const review = setReviewStatus(
+      await getVersionReview(env.PROJECTS_KV, deviceId, existing, params.versionId),
+      status,
+      toReviewAuthor(data.user, author)
+    )
+    await putVersionReview(env.PROJECTS_KV, deviceId, existing, params.versionId, review)
+
+    return new Response(JSON.stringify({ review }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error updating review status:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to update review status'
+    }), {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
@@ -0,0 +1,67 @@
+// Project Reviews API - Comments on a version
+
+import { migrateProject, projectKey } from '../../../../../_lib/projects.js'
+import { addReviewComment, getVersionReview, putVersionReview, toReviewAuthor } from '../../../../../_lib/reviews.js'
+
+/**
+ * POST /api/projects/:id/reviews/:versionId/comments - Comment on a version
+ *
+ * Query: deviceId
+ * Body: { text, x, y, candidateIndex, parentId, author }
+ * New threads are pinned at x / y (0-1, relative to the banner candidate
+ * candidateIndex); replies give the parentId of the thread instead.
+ * Response: { comment, review }
+ */
+export async function onRequestPost(context) {
+  const { request, env, data, params } = context
+
+  try {
+    const body = await request.json()
+    const { author, ...input } = body
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const stored = await env.PROJECTS_KV.get(projectKey(deviceId, params.id), 'json')
+    const existing = stored && migrateProject(stored).project
+    if (!existing || existing.deletedAt) {
+      return new Response(JSON.stringify({ error: 'Project not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const { review, comment } = addReviewComment(
+      await getVersionReview(env.PROJECTS_KV, deviceId, existing, params.versionId),
+      input,
+      toReviewAuthor(data.user, author)
+    )
+    await putVersionReview(env.PROJECTS_KV, deviceId, existing, params.versionId, review)
+
+    return new Response(JSON.stringify({ comment, review }), {
+      status: 201,
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error adding review comment:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to add comment'
+    }), {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
@@ -0,0 +1,61 @@
+// Project Reviews API - Delete a comment
+
+import { migrateProject, projectKey } from '../../../../../../_lib/projects.js'
+import { deleteReviewComment, getVersionReview, putVersionReview } from '../../../../../../_lib/reviews.js'
+
+/**
+ * DELETE /api/projects/:id/reviews/:versionId/comments/:commentId - Delete a comment
+ *
+ * Query: deviceId
+ * Deleting the first comment of a thread deletes its replies.
+ * Response: { review }
+ */
+export async function onRequestDelete(context) {
+  const { env, data, params } = context
+
+  try {
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const stored = await env.PROJECTS_KV.get(projectKey(deviceId, params.id), 'json')
+    if (!stored) {
+      return new Response(JSON.stringify({ error: 'Project not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const { project } = migrateProject(stored)
+    const review = deleteReviewComment(
+      await getVersionReview(env.PROJECTS_KV, deviceId, project, params.versionId),
+      params.commentId
+    )
+    await putVersionReview(env.PROJECTS_KV, deviceId, project, params.versionId, review)
+
+    return new Response(JSON.stringify({ review }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error deleting review comment:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to delete comment'
+    }), {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
@@ -0,0 +1,104 @@
+// Project Shares API - Read-only share links
+
+import { migrateProject, projectKey } from '../../../_lib/projects.js'
+import { createShare, listShares } from '../../../_lib/shares.js'
+
+/**
+ * GET /api/projects/:id/shares - Active share links of a project
+ *
+ * Query: deviceId
+ * Response: { shares: [{ id, projectId, versionId, createdAt, expiresAt, token }] }
+ */
+export async function onRequestGet(context) {
+  const { env, data, params } = context
+
+  try {
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured', shares: [] }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    return new Response(JSON.stringify({
+      shares: await listShares(env, deviceId, params.id)
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error listing share links:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to list share links'
+    }), {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
+
+/**
+ * POST /api/projects/:id/shares - Create a share link
+ *
+ * Query: deviceId
+ * Body: { versionId, expiresInDays }
+ * Without versionId the link always shows the project's latest banners.
+ * expiresInDays is 1, 7 or 30 (default 7).
+ * Response: { share }
+ */
+export async function onRequestPost(context) {
+  const { request, env, data, params } = context
+
+  try {
+    const body = await request.json()
+    const { versionId = null, expiresInDays } = body
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const stored = await env.PROJECTS_KV.get(projectKey(deviceId, params.id), 'json')
+    if (!stored || migrateProject(stored).project.deletedAt) {
+      return new Response(JSON.stringify({ error: 'Project not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const share = await createShare(env, deviceId, params.id, { versionId, expiresInDays })
+
+    return new Response(JSON.stringify({ share }), {
+      status: 201,
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error creating share link:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to create share link'
+    }), {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
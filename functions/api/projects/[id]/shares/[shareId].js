@@ -0,0 +1,52 @@
+// Project Shares API - Revoke a share link
+
+import { revokeShare } from '../../../../_lib/shares.js'
+
+/**
+ * DELETE /api/projects/:id/shares/:shareId - Revoke a share link
+ *
+ * Query: deviceId
+ * The link stops working immediately.
+ */
+export async function onRequestDelete(context) {
+  const { env, data, params } = context
+
+  try {
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const revoked = await revokeShare(env.PROJECTS_KV, deviceId, params.id, params.shareId)
+    if (!revoked) {
+      return new Response(JSON.stringify({ error: 'Share link not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    return new Response(JSON.stringify({ success: true }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error revoking share link:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to revoke share link'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
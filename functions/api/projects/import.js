@@ -0,0 +1,80 @@
+// Project Import API - Recreate the project of an export bundle
+
+import { findImportedProject, importProjectBundle, validateBundle } from '../../_lib/bundle.js'
+import { listProjectSummaries, projectEtag, toProjectSummary } from '../../_lib/projects.js'
+
+/**
+ * POST /api/projects/import - Import the project of a bundle
+ *
+ * Query: deviceId
+ * Body: { bundle: { manifest, project, brandKit }, allowDuplicate }
+ * The bundle's assets are uploaded to /api/assets first, and the project and brand
+ * kit refer to the stored assets. Its history is added afterwards, one version per
+ * request to /api/projects/:id/history (see _lib/bundle.js).
+ * The project is created with a new ID. If the bundle was already imported (or is
+ * a backup of a project that still exists), 409 { code: 'duplicate', project } is
+ * returned unless allowDuplicate is set.
+ * Response: { success, project, brandKitImported, canImportHistory }
+ */
+export async function onRequestPost(context) {
+  const { request, env, data } = context
+
+  try {
+    const body = await request.json()
+    const { bundle, allowDuplicate = false } = body
+    const deviceId = data.spaceId
+
+    if (!deviceId) {
+      return new Response(JSON.stringify({ error: 'Device ID required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    validateBundle(bundle)
+
+    if (!allowDuplicate) {
+      const existing = findImportedProject(await listProjectSummaries(env.PROJECTS_KV, deviceId), bundle)
+      if (existing) {
+        return new Response(JSON.stringify({
+          error: 'Project already imported',
+          code: 'duplicate',
+          project: existing
+        }), {
+          status: 409,
+          headers: { 'Content-Type': 'application/json' }
+        })
+      }
+    }
+
+    const result = await importProjectBundle(env.PROJECTS_KV, env.PROJECTS_BUCKET, deviceId, bundle)
+
+    return new Response(JSON.stringify({
+      success: true,
+      project: toProjectSummary(result.project),
+      brandKitImported: result.brandKitImported,
+      canImportHistory: !!env.PROJECTS_BUCKET
+    }), {
+      headers: {
+        'Content-Type': 'application/json',
+        'ETag': projectEtag(result.project),
+      }
+    })
+
+  } catch (error) {
+    console.error('Error importing project:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to import project'
+    }), {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
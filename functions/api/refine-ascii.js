@@ -1,5 +1,11 @@
 // Refine ASCII Layout with user feedback (fetch-based for Cloudflare Workers)
 
+import { toBrandGuidelines } from '../_lib/brandKits.js';
+import { errorResponse } from '../_lib/gemini.js';
+import { generateLayout, mergeLayout, pickLayout, copyFromManual, toCopyText, LAYOUT_OUTPUT_FORMAT } from '../_lib/layout.js';
+import { getRefinementTurns, buildRefinementMessages } from '../_lib/conversation.js';
+import { normalizePalette, toPaletteInstruction } from '../_lib/palette.js';
+
 const SYSTEM_PROMPT = `Act as a world-class EC marketer and top 1% professional web designer in Japan.
 
 You are refining an existing ASCII banner layout based on user feedback.
@@ -8,50 +14,12 @@ You are refining an existing ASCII banner layout based on user feedback.
 1. Maintain the same platform and aspect ratio
 2. Apply the user's modifications while preserving good design principles
 3. Keep conversion optimization in mind
-4. Output the refined layout in the same format as the original
+4. Output the refined layout in the same JSON structure as the original
+5. For any section the feedback does not affect, return an empty string (or an empty array for elements and copy.extra) - the previous value will be kept
+6. designNotes must explain what changes were made and why
 
 ## Output Format:
-\`\`\`ascii
-[Your refined ASCII layout here]
-\`\`\`
-
-### Design Notes:
-[Explain what changes were made and why]
-
-### Copy Suggestions:
-- Headline: "[Suggested headline]"
-- Subtext: "[Suggested subtext]"
-- CTA: "[Suggested CTA text]"`;
-
-async function callGeminiAPI(apiKey, model, systemInstruction, userPrompt) {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      systemInstruction: {
-        parts: [{ text: systemInstruction }]
-      },
-      contents: [{
-        parts: [{ text: userPrompt }]
-      }],
-      generationConfig: {
-        temperature: 0.7,
-      }
-    })
-  });
-
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Gemini API error: ${error}`);
-  }
-
-  const data = await response.json();
-  return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-}
+${LAYOUT_OUTPUT_FORMAT}`;
 
 export async function onRequestPost(context) {
   const { request, env } = context;
@@ -61,6 +29,7 @@ export async function onRequestPost(context) {
     const {
       formData,
       previousAscii,
+      history, // Refinement thread: [{ feedback, result }], oldest first
       feedback,
       model = 'gemini-2.0-flash'
     } = body;
@@ -73,64 +42,79 @@ export async function onRequestPost(context) {
       });
     }
 
-    const userPrompt = `Refine the following ASCII banner layout based on user feedback.
+    const turns = getRefinementTurns(history, previousAscii);
+    if (turns.length === 0) {
+      return new Response(JSON.stringify({ error: 'Previous layout required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    const previousResult = turns[turns.length - 1].result;
+    const previousLayout = pickLayout(previousResult);
+
+    // Respect manual copy mode from the original generation
+    const copyMode = previousResult.copyMode || formData.copyMode || 'ai';
+    const manualCopy = copyMode === 'manual' ? formData.manualCopy : null;
+    const isManualCopy = copyMode === 'manual' && manualCopy;
+
+    const copyInstruction = isManualCopy ? `
+**User-specified Copy (must be used exactly, do not suggest alternatives):**
+${[
+  manualCopy.headline ? `- Headline: "${manualCopy.headline}"` : '',
+  manualCopy.subtext ? `- Subtext: "${manualCopy.subtext}"` : '',
+  manualCopy.cta ? `- CTA: "${manualCopy.cta}"` : '',
+].filter(t => t).join('\n')}
+` : '';
+
+    const contextPrompt = `Design an ASCII banner layout for the following context.
 
 **Original Context:**
 - Platform: ${formData.platformDetails?.name || formData.platform}
+- Aspect Ratio: ${formData.platformDetails?.ratio || ''}
 - Product: ${formData.productName}
 - Design Goal: ${formData.designGoal}
+${copyInstruction}
+${toBrandGuidelines(formData.brandKit)}
+${toPaletteInstruction(formData.palette)}`;
 
-**Current ASCII Layout:**
-\`\`\`
-${previousAscii.ascii}
-\`\`\`
-
-**Current Design Notes:**
-${previousAscii.designNotes || 'No notes available'}
-
-**User Feedback / Modification Request:**
+    const finalPrompt = `**User Feedback / Modification Request:**
 ${feedback}
 
-Please create a refined ASCII layout that addresses the user's feedback while maintaining good conversion design principles.`;
-
-    const text = await callGeminiAPI(apiKey, model, SYSTEM_PROMPT, userPrompt);
+Refine the current layout (your last reply) to address this feedback while keeping the instructions from earlier feedback in this conversation, unless this feedback overrides them. Maintain good conversion design principles. Return empty values for sections that do not need to change.`;
 
-    // Parse ASCII and notes from response
-    const asciiMatch = text.match(/```ascii\n([\s\S]*?)```/) || text.match(/```\n([\s\S]*?)```/);
-    const ascii = asciiMatch ? asciiMatch[1].trim() : text;
+    const messages = buildRefinementMessages(
+      contextPrompt,
+      turns,
+      finalPrompt,
+      (result) => JSON.stringify(pickLayout(result), null, 2)
+    );
 
-    // Extract design notes
-    const notesMatch = text.match(/### Design Notes:([\s\S]*?)(?=###|$)/);
-    const designNotes = notesMatch ? notesMatch[1].trim() : '';
-
-    // Extract copy suggestions
-    const copyTexts = [];
-    const headlineMatch = text.match(/Headline:\s*"([^"]+)"/);
-    const subtextMatch = text.match(/Subtext:\s*"([^"]+)"/);
-    const ctaMatch = text.match(/CTA:\s*"([^"]+)"/);
+    const { layout, rawResponse } = await generateLayout(apiKey, model, SYSTEM_PROMPT, messages, {
+      requireJapaneseCopy: !isManualCopy,
+      partial: true,
+      forbiddenWords: isManualCopy ? [] : formData.brandKit?.forbiddenWords || [],
+      palette: normalizePalette(formData.palette),
+    });
 
-    if (headlineMatch) copyTexts.push(headlineMatch[1]);
-    if (subtextMatch) copyTexts.push(subtextMatch[1]);
-    if (ctaMatch) copyTexts.push(ctaMatch[1]);
+    const merged = mergeLayout(previousLayout, layout);
 
-    const finalCopyTexts = copyTexts.length > 0 ? copyTexts : previousAscii.copyText || [];
+    let copy = merged.copy;
+    if (isManualCopy) {
+      copy = copyFromManual(manualCopy);
+    }
 
     return new Response(JSON.stringify({
-      ascii: ascii,
-      designNotes: designNotes || text,
-      copyText: finalCopyTexts,
-      rawResponse: text,
+      ...merged,
+      copy,
+      copyText: toCopyText(copy),
+      rawResponse,
+      copyMode,
     }), {
       headers: { 'Content-Type': 'application/json' }
     });
 
   } catch (error) {
     console.error('Error refining ASCII:', error);
-    return new Response(JSON.stringify({
-      error: error.message || 'Failed to refine ASCII layout'
-    }), {
-      status: 500,
-      headers: { 'Content-Type': 'application/json' }
-    });
+    return errorResponse(error, 'Failed to refine ASCII layout');
   }
 }
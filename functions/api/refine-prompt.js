@@ -1,5 +1,10 @@
 // Refine Image Prompt with user feedback (fetch-based for Cloudflare Workers)
 
+import { toBrandStyleGuide } from '../_lib/brandKits.js';
+import { generateText, errorResponse } from '../_lib/gemini.js';
+import { toPaletteRequirement } from '../_lib/palette.js';
+import { getRefinementTurns, buildRefinementMessages } from '../_lib/conversation.js';
+
 const SYSTEM_PROMPT = `You are an expert AI Image Prompt Engineer specializing in Adobe Firefly and Midjourney.
 
 You are refining an existing image generation prompt based on user feedback.
@@ -21,42 +26,6 @@ Return a JSON object with these exact fields:
   "fullPrompt": "..."
 }`;
 
-async function callGeminiAPI(apiKey, model, systemInstruction, userPrompt, jsonMode = false) {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-
-  const requestBody = {
-    systemInstruction: {
-      parts: [{ text: systemInstruction }]
-    },
-    contents: [{
-      parts: [{ text: userPrompt }]
-    }],
-    generationConfig: {
-      temperature: 0.7,
-    }
-  };
-
-  if (jsonMode) {
-    requestBody.generationConfig.responseMimeType = 'application/json';
-  }
-
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(requestBody)
-  });
-
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Gemini API error: ${error}`);
-  }
-
-  const data = await response.json();
-  return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-}
-
 export async function onRequestPost(context) {
   const { request, env } = context;
 
@@ -66,6 +35,7 @@ export async function onRequestPost(context) {
       formData,
       asciiResult,
       previousPrompt,
+      history, // Refinement thread: [{ feedback, result }], oldest first
       feedback,
       model = 'gemini-2.0-flash'
     } = body;
@@ -78,29 +48,51 @@ export async function onRequestPost(context) {
       });
     }
 
-    const userPrompt = `Refine the following image generation prompt based on user feedback.
+    const turns = getRefinementTurns(history, previousPrompt);
+    if (turns.length === 0) {
+      return new Response(JSON.stringify({ error: 'Previous prompt required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    const currentPrompt = turns[turns.length - 1].result;
+
+    const contextPrompt = `Create an image generation prompt for the following banner.
 
 **Original Context:**
 - Platform: ${formData.platformDetails?.name || formData.platform}
 - Product: ${formData.productName}
 - Aspect Ratio: ${formData.platformDetails?.ratio}
-
-**Current Prompt:**
-${JSON.stringify(previousPrompt, null, 2)}
-
-**User Feedback / Modification Request:**
+${toBrandStyleGuide(formData.brandKit)}
+${toPaletteRequirement(formData.palette)}
+${asciiResult?.ascii ? `
+**ASCII Layout:**
+\`\`\`
+${asciiResult.ascii}
+\`\`\`
+` : ''}
+Output as JSON.`;
+
+    const finalPrompt = `**User Feedback / Modification Request:**
 ${feedback}
 
-Please create a refined image generation prompt that addresses the user's feedback. Output as JSON.`;
+Please create a refined image generation prompt based on the current prompt (your last reply) that addresses this feedback, while keeping the changes requested earlier in this conversation unless this feedback overrides them. Output as JSON.`;
+
+    const messages = buildRefinementMessages(
+      contextPrompt,
+      turns,
+      finalPrompt,
+      (result) => JSON.stringify(result, null, 2)
+    );
 
-    const text = await callGeminiAPI(apiKey, model, SYSTEM_PROMPT, userPrompt, true);
+    const text = await generateText(apiKey, model, SYSTEM_PROMPT, messages, { jsonMode: true });
 
     let result;
     try {
       result = JSON.parse(text);
     } catch {
       result = {
-        ...previousPrompt,
+        ...currentPrompt,
         fullPrompt: text,
       };
     }
@@ -111,11 +103,6 @@ Please create a refined image generation prompt that addresses the user's feedba
 
   } catch (error) {
     console.error('Error refining prompt:', error);
-    return new Response(JSON.stringify({
-      error: error.message || 'Failed to refine prompt'
-    }), {
-      status: 500,
-      headers: { 'Content-Type': 'application/json' }
-    });
+    return errorResponse(error, 'Failed to refine prompt');
   }
 }
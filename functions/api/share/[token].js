@@ -0,0 +1,56 @@
+// Share API - Read-only review of a shared project or banner version
+
+import { getShareReview, resolveShare } from '../../_lib/shares.js'
+
+/**
+ * GET /api/share/:token - What a share link shows
+ *
+ * No device ID or sign-in needed; the signed token is the only credential.
+ * Response: { share: { expiresAt, versionId }, project, version }
+ * version holds the layout (ASCII, copy, design notes) and banner images, or is
+ * null when nothing has been generated yet.
+ * 404 when the link is invalid, expired or revoked, or the project was deleted.
+ */
+export async function onRequestGet(context) {
+  const { env, params } = context
+
+  try {
+    if (!env.PROJECTS_KV) {
+      return new Response(JSON.stringify({ error: 'KV not configured' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const share = await resolveShare(env, params.token)
+    const review = share && await getShareReview(env, share)
+
+    if (!review) {
+      return new Response(JSON.stringify({ error: 'Share link not found or expired' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    return new Response(JSON.stringify({
+      share: { expiresAt: share.expiresAt, versionId: share.versionId },
+      ...review
+    }), {
+      headers: {
+        'Content-Type': 'application/json',
+        // Not cached by browsers or the CDN; KV itself can still return a revoked record for up to a minute
+        'Cache-Control': 'no-store',
+        'X-Robots-Tag': 'noindex',
+      }
+    })
+
+  } catch (error) {
+    console.error('Error getting shared project:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to get shared project'
+    }), {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
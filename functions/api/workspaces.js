@@ -0,0 +1,83 @@
+// Workspaces API - List and create
+
+import { createWorkspace, listUserWorkspaces, toWorkspaceSummary } from '../_lib/workspaces.js'
+
+/**
+ * GET /api/workspaces - Workspaces of the signed-in user
+ *
+ * Response: { workspaces: [{ id, name, spaceId, role, memberCount, createdAt }] }
+ */
+export async function onRequestGet(context) {
+  const { env, data } = context
+
+  try {
+    if (!data.user) {
+      return new Response(JSON.stringify({ error: 'Sign in required' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    return new Response(JSON.stringify({
+      workspaces: await listUserWorkspaces(env.PROJECTS_KV, data.user)
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error listing workspaces:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to list workspaces'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
+
+/**
+ * POST /api/workspaces - Create a workspace owned by the signed-in user
+ *
+ * Body: { name }
+ * Response: { workspace }
+ */
+export async function onRequestPost(context) {
+  const { request, env, data } = context
+
+  try {
+    if (!data.user) {
+      return new Response(JSON.stringify({ error: 'Sign in required' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const body = await request.json()
+    const name = typeof body.name === 'string' ? body.name.trim().slice(0, 100) : ''
+
+    if (!name) {
+      return new Response(JSON.stringify({ error: 'Workspace name required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const workspace = await createWorkspace(env.PROJECTS_KV, data.user, name)
+
+    return new Response(JSON.stringify({
+      workspace: toWorkspaceSummary(workspace, data.user.id)
+    }), {
+      status: 201,
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error creating workspace:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to create workspace'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
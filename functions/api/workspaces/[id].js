@@ -0,0 +1,77 @@
+// Workspace API - Details and rename
+
+import { getWorkspaceForUser, putWorkspace, toWorkspaceSummary } from '../../_lib/workspaces.js'
+
+function toWorkspaceDetails(workspace, userId) {
+  return { ...toWorkspaceSummary(workspace, userId), members: workspace.members }
+}
+
+/**
+ * GET /api/workspaces/:id - Workspace with its members
+ *
+ * Response: { workspace: { id, name, spaceId, role, memberCount, createdAt, members } }
+ */
+export async function onRequestGet(context) {
+  const { env, data, params } = context
+
+  try {
+    const workspace = await getWorkspaceForUser(env.PROJECTS_KV, params.id, data.user, 'viewer')
+
+    return new Response(JSON.stringify({
+      workspace: toWorkspaceDetails(workspace, data.user.id)
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error getting workspace:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to get workspace'
+    }), {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
+
+/**
+ * PUT /api/workspaces/:id - Rename a workspace (owners only)
+ *
+ * Body: { name }
+ * Response: { workspace }
+ */
+export async function onRequestPut(context) {
+  const { request, env, data, params } = context
+
+  try {
+    const workspace = await getWorkspaceForUser(env.PROJECTS_KV, params.id, data.user, 'owner')
+
+    const body = await request.json()
+    const name = typeof body.name === 'string' ? body.name.trim().slice(0, 100) : ''
+
+    if (!name) {
+      return new Response(JSON.stringify({ error: 'Workspace name required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const updated = { ...workspace, name }
+    await putWorkspace(env.PROJECTS_KV, updated)
+
+    return new Response(JSON.stringify({
+      workspace: toWorkspaceDetails(updated, data.user.id)
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error renaming workspace:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to rename workspace'
+    }), {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
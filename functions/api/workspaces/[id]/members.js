@@ -0,0 +1,66 @@
+// Workspace Members API - Invite
+
+import { normalizeEmail } from '../../../_lib/auth.js'
+import { canSendMail, sendMail } from '../../../_lib/mail.js'
+import { addMember, getWorkspaceForUser, WORKSPACE_ROLES } from '../../../_lib/workspaces.js'
+
+/**
+ * POST /api/workspaces/:id/members - Add a member by email (owners only)
+ *
+ * Body: { email, role }
+ * An account is created for addresses that don't have one yet; the invitee gets
+ * an email and can sign in with a sign-in link as usual. Adding an existing
+ * member changes their role. Inviting fails with 503 when mail is not configured.
+ * Response: { member, members }
+ */
+export async function onRequestPost(context) {
+  const { request, env, data, params } = context
+
+  try {
+    const workspace = await getWorkspaceForUser(env.PROJECTS_KV, params.id, data.user, 'owner')
+
+    const body = await request.json()
+    const email = normalizeEmail(body.email)
+    const role = body.role || 'editor'
+
+    if (!email || !WORKSPACE_ROLES.includes(role)) {
+      return new Response(JSON.stringify({ error: 'Valid email and role required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const isNew = !workspace.members.some(member => member.email === email)
+    if (isNew && !canSendMail(env)) {
+      return new Response(JSON.stringify({ error: 'Mail is not configured' }), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const { workspace: updated, member } = await addMember(env.PROJECTS_KV, workspace, email, role)
+
+    if (isNew) {
+      const origin = new URL(request.url).origin
+      await sendMail(env, {
+        to: email,
+        subject: `Smart Banner Generator「${workspace.name}」への招待`,
+        text: `${data.user.email} さんがワークスペース「${workspace.name}」にあなたを招待しました。\n\n${origin}/ を開き、このメールアドレスでログインすると参加できます。`,
+      })
+    }
+
+    return new Response(JSON.stringify({ member, members: updated.members }), {
+      status: isNew ? 201 : 200,
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error adding workspace member:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to add member'
+    }), {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
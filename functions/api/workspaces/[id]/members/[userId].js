@@ -0,0 +1,75 @@
+// Workspace Member API - Change role and remove
+
+import {
+  getWorkspaceForUser,
+  removeMember,
+  updateMemberRole,
+  WORKSPACE_ROLES,
+} from '../../../../_lib/workspaces.js'
+
+/**
+ * PUT /api/workspaces/:id/members/:userId - Change a member's role (owners only)
+ *
+ * Body: { role }
+ * Response: { members }
+ */
+export async function onRequestPut(context) {
+  const { request, env, data, params } = context
+
+  try {
+    const workspace = await getWorkspaceForUser(env.PROJECTS_KV, params.id, data.user, 'owner')
+    const { role } = await request.json()
+
+    if (!WORKSPACE_ROLES.includes(role)) {
+      return new Response(JSON.stringify({ error: 'Valid role required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const updated = await updateMemberRole(env.PROJECTS_KV, workspace, params.userId, role)
+
+    return new Response(JSON.stringify({ members: updated.members }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error updating workspace member:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to update member'
+    }), {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
+
+/**
+ * DELETE /api/workspaces/:id/members/:userId - Remove a member
+ *
+ * Owners can remove anyone; other members can only leave (remove themselves).
+ * Response: { members }
+ */
+export async function onRequestDelete(context) {
+  const { env, data, params } = context
+
+  try {
+    const leaving = data.user?.id === params.userId
+    const workspace = await getWorkspaceForUser(env.PROJECTS_KV, params.id, data.user, leaving ? 'viewer' : 'owner')
+
+    const updated = await removeMember(env.PROJECTS_KV, workspace, params.userId)
+
+    return new Response(JSON.stringify({ members: updated.members }), {
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+  } catch (error) {
+    console.error('Error removing workspace member:', error)
+    return new Response(JSON.stringify({
+      error: error.message || 'Failed to remove member'
+    }), {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+}
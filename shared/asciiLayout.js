@@ -0,0 +1,126 @@
+// Structured model of an ASCII layout, shared by the Pages Functions and the client
+// (plain JavaScript without Workers or DOM APIs, so both bundles can import it)
+//
+// The layout designer draws the banner as box-drawing characters with [TAG]
+// markers. This parses the grid into the elements it places, with bounding boxes
+// normalized to the banner canvas (0-1), so later steps do not re-read the art:
+//
+//   { columns, rows, canvas, elements }
+//   canvas:   outer frame of the banner in grid cells { x, y, width, height }
+//             (the whole grid when the art has no frame)
+//   elements: [{ type, label, x, y, width, height, source }]
+//             source: 'box' when the element fills its own box, 'tag' when only
+//             the marker text is known (the box holds several elements)
+//
+// Every character takes one grid cell, full-width (Japanese) ones included: the
+// prompt gives the grid size in characters (幅N文字 x 高さM行), and the model pads
+// rows and frame borders by character count, not by display width.
+
+const TAG_TYPES = ['HEADLINE', 'SUBTEXT', 'PRODUCT', 'CTA', 'BADGE', 'LOGO'];
+
+// Corners and junctions close boxes in both directions ('+' for plain ASCII art)
+const JUNCTIONS = '┌┐└┘┏┓┗┛╔╗╚╝╭╮╰╯╒╕╘╛╓╖╙╜├┤┬┴┼┝┥┯┷┿┣┫┳┻╋╞╡╤╧╪╟╢╥╨╫╠╣╦╩╬+';
+const HORIZONTAL = '─━═╌╍┄┅┈┉-=' + JUNCTIONS;
+const VERTICAL = '│┃║╎╏┆┇┊┋|' + JUNCTIONS;
+
+// A frame covering less of the grid than this is a box inside the banner, not the banner
+const MIN_CANVAS_COVERAGE = 0.4;
+
+// One cell per character (code point, so surrogate pairs are not split)
+const toCells = (line) => [...line];
+const cellCount = (text) => [...text].length;
+
+// Every closed rectangle of box-drawing characters, in grid cells (border included)
+function findBoxes(grid) {
+  const at = (row, column) => grid[row]?.[column] || '';
+  const isJunction = (row, column) => at(row, column) !== '' && JUNCTIONS.includes(at(row, column));
+  const isHorizontal = (row, column) => at(row, column) !== '' && HORIZONTAL.includes(at(row, column));
+  const isVertical = (row, column) => at(row, column) !== '' && VERTICAL.includes(at(row, column));
+
+  const boxes = [];
+  grid.forEach((cells, top) => {
+    cells.forEach((_, left) => {
+      if (!isJunction(top, left)) return;
+
+      for (let right = left + 1; isHorizontal(top, right); right++) {
+        if (right < left + 2 || !isJunction(top, right)) continue;
+
+        for (let bottom = top + 1; isVertical(bottom, left); bottom++) {
+          if (bottom < top + 2 || !isJunction(bottom, left) || !isJunction(bottom, right)) continue;
+
+          let closed = true;
+          for (let row = top + 1; row < bottom && closed; row++) closed = isVertical(row, right);
+          for (let column = left + 1; column < right && closed; column++) closed = isHorizontal(bottom, column);
+          if (closed) {
+            boxes.push({ x: left, y: top, width: right - left + 1, height: bottom - top + 1 });
+          }
+        }
+      }
+    });
+  });
+
+  return boxes;
+}
+
+// [TAG] and [TAG: label] markers with their span in grid cells
+function findTags(lines) {
+  return lines.flatMap((line, row) => [...line.matchAll(/\[([A-Z]+)([^\]]*)\]/g)]
+    .filter(match => TAG_TYPES.includes(match[1]))
+    .map(match => ({
+      type: match[1],
+      label: match[2].replace(/^[\s:：]+/, '').trim(),
+      x: cellCount(line.slice(0, match.index)),
+      y: row,
+      width: cellCount(match[0]),
+      height: 1,
+    })));
+}
+
+const contains = (box, area) => box.x < area.x && area.x + area.width < box.x + box.width &&
+  box.y < area.y && area.y + area.height < box.y + box.height;
+
+const round = (value) => Math.round(Math.min(Math.max(value, 0), 1) * 10000) / 10000;
+
+/**
+ * Parse an ASCII layout into its elements and their bounding boxes
+ * @param {string} ascii - ASCII layout
+ * @returns {Object} { columns, rows, canvas, elements } (see the top of this file)
+ */
+export function parseAsciiLayout(ascii) {
+  const lines = (ascii || '').split('\n').map(line => line.trimEnd());
+  while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+
+  const grid = lines.map(toCells);
+  const columns = Math.max(0, ...grid.map(cells => cells.length));
+  const rows = grid.length;
+  if (columns === 0) {
+    return { columns: 0, rows: 0, canvas: { x: 0, y: 0, width: 0, height: 0 }, elements: [] };
+  }
+
+  const area = (box) => box.width * box.height;
+  const boxes = findBoxes(grid).sort((a, b) => area(a) - area(b));
+  const frame = boxes[boxes.length - 1];
+  const canvas = frame && area(frame) >= columns * rows * MIN_CANVAS_COVERAGE
+    ? frame
+    : { x: 0, y: 0, width: columns, height: rows };
+
+  const tags = findTags(lines);
+  const elements = tags.map((tag) => {
+    // The innermost box around the marker is the element's own when no other marker shares it
+    const box = boxes.find(b => b !== canvas && contains(b, tag));
+    const ownsBox = box && tags.every(other => other === tag || !contains(box, other));
+    const bounds = ownsBox ? box : tag;
+
+    return {
+      type: tag.type,
+      label: tag.label,
+      x: round((bounds.x - canvas.x) / canvas.width),
+      y: round((bounds.y - canvas.y) / canvas.height),
+      width: round(bounds.width / canvas.width),
+      height: round(bounds.height / canvas.height),
+      source: ownsBox ? 'box' : 'tag',
+    };
+  });
+
+  return { columns, rows, canvas, elements };
+}
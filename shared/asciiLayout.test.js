@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseAsciiLayout } from './asciiLayout.js';
+
+// As the layout designer draws it: rows padded to the grid width by character count,
+// so lines with Japanese copy look ragged in a monospace font
+const JAPANESE_LAYOUT = `┌────────────────────────┐
+│ [LOGO]                 │
+│  [HEADLINE: 今だけ送料無料]   │
+│  ┌──────────┐          │
+│  │[PRODUCT] │          │
+│  └──────────┘          │
+│  [CTA: 今すぐ購入]          │
+└────────────────────────┘
+(注釈) 背景は淡いベージュのグラデーション`;
+
+// Normalized values are rounded to 4 decimals; back to whole grid cells
+const cells = (value, size) => Math.round(value * size);
+
+test('detects the frame of a layout with Japanese lines', () => {
+  const { canvas } = parseAsciiLayout(JAPANESE_LAYOUT);
+  assert.deepEqual(canvas, { x: 0, y: 0, width: 26, height: 8 });
+});
+
+test('places elements relative to the frame, counting characters', () => {
+  const { elements } = parseAsciiLayout(JAPANESE_LAYOUT);
+  const byType = Object.fromEntries(elements.map(element => [element.type, element]));
+
+  assert.deepEqual(elements.map(element => element.type), ['LOGO', 'HEADLINE', 'PRODUCT', 'CTA']);
+
+  assert.equal(byType.HEADLINE.label, '今だけ送料無料');
+  assert.equal(byType.HEADLINE.source, 'tag');
+  assert.equal(cells(byType.HEADLINE.x, 26), 3);
+  assert.equal(cells(byType.HEADLINE.width, 26), 19);
+  assert.equal(cells(byType.HEADLINE.y, 8), 2);
+
+  assert.equal(byType.PRODUCT.source, 'box');
+  assert.deepEqual(
+    [byType.PRODUCT.x, byType.PRODUCT.y, byType.PRODUCT.width, byType.PRODUCT.height].map((v, i) => cells(v, i % 2 ? 8 : 26)),
+    [3, 3, 12, 3]
+  );
+
+  assert.equal(byType.CTA.label, '今すぐ購入');
+  assert.equal(cells(byType.CTA.y, 8), 6);
+});
+
+test('falls back to the whole grid without a frame', () => {
+  const { canvas, elements } = parseAsciiLayout('[HEADLINE]\n\n[CTA]');
+  assert.deepEqual(canvas, { x: 0, y: 0, width: 10, height: 3 });
+  assert.equal(elements.length, 2);
+});
+
+test('returns an empty model for an empty layout', () => {
+  assert.deepEqual(parseAsciiLayout(''), {
+    columns: 0,
+    rows: 0,
+    canvas: { x: 0, y: 0, width: 0, height: 0 },
+    elements: [],
+  });
+});
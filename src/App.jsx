@@ -1,4 +1,4 @@
-import { useState, useCallback } from 'react'
+import { useState, useCallback, useEffect } from 'react'
 import InputForm from './components/InputForm'
 import AsciiPreview from './components/AsciiPreview'
 import ImagePromptPreview from './components/ImagePromptPreview'
@@ -6,7 +6,30 @@ import BannerPreview from './components/BannerPreview'
 import ModelSelector from './components/ModelSelector'
 import StepIndicator from './components/StepIndicator'
 import ProjectSidebar from './components/ProjectSidebar'
-import { getDeviceId } from './utils/deviceId'
+import GenerationJobs from './components/GenerationJobs'
+import AccountMenu from './components/AccountMenu'
+import LinkedDevicesDialog from './components/LinkedDevicesDialog'
+import { getDeviceId, getActiveSpace, setActiveSpace } from './utils/deviceId'
+import {
+  EMPTY_HISTORY,
+  createHistory,
+  addTurn,
+  selectTurn,
+  getActiveResult,
+  toRequestHistory,
+} from './utils/refinementHistory'
+import { getSelectedCandidate } from './utils/bannerCandidates'
+import {
+  startBannerJob,
+  waitForJob,
+  fetchJob,
+  fetchJobs,
+  mergeFirstJobPage,
+  dismissJob,
+  isJobInFlight,
+  JOB_STATUS,
+} from './utils/generationJobs'
+import { saveVersion, loadVersion, HISTORY_STEP_TO_APP_STEP } from './utils/projectHistory'
 
 const STEPS = [
   { id: 1, name: '入力', description: '商品情報を入力' },
@@ -19,15 +42,16 @@ const DEFAULT_MODELS = {
   text: 'gemini-2.5-flash', // Latest and fastest
   image: 'gemini-3-pro-image-preview', // Nano Banana Pro (manual retry on failure)
   resolution: '1K', // Default to 1K for faster generation
+  candidateCount: 1, // Banners generated in parallel per request
 }
 
 function App() {
   const [currentStep, setCurrentStep] = useState(1)
   const [models, setModels] = useState(DEFAULT_MODELS)
   const [formData, setFormData] = useState(null)
-  const [asciiResult, setAsciiResult] = useState(null)
+  const [asciiHistory, setAsciiHistory] = useState(EMPTY_HISTORY) // Layout refinement turns
   const [asciiImage, setAsciiImage] = useState(null) // ASCII art as base64 image
-  const [imagePrompt, setImagePrompt] = useState(null)
+  const [promptHistory, setPromptHistory] = useState(EMPTY_HISTORY) // Prompt refinement turns
   const [generatedBanner, setGeneratedBanner] = useState(null)
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState(null)
@@ -36,9 +60,20 @@ function App() {
   // Project management state
   const [currentProjectId, setCurrentProjectId] = useState(null)
   const [currentProjectName, setCurrentProjectName] = useState('')
+  const [currentProjectEtag, setCurrentProjectEtag] = useState(null) // Revision the form is based on (If-Match)
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false)
   const [projectFormData, setProjectFormData] = useState(null) // Data loaded from project
   const [sidebarKey, setSidebarKey] = useState(0) // Key to force sidebar refresh
+  const [jobList, setJobList] = useState({ jobs: [], nextCursor: null }) // Recent banner generation jobs (server-side), newest first
+  const { jobs } = jobList
+  const [resumeJobId, setResumeJobId] = useState(null) // Job left running by a previous page load
+  const [historyKey, setHistoryKey] = useState(0) // Bumped to refresh the project timeline
+  const [activeSpaceId, setActiveSpaceId] = useState(getActiveSpace) // Workspace space, or null for this browser
+  const [showLinkedDevices, setShowLinkedDevices] = useState(false)
+
+  // The active turn of each refinement history is the current result
+  const asciiResult = getActiveResult(asciiHistory)
+  const imagePrompt = getActiveResult(promptHistory)
 
   // Handle project selection from sidebar
   const handleSelectProject = useCallback(async (projectId) => {
@@ -63,18 +98,35 @@ function App() {
         designGoal: project.designGoal || '商品販売',
         vibe: project.vibe || '',
         additionalNotes: project.additionalNotes || '',
+        brandKitId: project.brandKitId || null,
+        brandLogoId: project.brandLogoId || null,
         brandLogoName: project.brandLogoName || null,
+        logoPlacement: project.logoPlacement || null,
+        textOverlay: project.textOverlay || null,
+        palette: project.palette || [],
         productImages: project.productImages || [],
+        platform: project.platform,
+        copyMode: project.copyMode,
+        manualCopy: project.manualCopy,
       })
 
+      // Restore the model settings the project was generated with
+      if (project.models) {
+        setModels({
+          ...DEFAULT_MODELS,
+          ...Object.fromEntries(Object.entries(project.models).filter(([, value]) => value != null)),
+        })
+      }
+
       setCurrentProjectId(projectId)
       setCurrentProjectName(project.name)
+      setCurrentProjectEtag(response.headers.get('ETag'))
 
       // Reset to step 1 to show the form with loaded data
       setCurrentStep(1)
-      setAsciiResult(null)
+      setAsciiHistory(EMPTY_HISTORY)
       setAsciiImage(null)
-      setImagePrompt(null)
+      setPromptHistory(EMPTY_HISTORY)
       setGeneratedBanner(null)
       setError(null)
     } catch (err) {
@@ -87,18 +139,21 @@ function App() {
   const handleNewProject = useCallback(() => {
     setCurrentProjectId(null)
     setCurrentProjectName('')
+    setCurrentProjectEtag(null)
     setProjectFormData(null)
     setCurrentStep(1)
     setFormData(null)
-    setAsciiResult(null)
+    setAsciiHistory(EMPTY_HISTORY)
     setAsciiImage(null)
-    setImagePrompt(null)
+    setPromptHistory(EMPTY_HISTORY)
     setGeneratedBanner(null)
     setError(null)
   }, [])
 
   // Handle save project
-  const handleSaveProject = useCallback(async (data, name) => {
+  // Updates are based on the revision the form was loaded from (or options.etag when
+  // resolving a conflict); a 409 is returned as { conflict: true, serverProject, serverEtag }
+  const handleSaveProject = useCallback(async (data, name, options = {}) => {
     try {
       const deviceId = getDeviceId()
       const projectData = {
@@ -109,29 +164,53 @@ function App() {
         designGoal: data.designGoal || '商品販売',
         vibe: data.vibe || '',
         additionalNotes: data.additionalNotes || '',
-        brandLogoName: data.brandLogo?.name || null,
+        brandKitId: data.brandKitId || null,
+        brandLogoId: data.brandLogoId || null,
+        brandLogoName: data.brandLogo?.name || data.brandLogoName || null,
+        logoPlacement: data.logoPlacement || null,
+        textOverlay: data.textOverlay || null,
+        palette: data.palette || [],
         productImages: data.productImages || [],
+        platform: data.platform,
+        copyMode: data.copyMode || 'ai',
+        manualCopy: data.copyMode === 'manual' ? data.manualCopy : null,
+        models,
       }
 
       let response
       if (currentProjectId) {
         // Update existing project
-        response = await fetch(`/api/projects/${currentProjectId}`, {
+        const etag = options.etag || currentProjectEtag
+        response = await fetch(`/api/projects/${currentProjectId}?deviceId=${encodeURIComponent(deviceId)}`, {
           method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ deviceId, project: projectData }),
+          headers: {
+            'Content-Type': 'application/json',
+            ...(etag ? { 'If-Match': etag } : {}),
+          },
+          body: JSON.stringify({ project: projectData }),
         })
       } else {
         // Create new project
-        response = await fetch('/api/projects', {
+        response = await fetch(`/api/projects?deviceId=${encodeURIComponent(deviceId)}`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ deviceId, project: projectData }),
+          body: JSON.stringify({ project: projectData }),
         })
       }
 
       const result = await response.json()
 
+      // Saved elsewhere since this revision
+      if (response.status === 409) {
+        return {
+          success: false,
+          conflict: true,
+          serverProject: result.project,
+          serverEtag: response.headers.get('ETag'),
+          error: result.error,
+        }
+      }
+
       if (result.error) {
         throw new Error(result.error)
       }
@@ -139,6 +218,7 @@ function App() {
       // Update current project state
       setCurrentProjectId(result.project.id)
       setCurrentProjectName(result.project.name)
+      setCurrentProjectEtag(response.headers.get('ETag'))
 
       // Refresh sidebar
       setSidebarKey(prev => prev + 1)
@@ -148,7 +228,45 @@ function App() {
       console.error('Failed to save project:', err)
       return { success: false, error: err.message }
     }
-  }, [currentProjectId])
+  }, [currentProjectId, currentProjectEtag, models])
+
+  // Record a version of the current project after a step (fire and forget)
+  const recordVersion = (step, label, state) => {
+    if (!currentProjectId) return
+    saveVersion(currentProjectId, { step, label, ...state })
+      .then((version) => {
+        setHistoryKey(prev => prev + 1)
+        // A recorded banner can be reviewed; tag it unless a newer banner replaced it meanwhile
+        if (state.banner) {
+          setGeneratedBanner(prev => prev?.imageData === state.banner.imageData ? { ...prev, versionId: version.id } : prev)
+        }
+      })
+      .catch(err => console.error('Failed to save project version:', err))
+  }
+
+  // Restore a version from the project timeline and continue from that step
+  const handleRestoreVersion = async (versionId) => {
+    if (!currentProjectId) return
+
+    try {
+      const restored = await loadVersion(
+        currentProjectId,
+        versionId,
+        formData?.productImages || projectFormData?.productImages
+      )
+      setFormData(restored.formData)
+      setAsciiHistory(restored.asciiHistory || EMPTY_HISTORY)
+      setPromptHistory(restored.promptHistory || EMPTY_HISTORY)
+      setAsciiImage(restored.asciiImage)
+      setGeneratedBanner(restored.banner)
+      setCurrentStep(HISTORY_STEP_TO_APP_STEP[restored.step] || 1)
+      setError(null)
+      setCanRetryBanner(false)
+    } catch (err) {
+      console.error('Failed to restore version:', err)
+      alert('履歴の復元に失敗しました')
+    }
+  }
 
   const handleFormSubmit = async (data) => {
     setFormData(data)
@@ -168,8 +286,10 @@ function App() {
       }
 
       const result = await response.json()
-      setAsciiResult(result)
+      const nextHistory = createHistory(result)
+      setAsciiHistory(nextHistory)
       setCurrentStep(2)
+      recordVersion('layout', 'レイアウト生成', { formData: data, asciiHistory: nextHistory })
     } catch (err) {
       setError(err.message)
     } finally {
@@ -195,6 +315,7 @@ function App() {
           body: JSON.stringify({
             formData,
             previousAscii: asciiResult,
+            history: toRequestHistory(asciiHistory),
             feedback,
             model: models.text,
           }),
@@ -206,7 +327,9 @@ function App() {
         }
 
         const result = await response.json()
-        setAsciiResult(result)
+        const nextHistory = addTurn(asciiHistory, feedback, result)
+        setAsciiHistory(nextHistory)
+        recordVersion('layout', feedback, { formData, asciiHistory: nextHistory })
       } catch (err) {
         setError(err.message)
       } finally {
@@ -236,8 +359,15 @@ function App() {
       }
 
       const result = await response.json()
-      setImagePrompt(result)
+      const nextHistory = createHistory(result)
+      setPromptHistory(nextHistory)
       setCurrentStep(3)
+      recordVersion('prompt', 'プロンプト生成', {
+        formData,
+        asciiHistory,
+        promptHistory: nextHistory,
+        asciiImage: asciiImageBase64 || asciiImage,
+      })
     } catch (err) {
       setError(err.message)
     } finally {
@@ -259,6 +389,7 @@ function App() {
             formData,
             asciiResult,
             previousPrompt: imagePrompt,
+            history: toRequestHistory(promptHistory),
             feedback,
             model: models.text,
           }),
@@ -270,7 +401,9 @@ function App() {
         }
 
         const result = await response.json()
-        setImagePrompt(result)
+        const nextHistory = addTurn(promptHistory, feedback, result)
+        setPromptHistory(nextHistory)
+        recordVersion('prompt', feedback, { formData, asciiHistory, promptHistory: nextHistory, asciiImage })
       } catch (err) {
         setError(err.message)
       } finally {
@@ -283,109 +416,196 @@ function App() {
     await generateBanner()
   }
 
+  const refreshJobs = useCallback(async () => {
+    try {
+      const page = await fetchJobs()
+      setJobList(prev => mergeFirstJobPage(prev, page))
+    } catch (err) {
+      console.error('Failed to load jobs:', err)
+    }
+  }, [])
+
+  const loadMoreJobs = useCallback(async () => {
+    if (!jobList.nextCursor) return
+    try {
+      const page = await fetchJobs(jobList.nextCursor)
+      setJobList(prev => ({
+        jobs: [...prev.jobs, ...page.jobs.filter(job => !prev.jobs.some(j => j.id === job.id))],
+        nextCursor: page.nextCursor,
+      }))
+    } catch (err) {
+      console.error('Failed to load jobs:', err)
+    }
+  }, [jobList.nextCursor])
+
+  // Projects, history and jobs all belong to a space, so switching starts fresh
+  const handleSwitchSpace = useCallback((spaceId) => {
+    setActiveSpace(spaceId)
+    setActiveSpaceId(spaceId)
+    handleNewProject()
+    setResumeJobId(null)
+    setSidebarKey(prev => prev + 1)
+    setJobList({ jobs: [], nextCursor: null })
+    refreshJobs()
+  }, [handleNewProject, refreshJobs])
+
+  // Pick up jobs started before a reload, and keep the list fresh while any are running
+  useEffect(() => {
+    fetchJobs()
+      .then((page) => {
+        setJobList(page)
+        setResumeJobId(page.jobs.find(isJobInFlight)?.id || null)
+      })
+      .catch((err) => console.error('Failed to load jobs:', err))
+  }, [])
+
+  const hasJobsInFlight = jobs.some(isJobInFlight)
+  useEffect(() => {
+    if (!hasJobsInFlight) return
+    const intervalId = setInterval(refreshJobs, 5000)
+    return () => clearInterval(intervalId)
+  }, [hasJobsInFlight, refreshJobs])
+
+  // Generate as a server-side job and wait for it, so a reload does not lose the result
+  const requestBanner = async (payload) => {
+    const started = await startBannerJob(payload)
+    if (started.result) return started.result // Server generated synchronously (no job storage)
+
+    refreshJobs()
+    try {
+      return await waitForJob(started.jobId)
+    } finally {
+      refreshJobs()
+    }
+  }
+
   // Separate function for banner generation (allows retry)
   const generateBanner = async () => {
     setIsLoading(true)
     setError(null)
     setCanRetryBanner(false)
 
-    // Timeout of 120 seconds for single attempt
-    const controller = new AbortController()
-    const timeoutId = setTimeout(() => controller.abort(), 120000)
-
     try {
-      const response = await fetch('/api/generate-banner', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          formData,
-          asciiResult,
-          asciiImage,
-          imagePrompt,
-          model: models.image,
-          resolution: models.resolution,
-        }),
-        signal: controller.signal,
+      const result = await requestBanner({
+        formData,
+        asciiResult,
+        asciiImage,
+        imagePrompt,
+        model: models.image,
+        resolution: models.resolution,
+        candidateCount: models.candidateCount,
       })
-
-      clearTimeout(timeoutId)
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}))
-        throw new Error(errorData.error || 'Failed to generate banner')
-      }
-
-      const result = await response.json()
       setGeneratedBanner(result)
       setCurrentStep(4)
       setCanRetryBanner(false)
+      recordVersion('banner', 'バナー生成', { formData, asciiHistory, promptHistory, asciiImage, banner: result })
     } catch (err) {
-      clearTimeout(timeoutId)
-      if (err.name === 'AbortError') {
-        setError('タイムアウトしました。リトライボタンで再試行してください。')
-      } else {
-        setError(err.message)
-      }
-      setCanRetryBanner(true) // Enable retry button
+      setError(err.message)
+      setCanRetryBanner(err.canRetry !== false) // Enable retry button unless the error is not retryable
     } finally {
       setIsLoading(false)
     }
   }
 
   const handleRegenerateBanner = async (feedback) => {
+    // Feedback refines the picked candidate; plain regeneration starts over
+    const winner = getSelectedCandidate(generatedBanner)
+    const baseImage = feedback && winner
+      ? { imageData: winner.imageData, mimeType: winner.mimeType }
+      : null
+
     setIsLoading(true)
     setError(null)
     setCanRetryBanner(false)
 
-    // Timeout of 120 seconds for single attempt
-    const controller = new AbortController()
-    const timeoutId = setTimeout(() => controller.abort(), 120000)
-
     try {
-      const response = await fetch('/api/generate-banner', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          formData,
-          asciiResult,
-          asciiImage,
-          imagePrompt,
-          feedback,
-          model: models.image,
-          resolution: models.resolution,
-        }),
-        signal: controller.signal,
+      const result = await requestBanner({
+        formData,
+        asciiResult,
+        asciiImage,
+        imagePrompt,
+        feedback,
+        baseImage,
+        model: models.image,
+        resolution: models.resolution,
+        candidateCount: models.candidateCount,
       })
-
-      clearTimeout(timeoutId)
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}))
-        throw new Error(errorData.error || 'Failed to regenerate banner')
-      }
-
-      const result = await response.json()
       setGeneratedBanner(result)
       setCanRetryBanner(false)
+      recordVersion('banner', feedback || '再生成', { formData, asciiHistory, promptHistory, asciiImage, banner: result })
     } catch (err) {
-      clearTimeout(timeoutId)
-      if (err.name === 'AbortError') {
-        setError('タイムアウトしました。リトライボタンで再試行してください。')
-      } else {
-        setError(err.message)
-      }
-      setCanRetryBanner(true) // Enable retry button
+      setError(err.message)
+      setCanRetryBanner(err.canRetry !== false) // Enable retry button unless the error is not retryable
     } finally {
       setIsLoading(false)
     }
   }
 
+  // Show a finished job, restoring the inputs it was generated from
+  const handleOpenJob = useCallback(async (jobId) => {
+    try {
+      const job = await fetchJob(jobId)
+      if (job.status !== JOB_STATUS.SUCCEEDED) {
+        refreshJobs()
+        return
+      }
+
+      const { formData: jobFormData, asciiResult: jobAscii, imagePrompt: jobPrompt } = job.context || {}
+      setFormData(jobFormData)
+      setAsciiHistory(jobAscii ? createHistory(jobAscii) : EMPTY_HISTORY)
+      setAsciiImage(null)
+      setPromptHistory(jobPrompt ? createHistory(jobPrompt) : EMPTY_HISTORY)
+      setGeneratedBanner(job.result)
+      setCurrentStep(4)
+      setError(null)
+      setCanRetryBanner(false)
+    } catch (err) {
+      console.error('Failed to open job:', err)
+      alert('生成結果の読み込みに失敗しました')
+    }
+  }, [refreshJobs])
+
+  // Open the resumed job when it finishes, unless the user has started something else
+  useEffect(() => {
+    const job = jobs.find(j => j.id === resumeJobId)
+    if (!job || isJobInFlight(job)) return
+    setResumeJobId(null)
+    if (job.status === JOB_STATUS.SUCCEEDED && currentStep === 1 && !formData) {
+      handleOpenJob(job.id)
+    }
+  }, [jobs, resumeJobId, currentStep, formData, handleOpenJob])
+
+  const handleDismissJob = async (jobId) => {
+    setJobList(prev => ({ ...prev, jobs: prev.jobs.filter(job => job.id !== jobId) }))
+    try {
+      await dismissJob(jobId)
+    } catch (err) {
+      console.error('Failed to dismiss job:', err)
+    }
+    refreshJobs()
+  }
+
+  // Candidate picker state lives on the banner result so it resets with each generation
+  const handleSelectCandidate = (index) => {
+    setGeneratedBanner(prev => ({ ...prev, selectedIndex: index }))
+  }
+
+  const handleToggleStar = (index) => {
+    setGeneratedBanner(prev => {
+      const starred = prev.starred || []
+      return {
+        ...prev,
+        starred: starred.includes(index) ? starred.filter(i => i !== index) : [...starred, index],
+      }
+    })
+  }
+
   const handleReset = () => {
     setCurrentStep(1)
     setFormData(null)
-    setAsciiResult(null)
+    setAsciiHistory(EMPTY_HISTORY)
     setAsciiImage(null)
-    setImagePrompt(null)
+    setPromptHistory(EMPTY_HISTORY)
     setGeneratedBanner(null)
     setError(null)
   }
@@ -398,6 +618,8 @@ function App() {
         onSelectProject={handleSelectProject}
         onNewProject={handleNewProject}
         currentProjectId={currentProjectId}
+        historyKey={historyKey}
+        onRestoreVersion={handleRestoreVersion}
         isCollapsed={sidebarCollapsed}
         onToggleCollapse={() => setSidebarCollapsed(!sidebarCollapsed)}
       />
@@ -422,10 +644,44 @@ function App() {
                 AIによるSNS広告バナー自動生成
               </p>
             </div>
-            <ModelSelector models={models} onChange={setModels} />
+            <div className="flex items-center gap-3">
+              <GenerationJobs
+                jobs={jobs}
+                hasMore={!!jobList.nextCursor}
+                onLoadMore={loadMoreJobs}
+                onOpen={handleOpenJob}
+                onDismiss={handleDismissJob}
+                isLoading={isLoading}
+              />
+              <ModelSelector models={models} onChange={setModels} />
+              {!activeSpaceId && (
+                <button
+                  onClick={() => setShowLinkedDevices(true)}
+                  className="p-2 bg-[var(--color-background)] border border-[var(--color-border)] rounded-lg hover:bg-[var(--color-surface-hover)] transition"
+                  title="端末の連携"
+                >
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 18h.01M8 21h8a2 2 0 002-2V5a2 2 0 00-2-2H8a2 2 0 00-2 2v14a2 2 0 002 2z" />
+                  </svg>
+                </button>
+              )}
+              <AccountMenu
+                activeSpaceId={activeSpaceId}
+                onSwitchSpace={handleSwitchSpace}
+                onProjectsMoved={() => setSidebarKey(prev => prev + 1)}
+              />
+            </div>
           </div>
         </header>
 
+        {/* Linking or unlinking keeps the device ID but changes the projects behind it */}
+        {showLinkedDevices && (
+          <LinkedDevicesDialog
+            onLinksChanged={() => handleSwitchSpace(null)}
+            onClose={() => setShowLinkedDevices(false)}
+          />
+        )}
+
         {/* Step Indicator */}
         <div className="px-6 py-6">
           <StepIndicator steps={STEPS} currentStep={currentStep} />
@@ -454,10 +710,12 @@ function App() {
 
           {currentStep === 1 && (
             <InputForm
+              key={activeSpaceId || 'device'}
               onSubmit={handleFormSubmit}
               isLoading={isLoading}
               initialData={projectFormData}
               onSaveProject={handleSaveProject}
+              onReloadProject={() => handleSelectProject(currentProjectId)}
               currentProjectId={currentProjectId}
               currentProjectName={currentProjectName}
             />
@@ -466,6 +724,8 @@ function App() {
           {currentStep === 2 && asciiResult && (
             <AsciiPreview
               result={asciiResult}
+              history={asciiHistory}
+              onSelectTurn={(turnId) => setAsciiHistory(prev => selectTurn(prev, turnId))}
               formData={formData}
               onApprove={handleAsciiApprove}
               onBack={() => setCurrentStep(1)}
@@ -476,6 +736,8 @@ function App() {
           {currentStep === 3 && imagePrompt && (
             <ImagePromptPreview
               prompt={imagePrompt}
+              history={promptHistory}
+              onSelectTurn={(turnId) => setPromptHistory(prev => selectTurn(prev, turnId))}
               asciiResult={asciiResult}
               onApprove={handlePromptApprove}
               onBack={() => setCurrentStep(2)}
@@ -487,8 +749,13 @@ function App() {
             <BannerPreview
               banner={generatedBanner}
               formData={formData}
+              asciiResult={asciiResult}
               onRegenerate={handleRegenerateBanner}
+              onSelectCandidate={handleSelectCandidate}
+              onToggleStar={handleToggleStar}
               onReset={handleReset}
+              projectId={currentProjectId}
+              onReviewChange={() => setHistoryKey(prev => prev + 1)}
               isLoading={isLoading}
             />
           )}
@@ -0,0 +1,298 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  fetchSession,
+  requestSignInLink,
+  fetchOutboxLink,
+  signOut,
+  createWorkspace,
+  claimDeviceProjects,
+  ROLE_LABELS,
+} from '../utils/auth'
+import WorkspaceMembersDialog from './WorkspaceMembersDialog'
+
+export default function AccountMenu({ activeSpaceId, onSwitchSpace, onProjectsMoved }) {
+  const [session, setSession] = useState(null) // { user, workspaces } once loaded
+  const [isOpen, setIsOpen] = useState(false)
+  const [showSignIn, setShowSignIn] = useState(false)
+  const [email, setEmail] = useState('')
+  const [signInState, setSignInState] = useState(null) // { sent, devLink, error }
+  const [isBusy, setIsBusy] = useState(false)
+  const [managedWorkspaceId, setManagedWorkspaceId] = useState(null)
+
+  const refreshSession = useCallback(async () => {
+    try {
+      const next = await fetchSession()
+      setSession(next)
+      return next
+    } catch (err) {
+      console.error('Failed to load session:', err)
+      return null
+    }
+  }, [])
+
+  // Pick up the result of a sign-in link, then keep the active space valid for this session
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search)
+    const signedIn = params.get('signedIn') === '1'
+    const signInError = params.get('signInError')
+    if (signedIn || signInError) {
+      window.history.replaceState(null, '', window.location.pathname)
+    }
+    if (signInError) {
+      setSignInState({ error: 'ログインリンクが無効か期限切れです。もう一度お試しください' })
+      setShowSignIn(true)
+    }
+
+    refreshSession().then((next) => {
+      if (!next) return
+      const spaceIds = next.workspaces.map(ws => ws.spaceId)
+      if (activeSpaceId && !spaceIds.includes(activeSpaceId)) {
+        onSwitchSpace(null)
+      } else if (signedIn && !activeSpaceId && spaceIds.length > 0) {
+        onSwitchSpace(spaceIds[0])
+        setIsOpen(true) // Show where projects are now and the option to move this browser's ones
+      }
+    })
+  }, [])
+
+  const user = session?.user
+  const workspaces = session?.workspaces || []
+  const activeWorkspace = workspaces.find(ws => ws.spaceId === activeSpaceId)
+
+  const handleRequestLink = async (e) => {
+    e.preventDefault()
+    setIsBusy(true)
+    setSignInState(null)
+    try {
+      const result = await requestSignInLink(email.trim())
+      const devLink = result.outbox ? await fetchOutboxLink(result.outbox, email.trim()) : null
+      setSignInState({ sent: true, devLink })
+    } catch (err) {
+      console.error('Failed to request sign-in link:', err)
+      setSignInState({ error: err.message })
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const handleSignOut = async () => {
+    try {
+      await signOut()
+    } catch (err) {
+      console.error('Failed to sign out:', err)
+    }
+    setIsOpen(false)
+    setSession({ user: null, workspaces: [] })
+    if (activeSpaceId) onSwitchSpace(null)
+  }
+
+  const handleSwitch = (spaceId) => {
+    setIsOpen(false)
+    if (spaceId !== activeSpaceId) onSwitchSpace(spaceId)
+  }
+
+  const handleCreateWorkspace = async () => {
+    const name = prompt('新しいワークスペースの名前')
+    if (!name?.trim()) return
+    try {
+      const workspace = await createWorkspace(name.trim())
+      await refreshSession()
+      handleSwitch(workspace.spaceId)
+    } catch (err) {
+      console.error('Failed to create workspace:', err)
+      alert('ワークスペースの作成に失敗しました')
+    }
+  }
+
+  const handleClaim = async () => {
+    if (!confirm(`このブラウザでログインせずに作成したプロジェクトを「${activeWorkspace.name}」に移動しますか？`)) return
+    setIsBusy(true)
+    try {
+      const result = await claimDeviceProjects(activeWorkspace.id)
+      alert(result.done
+        ? `${result.projects}件のプロジェクトを移動しました`
+        : 'プロジェクトを移動しています。数分以内にワークスペースに表示されます')
+      setIsOpen(false)
+      onProjectsMoved()
+    } catch (err) {
+      console.error('Failed to move projects:', err)
+      alert('プロジェクトの移動に失敗しました')
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const handleLeftWorkspace = async () => {
+    setManagedWorkspaceId(null)
+    await refreshSession()
+    if (managedWorkspaceId === activeWorkspace?.id) onSwitchSpace(null)
+  }
+
+  if (!session) return null
+
+  if (!user) {
+    return (
+      <>
+        <button
+          onClick={() => setShowSignIn(true)}
+          className="px-4 py-2 bg-[var(--color-background)] border border-[var(--color-border)] rounded-lg hover:bg-[var(--color-surface-hover)] transition text-sm"
+        >
+          ログイン
+        </button>
+
+        {showSignIn && (
+          <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+            <div className="bg-[var(--color-surface)] rounded-xl p-6 w-full max-w-md border border-[var(--color-border)]">
+              <h3 className="text-lg font-semibold mb-2">ログイン</h3>
+              <p className="text-sm text-[var(--color-text-muted)] mb-4">
+                メールアドレスにログインリンクを送ります。ログインするとワークスペースでチームとプロジェクトを共有できます
+              </p>
+
+              {signInState?.sent ? (
+                <div className="space-y-3">
+                  <p className="text-sm">
+                    {email} にログインリンクを送信しました。メールのリンクを開いてください（15分間有効）
+                  </p>
+                  {signInState.devLink && (
+                    <a
+                      href={signInState.devLink}
+                      className="block text-sm text-[var(--color-primary)] hover:underline"
+                    >
+                      開発用: ログインリンクを開く
+                    </a>
+                  )}
+                </div>
+              ) : (
+                <form onSubmit={handleRequestLink}>
+                  <input
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="you@example.com"
+                    required
+                    autoFocus
+                    className="w-full px-4 py-2 bg-[var(--color-background)] border border-[var(--color-border)] rounded-lg focus:outline-none focus:border-[var(--color-primary)]"
+                  />
+                  {signInState?.error && (
+                    <p className="text-sm text-red-400 mt-2">{signInState.error}</p>
+                  )}
+                  <button
+                    type="submit"
+                    disabled={isBusy || !email.trim()}
+                    className="w-full mt-4 px-4 py-2 bg-[var(--color-primary)] hover:bg-[var(--color-primary-hover)] text-white rounded-lg font-medium transition disabled:opacity-50"
+                  >
+                    {isBusy ? '送信中...' : 'ログインリンクを送信'}
+                  </button>
+                </form>
+              )}
+
+              <div className="flex justify-end mt-4">
+                <button
+                  onClick={() => {
+                    setShowSignIn(false)
+                    setSignInState(null)
+                  }}
+                  className="px-4 py-2 text-[var(--color-text-muted)] hover:text-[var(--color-text)] transition"
+                >
+                  閉じる
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </>
+    )
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center gap-2 px-4 py-2 bg-[var(--color-background)] border border-[var(--color-border)] rounded-lg hover:bg-[var(--color-surface-hover)] transition text-sm max-w-[16rem]"
+      >
+        <svg className="w-4 h-4 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0z" />
+        </svg>
+        <span className="truncate">{activeWorkspace ? activeWorkspace.name : 'このブラウザ'}</span>
+      </button>
+
+      {isOpen && (
+        <>
+          <div
+            className="fixed inset-0 z-10"
+            onClick={() => setIsOpen(false)}
+          />
+          <div className="absolute right-0 top-full mt-2 w-72 bg-[var(--color-surface)] border border-[var(--color-border)] rounded-xl shadow-xl z-20 p-2">
+            <p className="px-3 py-2 text-xs text-[var(--color-text-muted)] truncate">{user.email}</p>
+
+            <button
+              onClick={() => handleSwitch(null)}
+              className={`w-full text-left px-3 py-2 rounded-lg text-sm transition ${
+                !activeWorkspace ? 'bg-[var(--color-primary)]/20 text-[var(--color-primary)]' : 'hover:bg-[var(--color-surface-hover)]'
+              }`}
+            >
+              このブラウザ（ログインなし）
+            </button>
+            {workspaces.map(ws => (
+              <button
+                key={ws.id}
+                onClick={() => handleSwitch(ws.spaceId)}
+                className={`w-full flex items-center gap-2 text-left px-3 py-2 rounded-lg text-sm transition ${
+                  ws.spaceId === activeSpaceId ? 'bg-[var(--color-primary)]/20 text-[var(--color-primary)]' : 'hover:bg-[var(--color-surface-hover)]'
+                }`}
+              >
+                <span className="flex-1 truncate">{ws.name}</span>
+                <span className="text-xs text-[var(--color-text-muted)]">{ROLE_LABELS[ws.role]}</span>
+              </button>
+            ))}
+
+            <div className="border-t border-[var(--color-border)] mt-2 pt-2">
+              <button
+                onClick={handleCreateWorkspace}
+                className="w-full text-left px-3 py-2 rounded-lg text-sm hover:bg-[var(--color-surface-hover)] transition"
+              >
+                ＋ 新しいワークスペース
+              </button>
+              {activeWorkspace && (
+                <button
+                  onClick={() => {
+                    setIsOpen(false)
+                    setManagedWorkspaceId(activeWorkspace.id)
+                  }}
+                  className="w-full text-left px-3 py-2 rounded-lg text-sm hover:bg-[var(--color-surface-hover)] transition"
+                >
+                  メンバーと設定
+                </button>
+              )}
+              {activeWorkspace && activeWorkspace.role !== 'viewer' && (
+                <button
+                  onClick={handleClaim}
+                  disabled={isBusy}
+                  className="w-full text-left px-3 py-2 rounded-lg text-sm hover:bg-[var(--color-surface-hover)] transition disabled:opacity-50"
+                >
+                  このブラウザのプロジェクトを移動
+                </button>
+              )}
+              <button
+                onClick={handleSignOut}
+                className="w-full text-left px-3 py-2 rounded-lg text-sm text-[var(--color-text-muted)] hover:bg-[var(--color-surface-hover)] transition"
+              >
+                ログアウト
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+
+      {managedWorkspaceId && (
+        <WorkspaceMembersDialog
+          workspaceId={managedWorkspaceId}
+          userId={user.id}
+          onChanged={refreshSession}
+          onLeft={handleLeftWorkspace}
+          onClose={() => setManagedWorkspaceId(null)}
+        />
+      )}
+    </div>
+  )
+}
@@ -1,6 +1,7 @@
 import { useState, useRef, useEffect } from 'react'
+import RefinementThread from './RefinementThread'
 
-export default function AsciiPreview({ result, formData, onApprove, onBack, isLoading }) {
+export default function AsciiPreview({ result, history, onSelectTurn, formData, onApprove, onBack, isLoading }) {
   const [feedback, setFeedback] = useState('')
   const [showFeedback, setShowFeedback] = useState(false)
   const canvasRef = useRef(null)
@@ -120,6 +121,14 @@ export default function AsciiPreview({ result, formData, onApprove, onBack, isLo
         </div>
       </div>
 
+      {/* Refinement Thread */}
+      <RefinementThread
+        history={history}
+        onSelectTurn={onSelectTurn}
+        summarize={(turnResult) => turnResult.copyText?.join(' / ') || turnResult.designNotes?.split('\n')[0]}
+        isLoading={isLoading}
+      />
+
       {/* Feedback Section */}
       {showFeedback && (
         <div className="bg-[var(--color-surface)] rounded-xl p-6 border border-[var(--color-border)]">
@@ -1,8 +1,46 @@
-import { useState } from 'react'
+import { useState, useEffect, useRef, useMemo } from 'react'
+import { RESIZE_MODES, parsePlatformSize, findFocusRegions, fitToPlatform } from '../utils/platformResize'
+import { getCandidates, getSelectedCandidate } from '../utils/bannerCandidates'
+import { getLayoutElements } from '../utils/asciiLayout'
+import { compositeLogo, isLogoComposited } from '../utils/logoComposite'
+import { createTextLayers, isTextOverlay, renderTextOverlay } from '../utils/textOverlay'
+import { BRAND_LOGO_VARIANT_LABELS } from '../utils/brandKits'
+import { COPY_MATCH_STATUS, verifyBannerCopy, toCorrectionFeedback } from '../utils/copyVerification'
+import { fetchReview, toThreads } from '../utils/projectReviews'
+import ReviewPanel from './ReviewPanel'
+import LogoPlacementControls from './LogoPlacementControls'
+import TextLayerControls from './TextLayerControls'
 
-export default function BannerPreview({ banner, formData, onRegenerate, onReset, isLoading }) {
+export default function BannerPreview({
+  banner,
+  formData,
+  asciiResult,
+  onRegenerate,
+  onSelectCandidate,
+  onToggleStar,
+  onReset,
+  onReviewChange,
+  projectId,
+  isLoading,
+}) {
   const [feedback, setFeedback] = useState('')
   const [showFeedback, setShowFeedback] = useState(false)
+  const [resizeMode, setResizeMode] = useState(RESIZE_MODES.SMART_CROP)
+  const [processed, setProcessed] = useState(null)
+  const [showOriginal, setShowOriginal] = useState(false)
+  const [textLayers, setTextLayers] = useState([])
+  const [activeLayerId, setActiveLayerId] = useState(null)
+  const [overlaid, setOverlaid] = useState(null)
+  const [dragging, setDragging] = useState(null) // { layerId, startX, startY, dx, dy } in banner px
+  const [logoPlacement, setLogoPlacement] = useState(formData?.logoPlacement) // Adjusted here without regenerating
+  const [composited, setComposited] = useState(null)
+  const [compositeError, setCompositeError] = useState(null)
+  const [verification, setVerification] = useState(null) // { status: 'running' | 'done' | 'error', lines }
+  const verifications = useRef(new Map()) // OCR results by image, so switching candidates does not read them again
+  const [review, setReview] = useState(null)
+  const [isCommenting, setIsCommenting] = useState(false)
+  const [pendingPin, setPendingPin] = useState(null) // { x, y, candidateIndex } of a comment being written
+  const [activeThreadId, setActiveThreadId] = useState(null)
 
   const handleRegenerate = () => {
     if (feedback.trim()) {
@@ -14,11 +52,277 @@ export default function BannerPreview({ banner, formData, onRegenerate, onReset,
     }
   }
 
+  const candidates = getCandidates(banner)
+  const selected = getSelectedCandidate(banner)
+  const failedCandidates = banner?.errors || []
+  const starred = banner?.starred || []
+  const showPicker = candidates.length + failedCandidates.length > 1
+
+  const toSrc = (candidate) => `data:${candidate.mimeType || 'image/png'};base64,${candidate.imageData}`
+  const mimeType = selected?.mimeType || 'image/png'
+  const imageSrc = selected?.imageData ? toSrc(selected) : null
+  const platformSize = formData?.platformDetails?.size
+  const layoutElements = useMemo(() => getLayoutElements(asciiResult), [asciiResult])
+
+  // Fit the generated image to the exact platform size (the model only supports some ratios)
+  useEffect(() => {
+    const targetSize = parsePlatformSize(platformSize)
+    if (!imageSrc || !targetSize) {
+      setProcessed(null)
+      return
+    }
+
+    let cancelled = false
+    fitToPlatform(imageSrc, {
+      ...targetSize,
+      mode: resizeMode,
+      regions: findFocusRegions(layoutElements),
+      mimeType,
+    })
+      .then((result) => {
+        if (!cancelled) setProcessed(result)
+      })
+      .catch((err) => {
+        console.error('Resize error:', err)
+        if (!cancelled) setProcessed(null)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [imageSrc, mimeType, resizeMode, layoutElements, platformSize])
+
+  const fittedSrc = processed ? processed.dataUrl : imageSrc
+
+  // Text layers start at the [HEADLINE] / [SUBTEXT] / [CTA] positions of the layout
+  const overlaysText = isTextOverlay(formData)
+  const resetTextLayers = () => {
+    setTextLayers(overlaysText
+      ? createTextLayers(asciiResult, { font: formData.textOverlay.font, palette: formData.palette })
+      : [])
+  }
+  useEffect(() => {
+    resetTextLayers()
+  }, [overlaysText, asciiResult, formData?.textOverlay, formData?.palette])
+
+  // Draw the copy as text layers onto the fitted banner (the model generated it without text)
+  useEffect(() => {
+    if (!overlaysText || !fittedSrc) {
+      setOverlaid(null)
+      return
+    }
+
+    let cancelled = false
+    renderTextOverlay(fittedSrc, textLayers, { frame: processed?.frame })
+      .then((result) => {
+        if (!cancelled) setOverlaid(result)
+      })
+      .catch((err) => {
+        console.error('Text overlay error:', err)
+        if (!cancelled) setOverlaid(null)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [overlaysText, fittedSrc, processed?.frame, textLayers])
+
+  // Start from the placement the banner was generated with
+  useEffect(() => {
+    setLogoPlacement(formData?.logoPlacement)
+  }, [formData?.logoPlacement])
+
+  // Composite the original logo file on top (without a platform size, onto the generated image)
+  const composesLogo = isLogoComposited(formData)
+  const baseSrc = overlaysText ? overlaid?.dataUrl : fittedSrc
+  useEffect(() => {
+    if (!composesLogo || !baseSrc || !logoPlacement) {
+      setComposited(null)
+      return
+    }
+
+    let cancelled = false
+    setCompositeError(null)
+    compositeLogo(baseSrc, {
+      logo: formData.brandLogo,
+      logos: formData.brandLogos || [],
+      placement: logoPlacement,
+      elements: layoutElements,
+      frame: processed?.frame,
+    })
+      .then((result) => {
+        if (!cancelled) setComposited(result)
+      })
+      .catch((err) => {
+        console.error('Logo composite error:', err)
+        if (cancelled) return
+        setComposited(null)
+        setCompositeError('ロゴを合成できませんでした。ブランドキットのロゴを確認してください')
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [composesLogo, baseSrc, processed?.frame, logoPlacement, formData?.brandLogo, formData?.brandLogos, layoutElements])
+
+  const outputSrc = composited?.dataUrl || baseSrc || fittedSrc
+  const displaySrc = showOriginal ? imageSrc : outputSrc
+
+  // Read the copy the model rendered back with OCR (text layers are exact and need no check)
+  const copyText = asciiResult?.copyText
+  const verifiesCopy = !overlaysText && copyText?.length > 0
+  useEffect(() => {
+    if (!verifiesCopy || !imageSrc) {
+      setVerification(null)
+      return
+    }
+
+    const cached = verifications.current.get(imageSrc)
+    if (cached?.copyText === copyText) {
+      setVerification({ status: 'done', lines: cached.lines })
+      return
+    }
+
+    let cancelled = false
+    setVerification({ status: 'running', lines: [] })
+    verifyBannerCopy(imageSrc, copyText)
+      .then((lines) => {
+        verifications.current.set(imageSrc, { copyText, lines })
+        if (!cancelled) setVerification({ status: 'done', lines })
+      })
+      .catch((err) => {
+        console.error('Copy verification error:', err)
+        if (!cancelled) setVerification({ status: 'error', lines: [] })
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [verifiesCopy, imageSrc, copyText])
+
+  const copyIssues = verification?.lines.filter(line => line.status !== COPY_MATCH_STATUS.MATCH) || []
+
+  // OCR boxes are on the generated image; the fitted banner shows it through its frame
+  const toDisplayBox = (box) => {
+    if (showOriginal || !processed) return box
+    const { frame, width, height } = processed
+    return {
+      x: (frame.x + box.x * frame.width) / width,
+      y: (frame.y + box.y * frame.height) / height,
+      width: box.width * frame.width / width,
+      height: box.height * frame.height / height,
+    }
+  }
+
+  const handleFixCopy = () => {
+    const correction = toCorrectionFeedback(verification.lines)
+    if (correction) onRegenerate(correction)
+  }
+
+  // Text layers are moved by dragging them on the preview
+  const toBannerPoint = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    return {
+      x: (e.clientX - rect.left) / rect.width * overlaid.width,
+      y: (e.clientY - rect.top) / rect.height * overlaid.height,
+    }
+  }
+
+  const handleTextPointerDown = (e) => {
+    if (!overlaid || isCommenting || showOriginal) return
+    const point = toBannerPoint(e)
+    const hit = [...textLayers].reverse().find(({ id }) => {
+      const box = overlaid.boxes[id]
+      return box && point.x >= box.x && point.x <= box.x + box.width && point.y >= box.y && point.y <= box.y + box.height
+    })
+    if (!hit) return
+
+    e.currentTarget.setPointerCapture(e.pointerId)
+    setActiveLayerId(hit.id)
+    setDragging({ layerId: hit.id, startX: point.x, startY: point.y, dx: 0, dy: 0 })
+  }
+
+  const handleTextPointerMove = (e) => {
+    if (!dragging) return
+    const point = toBannerPoint(e)
+    setDragging(prev => ({ ...prev, dx: point.x - prev.startX, dy: point.y - prev.startY }))
+  }
+
+  const handleTextPointerUp = () => {
+    if (!dragging) return
+    const { layerId, dx, dy } = dragging
+    setDragging(null)
+    if (dx === 0 && dy === 0) return
+    setTextLayers(prev => prev.map(layer => (layer.id === layerId
+      ? { ...layer, x: layer.x + dx / overlaid.frame.width, y: layer.y + dy / overlaid.frame.height }
+      : layer)))
+  }
+
+  // Outline of the layer being edited, moved along while dragging
+  const activeBox = overlaid && !showOriginal && !isCommenting ? overlaid.boxes[dragging?.layerId || activeLayerId] : null
+  const outline = activeBox && {
+    left: `${(activeBox.x + (dragging?.dx || 0)) / overlaid.width * 100}%`,
+    top: `${(activeBox.y + (dragging?.dy || 0)) / overlaid.height * 100}%`,
+    width: `${activeBox.width / overlaid.width * 100}%`,
+    height: `${activeBox.height / overlaid.height * 100}%`,
+  }
+
+  // Banners recorded as a project version can be reviewed (versionId is set once recorded)
+  const versionId = banner?.versionId
+  useEffect(() => {
+    setReview(null)
+    setIsCommenting(false)
+    setPendingPin(null)
+    setActiveThreadId(null)
+    if (!projectId || !versionId) return
+
+    let cancelled = false
+    fetchReview(projectId, versionId)
+      .then((result) => {
+        if (!cancelled) setReview(result)
+      })
+      .catch((err) => console.error('Failed to load review:', err))
+
+    return () => {
+      cancelled = true
+    }
+  }, [projectId, versionId])
+
+  const handleReviewChange = (next) => {
+    setReview(next)
+    onReviewChange?.()
+  }
+
+  // Pins are placed relative to the banner as shown, so they stay put at any display size
+  const handleImageClick = (e) => {
+    if (!isCommenting || !selected) return
+    const rect = e.currentTarget.getBoundingClientRect()
+    setPendingPin({
+      x: Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1),
+      y: Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), 1),
+      candidateIndex: selected.index,
+    })
+    setActiveThreadId(null)
+  }
+
+  // Threads on another candidate switch the preview to it, so their pin is visible
+  const handleSelectThread = (threadId) => {
+    const thread = review.comments.find(c => c.id === threadId)
+    if (thread && thread.candidateIndex !== selected?.index && candidates.some(c => c.index === thread.candidateIndex)) {
+      onSelectCandidate(thread.candidateIndex)
+    }
+    setActiveThreadId(threadId)
+  }
+
+  const pinnedThreads = review ? toThreads(review.comments).filter(t => t.candidateIndex === selected?.index) : []
+
   const handleDownload = () => {
-    if (banner?.imageData) {
+    if (selected?.imageData) {
+      const outputType = composited || overlaid ? 'image/png' : mimeType
+      const extension = outputType === 'image/jpeg' ? 'jpg' : outputType.split('/')[1]
       const link = document.createElement('a')
-      link.href = `data:image/png;base64,${banner.imageData}`
-      link.download = `banner-${formData?.platformDetails?.id || 'output'}-${Date.now()}.png`
+      link.href = outputSrc
+      link.download = `banner-${formData?.platformDetails?.id || 'output'}-${Date.now()}.${extension}`
       document.body.appendChild(link)
       link.click()
       document.body.removeChild(link)
@@ -33,6 +337,12 @@ export default function BannerPreview({ banner, formData, onRegenerate, onReset,
   if (banner?.logoIncluded) {
     referenceInfo.push('ロゴ参照')
   }
+  if (composited) {
+    referenceInfo.push('ロゴ合成')
+  }
+  if (overlaid) {
+    referenceInfo.push('テキスト合成')
+  }
 
   return (
     <div className="space-y-6">
@@ -51,14 +361,132 @@ export default function BannerPreview({ banner, formData, onRegenerate, onReset,
       </div>
 
       {/* Banner Display */}
+      {/* Candidate Picker */}
+      {showPicker && (
+        <div className="bg-[var(--color-surface)] rounded-xl p-6 border border-[var(--color-border)]">
+          <div className="flex items-center justify-between mb-1">
+            <h3 className="font-semibold">候補を比較</h3>
+            <span className="text-xs text-[var(--color-text-muted)]">
+              {candidates.length}/{candidates.length + failedCandidates.length}枚生成
+            </span>
+          </div>
+          <p className="text-xs text-[var(--color-text-muted)] mb-4">
+            採用した候補がダウンロードと修正リクエストの元画像になります
+          </p>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {[...candidates, ...failedCandidates]
+              .sort((a, b) => a.index - b.index)
+              .map((candidate) => {
+                if (!candidate.imageData) {
+                  return (
+                    <div
+                      key={candidate.index}
+                      className="aspect-square p-3 rounded-lg border border-dashed border-red-500/50 bg-red-500/10 flex flex-col items-center justify-center text-center gap-1"
+                    >
+                      <span className="text-xs font-medium text-red-400">候補 {candidate.index + 1} 生成失敗</span>
+                      <span className="text-xs text-[var(--color-text-muted)] line-clamp-3">{candidate.error}</span>
+                    </div>
+                  )
+                }
+
+                const isSelected = candidate.index === selected?.index
+                const isStarred = starred.includes(candidate.index)
+                return (
+                  <div
+                    key={candidate.index}
+                    className={`relative rounded-lg border-2 overflow-hidden transition ${
+                      isSelected ? 'border-[var(--color-primary)]' : 'border-[var(--color-border)] hover:border-[var(--color-text-muted)]'
+                    }`}
+                  >
+                    <button
+                      type="button"
+                      onClick={() => onSelectCandidate(candidate.index)}
+                      disabled={isLoading}
+                      className="block w-full"
+                    >
+                      <img
+                        src={toSrc(candidate)}
+                        alt={`候補 ${candidate.index + 1}`}
+                        className="w-full aspect-square object-contain bg-[var(--color-background)]"
+                      />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => onToggleStar(candidate.index)}
+                      title={isStarred ? 'お気に入りを解除' : 'お気に入りに追加'}
+                      className={`absolute top-1 right-1 w-7 h-7 rounded-full bg-black/50 flex items-center justify-center transition ${
+                        isStarred ? 'text-yellow-400' : 'text-white/70 hover:text-white'
+                      }`}
+                    >
+                      <svg className="w-4 h-4" fill={isStarred ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" />
+                      </svg>
+                    </button>
+                    <div className="flex items-center justify-between px-2 py-1 text-xs bg-[var(--color-background)]">
+                      <span>候補 {candidate.index + 1}</span>
+                      {isSelected && <span className="text-[var(--color-primary)] font-medium">採用中</span>}
+                    </div>
+                  </div>
+                )
+              })}
+          </div>
+        </div>
+      )}
+
       <div className="bg-[var(--color-surface)] rounded-xl p-6 border border-[var(--color-border)]">
         <div className="flex justify-center">
-          {banner?.imageData ? (
-            <img
-              src={`data:image/png;base64,${banner.imageData}`}
-              alt="Generated Banner"
-              className="max-w-full max-h-[600px] rounded-lg shadow-2xl"
-            />
+          {selected?.imageData ? (
+            <div className="relative inline-block">
+              <img
+                src={displaySrc}
+                alt="Generated Banner"
+                onClick={handleImageClick}
+                onPointerDown={handleTextPointerDown}
+                onPointerMove={handleTextPointerMove}
+                onPointerUp={handleTextPointerUp}
+                draggable={false}
+                className={`max-w-full max-h-[600px] rounded-lg shadow-2xl ${
+                  isCommenting ? 'cursor-crosshair' : overlaid && !showOriginal ? 'cursor-move touch-none' : ''
+                }`}
+              />
+              {copyIssues.filter(line => line.box).map((line) => {
+                const box = toDisplayBox(line.box)
+                return (
+                  <span
+                    key={line.text}
+                    title={`「${line.text}」→ 読み取り結果「${line.recognized}」`}
+                    style={{ left: `${box.x * 100}%`, top: `${box.y * 100}%`, width: `${box.width * 100}%`, height: `${box.height * 100}%` }}
+                    className="absolute border-2 border-red-500 bg-red-500/15 rounded pointer-events-none"
+                  />
+                )
+              })}
+              {outline && (
+                <span style={outline} className="absolute border-2 border-dashed border-[var(--color-primary)] rounded pointer-events-none" />
+              )}
+              {pinnedThreads.map(thread => (
+                <button
+                  key={thread.id}
+                  type="button"
+                  onClick={() => setActiveThreadId(thread.id)}
+                  title={thread.text}
+                  style={{ left: `${thread.x * 100}%`, top: `${thread.y * 100}%` }}
+                  className={`absolute -translate-x-1/2 -translate-y-1/2 w-7 h-7 rounded-full text-white text-xs font-semibold shadow-lg border-2 transition ${
+                    activeThreadId === thread.id
+                      ? 'bg-[var(--color-primary)] border-white scale-110'
+                      : 'bg-[var(--color-primary)]/80 border-white/70'
+                  }`}
+                >
+                  {thread.number}
+                </button>
+              ))}
+              {pendingPin?.candidateIndex === selected.index && (
+                <span
+                  style={{ left: `${pendingPin.x * 100}%`, top: `${pendingPin.y * 100}%` }}
+                  className="absolute -translate-x-1/2 -translate-y-1/2 w-7 h-7 rounded-full border-2 border-dashed border-white bg-black/40 pointer-events-none"
+                />
+              )}
+            </div>
           ) : (
             <div className="w-full h-64 bg-[var(--color-background)] rounded-lg flex items-center justify-center text-[var(--color-text-muted)]">
               画像が生成されていません
@@ -66,17 +494,169 @@ export default function BannerPreview({ banner, formData, onRegenerate, onReset,
           )}
         </div>
 
-        {banner?.textResponse && (
+        {processed && (
+          <div className="mt-4 flex flex-wrap items-center justify-between gap-3">
+            <div className="flex items-center gap-2">
+              <span className="text-sm font-medium">出力サイズ調整</span>
+              {[
+                { mode: RESIZE_MODES.SMART_CROP, label: 'スマートクロップ' },
+                { mode: RESIZE_MODES.EXTEND, label: '背景を拡張' },
+              ].map(({ mode, label }) => (
+                <button
+                  key={mode}
+                  type="button"
+                  onClick={() => setResizeMode(mode)}
+                  className={`text-xs px-3 py-1 rounded-lg border transition ${
+                    resizeMode === mode
+                      ? 'border-[var(--color-primary)] bg-[var(--color-primary)]/20 text-[var(--color-primary)]'
+                      : 'border-[var(--color-border)] hover:bg-[var(--color-surface-hover)]'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center gap-3 text-xs text-[var(--color-text-muted)]">
+              <span>
+                生成: {processed.sourceWidth}x{processed.sourceHeight} → 出力: {processed.width}x{processed.height}
+              </span>
+              <label className="flex items-center gap-1 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={showOriginal}
+                  onChange={(e) => setShowOriginal(e.target.checked)}
+                />
+                元画像を表示
+              </label>
+            </div>
+          </div>
+        )}
+
+        {overlaysText && textLayers.length > 0 && (
+          <div className="mt-4 pt-4 border-t border-[var(--color-border)]">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+              <div>
+                <span className="text-sm font-medium">テキストレイヤー</span>
+                <span className="ml-2 text-xs text-[var(--color-text-muted)]">プレビュー上のテキストはドラッグで移動できます</span>
+              </div>
+              <button
+                type="button"
+                onClick={resetTextLayers}
+                disabled={isLoading}
+                className="text-xs text-[var(--color-primary)] hover:underline disabled:opacity-50"
+              >
+                レイアウトの位置に戻す
+              </button>
+            </div>
+            <TextLayerControls
+              layers={textLayers}
+              activeLayerId={activeLayerId}
+              onSelect={setActiveLayerId}
+              onChange={(layer) => setTextLayers(prev => prev.map(l => (l.id === layer.id ? layer : l)))}
+              disabled={isLoading}
+            />
+          </div>
+        )}
+
+        {composesLogo && logoPlacement && (
+          <div className="mt-4 pt-4 border-t border-[var(--color-border)]">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+              <span className="text-sm font-medium">ロゴ合成</span>
+              <span className="text-xs text-[var(--color-text-muted)]">
+                {compositeError || (composited
+                  ? `使用中: ${composited.logo.name}${composited.logo.variant ? `（${BRAND_LOGO_VARIANT_LABELS[composited.logo.variant]}）` : ''}`
+                  : 'ロゴを合成しています...')}
+              </span>
+            </div>
+            <LogoPlacementControls placement={logoPlacement} onChange={setLogoPlacement} disabled={isLoading} />
+          </div>
+        )}
+
+        {verification && (
+          <div className="mt-4 pt-4 border-t border-[var(--color-border)]">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+              <div>
+                <span className="text-sm font-medium">文字チェック（OCR）</span>
+                <span className="ml-2 text-xs text-[var(--color-text-muted)]">読み取りの誤りで相違と判定される場合もあります</span>
+              </div>
+              {copyIssues.length > 0 && (
+                <button
+                  type="button"
+                  onClick={handleFixCopy}
+                  disabled={isLoading}
+                  className="text-xs px-3 py-1 rounded-lg bg-red-500/20 text-red-400 hover:bg-red-500/30 disabled:opacity-50 transition"
+                >
+                  誤字を修正して再生成
+                </button>
+              )}
+            </div>
+
+            {verification.status === 'running' && (
+              <p className="text-xs text-[var(--color-text-muted)]">バナーの文字を読み取っています...（初回は文字認識モデルの読み込みに時間がかかります）</p>
+            )}
+            {verification.status === 'error' && (
+              <p className="text-xs text-red-400">文字の読み取りに失敗しました</p>
+            )}
+            {verification.status === 'done' && (
+              <ul className="space-y-2">
+                {verification.lines.map((line) => (
+                  <li key={line.text} className="flex items-start gap-3 text-sm">
+                    <span className={`shrink-0 text-xs px-2 py-0.5 rounded ${
+                      line.status === COPY_MATCH_STATUS.MATCH
+                        ? 'bg-green-500/20 text-green-400'
+                        : 'bg-red-500/20 text-red-400'
+                    }`}>
+                      {line.status === COPY_MATCH_STATUS.MATCH ? '一致' : line.status === COPY_MATCH_STATUS.MISMATCH ? '相違あり' : '見つかりません'}
+                    </span>
+                    <div className="min-w-0">
+                      <p>{line.text}</p>
+                      {line.status === COPY_MATCH_STATUS.MISMATCH && (
+                        <p className="text-xs text-[var(--color-text-muted)]">読み取り結果: {line.recognized}</p>
+                      )}
+                    </div>
+                    <span className="ml-auto shrink-0 text-xs text-[var(--color-text-muted)]">{Math.round(line.score * 100)}%</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {selected?.textResponse && (
           <div className="mt-4 p-4 bg-[var(--color-background)] rounded-lg">
-            <p className="text-sm text-[var(--color-text-muted)]">{banner.textResponse}</p>
+            <p className="text-sm text-[var(--color-text-muted)]">{selected.textResponse}</p>
           </div>
         )}
       </div>
 
+      {review && (
+        <ReviewPanel
+          projectId={projectId}
+          versionId={versionId}
+          review={review}
+          onChange={handleReviewChange}
+          isCommenting={isCommenting}
+          onToggleCommenting={() => {
+            setIsCommenting(!isCommenting)
+            setPendingPin(null)
+          }}
+          pendingPin={pendingPin}
+          onCancelPin={() => setPendingPin(null)}
+          activeThreadId={activeThreadId}
+          onSelectThread={handleSelectThread}
+          showCandidate={showPicker}
+        />
+      )}
+
       {/* Feedback Section */}
       {showFeedback && (
         <div className="bg-[var(--color-surface)] rounded-xl p-6 border border-[var(--color-border)]">
           <h3 className="font-semibold mb-3">再生成リクエスト</h3>
+          {showPicker && selected && (
+            <p className="text-xs text-[var(--color-text-muted)] mb-3">
+              変更内容は採用中の候補 {selected.index + 1} をベースに反映されます
+            </p>
+          )}
           <textarea
             value={feedback}
             onChange={(e) => setFeedback(e.target.value)}
@@ -127,7 +707,7 @@ export default function BannerPreview({ banner, formData, onRegenerate, onReset,
 
         <button
           onClick={handleDownload}
-          disabled={!banner?.imageData || isLoading}
+          disabled={!selected?.imageData || isLoading}
           className="py-4 px-6 bg-[var(--color-secondary)] hover:opacity-90 disabled:opacity-50 rounded-xl font-semibold transition flex items-center justify-center gap-2"
         >
           <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -151,7 +731,7 @@ export default function BannerPreview({ banner, formData, onRegenerate, onReset,
       {/* Generation Info */}
       <div className="bg-[var(--color-surface)] rounded-xl p-4 border border-[var(--color-border)]">
         <h3 className="text-sm font-semibold mb-2">生成情報</h3>
-        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm text-[var(--color-text-muted)]">
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-sm text-[var(--color-text-muted)]">
           <div>
             <span className="block text-xs">プラットフォーム</span>
             <span>{formData?.platformDetails?.name}</span>
@@ -168,6 +748,15 @@ export default function BannerPreview({ banner, formData, onRegenerate, onReset,
             <span className="block text-xs">商品</span>
             <span>{formData?.productName}</span>
           </div>
+          {selected?.resolution && (
+            <div>
+              <span className="block text-xs">生成解像度</span>
+              <span>
+                {selected.resolution.requested}
+                {selected.resolution.width && ` (${selected.resolution.width}x${selected.resolution.height}px)`}
+              </span>
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,424 @@
+import { useState, useRef } from 'react'
+import {
+  BRAND_LOGO_VARIANTS,
+  BRAND_LOGO_VARIANT_LABELS,
+  createBrandKit,
+  updateBrandKit,
+  deleteBrandKit,
+  uploadBrandLogo,
+  deleteBrandLogo,
+  getLegacyLogos,
+  importLegacyLogos,
+} from '../utils/brandKits'
+import { getAssetUrl, UPLOAD_IMAGE_TYPES } from '../utils/imageAssets'
+
+const toDraft = (kit) => ({
+  name: kit.name,
+  colors: kit.colors,
+  fonts: kit.fonts,
+  toneOfVoice: kit.toneOfVoice,
+  forbiddenWords: kit.forbiddenWords.join('\n'),
+})
+
+// Rendered inside the InputForm <form>, so every button is type="button"
+export default function BrandKitDialog({ brandKits, initialKitId, onChange, onClose }) {
+  const [selectedId, setSelectedId] = useState(initialKitId || brandKits[0]?.id || null)
+  const [draft, setDraft] = useState(() => {
+    const kit = brandKits.find(k => k.id === (initialKitId || brandKits[0]?.id))
+    return kit ? toDraft(kit) : null
+  })
+  const [newKitName, setNewKitName] = useState('')
+  const [logoName, setLogoName] = useState('')
+  const [logoVariant, setLogoVariant] = useState('default')
+  const [legacyCount, setLegacyCount] = useState(() => getLegacyLogos().length)
+  const [isBusy, setIsBusy] = useState(false)
+  const [error, setError] = useState(null)
+  const logoInputRef = useRef(null)
+
+  const kit = brandKits.find(k => k.id === selectedId) || null
+
+  const run = async (action) => {
+    setIsBusy(true)
+    setError(null)
+    try {
+      await action()
+    } catch (err) {
+      console.error('Failed to update brand kit:', err)
+      setError(err.message)
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  // Replace one kit in the list the form holds
+  const replaceKit = (updated) => {
+    onChange(brandKits.map(k => (k.id === updated.id ? updated : k)))
+  }
+
+  const selectKit = (kitId) => {
+    const next = brandKits.find(k => k.id === kitId)
+    setSelectedId(kitId)
+    setDraft(next ? toDraft(next) : null)
+    setError(null)
+  }
+
+  const updateDraft = (field, value) => setDraft(prev => ({ ...prev, [field]: value }))
+
+  const updateListItem = (field, index, key, value) => {
+    setDraft(prev => ({
+      ...prev,
+      [field]: prev[field].map((item, i) => (i === index ? { ...item, [key]: value } : item)),
+    }))
+  }
+
+  const removeListItem = (field, index) => {
+    setDraft(prev => ({ ...prev, [field]: prev[field].filter((_, i) => i !== index) }))
+  }
+
+  const handleCreate = () => run(async () => {
+    const created = await createBrandKit({ name: newKitName.trim() })
+    onChange([...brandKits, created])
+    setNewKitName('')
+    setSelectedId(created.id)
+    setDraft(toDraft(created))
+  })
+
+  const handleSave = () => run(async () => {
+    const updated = await updateBrandKit(kit.id, {
+      ...draft,
+      forbiddenWords: draft.forbiddenWords.split(/[\n,、]/).map(w => w.trim()).filter(Boolean),
+    })
+    replaceKit(updated)
+    setDraft(toDraft(updated))
+  })
+
+  const handleDeleteKit = () => {
+    if (!confirm(`ブランドキット「${kit.name}」を削除しますか？このキットを使っているプロジェクトはキットなしで生成されます。`)) return
+    run(async () => {
+      await deleteBrandKit(kit.id)
+      const rest = brandKits.filter(k => k.id !== kit.id)
+      onChange(rest)
+      selectKit(rest[0]?.id || null)
+    })
+  }
+
+  const handleLogoUpload = (e) => {
+    const file = e.target.files?.[0]
+    if (logoInputRef.current) logoInputRef.current.value = ''
+    if (!file) return
+
+    if (!UPLOAD_IMAGE_TYPES.includes(file.type)) {
+      setError(`${file.name} はPNG・JPG・WEBP形式の画像ではありません`)
+      return
+    }
+    if (file.size > 10 * 1024 * 1024) {
+      setError(`${file.name} のファイルサイズは10MB以下にしてください`)
+      return
+    }
+
+    run(async () => {
+      replaceKit(await uploadBrandLogo(kit.id, file, { name: logoName.trim(), variant: logoVariant }))
+      setLogoName('')
+    })
+  }
+
+  const handleDeleteLogo = (logo) => {
+    if (!confirm(`ロゴ「${logo.name}」を削除しますか？`)) return
+    run(async () => replaceKit(await deleteBrandLogo(kit.id, logo.id)))
+  }
+
+  const handleImportLegacy = () => run(async () => {
+    replaceKit(await importLegacyLogos(kit.id))
+    setLegacyCount(0)
+  })
+
+  const inputClass = 'px-3 py-2 bg-[var(--color-background)] border border-[var(--color-border)] rounded-lg text-sm focus:outline-none focus:border-[var(--color-primary)]'
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-[var(--color-surface)] rounded-xl p-6 w-full max-w-2xl max-h-[85vh] flex flex-col border border-[var(--color-border)]">
+        <h3 className="text-lg font-semibold mb-4">ブランドキットの管理</h3>
+
+        <div className="space-y-5 overflow-y-auto flex-1 pr-1">
+          <div className="flex flex-wrap gap-2">
+            {brandKits.length > 0 && (
+              <select
+                value={selectedId || ''}
+                onChange={(e) => selectKit(e.target.value)}
+                className={`${inputClass} flex-1 min-w-0`}
+              >
+                {brandKits.map(k => (
+                  <option key={k.id} value={k.id}>{k.name}</option>
+                ))}
+              </select>
+            )}
+            <input
+              type="text"
+              value={newKitName}
+              onChange={(e) => setNewKitName(e.target.value)}
+              placeholder="新しいキット名"
+              maxLength={80}
+              className={`${inputClass} w-48`}
+            />
+            <button
+              type="button"
+              onClick={handleCreate}
+              disabled={isBusy || !newKitName.trim()}
+              className="px-4 py-2 text-sm bg-[var(--color-primary)] hover:bg-[var(--color-primary-hover)] text-white rounded-lg transition disabled:opacity-50"
+            >
+              作成
+            </button>
+          </div>
+
+          {!kit ? (
+            <p className="text-sm text-[var(--color-text-muted)] text-center py-4">
+              ブランドキットはありません。キット名を入力して作成してください。
+            </p>
+          ) : (
+            <>
+              {/* Logos */}
+              <div>
+                <label className="block text-sm font-medium mb-2">ロゴ（{kit.logos.length}）</label>
+                {kit.logos.length > 0 && (
+                  <ul className="grid grid-cols-2 sm:grid-cols-3 gap-2 mb-3">
+                    {kit.logos.map(logo => (
+                      <li key={logo.id} className="group relative p-2 bg-[var(--color-background)] rounded-lg">
+                        <div className={`h-16 flex items-center justify-center rounded ${logo.variant === 'dark' ? 'bg-gray-800' : 'bg-white'}`}>
+                          <img src={getAssetUrl(logo.assetId)} alt={logo.name} className="max-h-14 max-w-full object-contain" />
+                        </div>
+                        <p className="text-xs mt-1 truncate">{logo.name}</p>
+                        <p className="text-[10px] text-[var(--color-text-muted)]">
+                          {BRAND_LOGO_VARIANT_LABELS[logo.variant]}
+                          {logo.width && logo.height && `・${logo.width}×${logo.height}`}
+                        </p>
+                        <button
+                          type="button"
+                          onClick={() => handleDeleteLogo(logo)}
+                          disabled={isBusy}
+                          title="削除"
+                          className="absolute top-1 right-1 p-1 rounded bg-black/50 text-white opacity-0 group-hover:opacity-100 transition disabled:opacity-50"
+                        >
+                          <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                          </svg>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <div className="flex flex-wrap gap-2">
+                  <input
+                    type="text"
+                    value={logoName}
+                    onChange={(e) => setLogoName(e.target.value)}
+                    placeholder="ロゴ名（任意）"
+                    maxLength={80}
+                    className={`${inputClass} flex-1 min-w-0`}
+                  />
+                  <select
+                    value={logoVariant}
+                    onChange={(e) => setLogoVariant(e.target.value)}
+                    className={inputClass}
+                  >
+                    {BRAND_LOGO_VARIANTS.map(variant => (
+                      <option key={variant} value={variant}>{BRAND_LOGO_VARIANT_LABELS[variant]}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={() => logoInputRef.current?.click()}
+                    disabled={isBusy}
+                    className="px-4 py-2 text-sm bg-[var(--color-background)] border border-[var(--color-border)] rounded-lg hover:bg-[var(--color-surface-hover)] transition disabled:opacity-50"
+                  >
+                    アップロード
+                  </button>
+                  <input
+                    ref={logoInputRef}
+                    type="file"
+                    accept={UPLOAD_IMAGE_TYPES.join(',')}
+                    onChange={handleLogoUpload}
+                    className="hidden"
+                  />
+                </div>
+                <p className="text-xs text-[var(--color-text-muted)] mt-1">
+                  元の解像度のまま保存されます（PNG・JPG・WEBP、10MBまで）
+                </p>
+                {legacyCount > 0 && (
+                  <button
+                    type="button"
+                    onClick={handleImportLegacy}
+                    disabled={isBusy}
+                    className="mt-2 text-sm text-[var(--color-primary)] hover:underline disabled:opacity-50"
+                  >
+                    このブラウザに保存されたロゴ（{legacyCount}件）を取り込む
+                  </button>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-2">キット名</label>
+                <input
+                  type="text"
+                  value={draft.name}
+                  onChange={(e) => updateDraft('name', e.target.value)}
+                  maxLength={80}
+                  className={`${inputClass} w-full`}
+                />
+              </div>
+
+              {/* Colors */}
+              <div>
+                <label className="block text-sm font-medium mb-2">ブランドカラー</label>
+                <div className="space-y-2">
+                  {draft.colors.map((color, i) => (
+                    <div key={i} className="flex items-center gap-2">
+                      <input
+                        type="color"
+                        value={color.hex}
+                        onChange={(e) => updateListItem('colors', i, 'hex', e.target.value)}
+                        className="w-10 h-9 bg-transparent border border-[var(--color-border)] rounded cursor-pointer"
+                      />
+                      <span className="text-xs font-mono text-[var(--color-text-muted)] w-16">{color.hex}</span>
+                      <input
+                        type="text"
+                        value={color.name}
+                        onChange={(e) => updateListItem('colors', i, 'name', e.target.value)}
+                        placeholder="用途（例：メイン、アクセント）"
+                        maxLength={40}
+                        className={`${inputClass} flex-1 min-w-0`}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeListItem('colors', i)}
+                        className="p-1 text-[var(--color-text-muted)] hover:text-red-400 transition"
+                        title="削除"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                {draft.colors.length < 12 && (
+                  <button
+                    type="button"
+                    onClick={() => updateDraft('colors', [...draft.colors, { name: '', hex: '#000000' }])}
+                    className="mt-2 text-sm text-[var(--color-primary)] hover:underline"
+                  >
+                    + カラーを追加
+                  </button>
+                )}
+              </div>
+
+              {/* Fonts */}
+              <div>
+                <label className="block text-sm font-medium mb-2">フォント</label>
+                <div className="space-y-2">
+                  {draft.fonts.map((font, i) => (
+                    <div key={i} className="flex items-center gap-2">
+                      <input
+                        type="text"
+                        value={font.name}
+                        onChange={(e) => updateListItem('fonts', i, 'name', e.target.value)}
+                        placeholder="フォント名（例：Noto Sans JP）"
+                        maxLength={80}
+                        className={`${inputClass} flex-1 min-w-0`}
+                      />
+                      <input
+                        type="text"
+                        value={font.usage}
+                        onChange={(e) => updateListItem('fonts', i, 'usage', e.target.value)}
+                        placeholder="用途（例：見出し）"
+                        maxLength={80}
+                        className={`${inputClass} w-40`}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeListItem('fonts', i)}
+                        className="p-1 text-[var(--color-text-muted)] hover:text-red-400 transition"
+                        title="削除"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                {draft.fonts.length < 6 && (
+                  <button
+                    type="button"
+                    onClick={() => updateDraft('fonts', [...draft.fonts, { name: '', usage: '' }])}
+                    className="mt-2 text-sm text-[var(--color-primary)] hover:underline"
+                  >
+                    + フォントを追加
+                  </button>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-2">トーン・オブ・ボイス</label>
+                <textarea
+                  value={draft.toneOfVoice}
+                  onChange={(e) => updateDraft('toneOfVoice', e.target.value)}
+                  rows={3}
+                  maxLength={2000}
+                  placeholder="例：親しみやすく、専門用語は避ける。語尾は「です・ます」調。"
+                  className={`${inputClass} w-full resize-none`}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-2">使用禁止ワード</label>
+                <textarea
+                  value={draft.forbiddenWords}
+                  onChange={(e) => updateDraft('forbiddenWords', e.target.value)}
+                  rows={3}
+                  placeholder="1行に1つ（例：最安値、業界No.1）"
+                  className={`${inputClass} w-full resize-none`}
+                />
+                <p className="text-xs text-[var(--color-text-muted)] mt-1">
+                  AIが生成するコピーに含まれないようにチェックされます
+                </p>
+              </div>
+
+              <div className="flex items-center justify-between">
+                <button
+                  type="button"
+                  onClick={handleDeleteKit}
+                  disabled={isBusy}
+                  className="px-3 py-1 text-xs bg-red-500/20 text-red-400 rounded hover:bg-red-500/30 transition disabled:opacity-50"
+                >
+                  キットを削除
+                </button>
+                <button
+                  type="button"
+                  onClick={handleSave}
+                  disabled={isBusy || !draft.name.trim()}
+                  className="px-4 py-2 text-sm bg-[var(--color-primary)] hover:bg-[var(--color-primary-hover)] text-white rounded-lg transition disabled:opacity-50"
+                >
+                  変更を保存
+                </button>
+              </div>
+            </>
+          )}
+
+          {error && (
+            <p className="text-sm text-red-400">{error}</p>
+          )}
+        </div>
+
+        <div className="flex justify-end mt-6">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-[var(--color-text-muted)] hover:text-[var(--color-text)] transition"
+          >
+            閉じる
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,121 @@
+import { useState } from 'react'
+import { JOB_STATUS, isJobInFlight } from '../utils/generationJobs'
+
+const STATUS_LABELS = {
+  [JOB_STATUS.PENDING]: { label: '待機中', className: 'bg-[var(--color-surface-hover)] text-[var(--color-text-muted)]' },
+  [JOB_STATUS.RUNNING]: { label: '生成中', className: 'bg-[var(--color-primary)]/20 text-[var(--color-primary)]' },
+  [JOB_STATUS.SUCCEEDED]: { label: '完了', className: 'bg-green-500/20 text-green-400' },
+  [JOB_STATUS.FAILED]: { label: '失敗', className: 'bg-red-500/20 text-red-400' },
+}
+
+export default function GenerationJobs({ jobs, hasMore, onLoadMore, onOpen, onDismiss, isLoading }) {
+  const [isOpen, setIsOpen] = useState(false)
+
+  if (jobs.length === 0) return null
+
+  const inFlightCount = jobs.filter(isJobInFlight).length
+
+  const formatTime = (timestamp) => new Date(timestamp).toLocaleString('ja-JP', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center gap-2 px-4 py-2 bg-[var(--color-background)] border border-[var(--color-border)] rounded-lg hover:bg-[var(--color-surface-hover)] transition text-sm"
+      >
+        {inFlightCount > 0 ? (
+          <svg className="animate-spin w-4 h-4" viewBox="0 0 24 24">
+            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
+            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
+          </svg>
+        ) : (
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
+          </svg>
+        )}
+        <span className="hidden sm:inline">生成ジョブ</span>
+        {inFlightCount > 0 && (
+          <span className="text-xs px-1.5 py-0.5 bg-[var(--color-primary)] text-white rounded-full">
+            {inFlightCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <>
+          <div
+            className="fixed inset-0 z-10"
+            onClick={() => setIsOpen(false)}
+          />
+          <div className="absolute right-0 top-full mt-2 w-80 bg-[var(--color-surface)] border border-[var(--color-border)] rounded-xl shadow-xl z-20 p-4 max-h-[80vh] overflow-y-auto">
+            <h3 className="font-semibold mb-1">生成ジョブ</h3>
+            <p className="text-xs text-[var(--color-text-muted)] mb-4">
+              ページを閉じても生成は続きます。完了した結果はここから開けます
+            </p>
+
+            <div className="space-y-2">
+              {jobs.map((job) => {
+                const status = STATUS_LABELS[job.status] || STATUS_LABELS[JOB_STATUS.PENDING]
+                return (
+                  <div
+                    key={job.id}
+                    className="p-3 rounded-lg border border-[var(--color-border)] bg-[var(--color-background)]"
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="text-sm font-medium truncate">{job.label || 'バナー生成'}</span>
+                      <span className={`text-xs px-2 py-0.5 rounded shrink-0 ${status.className}`}>
+                        {status.label}
+                      </span>
+                    </div>
+                    <div className="flex items-center justify-between mt-2">
+                      <span className="text-xs text-[var(--color-text-muted)]">{formatTime(job.createdAt)}</span>
+                      <div className="flex items-center gap-2">
+                        {job.status === JOB_STATUS.SUCCEEDED && (
+                          <button
+                            type="button"
+                            onClick={() => {
+                              onOpen(job.id)
+                              setIsOpen(false)
+                            }}
+                            disabled={isLoading}
+                            className="text-xs px-2 py-0.5 bg-[var(--color-primary)] hover:bg-[var(--color-primary-hover)] disabled:opacity-50 text-white rounded transition"
+                          >
+                            開く
+                          </button>
+                        )}
+                        {!isJobInFlight(job) && (
+                          <button
+                            type="button"
+                            onClick={() => onDismiss(job.id)}
+                            className="text-xs px-2 py-0.5 bg-[var(--color-surface-hover)] hover:bg-[var(--color-border)] rounded transition"
+                          >
+                            削除
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+
+            {hasMore && (
+              <button
+                type="button"
+                onClick={onLoadMore}
+                className="w-full mt-3 text-xs py-1.5 bg-[var(--color-surface-hover)] hover:bg-[var(--color-border)] rounded transition"
+              >
+                さらに表示
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -1,6 +1,7 @@
 import { useState } from 'react'
+import RefinementThread from './RefinementThread'
 
-export default function ImagePromptPreview({ prompt, asciiResult, onApprove, onBack, isLoading }) {
+export default function ImagePromptPreview({ prompt, history, onSelectTurn, asciiResult, onApprove, onBack, isLoading }) {
   const [feedback, setFeedback] = useState('')
   const [showFeedback, setShowFeedback] = useState(false)
 
@@ -124,6 +125,14 @@ export default function ImagePromptPreview({ prompt, asciiResult, onApprove, onB
         </div>
       </div>
 
+      {/* Refinement Thread */}
+      <RefinementThread
+        history={history}
+        onSelectTurn={onSelectTurn}
+        summarize={(turnPrompt) => turnPrompt.concept}
+        isLoading={isLoading}
+      />
+
       {/* Feedback Section */}
       {showFeedback && (
         <div className="bg-[var(--color-surface)] rounded-xl p-6 border border-[var(--color-border)]">
@@ -1,5 +1,13 @@
 import { useState, useRef, useEffect } from 'react'
-import { getSavedLogos, processAndSaveLogo, deleteLogo } from '../utils/brandAssets'
+import { fetchBrandKits, toBrandKitContext, toBrandLogoRef, BRAND_LOGO_VARIANT_LABELS } from '../utils/brandKits'
+import { uploadImageAsset, getImagePreview, getAssetUrl, toImageRefs, UPLOAD_IMAGE_TYPES } from '../utils/imageAssets'
+import { extractPalette, MAX_PALETTE_COLORS } from '../utils/colorPalette'
+import { DEFAULT_LOGO_PLACEMENT, LOGO_PLACEMENT_MODES } from '../utils/logoComposite'
+import { DEFAULT_TEXT_OVERLAY, OVERLAY_FONTS, TEXT_RENDERING_MODES } from '../utils/textOverlay'
+import { toConflictValues, mergeConflictValues } from '../utils/projectConflict'
+import ProjectConflictDialog from './ProjectConflictDialog'
+import BrandKitDialog from './BrandKitDialog'
+import LogoPlacementControls from './LogoPlacementControls'
 
 const PLATFORMS = [
   // Instagram - 最新仕様 (2024-2026)
@@ -30,6 +38,7 @@ export default function InputForm({
   isLoading,
   initialData,
   onSaveProject,
+  onReloadProject,
   currentProjectId,
   currentProjectName
 }) {
@@ -43,63 +52,80 @@ export default function InputForm({
     additionalNotes: '',
   })
 
-  const [productImages, setProductImages] = useState([]) // Array of { base64, mimeType, fileName, preview }
+  const [productImages, setProductImages] = useState([]) // Array of { id, assetId, mimeType, fileName, preview, isUploading }
   const [copyMode, setCopyMode] = useState('ai') // 'ai' or 'manual'
   const [manualCopy, setManualCopy] = useState({
     headline: '',
     subtext: '',
     cta: '',
   })
-  const [savedLogos, setSavedLogos] = useState([])
-  const [selectedLogo, setSelectedLogo] = useState(null)
-  const [newLogoName, setNewLogoName] = useState('')
-  const [showLogoManager, setShowLogoManager] = useState(false)
+  const [textOverlay, setTextOverlay] = useState(DEFAULT_TEXT_OVERLAY) // How the copy gets into the banner
+  const [brandKits, setBrandKits] = useState([])
+  const [brandKitId, setBrandKitId] = useState(null)
+  const [brandLogoId, setBrandLogoId] = useState(null)
+  const [showBrandKitDialog, setShowBrandKitDialog] = useState(false)
+  const [logoPlacement, setLogoPlacement] = useState(DEFAULT_LOGO_PLACEMENT)
+  const [palette, setPalette] = useState([]) // Hex colors every generation step must use
+  const [isExtractingPalette, setIsExtractingPalette] = useState(false)
   const [showSaveDialog, setShowSaveDialog] = useState(false)
   const [saveProjectName, setSaveProjectName] = useState('')
   const [isSaving, setIsSaving] = useState(false)
+  const [conflict, setConflict] = useState(null) // { name, localValues, serverValues, serverUpdatedAt, serverEtag }
   const fileInputRef = useRef(null)
-  const logoInputRef = useRef(null)
 
-  // Load saved logos on mount
+  // Brand kits of the active space
   useEffect(() => {
-    setSavedLogos(getSavedLogos())
+    fetchBrandKits()
+      .then(setBrandKits)
+      .catch((err) => console.error('Failed to load brand kits:', err))
   }, [])
 
+  // A kit or logo deleted since the project was saved is shown as not selected
+  const selectedKit = brandKits.find(k => k.id === brandKitId) || null
+  const selectedLogo = selectedKit?.logos.find(l => l.id === brandLogoId) || null
+
+  // Fill the form from project data (a loaded project or a resolved save conflict)
+  const applyProjectData = (data) => {
+    setFormData({
+      platform: PLATFORMS.some(p => p.id === data.platform) ? data.platform : 'instagram_feed',
+      productName: data.productName || '',
+      productDescription: data.productDescription || '',
+      targetAudience: data.targetAudience || '',
+      designGoal: data.designGoal || '商品販売',
+      vibe: data.vibe || '',
+      additionalNotes: data.additionalNotes || '',
+    })
+
+    setCopyMode(data.copyMode === 'manual' ? 'manual' : 'ai')
+    setManualCopy({
+      headline: data.manualCopy?.headline || '',
+      subtext: data.manualCopy?.subtext || '',
+      cta: data.manualCopy?.cta || '',
+    })
+    setTextOverlay({ ...DEFAULT_TEXT_OVERLAY, ...data.textOverlay })
+
+    // Load product images with preview URLs
+    if (data.productImages && data.productImages.length > 0) {
+      const imagesWithPreview = data.productImages.map((img, index) => ({
+        ...img,
+        id: img.id || Date.now() + index,
+        preview: getImagePreview(img),
+      }))
+      setProductImages(imagesWithPreview)
+    } else {
+      setProductImages([])
+    }
+
+    setBrandKitId(data.brandKitId || null)
+    setBrandLogoId(data.brandLogoId || null)
+    setLogoPlacement({ ...DEFAULT_LOGO_PLACEMENT, ...data.logoPlacement })
+    setPalette(data.palette || [])
+  }
+
   // Load initial data when project is selected
   useEffect(() => {
     if (initialData) {
-      setFormData({
-        platform: 'instagram_feed', // Platform is not saved in project
-        productName: initialData.productName || '',
-        productDescription: initialData.productDescription || '',
-        targetAudience: initialData.targetAudience || '',
-        designGoal: initialData.designGoal || '商品販売',
-        vibe: initialData.vibe || '',
-        additionalNotes: initialData.additionalNotes || '',
-      })
-
-      // Load product images with preview URLs
-      if (initialData.productImages && initialData.productImages.length > 0) {
-        const imagesWithPreview = initialData.productImages.map((img, index) => ({
-          ...img,
-          id: img.id || Date.now() + index,
-          preview: img.preview || `data:${img.mimeType};base64,${img.base64}`,
-        }))
-        setProductImages(imagesWithPreview)
-      } else {
-        setProductImages([])
-      }
-
-      // Load brand logo if specified
-      if (initialData.brandLogoName) {
-        const logos = getSavedLogos()
-        const logo = logos.find(l => l.name === initialData.brandLogoName)
-        if (logo) {
-          setSelectedLogo(logo)
-        }
-      } else {
-        setSelectedLogo(null)
-      }
+      applyProjectData(initialData)
     }
   }, [initialData])
 
@@ -120,8 +146,8 @@ export default function InputForm({
 
     files.forEach((file) => {
       // Validate file type
-      if (!file.type.startsWith('image/')) {
-        alert(`${file.name} は画像ファイルではありません`)
+      if (!UPLOAD_IMAGE_TYPES.includes(file.type)) {
+        alert(`${file.name} はPNG・JPG・WEBP形式の画像ではありません`)
         return
       }
 
@@ -131,20 +157,26 @@ export default function InputForm({
         return
       }
 
-      // Read file as base64
-      const reader = new FileReader()
-      reader.onload = (event) => {
-        const base64Full = event.target.result
-        const newImage = {
-          id: Date.now() + Math.random(), // Unique ID for key
-          base64: base64Full.split(',')[1], // Remove data:image/...;base64, prefix
-          mimeType: file.type,
-          fileName: file.name,
-          preview: base64Full,
-        }
-        setProductImages((prev) => [...prev, newImage])
-      }
-      reader.readAsDataURL(file)
+      // Upload once; the form keeps only the asset reference and a thumbnail
+      const id = Date.now() + Math.random() // Unique ID for key
+      const preview = URL.createObjectURL(file)
+      setProductImages((prev) => [...prev, { id, mimeType: file.type, fileName: file.name, preview, isUploading: true }])
+
+      uploadImageAsset(file)
+        .then((uploaded) => {
+          setProductImages((prev) => {
+            // The same image uploaded twice resolves to the same asset
+            const duplicate = uploaded.assetId && prev.some((img) => img.id !== id && img.assetId === uploaded.assetId)
+            return duplicate
+              ? prev.filter((img) => img.id !== id)
+              : prev.map((img) => (img.id === id ? { ...uploaded, id } : img))
+          })
+        })
+        .catch((error) => {
+          setProductImages((prev) => prev.filter((img) => img.id !== id))
+          alert(`${file.name} のアップロードに失敗しました: ${error.message}`)
+        })
+        .finally(() => URL.revokeObjectURL(preview))
     })
 
     // Reset input
@@ -162,40 +194,52 @@ export default function InputForm({
     setManualCopy((prev) => ({ ...prev, [name]: value }))
   }
 
-  const handleLogoUpload = async (e) => {
-    const file = e.target.files?.[0]
-    if (!file) return
+  // Picking a kit selects its standard logo (or its first one)
+  const handleSelectKit = (kitId) => {
+    const kit = brandKits.find(k => k.id === kitId)
+    const logo = kit?.logos.find(l => l.variant === 'default') || kit?.logos[0]
+    setBrandKitId(kit ? kit.id : null)
+    setBrandLogoId(logo ? logo.id : null)
+  }
+
+  // Dominant colors of the selected logo and the uploaded product images
+  const handleExtractPalette = async () => {
+    const sources = [
+      selectedLogo && getAssetUrl(selectedLogo.assetId, 'original'),
+      ...productImages.filter((img) => !img.isUploading).map(getImagePreview),
+    ].filter(Boolean)
 
-    const name = newLogoName.trim() || file.name.replace(/\.[^/.]+$/, '')
+    setIsExtractingPalette(true)
     try {
-      const logo = await processAndSaveLogo(file, name)
-      setSavedLogos(getSavedLogos())
-      setSelectedLogo(logo)
-      setNewLogoName('')
-      setShowLogoManager(false)
+      const colors = await extractPalette(sources)
+      if (colors.length === 0) {
+        alert('画像から色を抽出できませんでした')
+        return
+      }
+      setPalette(colors)
     } catch (error) {
-      alert('ロゴの保存に失敗しました: ' + error.message)
+      alert('色の抽出に失敗しました: ' + error.message)
+    } finally {
+      setIsExtractingPalette(false)
     }
-    if (logoInputRef.current) logoInputRef.current.value = ''
   }
 
-  const handleDeleteLogo = (name) => {
-    if (confirm(`「${name}」を削除しますか？`)) {
-      deleteLogo(name)
-      setSavedLogos(getSavedLogos())
-      if (selectedLogo?.name === name) {
-        setSelectedLogo(null)
-      }
-    }
+  const handlePaletteColorChange = (index, hex) => {
+    setPalette((prev) => prev.map((color, i) => (i === index ? hex : color)))
   }
 
   // Get current form data for saving
   const getCurrentFormData = () => ({
     ...formData,
-    productImages: productImages,
-    brandLogo: selectedLogo,
+    productImages: toImageRefs(productImages),
+    brandKitId: selectedKit?.id || null,
+    brandLogoId: selectedLogo?.id || null,
+    brandLogo: toBrandLogoRef(selectedLogo),
+    logoPlacement,
+    palette,
     copyMode: copyMode,
     manualCopy: copyMode === 'manual' ? manualCopy : null,
+    textOverlay,
   })
 
   // Handle save project
@@ -211,6 +255,8 @@ export default function InputForm({
         setShowSaveDialog(false)
         setSaveProjectName('')
         alert('プロジェクトを保存しました')
+      } else if (result.conflict) {
+        openConflict(result, toConflictValues(getCurrentFormData(), name))
       } else {
         alert('保存に失敗しました: ' + result.error)
       }
@@ -230,6 +276,8 @@ export default function InputForm({
       const result = await onSaveProject(getCurrentFormData(), currentProjectName)
       if (result.success) {
         alert('プロジェクトを更新しました')
+      } else if (result.conflict) {
+        openConflict(result, toConflictValues(getCurrentFormData(), currentProjectName))
       } else {
         alert('更新に失敗しました: ' + result.error)
       }
@@ -240,23 +288,75 @@ export default function InputForm({
     }
   }
 
+  // The project was saved in another tab or on another device since it was loaded
+  const openConflict = (result, localValues) => {
+    setShowSaveDialog(false)
+    setConflict({
+      localValues,
+      serverValues: toConflictValues(result.serverProject),
+      serverUpdatedAt: result.serverProject.updatedAt,
+      serverEtag: result.serverEtag,
+    })
+  }
+
+  // Save the fields chosen in the conflict dialog on top of the server revision
+  const handleResolveConflict = async (choices) => {
+    const merged = mergeConflictValues(conflict.localValues, conflict.serverValues, choices)
+    applyProjectData(merged)
+    setIsSaving(true)
+
+    try {
+      const result = await onSaveProject(merged, merged.name, { etag: conflict.serverEtag })
+      if (result.success) {
+        setConflict(null)
+        alert('プロジェクトを保存しました')
+      } else if (result.conflict) {
+        // Saved elsewhere again while the dialog was open
+        openConflict(result, toConflictValues(merged, merged.name))
+      } else {
+        alert('保存に失敗しました: ' + result.error)
+      }
+    } catch (err) {
+      alert('保存に失敗しました: ' + err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleLoadServerVersion = () => {
+    setConflict(null)
+    onReloadProject?.()
+  }
+
   const handleSubmit = (e) => {
     e.preventDefault()
+    if (isUploadingImages) return
     const selectedPlatform = PLATFORMS.find((p) => p.id === formData.platform)
+    const imageRefs = toImageRefs(productImages)
     onSubmit({
       ...formData,
       platformDetails: selectedPlatform,
-      productImages: productImages.length > 0 ? productImages : null,
+      productImages: imageRefs.length > 0 ? imageRefs : null,
       // For backwards compatibility, also provide single productImage if available
-      productImage: productImages.length > 0 ? productImages[0] : null,
+      productImage: imageRefs.length > 0 ? imageRefs[0] : null,
       imageApproach: productImages.length > 0 ? 'reference' : null,
       copyMode: copyMode,
       manualCopy: copyMode === 'manual' ? manualCopy : null,
-      brandLogo: selectedLogo,
+      textOverlay,
+      brandKitId: selectedKit?.id || null,
+      brandLogoId: selectedLogo?.id || null,
+      brandKit: toBrandKitContext(selectedKit),
+      brandLogo: toBrandLogoRef(selectedLogo),
+      // The other logos of the kit, so the composited logo can switch to a light / dark variant
+      brandLogos: composesLogo ? selectedKit.logos.map(toBrandLogoRef) : null,
+      logoPlacement,
+      palette,
     })
   }
 
   const selectedPlatform = PLATFORMS.find((p) => p.id === formData.platform)
+  const composesLogo = !!selectedLogo && logoPlacement.mode === LOGO_PLACEMENT_MODES.COMPOSITE
+  const isUploadingImages = productImages.some((img) => img.isUploading)
 
   return (
     <form onSubmit={handleSubmit} className="space-y-8">
@@ -361,6 +461,22 @@ export default function InputForm({
         </div>
       )}
 
+      {/* Save Conflict Dialog */}
+      {conflict && (
+        <ProjectConflictDialog
+          key={conflict.serverEtag}
+          localValues={conflict.localValues}
+          serverValues={conflict.serverValues}
+          serverUpdatedAt={conflict.serverUpdatedAt}
+          platformNames={Object.fromEntries(PLATFORMS.map((p) => [p.id, p.name]))}
+          brandKitNames={Object.fromEntries(brandKits.map((k) => [k.id, k.name]))}
+          isSaving={isSaving}
+          onSave={handleResolveConflict}
+          onLoadServer={handleLoadServerVersion}
+          onCancel={() => setConflict(null)}
+        />
+      )}
+
       <div className="bg-[var(--color-surface)] rounded-xl p-6 border border-[var(--color-border)]">
         <h2 className="text-xl font-semibold mb-6">ターゲットプラットフォーム</h2>
 
@@ -441,7 +557,7 @@ export default function InputForm({
           <input
             ref={fileInputRef}
             type="file"
-            accept="image/*"
+            accept={UPLOAD_IMAGE_TYPES.join(',')}
             multiple
             onChange={handleImageUpload}
             className="hidden"
@@ -460,8 +576,13 @@ export default function InputForm({
                   <img
                     src={image.preview}
                     alt={image.fileName}
-                    className="w-full aspect-square object-cover rounded-lg border border-[var(--color-border)]"
+                    className={`w-full aspect-square object-cover rounded-lg border border-[var(--color-border)] ${image.isUploading ? 'opacity-50' : ''}`}
                   />
+                  {image.isUploading && (
+                    <div className="absolute top-0 inset-x-0 aspect-square flex items-center justify-center">
+                      <div className="w-6 h-6 border-2 border-white border-t-transparent rounded-full animate-spin" />
+                    </div>
+                  )}
                   <button
                     type="button"
                     onClick={() => handleRemoveImage(image.id)}
@@ -620,6 +741,45 @@ export default function InputForm({
             </div>
           </div>
         )}
+
+        {/* Text rendering */}
+        <div className="mt-6">
+          <label className="block text-sm font-medium mb-2">テキストの入れ方</label>
+          <div className="grid grid-cols-2 gap-2">
+            {[
+              { mode: TEXT_RENDERING_MODES.AI, label: 'AIに描画させる', description: '画像生成モデルが文字も描きます' },
+              { mode: TEXT_RENDERING_MODES.OVERLAY, label: 'テキストを合成', description: '文字なしの画像に正確な文字を重ねます' },
+            ].map(({ mode, label, description }) => (
+              <button
+                key={mode}
+                type="button"
+                onClick={() => setTextOverlay((prev) => ({ ...prev, mode }))}
+                className={`p-3 rounded-lg border text-left transition ${
+                  textOverlay.mode === mode
+                    ? 'border-[var(--color-primary)] bg-[var(--color-primary)]/10'
+                    : 'border-[var(--color-border)] hover:border-[var(--color-text-muted)]'
+                }`}
+              >
+                <span className="block text-sm font-medium">{label}</span>
+                <span className="block text-xs text-[var(--color-text-muted)]">{description}</span>
+              </button>
+            ))}
+          </div>
+          {textOverlay.mode === TEXT_RENDERING_MODES.OVERLAY && (
+            <div className="mt-3">
+              <label className="block text-xs text-[var(--color-text-muted)] mb-1">フォント（生成後にレイヤーごとに変更できます）</label>
+              <select
+                value={textOverlay.font}
+                onChange={(e) => setTextOverlay((prev) => ({ ...prev, font: e.target.value }))}
+                className="w-full px-4 py-3 bg-[var(--color-background)] border border-[var(--color-border)] rounded-lg focus:ring-2 focus:ring-[var(--color-primary)] focus:border-transparent outline-none transition"
+              >
+                {OVERLAY_FONTS.map((font) => (
+                  <option key={font.id} value={font.id}>{font.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
       </div>
 
       <div className="bg-[var(--color-surface)] rounded-xl p-6 border border-[var(--color-border)]">
@@ -672,137 +832,232 @@ export default function InputForm({
         </div>
       </div>
 
-      {/* Brand Logo */}
+      {/* Brand Kit */}
       <div className="bg-[var(--color-surface)] rounded-xl p-6 border border-[var(--color-border)]">
         <div className="flex items-center justify-between mb-4">
           <div>
-            <h2 className="text-xl font-semibold">ブランドロゴ（任意）</h2>
+            <h2 className="text-xl font-semibold">ブランドキット（任意）</h2>
             <p className="text-sm text-[var(--color-text-muted)] mt-1">
-              ロゴを登録すると、バナー生成時に参照画像として使用されます
+              ロゴ・ブランドカラー・フォント・トーンがレイアウトとバナー生成に反映されます
             </p>
           </div>
           <button
             type="button"
-            onClick={() => setShowLogoManager(!showLogoManager)}
+            onClick={() => setShowBrandKitDialog(true)}
             className="text-sm text-[var(--color-primary)] hover:underline"
           >
-            {showLogoManager ? '閉じる' : '管理'}
+            管理
           </button>
         </div>
 
-        {/* Selected Logo Display */}
-        {selectedLogo && (
-          <div className="flex items-center gap-3 p-3 bg-[var(--color-background)] rounded-lg mb-4">
-            <img
-              src={selectedLogo.dataUrl}
-              alt={selectedLogo.name}
-              className="w-12 h-12 object-contain rounded border border-[var(--color-border)]"
-            />
-            <div className="flex-1">
-              <p className="font-medium text-sm">{selectedLogo.name}</p>
-              <p className="text-xs text-[var(--color-text-muted)]">選択中（生成時に参照されます）</p>
-            </div>
-            <button
-              type="button"
-              onClick={() => setSelectedLogo(null)}
-              className="text-xs text-red-400 hover:text-red-300"
+        {brandKits.length === 0 ? (
+          <p className="text-sm text-[var(--color-text-muted)] text-center py-4">
+            ブランドキットはありません。「管理」から作成できます
+          </p>
+        ) : (
+          <div className="space-y-4">
+            <select
+              value={selectedKit?.id || ''}
+              onChange={(e) => handleSelectKit(e.target.value)}
+              className="w-full px-4 py-3 bg-[var(--color-background)] border border-[var(--color-border)] rounded-lg focus:ring-2 focus:ring-[var(--color-primary)] focus:border-transparent outline-none transition"
             >
-              解除
-            </button>
+              <option value="">使用しない</option>
+              {brandKits.map((kit) => (
+                <option key={kit.id} value={kit.id}>{kit.name}</option>
+              ))}
+            </select>
+
+            {selectedKit && (
+              <>
+                {/* Logo variant */}
+                {selectedKit.logos.length > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium mb-2">ロゴ</label>
+                    <div className="flex flex-wrap gap-2">
+                      <button
+                        type="button"
+                        onClick={() => setBrandLogoId(null)}
+                        className={`px-3 py-2 rounded-lg border text-sm transition ${
+                          !selectedLogo
+                            ? 'border-[var(--color-primary)] bg-[var(--color-primary)]/10'
+                            : 'border-[var(--color-border)] hover:border-[var(--color-text-muted)]'
+                        }`}
+                      >
+                        ロゴなし
+                      </button>
+                      {selectedKit.logos.map((logo) => (
+                        <button
+                          key={logo.id}
+                          type="button"
+                          onClick={() => setBrandLogoId(logo.id)}
+                          className={`flex items-center gap-2 px-3 py-2 rounded-lg border transition ${
+                            selectedLogo?.id === logo.id
+                              ? 'border-[var(--color-primary)] bg-[var(--color-primary)]/10'
+                              : 'border-[var(--color-border)] hover:border-[var(--color-text-muted)]'
+                          }`}
+                        >
+                          <span className={`w-8 h-8 flex items-center justify-center rounded ${logo.variant === 'dark' ? 'bg-gray-800' : 'bg-white'}`}>
+                            <img src={getAssetUrl(logo.assetId)} alt={logo.name} className="max-w-7 max-h-7 object-contain" />
+                          </span>
+                          <span className="text-left">
+                            <span className="block text-sm">{logo.name}</span>
+                            <span className="block text-xs text-[var(--color-text-muted)]">{BRAND_LOGO_VARIANT_LABELS[logo.variant]}</span>
+                          </span>
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {/* Logo placement */}
+                {selectedLogo && (
+                  <div>
+                    <label className="block text-sm font-medium mb-2">ロゴの入れ方</label>
+                    <div className="grid grid-cols-2 gap-2 mb-3">
+                      {[
+                        { mode: LOGO_PLACEMENT_MODES.AI, label: 'AIに描画させる', description: 'ロゴを参考画像として渡します' },
+                        { mode: LOGO_PLACEMENT_MODES.COMPOSITE, label: '元画像を合成', description: '生成後にロゴ画像をそのまま配置します' },
+                      ].map(({ mode, label, description }) => (
+                        <button
+                          key={mode}
+                          type="button"
+                          onClick={() => setLogoPlacement((prev) => ({ ...prev, mode }))}
+                          className={`p-3 rounded-lg border text-left transition ${
+                            logoPlacement.mode === mode
+                              ? 'border-[var(--color-primary)] bg-[var(--color-primary)]/10'
+                              : 'border-[var(--color-border)] hover:border-[var(--color-text-muted)]'
+                          }`}
+                        >
+                          <span className="block text-sm font-medium">{label}</span>
+                          <span className="block text-xs text-[var(--color-text-muted)]">{description}</span>
+                        </button>
+                      ))}
+                    </div>
+                    {composesLogo && (
+                      <LogoPlacementControls placement={logoPlacement} onChange={setLogoPlacement} />
+                    )}
+                  </div>
+                )}
+
+                {/* Guidelines summary */}
+                <div className="p-3 bg-[var(--color-background)] rounded-lg space-y-2 text-sm">
+                  {selectedKit.colors.length > 0 && (
+                    <div className="flex flex-wrap items-center gap-2">
+                      {selectedKit.colors.map((color, i) => (
+                        <span key={i} className="flex items-center gap-1 text-xs">
+                          <span className="w-4 h-4 rounded border border-[var(--color-border)]" style={{ backgroundColor: color.hex }} />
+                          {color.name || color.hex}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  {selectedKit.fonts.length > 0 && (
+                    <p className="text-xs text-[var(--color-text-muted)]">
+                      フォント: {selectedKit.fonts.map(f => (f.usage ? `${f.name}（${f.usage}）` : f.name)).join('、')}
+                    </p>
+                  )}
+                  {selectedKit.toneOfVoice && (
+                    <p className="text-xs text-[var(--color-text-muted)] line-clamp-2">トーン: {selectedKit.toneOfVoice}</p>
+                  )}
+                  {selectedKit.forbiddenWords.length > 0 && (
+                    <p className="text-xs text-[var(--color-text-muted)]">
+                      使用禁止ワード: {selectedKit.forbiddenWords.join('、')}
+                    </p>
+                  )}
+                  {selectedKit.colors.length === 0 && selectedKit.fonts.length === 0 && !selectedKit.toneOfVoice && selectedKit.forbiddenWords.length === 0 && (
+                    <p className="text-xs text-[var(--color-text-muted)]">ガイドラインは未設定です</p>
+                  )}
+                </div>
+              </>
+            )}
           </div>
         )}
 
-        {/* Saved Logos List */}
-        {savedLogos.length > 0 && !showLogoManager && !selectedLogo && (
-          <div className="flex flex-wrap gap-2">
-            {savedLogos.map((logo) => (
+        {showBrandKitDialog && (
+          <BrandKitDialog
+            brandKits={brandKits}
+            initialKitId={selectedKit?.id}
+            onChange={setBrandKits}
+            onClose={() => setShowBrandKitDialog(false)}
+          />
+        )}
+      </div>
+
+      {/* Color Palette */}
+      <div className="bg-[var(--color-surface)] rounded-xl p-6 border border-[var(--color-border)]">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-semibold">カラーパレット（任意）</h2>
+            <p className="text-sm text-[var(--color-text-muted)] mt-1">
+              設定すると、レイアウト・プロンプト・バナーはこの色だけで作られます
+            </p>
+          </div>
+          <div className="flex items-center gap-3 shrink-0">
+            {selectedKit?.colors.length > 0 && (
               <button
-                key={logo.name}
                 type="button"
-                onClick={() => setSelectedLogo(logo)}
-                className="flex items-center gap-2 px-3 py-2 bg-[var(--color-background)] rounded-lg border border-[var(--color-border)] hover:border-[var(--color-primary)] transition"
+                onClick={() => setPalette(selectedKit.colors.map((c) => c.hex).slice(0, MAX_PALETTE_COLORS))}
+                className="text-sm text-[var(--color-primary)] hover:underline"
               >
-                <img
-                  src={logo.dataUrl}
-                  alt={logo.name}
-                  className="w-6 h-6 object-contain"
-                />
-                <span className="text-sm">{logo.name}</span>
+                ブランドカラーを使う
               </button>
-            ))}
+            )}
+            <button
+              type="button"
+              onClick={handleExtractPalette}
+              disabled={isExtractingPalette || (!selectedLogo && productImages.length === 0)}
+              title={!selectedLogo && productImages.length === 0 ? 'ロゴか商品画像を選択してください' : undefined}
+              className="text-sm text-[var(--color-primary)] hover:underline disabled:opacity-50 disabled:no-underline"
+            >
+              {isExtractingPalette ? '抽出中...' : 'ロゴ・商品画像から抽出'}
+            </button>
           </div>
-        )}
+        </div>
 
-        {/* Logo Manager */}
-        {showLogoManager && (
-          <div className="space-y-4">
-            {/* Upload New Logo */}
-            <div className="p-4 bg-[var(--color-background)] rounded-lg">
-              <label className="block text-sm font-medium mb-2">新しいロゴを追加</label>
-              <div className="flex gap-2">
+        {palette.length === 0 ? (
+          <p className="text-sm text-[var(--color-text-muted)] text-center py-4">
+            パレットは未設定です（色はAIが決めます）
+          </p>
+        ) : (
+          <div className="flex flex-wrap items-center gap-3">
+            {palette.map((color, index) => (
+              <div key={index} className="group relative flex flex-col items-center gap-1">
                 <input
-                  type="text"
-                  value={newLogoName}
-                  onChange={(e) => setNewLogoName(e.target.value)}
-                  placeholder="ロゴ名（任意）"
-                  className="flex-1 px-3 py-2 bg-[var(--color-surface)] border border-[var(--color-border)] rounded-lg text-sm focus:ring-2 focus:ring-[var(--color-primary)] outline-none"
+                  type="color"
+                  value={color}
+                  onChange={(e) => handlePaletteColorChange(index, e.target.value)}
+                  className="w-12 h-12 bg-transparent border border-[var(--color-border)] rounded-lg cursor-pointer"
                 />
+                <span className="text-xs font-mono text-[var(--color-text-muted)]">{color}</span>
                 <button
                   type="button"
-                  onClick={() => logoInputRef.current?.click()}
-                  className="px-4 py-2 bg-[var(--color-primary)] hover:bg-[var(--color-primary-hover)] rounded-lg text-sm font-medium transition"
+                  onClick={() => setPalette((prev) => prev.filter((_, i) => i !== index))}
+                  title="削除"
+                  className="absolute -top-2 -right-2 w-5 h-5 bg-red-500 hover:bg-red-600 rounded-full flex items-center justify-center opacity-0 group-hover:opacity-100 transition"
                 >
-                  アップロード
+                  <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
                 </button>
-                <input
-                  ref={logoInputRef}
-                  type="file"
-                  accept="image/*"
-                  onChange={handleLogoUpload}
-                  className="hidden"
-                />
-              </div>
-            </div>
-
-            {/* Saved Logos Management */}
-            {savedLogos.length > 0 && (
-              <div className="space-y-2">
-                <label className="block text-sm font-medium">保存済みロゴ</label>
-                {savedLogos.map((logo) => (
-                  <div
-                    key={logo.name}
-                    className="flex items-center gap-3 p-3 bg-[var(--color-background)] rounded-lg"
-                  >
-                    <img
-                      src={logo.dataUrl}
-                      alt={logo.name}
-                      className="w-10 h-10 object-contain rounded border border-[var(--color-border)]"
-                    />
-                    <span className="flex-1 text-sm">{logo.name}</span>
-                    <button
-                      type="button"
-                      onClick={() => setSelectedLogo(logo)}
-                      className="px-3 py-1 text-xs bg-[var(--color-primary)]/20 text-[var(--color-primary)] rounded hover:bg-[var(--color-primary)]/30 transition"
-                    >
-                      選択
-                    </button>
-                    <button
-                      type="button"
-                      onClick={() => handleDeleteLogo(logo.name)}
-                      className="px-3 py-1 text-xs bg-red-500/20 text-red-400 rounded hover:bg-red-500/30 transition"
-                    >
-                      削除
-                    </button>
-                  </div>
-                ))}
               </div>
+            ))}
+            {palette.length < MAX_PALETTE_COLORS && (
+              <button
+                type="button"
+                onClick={() => setPalette((prev) => [...prev, '#ffffff'])}
+                title="色を追加"
+                className="w-12 h-12 mb-5 border-2 border-dashed border-[var(--color-border)] rounded-lg flex items-center justify-center text-[var(--color-text-muted)] hover:border-[var(--color-primary)] hover:text-[var(--color-primary)] transition"
+              >
+                +
+              </button>
             )}
-
-            {savedLogos.length === 0 && (
-              <p className="text-sm text-[var(--color-text-muted)] text-center py-4">
-                保存されたロゴはありません
-              </p>
-            )}
+            <button
+              type="button"
+              onClick={() => setPalette([])}
+              className="ml-auto text-xs text-red-400 hover:text-red-300"
+            >
+              クリア
+            </button>
           </div>
         )}
       </div>
@@ -832,7 +1087,7 @@ export default function InputForm({
 
       <button
         type="submit"
-        disabled={isLoading || !formData.productName || !formData.productDescription}
+        disabled={isLoading || isUploadingImages || !formData.productName || !formData.productDescription}
         className="w-full py-4 px-6 bg-[var(--color-primary)] hover:bg-[var(--color-primary-hover)] disabled:opacity-50 disabled:cursor-not-allowed rounded-xl font-semibold text-lg transition flex items-center justify-center gap-3"
       >
         {isLoading ? (
@@ -0,0 +1,176 @@
+import { useState, useEffect } from 'react'
+import {
+  createPairingCode,
+  redeemPairingCode,
+  fetchLinkedDevices,
+  revokeDevice,
+} from '../utils/deviceId'
+
+const formatCode = (code) => `${code.slice(0, 4)}-${code.slice(4)}`
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString('ja-JP', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+})
+
+export default function LinkedDevicesDialog({ onLinksChanged, onClose }) {
+  const [devices, setDevices] = useState([])
+  const [pairing, setPairing] = useState(null) // { code, expiresAt }
+  const [codeInput, setCodeInput] = useState('')
+  const [isBusy, setIsBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    fetchLinkedDevices()
+      .then(setDevices)
+      .catch((err) => setError(err.message))
+  }, [])
+
+  const run = async (action) => {
+    setIsBusy(true)
+    setError(null)
+    try {
+      await action()
+    } catch (err) {
+      console.error('Failed to update linked devices:', err)
+      setError(err.message)
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const handleCreateCode = () => run(async () => {
+    setPairing(await createPairingCode())
+  })
+
+  const handleRedeem = (e) => {
+    e.preventDefault()
+    run(async () => {
+      try {
+        setDevices(await redeemPairingCode(codeInput))
+      } catch (err) {
+        if (err.status === 404) err.message = 'コードが正しくないか、有効期限が切れています'
+        throw err
+      }
+      setCodeInput('')
+      onLinksChanged()
+    })
+  }
+
+  const handleRevoke = (device) => {
+    const message = device.current
+      ? 'このブラウザの連携を解除しますか？共有中のプロジェクトはこのブラウザから見えなくなります。'
+      : `${device.label || 'この端末'} の連携を解除しますか？`
+    if (!confirm(message)) return
+
+    run(async () => {
+      setDevices(await revokeDevice(device.linkId))
+      onLinksChanged()
+    })
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-[var(--color-surface)] rounded-xl p-6 w-full max-w-lg max-h-[85vh] flex flex-col border border-[var(--color-border)]">
+        <h3 className="text-lg font-semibold mb-2">端末の連携</h3>
+        <p className="text-sm text-[var(--color-text-muted)] mb-4">
+          ログインせずに、別のブラウザや端末と同じプロジェクトを使えるようにします
+        </p>
+
+        <div className="space-y-5 overflow-y-auto flex-1 pr-1">
+          <div>
+            <label className="block text-sm font-medium mb-2">このブラウザのコードを発行</label>
+            {pairing ? (
+              <div className="p-4 bg-[var(--color-background)] rounded-lg text-center">
+                <p className="text-3xl font-mono font-bold tracking-widest">{formatCode(pairing.code)}</p>
+                <p className="text-xs text-[var(--color-text-muted)] mt-2">
+                  もう一方の端末で入力してください（{new Date(pairing.expiresAt).toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' })} まで有効）
+                </p>
+              </div>
+            ) : (
+              <button
+                onClick={handleCreateCode}
+                disabled={isBusy}
+                className="px-4 py-2 text-sm bg-[var(--color-background)] border border-[var(--color-border)] rounded-lg hover:bg-[var(--color-surface-hover)] transition disabled:opacity-50"
+              >
+                コードを発行
+              </button>
+            )}
+          </div>
+
+          <form onSubmit={handleRedeem}>
+            <label className="block text-sm font-medium mb-2">別の端末で発行したコードを入力</label>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={codeInput}
+                onChange={(e) => setCodeInput(e.target.value.toUpperCase())}
+                placeholder="XXXX-XXXX"
+                maxLength={9}
+                className="flex-1 min-w-0 px-3 py-2 bg-[var(--color-background)] border border-[var(--color-border)] rounded-lg font-mono tracking-widest focus:outline-none focus:border-[var(--color-primary)]"
+              />
+              <button
+                type="submit"
+                disabled={isBusy || codeInput.replace(/[\s-]/g, '').length !== 8}
+                className="px-4 py-2 text-sm bg-[var(--color-primary)] hover:bg-[var(--color-primary-hover)] text-white rounded-lg transition disabled:opacity-50"
+              >
+                連携
+              </button>
+            </div>
+            <p className="text-xs text-[var(--color-text-muted)] mt-1">
+              このブラウザのプロジェクトも共有されます（表示されるまで数分かかる場合があります）
+            </p>
+          </form>
+
+          <div>
+            <label className="block text-sm font-medium mb-2">連携中の端末</label>
+            {devices.length === 0 ? (
+              <p className="text-sm text-[var(--color-text-muted)]">連携している端末はありません</p>
+            ) : (
+              <ul className="space-y-2">
+                {devices.map(device => (
+                  <li
+                    key={device.linkId}
+                    className="flex items-center gap-2 p-2 bg-[var(--color-background)] rounded-lg"
+                  >
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm truncate">
+                        {device.label || '不明な端末'}
+                        {device.current && (
+                          <span className="text-xs text-[var(--color-text-muted)]">（このブラウザ）</span>
+                        )}
+                      </p>
+                      <p className="text-xs text-[var(--color-text-muted)]">{formatTime(device.linkedAt)} に連携</p>
+                    </div>
+                    <button
+                      onClick={() => handleRevoke(device)}
+                      disabled={isBusy}
+                      className="px-3 py-1 text-xs text-[var(--color-text-muted)] hover:text-red-400 transition disabled:opacity-50"
+                    >
+                      解除
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {error && (
+            <p className="text-sm text-red-400">{error}</p>
+          )}
+        </div>
+
+        <div className="flex justify-end mt-6">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-[var(--color-text-muted)] hover:text-[var(--color-text)] transition"
+          >
+            閉じる
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,69 @@
+import { LOGO_POSITIONS, LOGO_VARIANT_OPTIONS } from '../utils/logoComposite'
+
+const selectClass = 'w-full px-3 py-2 bg-[var(--color-background)] border border-[var(--color-border)] rounded-lg text-sm focus:ring-2 focus:ring-[var(--color-primary)] outline-none'
+
+// Position, size, margin and variant of a composited logo
+export default function LogoPlacementControls({ placement, onChange, disabled }) {
+  const update = (field, value) => onChange({ ...placement, [field]: value })
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+      <div>
+        <label className="block text-xs text-[var(--color-text-muted)] mb-1">配置</label>
+        <select
+          value={placement.position}
+          onChange={(e) => update('position', e.target.value)}
+          disabled={disabled}
+          className={selectClass}
+        >
+          {LOGO_POSITIONS.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-xs text-[var(--color-text-muted)] mb-1">ロゴの種類</label>
+        <select
+          value={placement.variant}
+          onChange={(e) => update('variant', e.target.value)}
+          disabled={disabled}
+          className={selectClass}
+        >
+          {LOGO_VARIANT_OPTIONS.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="flex justify-between text-xs text-[var(--color-text-muted)] mb-1">
+          <span>サイズ（バナー幅に対して）</span>
+          <span>{placement.size}%</span>
+        </label>
+        <input
+          type="range"
+          min={5}
+          max={50}
+          value={placement.size}
+          onChange={(e) => update('size', Number(e.target.value))}
+          disabled={disabled}
+          className="w-full accent-[var(--color-primary)]"
+        />
+      </div>
+      <div>
+        <label className="flex justify-between text-xs text-[var(--color-text-muted)] mb-1">
+          <span>余白（端からの距離）</span>
+          <span>{placement.margin}%</span>
+        </label>
+        <input
+          type="range"
+          min={0}
+          max={15}
+          value={placement.margin}
+          onChange={(e) => update('margin', Number(e.target.value))}
+          disabled={disabled}
+          className="w-full accent-[var(--color-primary)]"
+        />
+      </div>
+    </div>
+  )
+}
@@ -18,6 +18,8 @@ const RESOLUTIONS = [
   { id: '4K', name: '4K', description: '最高解像度（約4096px）', proOnly: true },
 ]
 
+const CANDIDATE_COUNTS = [1, 2, 3, 4]
+
 export default function ModelSelector({ models, onChange }) {
   const [isOpen, setIsOpen] = useState(false)
 
@@ -39,6 +41,10 @@ export default function ModelSelector({ models, onChange }) {
     onChange({ ...models, resolution: resolutionId })
   }
 
+  const handleCandidateCountChange = (count) => {
+    onChange({ ...models, candidateCount: count })
+  }
+
   const selectedImageModel = IMAGE_MODELS.find(m => m.id === models.image)
 
   return (
@@ -53,7 +59,7 @@ export default function ModelSelector({ models, onChange }) {
         </svg>
         <span className="hidden sm:inline">モデル設定</span>
         <span className="text-xs text-[var(--color-text-muted)] hidden md:inline">
-          ({selectedImageModel?.name || 'N/A'} / {models.resolution || '1K'})
+          ({selectedImageModel?.name || 'N/A'} / {models.resolution || '1K'}{models.candidateCount > 1 && ` × ${models.candidateCount}`})
         </span>
       </button>
 
@@ -191,6 +197,43 @@ export default function ModelSelector({ models, onChange }) {
                   })}
                 </div>
               </div>
+
+              {/* Candidate Count */}
+              <div>
+                <label className="block text-sm text-[var(--color-text-muted)] mb-2">
+                  生成候補数（並列生成して比較）
+                </label>
+                <div className="grid grid-cols-4 gap-2">
+                  {CANDIDATE_COUNTS.map((count) => (
+                    <label
+                      key={count}
+                      className={`
+                        flex flex-col items-center p-2 rounded-lg border cursor-pointer transition text-center
+                        ${(models.candidateCount || 1) === count
+                          ? 'border-[var(--color-primary)] bg-[var(--color-primary)]/10'
+                          : 'border-[var(--color-border)] hover:border-[var(--color-text-muted)]'
+                        }
+                      `}
+                    >
+                      <input
+                        type="radio"
+                        name="candidateCount"
+                        value={count}
+                        checked={(models.candidateCount || 1) === count}
+                        onChange={() => handleCandidateCountChange(count)}
+                        className="sr-only"
+                      />
+                      <span className="text-lg font-bold">{count}</span>
+                      <span className="text-xs text-[var(--color-text-muted)]">枚</span>
+                    </label>
+                  ))}
+                </div>
+                {models.candidateCount > 1 && (
+                  <p className="text-xs text-[var(--color-text-muted)] mt-2">
+                    候補が増えるほど生成に時間がかかり、APIの利用量も増えます
+                  </p>
+                )}
+              </div>
             </div>
           </div>
         </>
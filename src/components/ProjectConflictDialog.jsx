@@ -0,0 +1,144 @@
+import { useState } from 'react'
+import { diffConflictValues } from '../utils/projectConflict'
+import { LOGO_PLACEMENT_MODES, LOGO_POSITIONS, LOGO_VARIANT_OPTIONS } from '../utils/logoComposite'
+import { OVERLAY_FONTS, TEXT_RENDERING_MODES } from '../utils/textOverlay'
+
+const COPY_MODE_LABELS = {
+  ai: 'AI自動生成',
+  manual: '手動入力',
+}
+
+function formatValue(key, value, platformNames, brandKitNames) {
+  switch (key) {
+    case 'platform':
+      return platformNames[value] || value
+    case 'copyMode':
+      return COPY_MODE_LABELS[value] || value
+    case 'manualCopy':
+      return value ? [value.headline, value.subtext, value.cta].filter(Boolean).join(' / ') || '（未入力）' : 'なし'
+    case 'productImages':
+      return value.length > 0 ? `${value.length}枚: ${value.map(img => img.fileName || '無題').join(', ')}` : 'なし'
+    case 'textOverlay':
+      if (value.mode !== TEXT_RENDERING_MODES.OVERLAY) return 'AIに描画させる'
+      return `テキストを合成 / ${OVERLAY_FONTS.find(f => f.id === value.font)?.label || value.font}`
+    case 'logoPlacement':
+      if (value.mode !== LOGO_PLACEMENT_MODES.COMPOSITE) return 'AIに描画させる'
+      return [
+        '元画像を合成',
+        LOGO_POSITIONS.find(p => p.id === value.position)?.label,
+        `サイズ${value.size}%`,
+        `余白${value.margin}%`,
+        LOGO_VARIANT_OPTIONS.find(v => v.id === value.variant)?.label,
+      ].filter(Boolean).join(' / ')
+    case 'palette':
+      return value.length > 0 ? value.join(' ') : 'なし'
+    case 'brand':
+      if (!value.brandKitId) return value.brandLogoName || 'なし'
+      return `${brandKitNames[value.brandKitId] || '削除されたキット'} / ${value.brandLogoName || 'ロゴなし'}`
+    default:
+      return value || '（未入力）'
+  }
+}
+
+export default function ProjectConflictDialog({
+  localValues,
+  serverValues,
+  serverUpdatedAt,
+  platformNames,
+  brandKitNames = {},
+  isSaving,
+  onSave,
+  onLoadServer,
+  onCancel
+}) {
+  const [choices, setChoices] = useState({})
+  const fields = diffConflictValues(localValues, serverValues)
+
+  const choose = (key, side) => setChoices(prev => ({ ...prev, [key]: side }))
+
+  const renderOption = (field, side, value) => {
+    const selected = (choices[field.key] || 'local') === side
+    return (
+      <button
+        type="button"
+        onClick={() => choose(field.key, side)}
+        className={`flex-1 min-w-0 text-left p-3 rounded-lg border-2 text-sm transition-all ${
+          selected
+            ? 'border-[var(--color-primary)] bg-[var(--color-primary)]/10'
+            : 'border-[var(--color-border)] hover:border-[var(--color-text-muted)]'
+        }`}
+      >
+        <span className="block text-xs text-[var(--color-text-muted)] mb-1">
+          {side === 'local' ? 'この画面の編集内容' : 'サーバーの内容'}
+        </span>
+        <span className="block break-words whitespace-pre-wrap line-clamp-4">
+          {formatValue(field.key, value, platformNames, brandKitNames)}
+        </span>
+      </button>
+    )
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-[var(--color-surface)] rounded-xl p-6 w-full max-w-2xl max-h-[85vh] flex flex-col border border-[var(--color-border)]">
+        <h3 className="text-lg font-semibold mb-2">保存の競合</h3>
+        <p className="text-sm text-[var(--color-text-muted)] mb-4">
+          このプロジェクトは
+          {serverUpdatedAt ? ` ${new Date(serverUpdatedAt).toLocaleString('ja-JP')} に` : ''}
+          別のタブまたは端末で更新されています。項目ごとに残す内容を選んでください。
+        </p>
+
+        <div className="space-y-4 overflow-y-auto flex-1 pr-1">
+          {fields.length === 0 ? (
+            <p className="text-sm text-[var(--color-text-muted)]">
+              内容の違いはありません。このまま保存できます。
+            </p>
+          ) : (
+            fields.map(field => (
+              <div key={field.key}>
+                <p className="text-sm font-medium mb-2">{field.label}</p>
+                <div className="flex gap-2">
+                  {renderOption(field, 'local', localValues[field.key])}
+                  {renderOption(field, 'server', serverValues[field.key])}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="flex flex-wrap gap-3 justify-end mt-6">
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={isSaving}
+            className="px-4 py-2 bg-[var(--color-surface-hover)] hover:bg-[var(--color-border)] rounded-lg font-medium transition"
+          >
+            キャンセル
+          </button>
+          <button
+            type="button"
+            onClick={onLoadServer}
+            disabled={isSaving}
+            className="px-4 py-2 bg-[var(--color-surface-hover)] hover:bg-[var(--color-border)] rounded-lg font-medium transition"
+          >
+            サーバーの内容を読み込む
+          </button>
+          <button
+            type="button"
+            onClick={() => onSave(choices)}
+            disabled={isSaving}
+            className="px-4 py-2 bg-[var(--color-primary)] hover:bg-[var(--color-primary-hover)] rounded-lg font-medium transition flex items-center gap-2"
+          >
+            {isSaving && (
+              <svg className="animate-spin h-4 w-4" viewBox="0 0 24 24">
+                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
+                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
+              </svg>
+            )}
+            選択した内容で保存
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
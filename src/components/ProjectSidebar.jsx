@@ -1,58 +1,165 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef, useCallback, Fragment } from 'react'
 import { getDeviceId } from '../utils/deviceId'
+import { exportProject, importProject, readBundleFile, BUNDLE_EXTENSION } from '../utils/projectBundle'
+import {
+  fetchReviewSummaries,
+  countReviewStatuses,
+  REVIEW_STATUS_LABELS,
+  REVIEW_STATUS_STYLES,
+} from '../utils/projectReviews'
+import ProjectTimeline from './ProjectTimeline'
+import ShareDialog from './ShareDialog'
+
+const PAGE_SIZE = 30
+
+const SORT_OPTIONS = [
+  { id: 'updated', name: '更新日順' },
+  { id: 'created', name: '作成日順' },
+  { id: 'name', name: '名前順' },
+]
+
+// Matches TRASH_RETENTION_MS on the server
+const TRASH_RETENTION_DAYS = 30
+const DAY_MS = 24 * 60 * 60 * 1000
 
 export default function ProjectSidebar({
   onSelectProject,
   onNewProject,
   currentProjectId,
+  historyKey,
+  onRestoreVersion,
   isCollapsed,
   onToggleCollapse
 }) {
   const [projects, setProjects] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [total, setTotal] = useState(0)
   const [isLoading, setIsLoading] = useState(true)
+  const [isLoadingMore, setIsLoadingMore] = useState(false)
   const [error, setError] = useState(null)
   const [searchTerm, setSearchTerm] = useState('')
+  const [query, setQuery] = useState('') // Debounced search term sent to the server
+  const [sort, setSort] = useState('updated')
+  const [showHistory, setShowHistory] = useState(true)
+  const [view, setView] = useState('projects') // 'projects' or 'trash'
+  const [busyId, setBusyId] = useState(null) // Project with an action in progress
+  const [isImporting, setIsImporting] = useState(false)
+  const [shareTarget, setShareTarget] = useState(null) // { projectId, projectName, version }
+  const [reviews, setReviews] = useState({}) // Review summaries of the open project by version ID
+  const requestIdRef = useRef(0)
+  const sentinelRef = useRef(null)
+  const importInputRef = useRef(null)
 
-  // Load projects on mount
-  useEffect(() => {
-    loadProjects()
-  }, [])
-
-  const loadProjects = async () => {
-    setIsLoading(true)
+  // Load a page of projects; without a cursor the list starts over
+  const loadProjects = useCallback(async (cursor = null) => {
+    const requestId = ++requestIdRef.current
+    if (cursor) {
+      setIsLoadingMore(true)
+    } else {
+      setIsLoading(true)
+    }
     setError(null)
 
     try {
-      const deviceId = getDeviceId()
-      const response = await fetch(`/api/projects?deviceId=${encodeURIComponent(deviceId)}`)
+      const params = new URLSearchParams({
+        deviceId: getDeviceId(),
+        limit: String(PAGE_SIZE),
+        sort,
+      })
+      if (query) params.set('q', query)
+      if (cursor) params.set('cursor', cursor)
+      if (view === 'trash') params.set('trash', 'true')
+
+      const response = await fetch(`/api/projects?${params}`)
       const data = await response.json()
 
       if (data.error && data.error !== 'KV not configured') {
         throw new Error(data.error)
       }
 
-      setProjects(data.projects || [])
+      // Ignore responses for an older search / sort
+      if (requestId !== requestIdRef.current) return
+
+      // A project renamed between pages can sort after the cursor again; keep its first entry
+      setProjects(prev => cursor
+        ? [...prev, ...(data.projects || []).filter(project => !prev.some(p => p.id === project.id))]
+        : (data.projects || []))
+      setNextCursor(data.nextCursor || null)
+      // The default order is paged without a total
+      setTotal(data.total ?? null)
     } catch (err) {
       console.error('Failed to load projects:', err)
-      setError('プロジェクトの読み込みに失敗しました')
+      if (requestId === requestIdRef.current) {
+        setError('プロジェクトの読み込みに失敗しました')
+      }
     } finally {
-      setIsLoading(false)
+      if (requestId === requestIdRef.current) {
+        setIsLoading(false)
+        setIsLoadingMore(false)
+      }
     }
-  }
+  }, [query, sort, view])
+
+  // Reload from the first page when the search, sort or view changes
+  useEffect(() => {
+    loadProjects()
+  }, [loadProjects])
+
+  // Review status of the open project's versions; its list badges follow without a reload
+  useEffect(() => {
+    setReviews({})
+    if (!currentProjectId) return
+
+    let cancelled = false
+    fetchReviewSummaries(currentProjectId)
+      .then((summaries) => {
+        if (cancelled) return
+        setReviews(summaries)
+        setProjects(prev => prev.map(p => p.id === currentProjectId
+          ? { ...p, reviewCounts: countReviewStatuses(summaries) }
+          : p))
+      })
+      .catch((err) => console.error('Failed to load reviews:', err))
+
+    return () => {
+      cancelled = true
+    }
+  }, [currentProjectId, historyKey])
+
+  // Search on the server once typing pauses
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setQuery(searchTerm.trim()), 300)
+    return () => clearTimeout(timeoutId)
+  }, [searchTerm])
 
-  const handleDeleteProject = async (projectId, e) => {
+  // Load the next page when the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current
+    if (!sentinel || !nextCursor || isLoadingMore) return
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadProjects(nextCursor)
+      }
+    }, { rootMargin: '100px' })
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [nextCursor, isLoadingMore, loadProjects])
+
+  // Move to the trash, or delete permanently from the trash
+  const handleDeleteProject = async (projectId, e, permanent = false) => {
     e.stopPropagation()
 
-    if (!confirm('このプロジェクトを削除しますか？')) {
+    if (permanent && !confirm('このプロジェクトを完全に削除しますか？この操作は取り消せません。')) {
       return
     }
 
+    setBusyId(projectId)
     try {
       const deviceId = getDeviceId()
-      const response = await fetch(
-        `/api/projects/${projectId}?deviceId=${encodeURIComponent(deviceId)}`,
-        { method: 'DELETE' }
-      )
+      const params = new URLSearchParams({ deviceId })
+      if (permanent) params.set('permanent', 'true')
+      const response = await fetch(`/api/projects/${projectId}?${params}`, { method: 'DELETE' })
       const data = await response.json()
 
       if (!data.success) {
@@ -69,13 +176,111 @@ export default function ProjectSidebar({
     } catch (err) {
       console.error('Failed to delete project:', err)
       alert('プロジェクトの削除に失敗しました')
+    } finally {
+      setBusyId(null)
     }
   }
 
-  const filteredProjects = projects.filter(project =>
-    project.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    project.productName?.toLowerCase().includes(searchTerm.toLowerCase())
-  )
+  const handleRestoreProject = async (projectId, e) => {
+    e.stopPropagation()
+
+    setBusyId(projectId)
+    try {
+      const response = await fetch(`/api/projects/${projectId}/restore?deviceId=${encodeURIComponent(getDeviceId())}`, {
+        method: 'POST',
+      })
+      const data = await response.json()
+
+      // Past the retention period; the server purged it instead
+      if (response.status === 410) {
+        alert('保存期間を過ぎたため、このプロジェクトは完全に削除されました')
+        loadProjects()
+        return
+      }
+
+      if (!data.success) {
+        throw new Error(data.error || 'Restore failed')
+      }
+
+      loadProjects()
+    } catch (err) {
+      console.error('Failed to restore project:', err)
+      alert('プロジェクトの復元に失敗しました')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  // Copy a project (or start a new one from a template) and open the copy
+  const handleDuplicateProject = async (projectId, e, asTemplate = false) => {
+    e.stopPropagation()
+
+    setBusyId(projectId)
+    try {
+      const response = await fetch(`/api/projects/${projectId}/duplicate?deviceId=${encodeURIComponent(getDeviceId())}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ asTemplate }),
+      })
+      const data = await response.json()
+
+      if (!data.success) {
+        throw new Error(data.error || 'Duplicate failed')
+      }
+
+      loadProjects()
+      onSelectProject(data.project.id)
+    } catch (err) {
+      console.error('Failed to duplicate project:', err)
+      alert('プロジェクトの複製に失敗しました')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleExportProject = async (projectId, e) => {
+    e.stopPropagation()
+
+    setBusyId(projectId)
+    try {
+      await exportProject(projectId)
+    } catch (err) {
+      console.error('Failed to export project:', err)
+      alert('プロジェクトのエクスポートに失敗しました')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0]
+    if (importInputRef.current) importInputRef.current.value = ''
+    if (!file) return
+
+    setIsImporting(true)
+    try {
+      const bundle = await readBundleFile(file)
+      let result = await importProject(bundle)
+
+      if (result.duplicate) {
+        const message = `このプロジェクトは「${result.existing.name}」として既に読み込まれています。別のプロジェクトとして読み込みますか？`
+        if (!confirm(message)) return
+        result = await importProject(bundle, { allowDuplicate: true })
+      }
+
+      setView('projects')
+      loadProjects()
+      onSelectProject(result.project.id)
+    } catch (err) {
+      console.error('Failed to import project:', err)
+      alert('プロジェクトのインポートに失敗しました: ' + err.message)
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  const daysUntilPurge = (deletedAt) =>
+    Math.max(0, Math.ceil((deletedAt + TRASH_RETENTION_DAYS * DAY_MS - Date.now()) / DAY_MS))
 
   const formatDate = (timestamp) => {
     if (!timestamp) return ''
@@ -88,6 +293,9 @@ export default function ProjectSidebar({
     })
   }
 
+  // Without a total, the count of the pages loaded so far
+  const totalLabel = total ?? `${projects.length}${nextCursor ? '+' : ''}`
+
   if (isCollapsed) {
     return (
       <div className="w-12 bg-[var(--color-surface)] border-r border-[var(--color-border)] flex flex-col items-center py-4">
@@ -110,7 +318,7 @@ export default function ProjectSidebar({
           </svg>
         </button>
         <div className="mt-4 text-xs text-[var(--color-text-muted)] writing-vertical">
-          {projects.length}件
+          {totalLabel}件
         </div>
       </div>
     )
@@ -121,7 +329,7 @@ export default function ProjectSidebar({
       {/* Header */}
       <div className="p-4 border-b border-[var(--color-border)]">
         <div className="flex items-center justify-between mb-3">
-          <h2 className="font-semibold">プロジェクト</h2>
+          <h2 className="font-semibold">{view === 'trash' ? 'ゴミ箱' : 'プロジェクト'}</h2>
           <button
             onClick={onToggleCollapse}
             className="p-1.5 hover:bg-[var(--color-surface-hover)] rounded transition"
@@ -146,21 +354,55 @@ export default function ProjectSidebar({
             className="w-full pl-9 pr-3 py-2 bg-[var(--color-background)] border border-[var(--color-border)] rounded-lg text-sm focus:ring-2 focus:ring-[var(--color-primary)] outline-none"
           />
         </div>
-      </div>
 
-      {/* New Project Button */}
-      <div className="p-3">
-        <button
-          onClick={onNewProject}
-          className="w-full py-2.5 px-4 bg-[var(--color-primary)] hover:bg-[var(--color-primary-hover)] rounded-lg font-medium text-sm transition flex items-center justify-center gap-2"
+        {/* Sort */}
+        <select
+          value={sort}
+          onChange={(e) => setSort(e.target.value)}
+          className="w-full mt-2 px-3 py-1.5 bg-[var(--color-background)] border border-[var(--color-border)] rounded-lg text-xs focus:ring-2 focus:ring-[var(--color-primary)] outline-none"
         >
-          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-          </svg>
-          新規プロジェクト
-        </button>
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.id} value={option.id}>{option.name}</option>
+          ))}
+        </select>
       </div>
 
+      {/* New Project Button */}
+      {view === 'trash' ? (
+        <p className="px-4 py-3 text-xs text-[var(--color-text-muted)]">
+          ゴミ箱のプロジェクトは{TRASH_RETENTION_DAYS}日後に完全に削除されます
+        </p>
+      ) : (
+        <div className="p-3">
+          <button
+            onClick={onNewProject}
+            className="w-full py-2.5 px-4 bg-[var(--color-primary)] hover:bg-[var(--color-primary-hover)] rounded-lg font-medium text-sm transition flex items-center justify-center gap-2"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+            </svg>
+            新規プロジェクト
+          </button>
+          <button
+            onClick={() => importInputRef.current?.click()}
+            disabled={isImporting}
+            className="w-full mt-2 py-2 px-4 bg-[var(--color-surface-hover)] hover:bg-[var(--color-border)] disabled:opacity-50 rounded-lg text-sm transition flex items-center justify-center gap-2"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+            </svg>
+            {isImporting ? 'インポート中...' : 'インポート'}
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept={`${BUNDLE_EXTENSION},application/json`}
+            onChange={handleImportFile}
+            className="hidden"
+          />
+        </div>
+      )}
+
       {/* Project List */}
       <div className="flex-1 overflow-y-auto px-3 pb-3">
         {isLoading ? (
@@ -174,78 +416,235 @@ export default function ProjectSidebar({
           <div className="text-center py-8">
             <p className="text-sm text-red-400 mb-2">{error}</p>
             <button
-              onClick={loadProjects}
+              onClick={() => loadProjects()}
               className="text-sm text-[var(--color-primary)] hover:underline"
             >
               再試行
             </button>
           </div>
-        ) : filteredProjects.length === 0 ? (
+        ) : projects.length === 0 ? (
           <div className="text-center py-8 text-sm text-[var(--color-text-muted)]">
-            {searchTerm ? '検索結果がありません' : 'プロジェクトがありません'}
+            {searchTerm ? '検索結果がありません' : view === 'trash' ? 'ゴミ箱は空です' : 'プロジェクトがありません'}
           </div>
         ) : (
           <div className="space-y-2">
-            {filteredProjects.map((project) => (
-              <div
-                key={project.id}
-                onClick={() => onSelectProject(project.id)}
-                className={`
-                  p-3 rounded-lg cursor-pointer transition group
-                  ${currentProjectId === project.id
-                    ? 'bg-[var(--color-primary)]/20 border border-[var(--color-primary)]/50'
-                    : 'hover:bg-[var(--color-surface-hover)] border border-transparent'
-                  }
-                `}
-              >
-                <div className="flex items-start justify-between gap-2">
-                  <div className="flex-1 min-w-0">
-                    <h3 className="font-medium text-sm truncate">{project.name}</h3>
-                    {project.productName && (
-                      <p className="text-xs text-[var(--color-text-muted)] truncate mt-0.5">
-                        {project.productName}
-                      </p>
+            {projects.map((project) => (
+              <Fragment key={project.id}>
+                <div
+                  onClick={() => view === 'projects' && onSelectProject(project.id)}
+                  className={`
+                    p-3 rounded-lg transition group
+                    ${view === 'projects' ? 'cursor-pointer' : ''}
+                    ${busyId === project.id ? 'opacity-50 pointer-events-none' : ''}
+                    ${currentProjectId === project.id && view === 'projects'
+                      ? 'bg-[var(--color-primary)]/20 border border-[var(--color-primary)]/50'
+                      : 'hover:bg-[var(--color-surface-hover)] border border-transparent'
+                    }
+                  `}
+                >
+                  <div className="flex items-start justify-between gap-2">
+                    <div className="flex-1 min-w-0">
+                      <h3 className="font-medium text-sm truncate">
+                        {project.isTemplate && (
+                          <span className="inline-block mr-1.5 px-1.5 py-0.5 text-[10px] leading-none rounded bg-[var(--color-primary)]/20 text-[var(--color-primary)] align-middle">
+                            テンプレート
+                          </span>
+                        )}
+                        {project.name}
+                      </h3>
+                      {project.productName && (
+                        <p className="text-xs text-[var(--color-text-muted)] truncate mt-0.5">
+                          {project.productName}
+                        </p>
+                      )}
+                      {/* Banner versions by review status, so cleared banners are easy to find */}
+                      {Object.keys(project.reviewCounts || {}).length > 0 && (
+                        <div className="flex flex-wrap gap-1 mt-1">
+                          {['approved', 'in_review', 'rejected'].filter(status => project.reviewCounts[status]).map(status => (
+                            <span
+                              key={status}
+                              className={`px-1.5 py-0.5 text-[10px] leading-none rounded ${REVIEW_STATUS_STYLES[status]}`}
+                            >
+                              {REVIEW_STATUS_LABELS[status]} {project.reviewCounts[status]}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                    {view === 'trash' ? (
+                      <div className="flex items-center gap-0.5 shrink-0">
+                        <button
+                          onClick={(e) => handleRestoreProject(project.id, e)}
+                          className="p-1 hover:bg-[var(--color-surface-hover)] rounded transition"
+                          title="復元"
+                        >
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" />
+                          </svg>
+                        </button>
+                        <button
+                          onClick={(e) => handleDeleteProject(project.id, e, true)}
+                          className="p-1 hover:bg-red-500/20 rounded transition"
+                          title="完全に削除"
+                        >
+                          <svg className="w-4 h-4 text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                          </svg>
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="flex items-center gap-0.5 shrink-0 opacity-0 group-hover:opacity-100 transition">
+                        <button
+                          onClick={(e) => handleDuplicateProject(project.id, e)}
+                          className="p-1 hover:bg-[var(--color-surface-hover)] rounded transition"
+                          title={project.isTemplate ? 'このテンプレートから作成' : '複製'}
+                        >
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
+                          </svg>
+                        </button>
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation()
+                            setShareTarget({ projectId: project.id, projectName: project.name })
+                          }}
+                          className="p-1 hover:bg-[var(--color-surface-hover)] rounded transition"
+                          title="共有リンク"
+                        >
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+                          </svg>
+                        </button>
+                        <button
+                          onClick={(e) => handleExportProject(project.id, e)}
+                          className="p-1 hover:bg-[var(--color-surface-hover)] rounded transition"
+                          title="エクスポート"
+                        >
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                          </svg>
+                        </button>
+                        {!project.isTemplate && (
+                          <button
+                            onClick={(e) => handleDuplicateProject(project.id, e, true)}
+                            className="p-1 hover:bg-[var(--color-surface-hover)] rounded transition"
+                            title="テンプレートとして複製（商品情報と画像を除く）"
+                          >
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 5a1 1 0 011-1h14a1 1 0 011 1v2a1 1 0 01-1 1H5a1 1 0 01-1-1V5zM4 13a1 1 0 011-1h6a1 1 0 011 1v6a1 1 0 01-1 1H5a1 1 0 01-1-1v-6zM16 13a1 1 0 011-1h2a1 1 0 011 1v6a1 1 0 01-1 1h-2a1 1 0 01-1-1v-6z" />
+                            </svg>
+                          </button>
+                        )}
+                        <button
+                          onClick={(e) => handleDeleteProject(project.id, e)}
+                          className="p-1 hover:bg-red-500/20 rounded transition"
+                          title="ゴミ箱に移動"
+                        >
+                          <svg className="w-4 h-4 text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                          </svg>
+                        </button>
+                      </div>
                     )}
                   </div>
-                  <button
-                    onClick={(e) => handleDeleteProject(project.id, e)}
-                    className="p-1 opacity-0 group-hover:opacity-100 hover:bg-red-500/20 rounded transition"
-                    title="削除"
-                  >
-                    <svg className="w-4 h-4 text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                    </svg>
-                  </button>
-                </div>
-                <div className="flex items-center gap-2 mt-2 text-xs text-[var(--color-text-muted)]">
-                  {project.imageCount > 0 && (
-                    <span className="flex items-center gap-1">
-                      <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
-                      </svg>
-                      {project.imageCount}
-                    </span>
-                  )}
-                  {project.hasLogo && (
-                    <span className="flex items-center gap-1">
-                      <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A2 2 0 013 12V7a4 4 0 014-4z" />
-                      </svg>
-                      ロゴ
+                  <div className="flex items-center gap-2 mt-2 text-xs text-[var(--color-text-muted)]">
+                    {project.imageCount > 0 && (
+                      <span className="flex items-center gap-1">
+                        <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                        </svg>
+                        {project.imageCount}
+                      </span>
+                    )}
+                    {project.hasLogo && (
+                      <span className="flex items-center gap-1">
+                        <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A2 2 0 013 12V7a4 4 0 014-4z" />
+                        </svg>
+                        ロゴ
+                      </span>
+                    )}
+                    <span className="ml-auto">
+                      {view === 'trash'
+                        ? `あと${daysUntilPurge(project.deletedAt)}日で削除`
+                        : formatDate(project.updatedAt)}
                     </span>
-                  )}
-                  <span className="ml-auto">{formatDate(project.updatedAt)}</span>
+                  </div>
                 </div>
-              </div>
+
+                {/* Version timeline of the open project */}
+                {currentProjectId === project.id && view === 'projects' && (
+                  <div className="px-3 pb-1">
+                    <button
+                      onClick={() => setShowHistory(!showHistory)}
+                      className="flex items-center gap-1 text-xs text-[var(--color-text-muted)] hover:text-[var(--color-text)] transition mb-1"
+                    >
+                      <svg className={`w-3 h-3 transition-transform ${showHistory ? 'rotate-90' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                      </svg>
+                      生成履歴
+                    </button>
+                    {showHistory && (
+                      <ProjectTimeline
+                        projectId={project.id}
+                        refreshKey={historyKey}
+                        reviews={reviews}
+                        onRestore={onRestoreVersion}
+                        onShare={(version) => setShareTarget({ projectId: project.id, projectName: project.name, version })}
+                      />
+                    )}
+                  </div>
+                )}
+              </Fragment>
             ))}
+
+            {/* Next page loads when this scrolls into view */}
+            <div ref={sentinelRef} />
+            {isLoadingMore && (
+              <div className="flex items-center justify-center py-3">
+                <svg className="animate-spin h-4 w-4 text-[var(--color-primary)]" viewBox="0 0 24 24">
+                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
+                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
+                </svg>
+              </div>
+            )}
           </div>
         )}
       </div>
 
       {/* Footer */}
-      <div className="p-3 border-t border-[var(--color-border)] text-xs text-[var(--color-text-muted)]">
-        {projects.length}件のプロジェクト
+      <div className="p-3 border-t border-[var(--color-border)] text-xs text-[var(--color-text-muted)] flex items-center justify-between">
+        <span>{totalLabel}件{view === 'trash' ? '' : 'のプロジェクト'}</span>
+        <button
+          onClick={() => setView(view === 'trash' ? 'projects' : 'trash')}
+          className="flex items-center gap-1 hover:text-[var(--color-text)] transition"
+        >
+          {view === 'trash' ? (
+            <>
+              <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              プロジェクト一覧へ
+            </>
+          ) : (
+            <>
+              <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+              </svg>
+              ゴミ箱
+            </>
+          )}
+        </button>
       </div>
+
+      {shareTarget && (
+        <ShareDialog
+          projectId={shareTarget.projectId}
+          projectName={shareTarget.projectName}
+          version={shareTarget.version}
+          onClose={() => setShareTarget(null)}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,119 @@
+import { useState, useEffect } from 'react'
+import { fetchVersions, HISTORY_STEP_LABELS } from '../utils/projectHistory'
+import { REVIEW_STATUS_LABELS, REVIEW_STATUS_STYLES } from '../utils/projectReviews'
+
+const STEP_COLORS = {
+  layout: 'bg-blue-400',
+  prompt: 'bg-purple-400',
+  banner: 'bg-green-400',
+}
+
+export default function ProjectTimeline({ projectId, refreshKey, reviews = {}, onRestore, onShare }) {
+  const [versions, setVersions] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [restoringId, setRestoringId] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setIsLoading(true)
+
+    fetchVersions(projectId)
+      .then((list) => {
+        if (!cancelled) setVersions(list)
+      })
+      .catch((err) => {
+        console.error('Failed to load project history:', err)
+        if (!cancelled) setVersions([])
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [projectId, refreshKey])
+
+  const handleRestore = async (versionId) => {
+    setRestoringId(versionId)
+    try {
+      await onRestore(versionId)
+    } finally {
+      setRestoringId(null)
+    }
+  }
+
+  const formatTime = (timestamp) => new Date(timestamp).toLocaleString('ja-JP', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+
+  if (isLoading) {
+    return <p className="text-xs text-[var(--color-text-muted)] py-2">履歴を読み込み中...</p>
+  }
+
+  if (versions.length === 0) {
+    return <p className="text-xs text-[var(--color-text-muted)] py-2">まだ生成履歴がありません</p>
+  }
+
+  // Newest first, like the project list
+  return (
+    <ol className="relative border-l border-[var(--color-border)] ml-1.5 space-y-2 max-h-72 overflow-y-auto">
+      {[...versions].reverse().map((version) => {
+        const review = reviews[version.id]
+        return (
+          <li key={version.id} className="ml-3 group flex items-start gap-1">
+            <span className={`absolute -left-[5px] mt-1.5 w-2.5 h-2.5 rounded-full ${STEP_COLORS[version.step] || 'bg-gray-400'}`} />
+            <button
+              type="button"
+              onClick={() => handleRestore(version.id)}
+              disabled={restoringId !== null}
+              title="このバージョンを復元"
+              className="flex-1 min-w-0 text-left p-1.5 rounded hover:bg-[var(--color-surface-hover)] disabled:opacity-50 transition"
+            >
+              <div className="flex items-center justify-between gap-2 text-xs">
+                <span className="font-medium">
+                  {HISTORY_STEP_LABELS[version.step] || version.step}
+                  {version.candidateCount > 1 && ` ×${version.candidateCount}`}
+                </span>
+                <span className="text-[var(--color-text-muted)] shrink-0">
+                  {restoringId === version.id ? '復元中...' : formatTime(version.createdAt)}
+                </span>
+              </div>
+              {version.label && (
+                <p className="text-xs text-[var(--color-text-muted)] truncate mt-0.5">{version.label}</p>
+              )}
+              {review && (review.status !== 'draft' || review.commentCount > 0) && (
+                <div className="flex items-center gap-1.5 mt-1 text-[10px] leading-none">
+                  {review.status !== 'draft' && (
+                    <span className={`px-1.5 py-0.5 rounded ${REVIEW_STATUS_STYLES[review.status]}`}>
+                      {REVIEW_STATUS_LABELS[review.status]}
+                    </span>
+                  )}
+                  {review.commentCount > 0 && (
+                    <span className="text-[var(--color-text-muted)]">コメント {review.commentCount}</span>
+                  )}
+                </div>
+              )}
+            </button>
+            {/* Banner versions can be shared on their own for review */}
+            {onShare && version.step === 'banner' && (
+              <button
+                type="button"
+                onClick={() => onShare(version)}
+                title="このバージョンを共有"
+                className="p-1.5 rounded opacity-0 group-hover:opacity-100 hover:bg-[var(--color-surface-hover)] transition"
+              >
+                <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+                </svg>
+              </button>
+            )}
+          </li>
+        )
+      })}
+    </ol>
+  )
+}
@@ -0,0 +1,100 @@
+import { useRef, useEffect } from 'react'
+import { getThread, getOtherBranches, getLatestLeaf } from '../utils/refinementHistory'
+
+export default function RefinementThread({ history, onSelectTurn, summarize, isLoading }) {
+  const listRef = useRef(null)
+
+  // Keep the latest turn in view when a refinement is added
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight
+    }
+  }, [history?.activeId])
+
+  if (!history || history.turns.length < 2) return null
+
+  const thread = getThread(history)
+
+  const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString('ja-JP', {
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+
+  return (
+    <div className="bg-[var(--color-surface)] rounded-xl p-6 border border-[var(--color-border)]">
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="font-semibold">修正履歴</h3>
+        <span className="text-xs text-[var(--color-text-muted)]">
+          全{history.turns.length}バージョン
+        </span>
+      </div>
+      <p className="text-xs text-[var(--color-text-muted)] mb-4">
+        以前のバージョンを選んで修正すると、そこから新しい分岐が作成されます
+      </p>
+
+      <div ref={listRef} className="space-y-3 max-h-80 overflow-y-auto pr-1">
+        {thread.map((turn, index) => {
+          const isActive = turn.id === history.activeId
+          const branches = getOtherBranches(history, turn.id, thread)
+
+          return (
+            <div
+              key={turn.id}
+              className={`p-3 rounded-lg border ${
+                isActive
+                  ? 'border-[var(--color-primary)] bg-[var(--color-primary)]/10'
+                  : 'border-[var(--color-border)] bg-[var(--color-background)]'
+              }`}
+            >
+              <div className="flex items-center justify-between gap-2 text-xs text-[var(--color-text-muted)]">
+                <span className="font-medium">
+                  {index === 0 ? '初回生成' : `修正 ${index}`}
+                </span>
+                <span>{formatTime(turn.createdAt)}</span>
+              </div>
+
+              {turn.feedback && (
+                <p className="mt-2 text-sm whitespace-pre-wrap">{turn.feedback}</p>
+              )}
+
+              {summarize && (
+                <p className="mt-1 text-xs text-[var(--color-text-muted)] truncate">
+                  {summarize(turn.result)}
+                </p>
+              )}
+
+              <div className="flex flex-wrap items-center gap-2 mt-2">
+                {isActive ? (
+                  <span className="text-xs px-2 py-0.5 bg-[var(--color-primary)]/20 text-[var(--color-primary)] rounded">
+                    表示中
+                  </span>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => onSelectTurn(turn.id)}
+                    disabled={isLoading}
+                    className="text-xs px-2 py-0.5 bg-[var(--color-surface-hover)] hover:bg-[var(--color-border)] disabled:opacity-50 rounded transition"
+                  >
+                    このバージョンから分岐
+                  </button>
+                )}
+                {branches.map((branch, i) => (
+                  <button
+                    key={branch.id}
+                    type="button"
+                    onClick={() => onSelectTurn(getLatestLeaf(history, branch.id))}
+                    disabled={isLoading}
+                    title={branch.feedback || ''}
+                    className="text-xs px-2 py-0.5 border border-[var(--color-border)] hover:border-[var(--color-primary)] disabled:opacity-50 rounded transition"
+                  >
+                    別の分岐 {i + 1}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,161 @@
+import { useState, useEffect } from 'react'
+import { fetchSharedReview } from '../utils/projectShares'
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString('ja-JP', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+})
+
+const toSrc = (banner) => `data:${banner.mimeType || 'image/png'};base64,${banner.imageData}`
+
+export default function ReviewPage({ token }) {
+  const [review, setReview] = useState(null)
+  const [error, setError] = useState(null)
+  const [selectedIndex, setSelectedIndex] = useState(0)
+
+  useEffect(() => {
+    if (!token) {
+      setError('共有リンクが正しくありません')
+      return
+    }
+    fetchSharedReview(token)
+      .then((data) => {
+        setReview(data)
+        const banners = data.version?.banners || []
+        const selected = banners.findIndex(b => b.index === data.version.selectedIndex)
+        setSelectedIndex(Math.max(selected, 0))
+        document.title = `${data.project.name} - レビュー`
+      })
+      .catch((err) => {
+        console.error('Failed to load shared project:', err)
+        setError(err.status === 404
+          ? 'この共有リンクは無効か、有効期限が切れています'
+          : '読み込みに失敗しました')
+      })
+  }, [token])
+
+  if (error || !review) {
+    return (
+      <div className="min-h-screen bg-[var(--color-background)] flex items-center justify-center p-6">
+        <p className="text-[var(--color-text-muted)]">{error || '読み込み中...'}</p>
+      </div>
+    )
+  }
+
+  const { project, version, share } = review
+  const banners = version?.banners || []
+  const selected = banners[selectedIndex]
+
+  return (
+    <div className="min-h-screen bg-[var(--color-background)]">
+      <header className="border-b border-[var(--color-border)] bg-[var(--color-surface)]">
+        <div className="max-w-6xl mx-auto px-6 py-4 flex items-center justify-between gap-4">
+          <div className="min-w-0">
+            <h1 className="text-2xl font-bold text-[var(--color-text)] truncate">{project.name}</h1>
+            <p className="text-sm text-[var(--color-text-muted)]">
+              閲覧専用
+              {version && `・${formatTime(version.createdAt)} のバージョン`}
+            </p>
+          </div>
+          <span className="text-xs text-[var(--color-text-muted)] shrink-0">
+            {formatTime(share.expiresAt)} まで有効
+          </span>
+        </div>
+      </header>
+
+      <main className="max-w-6xl mx-auto px-6 py-8 space-y-6">
+        {/* Product brief */}
+        <section className="bg-[var(--color-surface)] rounded-xl p-6 border border-[var(--color-border)]">
+          <h2 className="text-xl font-semibold mb-4">商品情報</h2>
+          <dl className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+            {[
+              ['商品名', project.productName],
+              ['ターゲット', project.targetAudience],
+              ['目的', project.designGoal],
+              ['商品説明', project.productDescription],
+            ].filter(([, value]) => value).map(([label, value]) => (
+              <div key={label}>
+                <dt className="text-[var(--color-text-muted)] mb-1">{label}</dt>
+                <dd className="whitespace-pre-wrap">{value}</dd>
+              </div>
+            ))}
+          </dl>
+        </section>
+
+        {!version ? (
+          <section className="bg-[var(--color-surface)] rounded-xl p-6 border border-[var(--color-border)]">
+            <p className="text-[var(--color-text-muted)]">まだバナーが生成されていません</p>
+          </section>
+        ) : (
+          <>
+            {/* Banners */}
+            {banners.length > 0 && (
+              <section className="bg-[var(--color-surface)] rounded-xl p-6 border border-[var(--color-border)]">
+                <h2 className="text-xl font-semibold mb-4">バナー</h2>
+                {selected && (
+                  <img
+                    src={toSrc(selected)}
+                    alt={`バナー ${selectedIndex + 1}`}
+                    className="max-w-full max-h-[70vh] mx-auto rounded-lg border border-[var(--color-border)]"
+                  />
+                )}
+                {banners.length > 1 && (
+                  <div className="flex gap-3 mt-4 overflow-x-auto">
+                    {banners.map((banner, i) => (
+                      <button
+                        key={banner.index}
+                        onClick={() => setSelectedIndex(i)}
+                        className={`relative shrink-0 rounded-lg border-2 overflow-hidden transition ${
+                          i === selectedIndex ? 'border-[var(--color-primary)]' : 'border-[var(--color-border)] hover:border-[var(--color-text-muted)]'
+                        }`}
+                      >
+                        <img src={toSrc(banner)} alt={`候補 ${i + 1}`} className="h-24 w-auto" />
+                        {version.starred.includes(banner.index) && (
+                          <span className="absolute top-1 right-1 text-yellow-400 text-sm">★</span>
+                        )}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </section>
+            )}
+
+            {/* Layout and copy */}
+            {version.layout && (
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <section className="bg-[var(--color-surface)] rounded-xl p-6 border border-[var(--color-border)]">
+                  <h2 className="text-xl font-semibold mb-4">ASCIIレイアウト</h2>
+                  <div className="ascii-display overflow-auto max-h-[500px]">
+                    {version.layout.ascii}
+                  </div>
+                </section>
+
+                <section className="bg-[var(--color-surface)] rounded-xl p-6 border border-[var(--color-border)]">
+                  <h2 className="text-xl font-semibold mb-4">コピー</h2>
+                  <div className="space-y-2">
+                    {version.layout.copyText.map((text, i) => (
+                      <p key={i} className="p-3 bg-[var(--color-background)] rounded-lg">{text}</p>
+                    ))}
+                  </div>
+                  {version.layout.designNotes && (
+                    <>
+                      <h3 className="text-sm font-semibold text-[var(--color-text-muted)] mt-6 mb-2">デザイン戦略</h3>
+                      <div className="space-y-2 text-sm text-[var(--color-text-muted)]">
+                        {version.layout.designNotes.split('\n').map((line, i) => (
+                          <p key={i}>{line}</p>
+                        ))}
+                      </div>
+                    </>
+                  )}
+                </section>
+              </div>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,250 @@
+import { useState } from 'react'
+import {
+  REVIEW_STATUSES,
+  REVIEW_STATUS_LABELS,
+  REVIEW_STATUS_STYLES,
+  getReviewerName,
+  setReviewerName,
+  toThreads,
+  updateReviewStatus,
+  addReviewComment,
+  deleteReviewComment,
+} from '../utils/projectReviews'
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString('ja-JP', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+})
+
+export default function ReviewPanel({
+  projectId,
+  versionId,
+  review,
+  onChange,
+  isCommenting,
+  onToggleCommenting,
+  pendingPin,
+  onCancelPin,
+  activeThreadId,
+  onSelectThread,
+  showCandidate,
+}) {
+  const [reviewerName, setReviewerNameState] = useState(getReviewerName)
+  const [text, setText] = useState('')
+  const [replyText, setReplyText] = useState('')
+  const [isBusy, setIsBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const run = async (action) => {
+    setIsBusy(true)
+    setError(null)
+    try {
+      onChange(await action())
+      return true
+    } catch (err) {
+      console.error('Failed to update review:', err)
+      setError(err.message)
+      return false
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const handleNameChange = (value) => {
+    setReviewerNameState(value)
+    setReviewerName(value)
+  }
+
+  const handleStatus = (status) => {
+    if (status === review.status) return
+    run(() => updateReviewStatus(projectId, versionId, status))
+  }
+
+  const handleSubmitComment = async (e) => {
+    e.preventDefault()
+    const posted = await run(() => addReviewComment(projectId, versionId, { ...pendingPin, text }))
+    if (posted) {
+      setText('')
+      onCancelPin()
+    }
+  }
+
+  const handleSubmitReply = async (e, threadId) => {
+    e.preventDefault()
+    const posted = await run(() => addReviewComment(projectId, versionId, { parentId: threadId, text: replyText }))
+    if (posted) setReplyText('')
+  }
+
+  const handleDelete = (comment) => {
+    const message = comment.parentId
+      ? 'この返信を削除しますか？'
+      : 'このコメントを削除しますか？返信も削除されます。'
+    if (!confirm(message)) return
+    run(() => deleteReviewComment(projectId, versionId, comment.id))
+  }
+
+  const threads = toThreads(review.comments)
+
+  return (
+    <div className="bg-[var(--color-surface)] rounded-xl p-6 border border-[var(--color-border)]">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="font-semibold">レビュー</h3>
+        <div className="flex items-center gap-1">
+          {REVIEW_STATUSES.map(status => (
+            <button
+              key={status}
+              type="button"
+              onClick={() => handleStatus(status)}
+              disabled={isBusy}
+              className={`text-xs px-3 py-1 rounded-lg border transition disabled:opacity-50 ${
+                review.status === status
+                  ? `border-transparent ${REVIEW_STATUS_STYLES[status]}`
+                  : 'border-[var(--color-border)] text-[var(--color-text-muted)] hover:bg-[var(--color-surface-hover)]'
+              }`}
+            >
+              {REVIEW_STATUS_LABELS[status]}
+            </button>
+          ))}
+        </div>
+      </div>
+      {review.statusUpdatedAt && (
+        <p className="text-xs text-[var(--color-text-muted)] -mt-2 mb-4">
+          {review.statusUpdatedBy} が {formatTime(review.statusUpdatedAt)} に「{REVIEW_STATUS_LABELS[review.status]}」に変更
+        </p>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <button
+          type="button"
+          onClick={onToggleCommenting}
+          className={`text-sm px-4 py-1.5 rounded-lg border transition ${
+            isCommenting
+              ? 'border-[var(--color-primary)] bg-[var(--color-primary)]/20 text-[var(--color-primary)]'
+              : 'border-[var(--color-border)] hover:bg-[var(--color-surface-hover)]'
+          }`}
+        >
+          {isCommenting ? 'コメントモードを終了' : 'コメントを追加'}
+        </button>
+        {isCommenting && !pendingPin && (
+          <span className="text-xs text-[var(--color-text-muted)]">バナーのコメントしたい位置をクリックしてください</span>
+        )}
+        <input
+          type="text"
+          value={reviewerName}
+          onChange={(e) => handleNameChange(e.target.value)}
+          placeholder="表示名（ログイン中はメールアドレス）"
+          maxLength={40}
+          className="ml-auto w-56 px-3 py-1.5 text-sm bg-[var(--color-background)] border border-[var(--color-border)] rounded-lg focus:outline-none focus:border-[var(--color-primary)]"
+        />
+      </div>
+
+      {pendingPin && (
+        <form onSubmit={handleSubmitComment} className="mb-4 p-3 bg-[var(--color-background)] rounded-lg">
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="コメントを入力..."
+            rows={3}
+            autoFocus
+            className="w-full px-3 py-2 text-sm bg-[var(--color-surface)] border border-[var(--color-border)] rounded-lg focus:outline-none focus:border-[var(--color-primary)] resize-none"
+          />
+          <div className="flex justify-end gap-2 mt-2">
+            <button
+              type="button"
+              onClick={onCancelPin}
+              className="px-3 py-1 text-sm text-[var(--color-text-muted)] hover:text-[var(--color-text)] transition"
+            >
+              キャンセル
+            </button>
+            <button
+              type="submit"
+              disabled={isBusy || !text.trim()}
+              className="px-4 py-1 text-sm bg-[var(--color-primary)] hover:bg-[var(--color-primary-hover)] text-white rounded-lg transition disabled:opacity-50"
+            >
+              投稿
+            </button>
+          </div>
+        </form>
+      )}
+
+      {threads.length === 0 ? (
+        <p className="text-sm text-[var(--color-text-muted)]">コメントはありません</p>
+      ) : (
+        <ul className="space-y-3">
+          {threads.map(thread => (
+            <li
+              key={thread.id}
+              onClick={() => onSelectThread(thread.id)}
+              className={`p-3 rounded-lg border cursor-pointer transition ${
+                activeThreadId === thread.id
+                  ? 'border-[var(--color-primary)]/50 bg-[var(--color-primary)]/10'
+                  : 'border-transparent bg-[var(--color-background)]'
+              }`}
+            >
+              {[thread, ...thread.replies].map(comment => (
+                <div key={comment.id} className={`group flex items-start gap-2 ${comment.parentId ? 'ml-8 mt-2' : ''}`}>
+                  {!comment.parentId && (
+                    <span className="shrink-0 w-6 h-6 rounded-full bg-[var(--color-primary)] text-white text-xs font-semibold flex items-center justify-center">
+                      {thread.number}
+                    </span>
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <p className="text-xs text-[var(--color-text-muted)]">
+                      <span className="font-medium text-[var(--color-text)]">{comment.author}</span>
+                      ・{formatTime(comment.createdAt)}
+                      {!comment.parentId && showCandidate && `・候補 ${comment.candidateIndex + 1}`}
+                    </p>
+                    <p className="text-sm whitespace-pre-wrap break-words mt-0.5">{comment.text}</p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      handleDelete(comment)
+                    }}
+                    disabled={isBusy}
+                    title="削除"
+                    className="p-1 rounded opacity-0 group-hover:opacity-100 text-[var(--color-text-muted)] hover:text-red-400 transition disabled:opacity-50"
+                  >
+                    <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  </button>
+                </div>
+              ))}
+
+              {activeThreadId === thread.id && (
+                <form
+                  onSubmit={(e) => handleSubmitReply(e, thread.id)}
+                  onClick={(e) => e.stopPropagation()}
+                  className="flex gap-2 ml-8 mt-2"
+                >
+                  <input
+                    type="text"
+                    value={replyText}
+                    onChange={(e) => setReplyText(e.target.value)}
+                    placeholder="返信..."
+                    className="flex-1 min-w-0 px-3 py-1 text-sm bg-[var(--color-surface)] border border-[var(--color-border)] rounded-lg focus:outline-none focus:border-[var(--color-primary)]"
+                  />
+                  <button
+                    type="submit"
+                    disabled={isBusy || !replyText.trim()}
+                    className="px-3 py-1 text-sm bg-[var(--color-primary)] hover:bg-[var(--color-primary-hover)] text-white rounded-lg transition disabled:opacity-50"
+                  >
+                    返信
+                  </button>
+                </form>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && (
+        <p className="text-sm text-red-400 mt-3">{error}</p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,161 @@
+import { useState, useEffect } from 'react'
+import {
+  fetchShares,
+  createShare,
+  revokeShare,
+  getShareUrl,
+  SHARE_EXPIRY_OPTIONS,
+} from '../utils/projectShares'
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString('ja-JP', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+})
+
+export default function ShareDialog({ projectId, projectName, version, onClose }) {
+  const [shares, setShares] = useState([])
+  const [expiresInDays, setExpiresInDays] = useState(7)
+  const [isBusy, setIsBusy] = useState(false)
+  const [copiedId, setCopiedId] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    fetchShares(projectId)
+      .then(setShares)
+      .catch((err) => setError(err.message))
+  }, [projectId])
+
+  const handleCopy = async (share) => {
+    try {
+      await navigator.clipboard.writeText(getShareUrl(share.token))
+      setCopiedId(share.id)
+    } catch (err) {
+      console.error('Failed to copy share link:', err)
+      prompt('共有リンク', getShareUrl(share.token))
+    }
+  }
+
+  const handleCreate = async () => {
+    setIsBusy(true)
+    setError(null)
+    try {
+      const share = await createShare(projectId, { versionId: version?.id || null, expiresInDays })
+      setShares(prev => [share, ...prev])
+      handleCopy(share)
+    } catch (err) {
+      console.error('Failed to create share link:', err)
+      setError(err.message)
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const handleRevoke = async (share) => {
+    if (!confirm('この共有リンクを無効にしますか？リンクを知っている人も見られなくなります。')) return
+    setIsBusy(true)
+    setError(null)
+    try {
+      await revokeShare(projectId, share.id)
+      setShares(prev => prev.filter(s => s.id !== share.id))
+    } catch (err) {
+      console.error('Failed to revoke share link:', err)
+      setError(err.message)
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-[var(--color-surface)] rounded-xl p-6 w-full max-w-lg max-h-[85vh] flex flex-col border border-[var(--color-border)]">
+        <h3 className="text-lg font-semibold mb-2">共有リンク</h3>
+        <p className="text-sm text-[var(--color-text-muted)] mb-4">
+          リンクを知っている人は、ログインなしでレイアウト・コピー・バナーを閲覧できます（編集はできません）
+        </p>
+
+        <div className="space-y-5 overflow-y-auto flex-1 pr-1">
+          <div className="p-3 bg-[var(--color-background)] rounded-lg">
+            <p className="text-sm font-medium truncate">{projectName || '無題のプロジェクト'}</p>
+            <p className="text-xs text-[var(--color-text-muted)] mt-0.5">
+              {version
+                ? `このバージョンのみ（${formatTime(version.createdAt)}${version.label ? `・${version.label}` : ''}）`
+                : 'プロジェクト全体（常に最新のバナーを表示）'}
+            </p>
+            <div className="flex items-center gap-2 mt-3">
+              <label className="text-xs text-[var(--color-text-muted)]">有効期限</label>
+              <select
+                value={expiresInDays}
+                onChange={(e) => setExpiresInDays(Number(e.target.value))}
+                className="px-2 py-1 text-sm bg-[var(--color-surface)] border border-[var(--color-border)] rounded"
+              >
+                {SHARE_EXPIRY_OPTIONS.map(option => (
+                  <option key={option.days} value={option.days}>{option.label}</option>
+                ))}
+              </select>
+              <button
+                onClick={handleCreate}
+                disabled={isBusy}
+                className="ml-auto px-4 py-1.5 text-sm bg-[var(--color-primary)] hover:bg-[var(--color-primary-hover)] text-white rounded-lg transition disabled:opacity-50"
+              >
+                リンクを作成
+              </button>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium mb-2">有効な共有リンク</label>
+            {shares.length === 0 ? (
+              <p className="text-sm text-[var(--color-text-muted)]">共有リンクはありません</p>
+            ) : (
+              <ul className="space-y-2">
+                {shares.map(share => (
+                  <li
+                    key={share.id}
+                    className="flex items-center gap-2 p-2 bg-[var(--color-background)] rounded-lg"
+                  >
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm truncate">
+                        {share.versionId ? '特定のバージョン' : 'プロジェクト全体'}
+                      </p>
+                      <p className="text-xs text-[var(--color-text-muted)]">
+                        {formatTime(share.expiresAt)} まで有効
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => handleCopy(share)}
+                      className="px-3 py-1 text-xs border border-[var(--color-border)] rounded hover:bg-[var(--color-surface-hover)] transition"
+                    >
+                      {copiedId === share.id ? 'コピーしました' : 'コピー'}
+                    </button>
+                    <button
+                      onClick={() => handleRevoke(share)}
+                      disabled={isBusy}
+                      className="px-3 py-1 text-xs text-[var(--color-text-muted)] hover:text-red-400 transition disabled:opacity-50"
+                    >
+                      無効にする
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {error && (
+            <p className="text-sm text-red-400">{error}</p>
+          )}
+        </div>
+
+        <div className="flex justify-end mt-6">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-[var(--color-text-muted)] hover:text-[var(--color-text)] transition"
+          >
+            閉じる
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,108 @@
+import { OVERLAY_FONTS, FONT_WEIGHTS, TEXT_LAYER_LABELS } from '../utils/textOverlay'
+
+const inputClass = 'w-full px-3 py-2 bg-[var(--color-background)] border border-[var(--color-border)] rounded-lg text-sm focus:ring-2 focus:ring-[var(--color-primary)] outline-none'
+
+function RangeField({ label, value, unit = '%', min, max, step = 1, onChange, disabled }) {
+  return (
+    <div>
+      <label className="flex justify-between text-xs text-[var(--color-text-muted)] mb-1">
+        <span>{label}</span>
+        <span>{value}{unit}</span>
+      </label>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        disabled={disabled}
+        className="w-full accent-[var(--color-primary)]"
+      />
+    </div>
+  )
+}
+
+// Text, font and placement of the text layers drawn over a text-free banner
+export default function TextLayerControls({ layers, activeLayerId, onSelect, onChange, disabled }) {
+  const layer = layers.find(l => l.id === activeLayerId) || layers[0]
+  if (!layer) return null
+
+  const update = (field, value) => onChange({ ...layer, [field]: value })
+
+  return (
+    <div className="space-y-4">
+      <div className="flex gap-2">
+        {layers.map((l) => (
+          <button
+            key={l.id}
+            type="button"
+            onClick={() => onSelect(l.id)}
+            className={`text-xs px-3 py-1 rounded-lg border transition ${
+              l.id === layer.id
+                ? 'border-[var(--color-primary)] bg-[var(--color-primary)]/20 text-[var(--color-primary)]'
+                : 'border-[var(--color-border)] hover:bg-[var(--color-surface-hover)]'
+            }`}
+          >
+            {TEXT_LAYER_LABELS[l.id]}
+          </button>
+        ))}
+      </div>
+
+      <textarea
+        value={layer.text}
+        onChange={(e) => update('text', e.target.value)}
+        disabled={disabled}
+        rows={2}
+        className={`${inputClass} resize-none`}
+      />
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-xs text-[var(--color-text-muted)] mb-1">フォント</label>
+          <select value={layer.font} onChange={(e) => update('font', e.target.value)} disabled={disabled} className={inputClass}>
+            {OVERLAY_FONTS.map(font => (
+              <option key={font.id} value={font.id}>{font.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-[var(--color-text-muted)] mb-1">太さ</label>
+          <select value={layer.weight} onChange={(e) => update('weight', Number(e.target.value))} disabled={disabled} className={inputClass}>
+            {FONT_WEIGHTS.map(weight => (
+              <option key={weight.value} value={weight.value}>{weight.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <RangeField label="文字サイズ（バナー幅に対して）" value={layer.size} min={1} max={20} step={0.5} onChange={(v) => update('size', v)} disabled={disabled} />
+        <RangeField label="最大幅（折り返し）" value={layer.maxWidth} min={20} max={100} onChange={(v) => update('maxWidth', v)} disabled={disabled} />
+        <RangeField label="横位置" value={Math.round(layer.x * 100)} min={0} max={100} onChange={(v) => update('x', v / 100)} disabled={disabled} />
+        <RangeField label="縦位置" value={Math.round(layer.y * 100)} min={0} max={100} onChange={(v) => update('y', v / 100)} disabled={disabled} />
+
+        <div className="flex items-center gap-3">
+          <label className="flex items-center gap-2 text-xs text-[var(--color-text-muted)]">
+            文字色
+            <input type="color" value={layer.color} onChange={(e) => update('color', e.target.value)} disabled={disabled} className="w-8 h-8 bg-transparent cursor-pointer" />
+          </label>
+          {layer.buttonColor && (
+            <label className="flex items-center gap-2 text-xs text-[var(--color-text-muted)]">
+              ボタン色
+              <input type="color" value={layer.buttonColor} onChange={(e) => update('buttonColor', e.target.value)} disabled={disabled} className="w-8 h-8 bg-transparent cursor-pointer" />
+            </label>
+          )}
+          <label className="flex items-center gap-1 text-xs text-[var(--color-text-muted)] cursor-pointer">
+            <input type="checkbox" checked={layer.shadow} onChange={(e) => update('shadow', e.target.checked)} disabled={disabled} />
+            影
+          </label>
+        </div>
+        <div className="flex items-end gap-3">
+          <div className="flex-1">
+            <RangeField label="縁取り" value={layer.strokeWidth} min={0} max={30} onChange={(v) => update('strokeWidth', v)} disabled={disabled} />
+          </div>
+          <input type="color" value={layer.strokeColor} onChange={(e) => update('strokeColor', e.target.value)} disabled={disabled || layer.strokeWidth === 0} title="縁取りの色" className="w-8 h-8 bg-transparent cursor-pointer disabled:opacity-50" />
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,213 @@
+import { useState, useEffect } from 'react'
+import {
+  fetchWorkspace,
+  renameWorkspace,
+  addWorkspaceMember,
+  updateWorkspaceMember,
+  removeWorkspaceMember,
+  ROLE_LABELS,
+} from '../utils/auth'
+
+export default function WorkspaceMembersDialog({ workspaceId, userId, onChanged, onLeft, onClose }) {
+  const [workspace, setWorkspace] = useState(null)
+  const [name, setName] = useState('')
+  const [inviteEmail, setInviteEmail] = useState('')
+  const [inviteRole, setInviteRole] = useState('editor')
+  const [isBusy, setIsBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    fetchWorkspace(workspaceId)
+      .then((ws) => {
+        setWorkspace(ws)
+        setName(ws.name)
+      })
+      .catch((err) => setError(err.message))
+  }, [workspaceId])
+
+  const isOwner = workspace?.role === 'owner'
+
+  // Run a change and keep the dialog open with the updated member list
+  const run = async (action) => {
+    setIsBusy(true)
+    setError(null)
+    try {
+      await action()
+      onChanged()
+    } catch (err) {
+      console.error('Failed to update workspace:', err)
+      setError(err.message)
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const handleRename = () => run(async () => {
+    const updated = await renameWorkspace(workspaceId, name.trim())
+    setWorkspace(prev => ({ ...prev, name: updated.name }))
+  })
+
+  const handleInvite = (e) => {
+    e.preventDefault()
+    run(async () => {
+      const members = await addWorkspaceMember(workspaceId, inviteEmail.trim(), inviteRole)
+      setWorkspace(prev => ({ ...prev, members }))
+      setInviteEmail('')
+    })
+  }
+
+  const handleRoleChange = (memberId, role) => run(async () => {
+    const members = await updateWorkspaceMember(workspaceId, memberId, role)
+    setWorkspace(prev => ({ ...prev, members }))
+  })
+
+  const handleRemove = (member) => {
+    const leaving = member.userId === userId
+    const message = leaving
+      ? `ワークスペース「${workspace.name}」から退出しますか？`
+      : `${member.email} をワークスペースから削除しますか？`
+    if (!confirm(message)) return
+
+    run(async () => {
+      const members = await removeWorkspaceMember(workspaceId, member.userId)
+      if (leaving) {
+        onLeft()
+        return
+      }
+      setWorkspace(prev => ({ ...prev, members }))
+    })
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-[var(--color-surface)] rounded-xl p-6 w-full max-w-lg max-h-[85vh] flex flex-col border border-[var(--color-border)]">
+        <h3 className="text-lg font-semibold mb-4">ワークスペースの管理</h3>
+
+        {!workspace ? (
+          <p className="text-sm text-[var(--color-text-muted)] mb-4">
+            {error || '読み込み中...'}
+          </p>
+        ) : (
+          <div className="space-y-5 overflow-y-auto flex-1 pr-1">
+            {isOwner && (
+              <div>
+                <label className="block text-sm font-medium mb-2">名前</label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    maxLength={100}
+                    className="flex-1 px-3 py-2 bg-[var(--color-background)] border border-[var(--color-border)] rounded-lg text-sm focus:outline-none focus:border-[var(--color-primary)]"
+                  />
+                  <button
+                    onClick={handleRename}
+                    disabled={isBusy || !name.trim() || name.trim() === workspace.name}
+                    className="px-4 py-2 text-sm bg-[var(--color-background)] border border-[var(--color-border)] rounded-lg hover:bg-[var(--color-surface-hover)] transition disabled:opacity-50"
+                  >
+                    変更
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium mb-2">
+                メンバー（{workspace.members.length}人）
+              </label>
+              <ul className="space-y-2">
+                {workspace.members.map(member => (
+                  <li
+                    key={member.userId}
+                    className="flex items-center gap-2 p-2 bg-[var(--color-background)] rounded-lg"
+                  >
+                    <span className="flex-1 min-w-0 text-sm truncate">
+                      {member.email}
+                      {member.userId === userId && (
+                        <span className="text-xs text-[var(--color-text-muted)]">（自分）</span>
+                      )}
+                    </span>
+                    {isOwner ? (
+                      <select
+                        value={member.role}
+                        onChange={(e) => handleRoleChange(member.userId, e.target.value)}
+                        disabled={isBusy}
+                        className="px-2 py-1 text-xs bg-[var(--color-surface)] border border-[var(--color-border)] rounded"
+                      >
+                        {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                          <option key={role} value={role}>{label}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <span className="text-xs text-[var(--color-text-muted)]">{ROLE_LABELS[member.role]}</span>
+                    )}
+                    {(isOwner || member.userId === userId) && (
+                      <button
+                        onClick={() => handleRemove(member)}
+                        disabled={isBusy}
+                        className="p-1 text-[var(--color-text-muted)] hover:text-red-400 transition disabled:opacity-50"
+                        title={member.userId === userId ? '退出' : '削除'}
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            {isOwner && (
+              <form onSubmit={handleInvite}>
+                <label className="block text-sm font-medium mb-2">メンバーを招待</label>
+                <div className="flex gap-2">
+                  <input
+                    type="email"
+                    value={inviteEmail}
+                    onChange={(e) => setInviteEmail(e.target.value)}
+                    placeholder="メールアドレス"
+                    required
+                    className="flex-1 min-w-0 px-3 py-2 bg-[var(--color-background)] border border-[var(--color-border)] rounded-lg text-sm focus:outline-none focus:border-[var(--color-primary)]"
+                  />
+                  <select
+                    value={inviteRole}
+                    onChange={(e) => setInviteRole(e.target.value)}
+                    className="px-2 py-2 text-sm bg-[var(--color-background)] border border-[var(--color-border)] rounded-lg"
+                  >
+                    <option value="editor">{ROLE_LABELS.editor}</option>
+                    <option value="viewer">{ROLE_LABELS.viewer}</option>
+                    <option value="owner">{ROLE_LABELS.owner}</option>
+                  </select>
+                  <button
+                    type="submit"
+                    disabled={isBusy || !inviteEmail.trim()}
+                    className="px-4 py-2 text-sm bg-[var(--color-primary)] hover:bg-[var(--color-primary-hover)] text-white rounded-lg transition disabled:opacity-50"
+                  >
+                    招待
+                  </button>
+                </div>
+                <p className="text-xs text-[var(--color-text-muted)] mt-1">
+                  招待メールが届き、そのアドレスでログインすると参加できます
+                </p>
+              </form>
+            )}
+
+            {error && (
+              <p className="text-sm text-red-400">{error}</p>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end mt-6">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-[var(--color-text-muted)] hover:text-[var(--color-text)] transition"
+          >
+            閉じる
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
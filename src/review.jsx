@@ -0,0 +1,11 @@
+import { StrictMode } from 'react'
+import { createRoot } from 'react-dom/client'
+import ReviewPage from './components/ReviewPage.jsx'
+import './index.css'
+
+// Read-only page for share links, kept separate from the editor bundle
+createRoot(document.getElementById('root')).render(
+  <StrictMode>
+    <ReviewPage token={window.location.hash.slice(1)} />
+  </StrictMode>,
+)
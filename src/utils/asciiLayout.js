@@ -0,0 +1,17 @@
+/**
+ * ASCII Layout Utility
+ * The elements an ASCII layout places, with bounding boxes normalized to the
+ * banner canvas (0-1). generate-ascii / refine-ascii return them as `structure`;
+ * layouts saved before that are parsed here with the same shared parser.
+ */
+
+import { parseAsciiLayout } from '../../shared/asciiLayout.js'
+
+/**
+ * The elements of a layout result, parsed from its ASCII art when the result has no structure
+ * @param {Object} layout - Layout result from generate-ascii / refine-ascii
+ * @returns {Array} Normalized elements: { type, label, x, y, width, height, source }
+ */
+export function getLayoutElements(layout) {
+  return layout?.structure?.elements || parseAsciiLayout(layout?.ascii).elements
+}
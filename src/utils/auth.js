@@ -0,0 +1,128 @@
+/**
+ * Account Utility
+ * Sign-in with emailed links, team workspaces and their members.
+ * The session is an HttpOnly cookie, so requests only need to be same-origin.
+ */
+
+import { getAnonymousDeviceId } from './deviceId'
+
+export const ROLE_LABELS = {
+  owner: 'オーナー',
+  editor: '編集者',
+  viewer: '閲覧者',
+}
+
+async function request(url, options = {}, fallbackError) {
+  const response = await fetch(url, {
+    ...options,
+    headers: options.body ? { 'Content-Type': 'application/json' } : undefined,
+  })
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    const error = new Error(data.error || fallbackError)
+    error.status = response.status
+    throw error
+  }
+  return data
+}
+
+/**
+ * Get the signed-in user and their workspaces
+ * @returns {Promise<{user: Object|null, workspaces: Array}>}
+ */
+export async function fetchSession() {
+  return request('/api/auth/session', {}, 'Failed to get session')
+}
+
+/**
+ * Email a sign-in link
+ * @param {string} email - Email address
+ * @returns {Promise<{success: boolean, outbox: string|null}>}
+ */
+export async function requestSignInLink(email) {
+  return request('/api/auth/request-link', {
+    method: 'POST',
+    body: JSON.stringify({ email }),
+  }, 'Failed to send sign-in link')
+}
+
+/**
+ * Latest sign-in link kept by the development mail stand-in
+ * @param {string} outbox - Outbox URL returned by requestSignInLink
+ * @param {string} email - Email address
+ * @returns {Promise<string|null>} Link, or null if there is none
+ */
+export async function fetchOutboxLink(outbox, email) {
+  const { messages } = await request(`${outbox}?email=${encodeURIComponent(email)}`, {}, 'Failed to read outbox')
+  const match = messages?.[0]?.text.match(/https?:\/\/\S+\/api\/auth\/verify\?token=\w+/)
+  return match ? match[0] : null
+}
+
+export async function signOut() {
+  await request('/api/auth/logout', { method: 'POST' }, 'Failed to sign out')
+}
+
+export async function createWorkspace(name) {
+  const { workspace } = await request('/api/workspaces', {
+    method: 'POST',
+    body: JSON.stringify({ name }),
+  }, 'Failed to create workspace')
+  return workspace
+}
+
+/**
+ * Get a workspace with its members
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object>} Workspace
+ */
+export async function fetchWorkspace(workspaceId) {
+  const { workspace } = await request(`/api/workspaces/${workspaceId}`, {}, 'Failed to get workspace')
+  return workspace
+}
+
+export async function renameWorkspace(workspaceId, name) {
+  const { workspace } = await request(`/api/workspaces/${workspaceId}`, {
+    method: 'PUT',
+    body: JSON.stringify({ name }),
+  }, 'Failed to rename workspace')
+  return workspace
+}
+
+/**
+ * Invite a member (or change the role of an existing one)
+ * @returns {Promise<Array>} Members
+ */
+export async function addWorkspaceMember(workspaceId, email, role) {
+  const { members } = await request(`/api/workspaces/${workspaceId}/members`, {
+    method: 'POST',
+    body: JSON.stringify({ email, role }),
+  }, 'Failed to add member')
+  return members
+}
+
+export async function updateWorkspaceMember(workspaceId, userId, role) {
+  const { members } = await request(`/api/workspaces/${workspaceId}/members/${userId}`, {
+    method: 'PUT',
+    body: JSON.stringify({ role }),
+  }, 'Failed to update member')
+  return members
+}
+
+export async function removeWorkspaceMember(workspaceId, userId) {
+  const { members } = await request(`/api/workspaces/${workspaceId}/members/${userId}`, {
+    method: 'DELETE',
+  }, 'Failed to remove member')
+  return members
+}
+
+/**
+ * Move the projects created in this browser without an account into a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<{done: boolean, projects: number, renamed: number}>} done is false while the move continues on the server
+ */
+export async function claimDeviceProjects(workspaceId) {
+  return request(`/api/auth/claim?deviceId=${encodeURIComponent(getAnonymousDeviceId())}`, {
+    method: 'POST',
+    body: JSON.stringify({ workspaceId }),
+  }, 'Failed to move projects')
+}
@@ -0,0 +1,36 @@
+/**
+ * Banner Candidates Utility
+ * /api/generate-banner can return several candidates per request. Older
+ * responses (and saved results) only have the top-level image fields, so
+ * they are treated as a single candidate.
+ */
+
+/**
+ * Get the generated candidates of a banner result
+ * @param {Object} banner - generate-banner response (plus selectedIndex / starred)
+ * @returns {Array<{index: number, imageData: string, mimeType: string, textResponse: string, resolution: Object}>}
+ */
+export function getCandidates(banner) {
+  if (!banner) return []
+  if (Array.isArray(banner.candidates) && banner.candidates.length > 0) {
+    return banner.candidates
+  }
+  if (!banner.imageData) return []
+  return [{
+    index: 0,
+    imageData: banner.imageData,
+    mimeType: banner.mimeType,
+    textResponse: banner.textResponse,
+    resolution: banner.resolution,
+  }]
+}
+
+/**
+ * Get the candidate picked as the winner (the first one until the user picks)
+ * @param {Object} banner - Banner result
+ * @returns {Object|null} Selected candidate
+ */
+export function getSelectedCandidate(banner) {
+  const candidates = getCandidates(banner)
+  return candidates.find(c => c.index === banner?.selectedIndex) || candidates[0] || null
+}
@@ -0,0 +1,186 @@
+/**
+ * Brand Kits Utility
+ * Brand kits are stored on the server per space (device or workspace): logos in
+ * full resolution with light / dark variants, brand colors, fonts, tone of voice
+ * and forbidden words. Projects refer to a kit and one of its logos by ID.
+ *
+ * Logos used to be kept in this browser's localStorage (resized to 256px); those
+ * can be imported into a kit once with importLegacyLogos().
+ */
+
+import { getDeviceId } from './deviceId'
+import { createThumbnail, UPLOAD_IMAGE_TYPES } from './imageAssets'
+
+const LEGACY_LOGOS_KEY = 'smart-banner-brand-logos'
+
+export const BRAND_LOGO_VARIANTS = ['default', 'light', 'dark']
+
+export const BRAND_LOGO_VARIANT_LABELS = {
+  default: '標準',
+  light: '明るい背景用',
+  dark: '暗い背景用',
+}
+
+async function request(url, options, fallbackError) {
+  const response = await fetch(url, options)
+  const data = await response.json().catch(() => ({}))
+
+  if (!response.ok) {
+    throw new Error(data.error || fallbackError)
+  }
+  return data
+}
+
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = (event) => resolve(event.target.result)
+    reader.onerror = () => reject(new Error('Failed to read file'))
+    reader.readAsDataURL(file)
+  })
+}
+
+/**
+ * Brand kits of the active space
+ * @returns {Promise<Array>} Brand kits, by name
+ */
+export async function fetchBrandKits() {
+  const response = await fetch(`/api/brand-kits?deviceId=${encodeURIComponent(getDeviceId())}`)
+  const data = await response.json()
+
+  if (data.error && data.error !== 'KV not configured') {
+    throw new Error(data.error)
+  }
+  return data.brandKits || []
+}
+
+/**
+ * Create a brand kit
+ * @param {Object} brandKit - { name, colors, fonts, toneOfVoice, forbiddenWords }
+ * @returns {Promise<Object>} New kit
+ */
+export async function createBrandKit(brandKit) {
+  const data = await request(`/api/brand-kits?deviceId=${encodeURIComponent(getDeviceId())}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ brandKit }),
+  }, 'Failed to create brand kit')
+  return data.brandKit
+}
+
+/**
+ * Update the fields of a brand kit
+ * @returns {Promise<Object>} Updated kit
+ */
+export async function updateBrandKit(kitId, brandKit) {
+  const data = await request(`/api/brand-kits/${kitId}?deviceId=${encodeURIComponent(getDeviceId())}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ brandKit }),
+  }, 'Failed to update brand kit')
+  return data.brandKit
+}
+
+export async function deleteBrandKit(kitId) {
+  await request(
+    `/api/brand-kits/${kitId}?deviceId=${encodeURIComponent(getDeviceId())}`,
+    { method: 'DELETE' },
+    'Failed to delete brand kit'
+  )
+}
+
+async function postLogo(kitId, dataUrl, { fileName, name, variant }) {
+  const [header, base64] = dataUrl.split(',')
+  const mimeType = header.match(/^data:([^;]+)/)?.[1] || 'image/png'
+  const thumbnail = await createThumbnail(dataUrl)
+
+  const data = await request(`/api/brand-kits/${kitId}/logos?deviceId=${encodeURIComponent(getDeviceId())}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      image: { base64, mimeType, fileName },
+      thumbnail: { base64: thumbnail.split(',')[1], mimeType: 'image/jpeg' },
+      name,
+      variant,
+    }),
+  }, 'Failed to upload logo')
+  return data.brandKit
+}
+
+/**
+ * Add a logo to a kit, uploaded in its original resolution
+ * @param {string} kitId - Kit ID
+ * @param {File} file - Image file
+ * @param {Object} options - { name, variant }
+ * @returns {Promise<Object>} Updated kit
+ */
+export async function uploadBrandLogo(kitId, file, { name = '', variant = 'default' } = {}) {
+  if (!UPLOAD_IMAGE_TYPES.includes(file.type)) {
+    throw new Error('Invalid file type')
+  }
+  return postLogo(kitId, await readFileAsDataUrl(file), { fileName: file.name, name, variant })
+}
+
+/**
+ * Remove a logo from a kit
+ * @returns {Promise<Object>} Updated kit
+ */
+export async function deleteBrandLogo(kitId, logoId) {
+  const data = await request(
+    `/api/brand-kits/${kitId}/logos/${logoId}?deviceId=${encodeURIComponent(getDeviceId())}`,
+    { method: 'DELETE' },
+    'Failed to delete logo'
+  )
+  return data.brandKit
+}
+
+/**
+ * Logos saved in this browser before brand kits
+ * @returns {Array} [{ name, base64, mimeType, dataUrl }]
+ */
+export function getLegacyLogos() {
+  try {
+    const data = localStorage.getItem(LEGACY_LOGOS_KEY)
+    return data ? JSON.parse(data) : []
+  } catch (error) {
+    console.error('Failed to load saved logos:', error)
+    return []
+  }
+}
+
+/**
+ * Move the logos saved in this browser into a kit, and remove them from the browser
+ * @param {string} kitId - Kit ID
+ * @returns {Promise<Object>} Updated kit
+ */
+export async function importLegacyLogos(kitId) {
+  let kit = null
+  for (const logo of getLegacyLogos()) {
+    const dataUrl = logo.dataUrl || `data:${logo.mimeType};base64,${logo.base64}`
+    kit = await postLogo(kitId, dataUrl, { fileName: logo.name, name: logo.name, variant: 'default' })
+  }
+  localStorage.removeItem(LEGACY_LOGOS_KEY)
+  return kit
+}
+
+/**
+ * What the generation endpoints need from a kit (text fields only)
+ * @param {Object|null} kit - Brand kit
+ * @returns {Object|null}
+ */
+export function toBrandKitContext(kit) {
+  if (!kit) return null
+  const { id, name, colors, fonts, toneOfVoice, forbiddenWords } = kit
+  return { id, name, colors, fonts, toneOfVoice, forbiddenWords }
+}
+
+/**
+ * Logo as sent to the generation endpoints, which load the image by asset ID
+ * @param {Object|null} logo - Kit logo
+ * @returns {Object|null} { id, assetId, name, mimeType, variant }
+ */
+export function toBrandLogoRef(logo) {
+  if (!logo) return null
+  const { id, assetId, name, mimeType, variant } = logo
+  return { id, assetId, name, mimeType, variant }
+}
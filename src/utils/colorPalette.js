@@ -0,0 +1,121 @@
+/**
+ * Color Palette Utility
+ * Extracts the dominant colors of the brand logo and product images with k-means
+ * over their pixels, for the palette the generation steps have to stick to.
+ */
+
+export const MAX_PALETTE_COLORS = 8
+
+const SAMPLE_SIZE = 64 // Images are scaled down to at most this many pixels per side
+const MAX_ITERATIONS = 12
+const MIN_SHARE = 0.02 // Clusters with fewer pixels than this are left out
+
+const toHex = (rgb) => `#${rgb.map(v => Math.round(v).toString(16).padStart(2, '0')).join('')}`
+
+const distance = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image()
+    img.onload = () => resolve(img)
+    img.onerror = () => reject(new Error(`Failed to load image: ${src}`))
+    img.src = src
+  })
+}
+
+// Opaque pixels of an image, scaled down
+function samplePixels(img) {
+  const scale = Math.min(1, SAMPLE_SIZE / Math.max(img.width, img.height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(img.width * scale))
+  canvas.height = Math.max(1, Math.round(img.height * scale))
+
+  const ctx = canvas.getContext('2d')
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height)
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height)
+
+  const pixels = []
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] >= 128) pixels.push([data[i], data[i + 1], data[i + 2]])
+  }
+  return pixels
+}
+
+// Farthest-point initialization keeps the result the same for the same images
+function initialCentroids(pixels, k) {
+  const mean = [0, 1, 2].map(c => pixels.reduce((sum, p) => sum + p[c], 0) / pixels.length)
+  const centroids = [pixels.reduce((best, p) => (distance(p, mean) < distance(best, mean) ? p : best))]
+
+  while (centroids.length < k) {
+    let farthest = null
+    let farthestDistance = -1
+    for (const p of pixels) {
+      const d = Math.min(...centroids.map(c => distance(p, c)))
+      if (d > farthestDistance) {
+        farthest = p
+        farthestDistance = d
+      }
+    }
+    if (farthestDistance === 0) break
+    centroids.push(farthest)
+  }
+  return centroids
+}
+
+/**
+ * Cluster pixels into k colors
+ * @param {Array} pixels - [[r, g, b]]
+ * @param {number} k - Number of clusters
+ * @returns {Array} [{ hex, share }], most common first
+ */
+export function kMeans(pixels, k) {
+  if (pixels.length === 0) return []
+
+  let centroids = initialCentroids(pixels, k)
+  let assignments = new Array(pixels.length).fill(-1)
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    let changed = false
+    pixels.forEach((p, i) => {
+      let nearest = 0
+      for (let c = 1; c < centroids.length; c++) {
+        if (distance(p, centroids[c]) < distance(p, centroids[nearest])) nearest = c
+      }
+      if (assignments[i] !== nearest) {
+        assignments[i] = nearest
+        changed = true
+      }
+    })
+    if (!changed) break
+
+    centroids = centroids.map((centroid, c) => {
+      const members = pixels.filter((_, i) => assignments[i] === c)
+      if (members.length === 0) return centroid
+      return [0, 1, 2].map(ch => members.reduce((sum, p) => sum + p[ch], 0) / members.length)
+    })
+  }
+
+  const counts = centroids.map((_, c) => assignments.filter(a => a === c).length)
+  return centroids
+    .map((centroid, c) => ({ hex: toHex(centroid), share: counts[c] / pixels.length }))
+    .sort((a, b) => b.share - a.share)
+}
+
+/**
+ * Dominant colors of a set of images
+ * @param {string[]} sources - Image URLs (same-origin or data URLs, so the pixels can be read)
+ * @param {number} colorCount - Number of colors to extract
+ * @returns {Promise<string[]>} Hex colors, most common first
+ */
+export async function extractPalette(sources, colorCount = 5) {
+  const images = await Promise.all(sources.map(src => loadImage(src).catch((err) => {
+    console.warn(err.message)
+    return null
+  })))
+  const pixels = images.filter(Boolean).flatMap(samplePixels)
+
+  const hexes = kMeans(pixels, colorCount)
+    .filter(color => color.share >= MIN_SHARE)
+    .map(color => color.hex)
+  return [...new Set(hexes)]
+}
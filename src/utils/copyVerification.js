@@ -0,0 +1,161 @@
+/**
+ * Copy Verification Utility
+ * Image models often get a single kanji wrong. After generation, the banner is
+ * read back with OCR (tesseract.js, WebAssembly, in the browser) and each line
+ * of the layout's copy is looked up in the recognized text, giving a similarity
+ * score and the area it was found in.
+ * The image never leaves the browser. The worker, WASM core and language data are
+ * served by this app (see vite.config.js), not tesseract.js's default CDN, and the
+ * language data is cached in IndexedDB after the first check.
+ */
+
+export const COPY_MATCH_STATUS = {
+  MATCH: 'match', // Recognized exactly
+  MISMATCH: 'mismatch', // Found with differences
+  MISSING: 'missing', // Not found
+}
+
+const MIN_FOUND_SCORE = 0.5 // Below this, the closest text is too different to be the line
+
+let workerPromise = null
+
+// Absolute, since the worker resolves the core and language paths itself
+const tesseractUrl = (path) => new URL(`${import.meta.env.BASE_URL}tesseract/${path}`, window.location.href).href
+
+// One OCR worker for the session; loading the Japanese model takes a while the first time
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = import('tesseract.js')
+      .then(async ({ createWorker, OEM, PSM }) => {
+        const worker = await createWorker(['jpn', 'eng'], OEM.LSTM_ONLY, {
+          workerPath: tesseractUrl('worker.min.js'),
+          workerBlobURL: false,
+          corePath: tesseractUrl('core'),
+          langPath: tesseractUrl('lang'),
+        })
+        await worker.setParameters({ tessedit_pageseg_mode: PSM.SPARSE_TEXT })
+        return worker
+      })
+      .catch((err) => {
+        workerPromise = null // Retry on the next call
+        throw err
+      })
+  }
+  return workerPromise
+}
+
+// Compare without width, case and spacing differences (OCR spaces out Japanese characters)
+const normalize = (text) => text.normalize('NFKC').replace(/\s+/g, '').toLowerCase()
+
+/**
+ * Find the closest match of a string anywhere inside another (semi-global edit distance)
+ * @param {string} pattern - Expected text
+ * @param {string} text - Recognized text
+ * @returns {{distance: number, start: number, end: number}} Edit distance and matched range of text
+ */
+export function findClosestMatch(pattern, text) {
+  const a = [...pattern]
+  const b = [...text]
+  let distances = Array.from({ length: b.length + 1 }, () => 0) // The match may start anywhere
+  let starts = Array.from({ length: b.length + 1 }, (_, j) => j)
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextDistances = [i]
+    const nextStarts = [0]
+    for (let j = 1; j <= b.length; j++) {
+      const options = [
+        [distances[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1), starts[j - 1]], // Match or substitution
+        [distances[j] + 1, starts[j]], // Character missing from text
+        [nextDistances[j - 1] + 1, nextStarts[j - 1]], // Extra character in text
+      ]
+      const [distance, start] = options.reduce((best, option) => (option[0] < best[0] ? option : best))
+      nextDistances.push(distance)
+      nextStarts.push(start)
+    }
+    distances = nextDistances
+    starts = nextStarts
+  }
+
+  let end = 0
+  for (let j = 1; j <= b.length; j++) {
+    if (distances[j] < distances[end]) end = j
+  }
+  return { distance: distances[end], start: starts[end], end }
+}
+
+// Recognized characters in reading order, each with the box of its symbol
+function toCharacters(blocks) {
+  const symbols = (blocks || []).flatMap(block => block.paragraphs.flatMap(paragraph =>
+    paragraph.lines.flatMap(line => line.words.flatMap(word => word.symbols))
+  ))
+  return symbols.flatMap(symbol => [...normalize(symbol.text)].map(char => ({ char, bbox: symbol.bbox })))
+}
+
+function unionBox(characters, width, height) {
+  if (characters.length === 0) return null
+  const x0 = Math.min(...characters.map(c => c.bbox.x0))
+  const y0 = Math.min(...characters.map(c => c.bbox.y0))
+  const x1 = Math.max(...characters.map(c => c.bbox.x1))
+  const y1 = Math.max(...characters.map(c => c.bbox.y1))
+  return { x: x0 / width, y: y0 / height, width: (x1 - x0) / width, height: (y1 - y0) / height }
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image()
+    img.onload = () => resolve(img)
+    img.onerror = () => reject(new Error('Failed to load image for verification'))
+    img.src = src
+  })
+}
+
+/**
+ * Read a banner with OCR and check each line of copy against it
+ * @param {string} imageSrc - Banner image (data URL)
+ * @param {string[]} copyText - Lines the banner should show (asciiResult.copyText)
+ * @returns {Promise<Array>} Per line: { text, recognized, score (0-1), status, box },
+ *   box being the normalized area (0-1) the line was found in, or null
+ */
+export async function verifyBannerCopy(imageSrc, copyText) {
+  const [worker, img] = await Promise.all([getWorker(), loadImage(imageSrc)])
+  const { data } = await worker.recognize(img, {}, { blocks: true })
+
+  const characters = toCharacters(data.blocks)
+  const recognizedText = characters.map(c => c.char).join('')
+
+  return copyText.filter(text => normalize(text)).map((text) => {
+    const expected = normalize(text)
+    const { distance, start, end } = findClosestMatch(expected, recognizedText)
+    const score = Math.max(0, 1 - distance / [...expected].length)
+    const found = score >= MIN_FOUND_SCORE
+
+    let status = COPY_MATCH_STATUS.MISSING
+    if (distance === 0) status = COPY_MATCH_STATUS.MATCH
+    else if (found) status = COPY_MATCH_STATUS.MISMATCH
+
+    return {
+      text,
+      // start / end count characters (code points), as characters does, not UTF-16 units
+      recognized: found ? characters.slice(start, end).map(c => c.char).join('') : '',
+      score,
+      status,
+      box: found ? unionBox(characters.slice(start, end), img.width, img.height) : null,
+    }
+  })
+}
+
+/**
+ * Regeneration feedback that asks the model to fix the lines that did not match
+ * @param {Array} lines - Result of verifyBannerCopy()
+ * @returns {string|null} Feedback, or null when every line matched
+ */
+export function toCorrectionFeedback(lines) {
+  const wrong = lines.filter(line => line.status !== COPY_MATCH_STATUS.MATCH)
+  if (wrong.length === 0) return null
+
+  const items = wrong.map((line, i) => (line.status === COPY_MATCH_STATUS.MISSING
+    ? `${i + 1}. "${line.text}" (missing or unreadable)`
+    : `${i + 1}. "${line.text}" (currently reads "${line.recognized}")`))
+
+  return `Fix the text in this banner. Render each text below exactly as written, character for character, and keep everything else unchanged:\n${items.join('\n')}`
+}
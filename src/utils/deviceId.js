@@ -2,9 +2,16 @@
  * Device ID Utility
  * Generates and stores a unique device ID for user identification
  * This allows separating project data between different devices/users
+ *
+ * When signed in, the active space can be switched to a workspace; getDeviceId()
+ * then returns the workspace space ID, so every API call works in that workspace.
+ *
+ * Browsers can also be linked with a pairing code. The server then maps each of
+ * their device IDs to one shared space, so nothing changes on the client.
  */
 
 const STORAGE_KEY = 'smart-banner-device-id'
+const ACTIVE_SPACE_KEY = 'smart-banner-active-space'
 
 /**
  * Generate a UUID v4
@@ -18,10 +25,18 @@ function generateUUID() {
 }
 
 /**
- * Get or create device ID
- * @returns {string} Device ID
+ * Get the ID of the space projects are stored in
+ * @returns {string} Workspace space ID when one is active, otherwise the device ID
  */
 export function getDeviceId() {
+  return localStorage.getItem(ACTIVE_SPACE_KEY) || getAnonymousDeviceId()
+}
+
+/**
+ * Get or create the ID of this browser (used without an account)
+ * @returns {string} Device ID
+ */
+export function getAnonymousDeviceId() {
   let deviceId = localStorage.getItem(STORAGE_KEY)
 
   if (!deviceId) {
@@ -32,9 +47,111 @@ export function getDeviceId() {
   return deviceId
 }
 
+/**
+ * Switch the active space
+ * @param {string|null} spaceId - Workspace space ID, or null for this browser's own space
+ */
+export function setActiveSpace(spaceId) {
+  if (spaceId) {
+    localStorage.setItem(ACTIVE_SPACE_KEY, spaceId)
+  } else {
+    localStorage.removeItem(ACTIVE_SPACE_KEY)
+  }
+}
+
+export function getActiveSpace() {
+  return localStorage.getItem(ACTIVE_SPACE_KEY)
+}
+
 /**
  * Clear device ID (for testing/reset purposes)
  */
 export function clearDeviceId() {
   localStorage.removeItem(STORAGE_KEY)
 }
+
+/**
+ * Short name of this browser for the linked device list, e.g. "Chrome (macOS)"
+ * @returns {string}
+ */
+export function getDeviceLabel() {
+  const ua = navigator.userAgent
+  const browser = /Edg\//.test(ua) ? 'Edge'
+    : /Chrome\//.test(ua) ? 'Chrome'
+    : /Firefox\//.test(ua) ? 'Firefox'
+    : /Safari\//.test(ua) ? 'Safari'
+    : 'ブラウザ'
+  const os = /iPhone|iPad/.test(ua) ? 'iOS'
+    : /Android/.test(ua) ? 'Android'
+    : /Mac OS X/.test(ua) ? 'macOS'
+    : /Windows/.test(ua) ? 'Windows'
+    : /Linux/.test(ua) ? 'Linux'
+    : ''
+  return os ? `${browser} (${os})` : browser
+}
+
+// Pairing always links this browser's own device ID, whichever space is active
+async function devicesRequest(url, options, fallbackError) {
+  const response = await fetch(url, options)
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    const error = new Error(data.error || fallbackError)
+    error.status = response.status
+    throw error
+  }
+  return data
+}
+
+/**
+ * Create a pairing code to enter on another browser
+ * @returns {Promise<{code: string, expiresAt: number}>}
+ */
+export async function createPairingCode() {
+  return devicesRequest(`/api/devices/pairing-code?deviceId=${encodeURIComponent(getAnonymousDeviceId())}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ label: getDeviceLabel() }),
+  }, 'Failed to create pairing code')
+}
+
+/**
+ * Link this browser with the one that created a pairing code
+ * Both then share the same projects.
+ * @param {string} code - Pairing code
+ * @returns {Promise<Array>} Linked devices
+ */
+export async function redeemPairingCode(code) {
+  const { devices } = await devicesRequest(`/api/devices/pair?deviceId=${encodeURIComponent(getAnonymousDeviceId())}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code, label: getDeviceLabel() }),
+  }, 'Failed to link device')
+  return devices
+}
+
+/**
+ * List browsers linked with this one
+ * @returns {Promise<Array>} [{ linkId, label, linkedAt, current }]
+ */
+export async function fetchLinkedDevices() {
+  const { devices } = await devicesRequest(
+    `/api/devices?deviceId=${encodeURIComponent(getAnonymousDeviceId())}`,
+    {},
+    'Failed to list linked devices'
+  )
+  return devices
+}
+
+/**
+ * Unlink a browser (pass this browser's own linkId to leave)
+ * @param {string} linkId - Device to unlink
+ * @returns {Promise<Array>} Devices still linked with this browser
+ */
+export async function revokeDevice(linkId) {
+  const { devices } = await devicesRequest(
+    `/api/devices/${linkId}?deviceId=${encodeURIComponent(getAnonymousDeviceId())}`,
+    { method: 'DELETE' },
+    'Failed to unlink device'
+  )
+  return devices
+}
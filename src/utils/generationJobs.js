@@ -0,0 +1,130 @@
+/**
+ * Generation Jobs Utility
+ * Banner generation runs as a server-side job so closing or reloading the tab
+ * does not lose the result. The client polls /api/jobs/:id until it finishes.
+ */
+
+import { getDeviceId } from './deviceId'
+
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+}
+
+const POLL_INTERVAL_MS = 3000
+const MAX_FAILED_POLLS = 5
+
+export function isJobInFlight(job) {
+  return job.status === JOB_STATUS.PENDING || job.status === JOB_STATUS.RUNNING
+}
+
+/**
+ * Start a banner generation job
+ * @param {Object} payload - /api/generate-banner request body
+ * @returns {Promise<{jobId: string}|{result: Object}>} Job ID, or the result when the server generated synchronously
+ */
+export async function startBannerJob(payload) {
+  const response = await fetch(`/api/generate-banner?deviceId=${encodeURIComponent(getDeviceId())}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...payload, async: true }),
+  })
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    const error = new Error(data.error || 'Failed to generate banner')
+    error.canRetry = data.canRetry !== false // Server decides per error code
+    throw error
+  }
+
+  return response.status === 202 ? { jobId: data.jobId } : { result: data }
+}
+
+/**
+ * Get a job (with its result once it has succeeded)
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Job
+ */
+export async function fetchJob(jobId) {
+  const response = await fetch(`/api/jobs/${jobId}?deviceId=${getDeviceId()}`)
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to get job')
+  }
+  return data.job
+}
+
+/**
+ * List a page of recent jobs of this device
+ * @param {string|null} cursor - nextCursor of the previous page (null for the newest jobs)
+ * @returns {Promise<{jobs: Array, nextCursor: string|null}>} Job summaries, newest first
+ */
+export async function fetchJobs(cursor = null) {
+  const params = new URLSearchParams({ deviceId: getDeviceId() })
+  if (cursor) params.set('cursor', cursor)
+
+  const response = await fetch(`/api/jobs?${params}`)
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to list jobs')
+  }
+  return { jobs: data.jobs || [], nextCursor: data.nextCursor || null }
+}
+
+/**
+ * Put a freshly loaded first page in front of a job list. Older jobs loaded with
+ * later pages are kept (with their cursor), so polling does not collapse the list.
+ * @param {{jobs: Array, nextCursor: string|null}} list - Jobs shown so far
+ * @param {{jobs: Array, nextCursor: string|null}} page - First page from fetchJobs()
+ * @returns {{jobs: Array, nextCursor: string|null}}
+ */
+export function mergeFirstJobPage(list, page) {
+  const oldest = page.jobs[page.jobs.length - 1]
+  const older = page.nextCursor && oldest
+    ? list.jobs.filter(job => job.createdAt < oldest.createdAt)
+    : []
+  return older.length > 0
+    ? { jobs: [...page.jobs, ...older], nextCursor: list.nextCursor }
+    : page
+}
+
+/**
+ * Remove a job from the list
+ * @param {string} jobId - Job ID
+ */
+export async function dismissJob(jobId) {
+  await fetch(`/api/jobs/${jobId}?deviceId=${getDeviceId()}`, { method: 'DELETE' })
+}
+
+/**
+ * Poll a job until it finishes
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Result of the succeeded job
+ * @throws {Error} With `canRetry` when the job failed
+ */
+export async function waitForJob(jobId) {
+  let failedPolls = 0
+
+  for (;;) {
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS))
+
+    let job
+    try {
+      job = await fetchJob(jobId)
+      failedPolls = 0
+    } catch (err) {
+      // Ride out brief network errors; the job keeps running on the server
+      if (++failedPolls >= MAX_FAILED_POLLS) throw err
+      continue
+    }
+
+    if (job.status === JOB_STATUS.SUCCEEDED) return job.result
+    if (job.status === JOB_STATUS.FAILED) {
+      const error = new Error(job.error?.error || 'Failed to generate banner')
+      error.canRetry = job.error?.canRetry !== false
+      throw error
+    }
+  }
+}
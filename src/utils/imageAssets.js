@@ -0,0 +1,128 @@
+/**
+ * Image Assets Utility
+ * Uploads product images once to /api/assets and refers to them by asset ID,
+ * so projects and generation requests no longer carry the image data.
+ * Asset IDs are content hashes: uploading the same image again returns the same asset.
+ */
+
+import { getDeviceId } from './deviceId'
+
+const THUMBNAIL_SIZE = 256
+
+// The only types the server stores (it checks the file contents, not just the name)
+export const UPLOAD_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp']
+
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = (event) => resolve(event.target.result)
+    reader.onerror = () => reject(new Error('Failed to read file'))
+    reader.readAsDataURL(file)
+  })
+}
+
+/**
+ * Make a small JPEG thumbnail for previews (the server has no canvas to resize with)
+ * @param {string} dataUrl - Image data URL
+ * @returns {Promise<string>} Thumbnail data URL
+ */
+export function createThumbnail(dataUrl, maxDim = THUMBNAIL_SIZE) {
+  return new Promise((resolve, reject) => {
+    const img = new Image()
+    img.onload = () => {
+      const scale = Math.min(1, maxDim / Math.max(img.width, img.height))
+      const canvas = document.createElement('canvas')
+      canvas.width = Math.max(1, Math.round(img.width * scale))
+      canvas.height = Math.max(1, Math.round(img.height * scale))
+
+      const ctx = canvas.getContext('2d')
+      // White behind transparent PNGs, which JPEG would turn black
+      ctx.fillStyle = '#ffffff'
+      ctx.fillRect(0, 0, canvas.width, canvas.height)
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height)
+      resolve(canvas.toDataURL('image/jpeg', 0.8))
+    }
+    img.onerror = () => reject(new Error('Failed to load image'))
+    img.src = dataUrl
+  })
+}
+
+/**
+ * URL of an uploaded image
+ * @param {string} assetId - Asset ID
+ * @param {string} variant - 'thumb' or 'original'
+ * @returns {string}
+ */
+export function getAssetUrl(assetId, variant = 'thumb') {
+  return `/api/assets/${assetId}?deviceId=${encodeURIComponent(getDeviceId())}&variant=${variant}`
+}
+
+/**
+ * Upload image data, e.g. from an imported project bundle
+ * Falls back to an inline image ({ base64 }) when asset storage is not configured,
+ * which the API endpoints still accept.
+ * @param {Object} image - { base64, mimeType, fileName }
+ * @returns {Promise<Object>} { assetId, fileName, mimeType, preview } or { base64, fileName, mimeType, preview }
+ */
+export async function uploadImageData({ base64, mimeType, fileName }) {
+  const dataUrl = `data:${mimeType};base64,${base64}`
+  const thumbnail = await createThumbnail(dataUrl)
+
+  const response = await fetch(`/api/assets?deviceId=${encodeURIComponent(getDeviceId())}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      image: { base64, mimeType, fileName },
+      thumbnail: { base64: thumbnail.split(',')[1], mimeType: 'image/jpeg' },
+    }),
+  })
+  const data = await response.json().catch(() => ({}))
+
+  if (data.error === 'R2 not configured') {
+    return { base64, mimeType, fileName, preview: dataUrl }
+  }
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to upload image')
+  }
+
+  return {
+    assetId: data.asset.assetId,
+    fileName,
+    mimeType: data.asset.mimeType,
+    preview: thumbnail,
+  }
+}
+
+/**
+ * Upload a product image
+ * @param {File} file - Image file
+ * @returns {Promise<Object>} See uploadImageData()
+ */
+export async function uploadImageAsset(file) {
+  const dataUrl = await readFileAsDataUrl(file)
+  return uploadImageData({ base64: dataUrl.split(',')[1], mimeType: file.type, fileName: file.name })
+}
+
+/**
+ * Preview URL of a stored product image (asset reference or inline image)
+ * @param {Object} image - Product image
+ * @returns {string}
+ */
+export function getImagePreview(image) {
+  if (image.preview) return image.preview
+  return image.assetId ? getAssetUrl(image.assetId) : `data:${image.mimeType};base64,${image.base64}`
+}
+
+/**
+ * Product images as sent to the API: references, or inline data for images without an asset.
+ * Images still uploading are left out.
+ * @param {Array} images - Product images from the form
+ * @returns {Array}
+ */
+export function toImageRefs(images) {
+  return (images || [])
+    .filter(img => img.assetId || img.base64)
+    .map(({ assetId, base64, fileName, mimeType }) => (
+      assetId ? { assetId, fileName, mimeType } : { base64, fileName, mimeType }
+    ))
+}
@@ -0,0 +1,166 @@
+/**
+ * Logo Composite Utility
+ * Image models rarely reproduce a logo faithfully, so in 'composite' mode the
+ * banner is generated without the logo and the original logo file is drawn on
+ * top of it on a canvas: at the [LOGO] position of the ASCII layout or in a
+ * corner, with the light / dark variant that suits the background.
+ */
+
+import { getAssetUrl } from './imageAssets'
+
+export const LOGO_PLACEMENT_MODES = {
+  AI: 'ai', // Drawn by the image model from the reference image
+  COMPOSITE: 'composite', // Original file composited after generation
+}
+
+export const LOGO_POSITIONS = [
+  { id: 'layout', label: 'レイアウトの[LOGO]位置' },
+  { id: 'top-left', label: '左上' },
+  { id: 'top-right', label: '右上' },
+  { id: 'bottom-left', label: '左下' },
+  { id: 'bottom-right', label: '右下' },
+]
+
+export const LOGO_VARIANT_OPTIONS = [
+  { id: 'auto', label: '自動（背景の明るさで選択）' },
+  { id: 'default', label: '標準' },
+  { id: 'light', label: '明るい背景用' },
+  { id: 'dark', label: '暗い背景用' },
+]
+
+// size: logo width in % of the banner width, margin: in % of the shorter side
+export const DEFAULT_LOGO_PLACEMENT = { mode: LOGO_PLACEMENT_MODES.AI, position: 'layout', size: 20, margin: 4, variant: 'auto' }
+
+const FALLBACK_CORNER = 'top-left' // When the layout has no [LOGO]
+
+/**
+ * Whether the brand logo of a generation is composited instead of drawn by the model
+ * @param {Object} formData - Submitted form data
+ * @returns {boolean}
+ */
+export function isLogoComposited(formData) {
+  return !!formData?.brandLogo && formData.logoPlacement?.mode === LOGO_PLACEMENT_MODES.COMPOSITE
+}
+
+/**
+ * The [LOGO] element of a layout as a normalized region (0-1)
+ * @param {Array} elements - Normalized layout elements (see getLayoutElements)
+ * @returns {Object|null} { x, y, width, height }
+ */
+export function findLayoutLogoRegion(elements = []) {
+  return elements.find(element => element.type === 'LOGO') || null
+}
+
+/**
+ * Where the logo goes on the banner
+ * @param {{width: number, height: number}} canvas - Banner size in px
+ * @param {{width: number, height: number}} logo - Logo image size in px
+ * @param {Object} placement - { position, size, margin }
+ * @param {Object} options
+ * @param {Object} options.layoutRegion - Normalized [LOGO] region of the generated image
+ * @param {Object} options.frame - Where the generated image lies on the banner in px
+ *   (see fitToPlatform); the whole banner when omitted
+ * @returns {{x: number, y: number, width: number, height: number}} Logo rect in px
+ */
+export function computeLogoRect(canvas, logo, placement, { layoutRegion = null, frame = null } = {}) {
+  // The logo fits a square box of `size` % of the banner width, so wide and tall logos weigh the same
+  const box = canvas.width * placement.size / 100
+  const scale = Math.min(box / logo.width, box / logo.height)
+  const width = Math.round(logo.width * scale)
+  const height = Math.round(logo.height * scale)
+  const margin = Math.round(Math.min(canvas.width, canvas.height) * placement.margin / 100)
+
+  const maxX = Math.max(margin, canvas.width - margin - width)
+  const maxY = Math.max(margin, canvas.height - margin - height)
+  const clamp = (value, max) => Math.round(Math.min(Math.max(value, margin), max))
+
+  const position = placement.position === 'layout' && !layoutRegion ? FALLBACK_CORNER : placement.position
+  if (position === 'layout') {
+    const area = frame || { x: 0, y: 0, width: canvas.width, height: canvas.height }
+    const centerX = area.x + (layoutRegion.x + layoutRegion.width / 2) * area.width
+    const centerY = area.y + (layoutRegion.y + layoutRegion.height / 2) * area.height
+    return { x: clamp(centerX - width / 2, maxX), y: clamp(centerY - height / 2, maxY), width, height }
+  }
+
+  return {
+    x: position.endsWith('left') ? margin : maxX,
+    y: position.startsWith('top') ? margin : maxY,
+    width,
+    height,
+  }
+}
+
+// Mean relative luminance (0-1) of a canvas area
+function averageLuminance(ctx, rect) {
+  const { data } = ctx.getImageData(rect.x, rect.y, Math.max(1, rect.width), Math.max(1, rect.height))
+  let total = 0
+  for (let i = 0; i < data.length; i += 4) {
+    total += 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2]
+  }
+  return total / (data.length / 4) / 255
+}
+
+/**
+ * Choose the kit logo to composite
+ * @param {Array} logos - Logos of the brand kit ({ id, name, variant, assetId })
+ * @param {Object} selectedLogo - Logo picked in the form
+ * @param {string} variant - 'auto' or a logo variant
+ * @param {number} luminance - Background luminance at the logo position (0-1), for 'auto'
+ * @returns {Object} Logo; the selected one when the kit has no logo of the wanted variant
+ */
+export function pickLogoVariant(logos, selectedLogo, variant, luminance) {
+  const selected = logos.find(logo => logo.id === selectedLogo.id) || selectedLogo
+  const wanted = variant === 'auto' ? (luminance >= 0.5 ? 'light' : 'dark') : variant
+  if (selected.variant === wanted) return selected
+
+  // Prefer the variant of the same logo, which kits usually name alike
+  const matches = logos.filter(logo => logo.variant === wanted)
+  return matches.find(logo => logo.name === selected.name) || matches[0] || selected
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image()
+    img.onload = () => resolve(img)
+    img.onerror = () => reject(new Error(`Failed to load image: ${src}`))
+    img.src = src
+  })
+}
+
+/**
+ * Draw the original brand logo onto a banner
+ * @param {string} imageSrc - Banner image (data URL)
+ * @param {Object} options
+ * @param {Object} options.logo - Selected brand logo reference
+ * @param {Array} options.logos - All logos of its kit, for variant selection
+ * @param {Object} options.placement - { position, size, margin, variant }
+ * @param {Array} options.elements - Elements of the layout the banner was generated from
+ * @param {Object} options.frame - Where the generated image lies on the banner (see fitToPlatform)
+ * @returns {Promise<{dataUrl: string, logo: Object, rect: Object}>} PNG, so the logo stays pixel-exact
+ */
+export async function compositeLogo(imageSrc, { logo, logos = [], placement, elements = [], frame = null }) {
+  const banner = await loadImage(imageSrc)
+  const canvas = document.createElement('canvas')
+  canvas.width = banner.width
+  canvas.height = banner.height
+  const ctx = canvas.getContext('2d')
+  ctx.drawImage(banner, 0, 0)
+
+  const layoutRegion = findLayoutLogoRegion(elements)
+  const placeLogo = (img) => computeLogoRect(canvas, img, placement, { layoutRegion, frame })
+
+  // The background under the selected logo decides the variant, which can change the logo size
+  let logoImage = await loadImage(getAssetUrl(logo.assetId, 'original'))
+  let rect = placeLogo(logoImage)
+  const chosen = pickLogoVariant(logos, logo, placement.variant, averageLuminance(ctx, rect))
+  if (chosen.assetId !== logo.assetId) {
+    logoImage = await loadImage(getAssetUrl(chosen.assetId, 'original'))
+    rect = placeLogo(logoImage)
+  }
+
+  ctx.imageSmoothingEnabled = true
+  ctx.imageSmoothingQuality = 'high'
+  ctx.drawImage(logoImage, rect.x, rect.y, rect.width, rect.height)
+
+  return { dataUrl: canvas.toDataURL('image/png'), logo: chosen, rect }
+}
@@ -0,0 +1,167 @@
+/**
+ * Platform Resize Utility
+ *
+ * Image models only support a few aspect ratios (4:5 is generated as 3:4,
+ * 1.91:1 as 16:9), so generated banners are post-processed to the exact
+ * platform ratio and resampled to the platform's pixel size.
+ */
+
+export const RESIZE_MODES = {
+  SMART_CROP: 'smart-crop', // Crop, keeping product and text regions from the ASCII layout
+  EXTEND: 'extend', // Keep the whole image and extend the background to fill
+}
+
+// How much each layout element matters when choosing a crop window
+const FOCUS_WEIGHTS = {
+  PRODUCT: 4,
+  HEADLINE: 3,
+  CTA: 3,
+  SUBTEXT: 2,
+  LOGO: 2,
+  BADGE: 1,
+}
+
+/**
+ * Parse a platform size string like "1080x1350"
+ * @param {string} size - Platform size
+ * @returns {{width: number, height: number}|null}
+ */
+export function parsePlatformSize(size) {
+  const match = size?.match(/^(\d+)\s*x\s*(\d+)$/)
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : null
+}
+
+/**
+ * Weight the elements of a layout as focus regions for cropping
+ * @param {Array} elements - Normalized layout elements (see getLayoutElements)
+ * @returns {Array<{type: string, x: number, y: number, width: number, height: number, weight: number}>}
+ */
+export function findFocusRegions(elements = []) {
+  return elements
+    .filter(element => FOCUS_WEIGHTS[element.type])
+    .map(({ type, x, y, width, height }) => ({ type, x, y, width, height, weight: FOCUS_WEIGHTS[type] }))
+}
+
+// Weighted area of the regions that falls inside a normalized window
+function coveredWeight(regions, window) {
+  return regions.reduce((total, r) => {
+    const overlapX = Math.max(0, Math.min(r.x + r.width, window.x + window.width) - Math.max(r.x, window.x))
+    const overlapY = Math.max(0, Math.min(r.y + r.height, window.y + window.height) - Math.max(r.y, window.y))
+    const area = r.width * r.height
+    return total + (area > 0 ? (overlapX * overlapY / area) * r.weight : 0)
+  }, 0)
+}
+
+/**
+ * Choose the crop window of the target ratio that keeps the most focus regions
+ * @param {number} sourceWidth - Source width in px
+ * @param {number} sourceHeight - Source height in px
+ * @param {number} targetRatio - Target width / height
+ * @param {Array} regions - Normalized focus regions (see findFocusRegions)
+ * @returns {{x: number, y: number, width: number, height: number}} Crop in source px
+ */
+export function computeSmartCrop(sourceWidth, sourceHeight, targetRatio, regions = []) {
+  const sourceRatio = sourceWidth / sourceHeight
+  const cropsWidth = sourceRatio > targetRatio
+  const cropWidth = cropsWidth ? sourceHeight * targetRatio : sourceWidth
+  const cropHeight = cropsWidth ? sourceHeight : sourceWidth / targetRatio
+
+  // Fraction of the source the crop window can slide over
+  const size = cropsWidth ? cropWidth / sourceWidth : cropHeight / sourceHeight
+  const travel = 1 - size
+
+  // Default to a centered crop, then try positions along the free axis
+  let bestOffset = travel / 2
+  let bestScore = -1
+  const steps = 40
+  for (let i = 0; i <= steps; i++) {
+    const offset = (travel * i) / steps
+    const window = cropsWidth
+      ? { x: offset, y: 0, width: size, height: 1 }
+      : { x: 0, y: offset, width: 1, height: size }
+    const score = coveredWeight(regions, window)
+    // Prefer the position closest to center when scores tie
+    if (score > bestScore + 1e-6 ||
+        (Math.abs(score - bestScore) <= 1e-6 && Math.abs(offset - travel / 2) < Math.abs(bestOffset - travel / 2))) {
+      bestScore = score
+      bestOffset = offset
+    }
+  }
+
+  return {
+    x: cropsWidth ? Math.round(bestOffset * sourceWidth) : 0,
+    y: cropsWidth ? 0 : Math.round(bestOffset * sourceHeight),
+    width: Math.round(cropWidth),
+    height: Math.round(cropHeight),
+  }
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image()
+    img.onload = () => resolve(img)
+    img.onerror = () => reject(new Error('Failed to load image for resizing'))
+    img.src = src
+  })
+}
+
+// Fill the canvas with a blurred, enlarged copy of the image as extended background
+function drawExtendedBackground(ctx, img, width, height) {
+  const scale = Math.max(width / img.width, height / img.height)
+  const drawWidth = img.width * scale
+  const drawHeight = img.height * scale
+
+  ctx.save()
+  ctx.filter = 'blur(32px) brightness(0.9)'
+  // Overscan so the blur does not fade out at the canvas edges
+  ctx.drawImage(img, (width - drawWidth) / 2 - 40, (height - drawHeight) / 2 - 40, drawWidth + 80, drawHeight + 80)
+  ctx.restore()
+}
+
+/**
+ * Fit a generated banner to the exact platform size
+ * @param {string} imageSrc - Image data URL
+ * @param {Object} options
+ * @param {number} options.width - Target width in px
+ * @param {number} options.height - Target height in px
+ * @param {string} options.mode - RESIZE_MODES value
+ * @param {Array} options.regions - Focus regions for smart crop
+ * @param {string} options.mimeType - Output type (image/png or image/jpeg)
+ * @returns {Promise<{dataUrl: string, width: number, height: number, sourceWidth: number, sourceHeight: number, frame: Object}>}
+ *   frame is where the whole source image lies in the output, in output px
+ */
+export async function fitToPlatform(imageSrc, { width, height, mode = RESIZE_MODES.SMART_CROP, regions = [], mimeType = 'image/png' }) {
+  const img = await loadImage(imageSrc)
+  const canvas = document.createElement('canvas')
+  const ctx = canvas.getContext('2d')
+  canvas.width = width
+  canvas.height = height
+  ctx.imageSmoothingEnabled = true
+  ctx.imageSmoothingQuality = 'high'
+
+  let frame
+  if (mode === RESIZE_MODES.EXTEND) {
+    drawExtendedBackground(ctx, img, width, height)
+
+    // Whole image, scaled to fit inside the target
+    const scale = Math.min(width / img.width, height / img.height)
+    const drawWidth = Math.round(img.width * scale)
+    const drawHeight = Math.round(img.height * scale)
+    frame = { x: Math.round((width - drawWidth) / 2), y: Math.round((height - drawHeight) / 2), width: drawWidth, height: drawHeight }
+    ctx.drawImage(img, frame.x, frame.y, drawWidth, drawHeight)
+  } else {
+    const crop = computeSmartCrop(img.width, img.height, width / height, regions)
+    ctx.drawImage(img, crop.x, crop.y, crop.width, crop.height, 0, 0, width, height)
+    const scale = width / crop.width
+    frame = { x: -crop.x * scale, y: -crop.y * scale, width: img.width * scale, height: img.height * scale }
+  }
+
+  return {
+    dataUrl: mimeType === 'image/jpeg' ? canvas.toDataURL('image/jpeg', 0.92) : canvas.toDataURL('image/png'),
+    width,
+    height,
+    sourceWidth: img.width,
+    sourceHeight: img.height,
+    frame,
+  }
+}
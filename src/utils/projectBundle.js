@@ -0,0 +1,172 @@
+/**
+ * Project Bundle Utility
+ * Exports a project (with images, history and brand kit) as a single file
+ * and imports it again, on this or another device.
+ *
+ * Importing sends the file back in pieces (see functions/_lib/bundle.js): each image
+ * is uploaded on its own, then the project is created and its versions are added
+ * one at a time, so no request carries the whole bundle.
+ */
+
+import { getDeviceId } from './deviceId'
+import { uploadImageData } from './imageAssets'
+
+export const BUNDLE_EXTENSION = '.sbproject.json'
+const BUNDLE_FORMAT = 'smart-banner-project'
+
+// Keep the object URL alive long enough for the browser to start the download
+const REVOKE_DELAY_MS = 60 * 1000
+
+// File name from the Content-Disposition header (filename* carries the project name)
+function getDownloadName(response) {
+  const disposition = response.headers.get('Content-Disposition') || ''
+  const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/i)?.[1]
+  const name = encoded ? decodeURIComponent(encoded) : `project${BUNDLE_EXTENSION}`
+  return name.replace(/[\\/:*?"<>|]/g, '_')
+}
+
+/**
+ * Download a project as a bundle file
+ * @param {string} projectId - Project ID
+ */
+export async function exportProject(projectId) {
+  const response = await fetch(
+    `/api/projects/${projectId}/export?deviceId=${encodeURIComponent(getDeviceId())}`
+  )
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}))
+    throw new Error(data.error || 'Failed to export project')
+  }
+
+  // The bundle is saved as downloaded, without parsing it
+  const url = URL.createObjectURL(await response.blob())
+  const link = document.createElement('a')
+  link.href = url
+  link.download = getDownloadName(response)
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS)
+}
+
+/**
+ * Read a bundle file chosen by the user
+ * @param {File} file - Bundle file
+ * @returns {Promise<Object>} Parsed bundle
+ */
+export async function readBundleFile(file) {
+  try {
+    return JSON.parse(await file.text())
+  } catch (error) {
+    console.error('Failed to parse project bundle:', error)
+    throw new Error('プロジェクトファイルを読み込めませんでした')
+  }
+}
+
+// Uploads of a bundle's images, kept so that importing it again as a duplicate
+// does not upload them a second time
+const bundleUploads = new WeakMap()
+
+async function uploadBundleAssets(bundle) {
+  if (!bundleUploads.has(bundle)) {
+    const uploaded = {}
+    for (const [assetId, asset] of Object.entries(bundle.assets || {})) {
+      uploaded[assetId] = await uploadImageData(asset)
+    }
+    bundleUploads.set(bundle, uploaded)
+  }
+  return bundleUploads.get(bundle)
+}
+
+// Image references rewritten to the uploaded assets (or inline images without asset storage)
+function remapImages(images, uploaded) {
+  return images?.map((img) => {
+    const stored = img.assetId && uploaded[img.assetId]
+    if (!stored) return img
+    return stored.assetId
+      ? { ...img, assetId: stored.assetId }
+      : { base64: stored.base64, mimeType: stored.mimeType, fileName: img.fileName || stored.fileName }
+  }) ?? images
+}
+
+async function importVersion(projectId, version, uploaded) {
+  const { step, label, createdAt, snapshot, asciiImage, candidates } = version
+  const formData = snapshot.formData
+  const response = await fetch(
+    `/api/projects/${projectId}/history?deviceId=${encodeURIComponent(getDeviceId())}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        version: {
+          step,
+          label,
+          createdAt,
+          snapshot: formData
+            ? { ...snapshot, formData: { ...formData, productImages: remapImages(formData.productImages, uploaded) } }
+            : snapshot,
+          asciiImage,
+          candidates,
+        },
+      }),
+    }
+  )
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}))
+    throw new Error(data.error || 'Failed to import project history')
+  }
+}
+
+/**
+ * Import a bundle as a new project
+ * @param {Object} bundle - Parsed bundle
+ * @param {Object} options - { allowDuplicate }
+ * @returns {Promise<Object>} { project, versions } or { duplicate: true, existing } when
+ *   the project was already imported
+ */
+export async function importProject(bundle, { allowDuplicate = false } = {}) {
+  const { manifest, project, brandKit = null, assets = {}, history = [] } = bundle
+  if (manifest?.format !== BUNDLE_FORMAT || !project) {
+    throw new Error('プロジェクトのエクスポートファイルではありません')
+  }
+  if ((project.productImages || []).some(img => img.assetId && !assets[img.assetId])) {
+    throw new Error('プロジェクトファイルに商品画像が含まれていません')
+  }
+
+  const uploaded = await uploadBundleAssets(bundle)
+  const response = await fetch(`/api/projects/import?deviceId=${encodeURIComponent(getDeviceId())}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      bundle: {
+        manifest,
+        project: { ...project, productImages: remapImages(project.productImages, uploaded) },
+        brandKit: brandKit && {
+          ...brandKit,
+          logos: brandKit.logos
+            .map(logo => ({ ...logo, assetId: uploaded[logo.assetId]?.assetId }))
+            .filter(logo => logo.assetId),
+        },
+      },
+      allowDuplicate,
+    }),
+  })
+  const data = await response.json().catch(() => ({}))
+
+  if (response.status === 409 && data.code === 'duplicate') {
+    return { duplicate: true, existing: data.project }
+  }
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to import project')
+  }
+
+  // Without asset storage on the server, the project is imported without its history
+  let versions = 0
+  if (data.canImportHistory) {
+    for (const version of history) {
+      await importVersion(data.project.id, version, uploaded)
+      versions++
+    }
+  }
+
+  return { project: data.project, versions }
+}
@@ -0,0 +1,90 @@
+/**
+ * Project Conflict Utility
+ * When saving a project fails because it was saved elsewhere in the meantime (409),
+ * compares the local form with the server version field by field and merges
+ * the side chosen for each field.
+ */
+
+import { DEFAULT_LOGO_PLACEMENT } from './logoComposite'
+import { DEFAULT_TEXT_OVERLAY } from './textOverlay'
+
+export const CONFLICT_FIELDS = [
+  { key: 'name', label: 'プロジェクト名' },
+  { key: 'platform', label: 'ターゲットプラットフォーム' },
+  { key: 'productName', label: '商品名・サービス名' },
+  { key: 'productDescription', label: '商品説明・特徴' },
+  { key: 'targetAudience', label: 'ターゲット層' },
+  { key: 'designGoal', label: 'デザインの目的' },
+  { key: 'vibe', label: 'ブランドの雰囲気・トンマナ' },
+  { key: 'additionalNotes', label: 'その他の要望' },
+  { key: 'copyMode', label: 'コピーテキスト' },
+  { key: 'manualCopy', label: '手動コピー' },
+  { key: 'textOverlay', label: 'テキストの入れ方' },
+  { key: 'productImages', label: '商品画像' },
+  { key: 'brand', label: 'ブランドキット・ロゴ' },
+  { key: 'logoPlacement', label: 'ロゴの入れ方' },
+  { key: 'palette', label: 'カラーパレット' },
+]
+
+/**
+ * Bring local form data and a server project record into the same shape
+ * @param {Object} data - Form data (getCurrentFormData()) or project record
+ * @param {string} name - Project name (form data only)
+ * @returns {Object} Values keyed by CONFLICT_FIELDS keys
+ */
+export function toConflictValues(data, name = data.name) {
+  return {
+    name: name || '',
+    platform: data.platform || 'instagram_feed',
+    productName: data.productName || '',
+    productDescription: data.productDescription || '',
+    targetAudience: data.targetAudience || '',
+    designGoal: data.designGoal || '',
+    vibe: data.vibe || '',
+    additionalNotes: data.additionalNotes || '',
+    copyMode: data.copyMode || 'ai',
+    manualCopy: data.copyMode === 'manual' ? data.manualCopy || null : null,
+    textOverlay: { ...DEFAULT_TEXT_OVERLAY, ...data.textOverlay },
+    productImages: data.productImages || [],
+    brand: {
+      brandKitId: data.brandKitId || null,
+      brandLogoId: data.brandLogoId || null,
+      brandLogoName: data.brandLogoName ?? data.brandLogo?.name ?? null,
+    },
+    logoPlacement: { ...DEFAULT_LOGO_PLACEMENT, ...data.logoPlacement },
+    palette: data.palette || [],
+  }
+}
+
+// Images compare by asset (inline images of older projects by name), logos by ID
+function comparable(key, value) {
+  if (key === 'productImages') return value.map(img => img.assetId || img.fileName)
+  if (key === 'brand') return value.brandLogoId || value.brandKitId ? [value.brandKitId, value.brandLogoId] : value.brandLogoName
+  return value
+}
+
+/**
+ * Fields whose local and server values differ
+ * @param {Object} local - toConflictValues() of the form
+ * @param {Object} server - toConflictValues() of the server project
+ * @returns {Array} CONFLICT_FIELDS entries
+ */
+export function diffConflictValues(local, server) {
+  return CONFLICT_FIELDS.filter(({ key }) =>
+    JSON.stringify(comparable(key, local[key])) !== JSON.stringify(comparable(key, server[key]))
+  )
+}
+
+/**
+ * Take each field from the side chosen for it
+ * @param {Object} local - toConflictValues() of the form
+ * @param {Object} server - toConflictValues() of the server project
+ * @param {Object} choices - { [key]: 'local' | 'server' }, local when omitted
+ * @returns {Object} Merged values, with the brand selection as brandKitId / brandLogoId / brandLogoName
+ */
+export function mergeConflictValues(local, server, choices) {
+  const { brand, ...merged } = Object.fromEntries(
+    CONFLICT_FIELDS.map(({ key }) => [key, choices[key] === 'server' ? server[key] : local[key]])
+  )
+  return { ...merged, ...brand }
+}
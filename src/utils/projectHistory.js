@@ -0,0 +1,154 @@
+/**
+ * Project History Utility
+ * Records a version of the project after each step (layout, prompt, banner)
+ * so any step can be restored from the sidebar timeline and continued from there.
+ * Image data is sent separately from the snapshot and stored as R2 objects.
+ */
+
+import { getDeviceId } from './deviceId'
+import { getCandidates } from './bannerCandidates'
+import { toImageRefs } from './imageAssets'
+import { toBrandLogoRef } from './brandKits'
+
+export const HISTORY_STEP_LABELS = {
+  layout: 'レイアウト',
+  prompt: 'プロンプト',
+  banner: 'バナー',
+}
+
+// Step of the app each version restores to
+export const HISTORY_STEP_TO_APP_STEP = {
+  layout: 2,
+  prompt: 3,
+  banner: 4,
+}
+
+// Uploaded product images and brand kit logos are kept as asset references; inline
+// images (without asset storage) are stored with the project itself, keep only their names
+function compactFormData(formData) {
+  if (!formData) return null
+  const { productImages, productImage, brandLogo, ...rest } = formData
+  const images = productImages || (productImage ? [productImage] : [])
+  return {
+    ...rest,
+    productImages: toImageRefs(images.filter(img => img.assetId)),
+    productImageNames: images.map(img => img.fileName || ''),
+    brandLogo: toBrandLogoRef(brandLogo),
+    brandLogoName: brandLogo?.name || null,
+  }
+}
+
+function compactHistory(history) {
+  return {
+    ...history,
+    turns: history.turns.map(turn => {
+      const result = { ...turn.result }
+      delete result.rawResponse
+      return { ...turn, result }
+    }),
+  }
+}
+
+/**
+ * Record a version of the current project
+ * @param {string} projectId - Project ID
+ * @param {Object} version - step, label, and the state to snapshot:
+ *   formData, asciiHistory, promptHistory, asciiImage, banner
+ * @returns {Promise<Object>} Version summary
+ */
+export async function saveVersion(projectId, { step, label, formData, asciiHistory, promptHistory, asciiImage, banner }) {
+  const candidates = getCandidates(banner)
+  let bannerMeta = null
+  if (banner) {
+    // Candidate images are uploaded separately from the snapshot
+    bannerMeta = { ...banner, candidates: candidates.map(c => ({ ...c, imageData: undefined })) }
+    delete bannerMeta.imageData
+    delete bannerMeta.versionId
+  }
+
+  const response = await fetch(`/api/projects/${projectId}/history?deviceId=${encodeURIComponent(getDeviceId())}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      version: {
+        step,
+        label,
+        snapshot: {
+          formData: compactFormData(formData),
+          asciiHistory: asciiHistory ? compactHistory(asciiHistory) : null,
+          promptHistory: promptHistory ? compactHistory(promptHistory) : null,
+          banner: bannerMeta,
+        },
+        asciiImage: asciiImage || null,
+        candidates: candidates.map(({ index, imageData, mimeType }) => ({ index, imageData, mimeType })),
+      },
+    }),
+  })
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to save version')
+  }
+  return data.version
+}
+
+/**
+ * List the version timeline of a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array>} Version summaries, oldest first
+ */
+export async function fetchVersions(projectId) {
+  const response = await fetch(`/api/projects/${projectId}/history?deviceId=${encodeURIComponent(getDeviceId())}`)
+  const data = await response.json()
+
+  if (data.error && data.error !== 'R2 not configured') {
+    throw new Error(data.error)
+  }
+  return data.versions || []
+}
+
+/**
+ * Load a version and turn it back into app state
+ * @param {string} projectId - Project ID
+ * @param {string} versionId - Version ID
+ * @param {Array} productImages - Product images of the project, for versions without image references
+ * @returns {Promise<Object>} { step, formData, asciiHistory, promptHistory, asciiImage, banner }
+ *   (banner.versionId is the loaded version, for reviews)
+ */
+export async function loadVersion(projectId, versionId, productImages) {
+  const response = await fetch(
+    `/api/projects/${projectId}/history/${versionId}?deviceId=${encodeURIComponent(getDeviceId())}`
+  )
+  const data = await response.json()
+
+  if (data.error) {
+    throw new Error(data.error)
+  }
+
+  const { step, snapshot, asciiImage, candidates } = data.version
+  // Versions from before brand kits only have the name of a browser-local logo
+  const { brandLogo, productImages: versionImages, ...form } = snapshot.formData || {}
+  const images = versionImages?.length > 0 ? versionImages : (productImages?.length > 0 ? productImages : null)
+
+  // Rebuild the candidate list with image data from storage
+  let banner = null
+  if (snapshot.banner && candidates.length > 0) {
+    const [first] = candidates
+    banner = { ...snapshot.banner, imageData: first.imageData, mimeType: first.mimeType, candidates, versionId: data.version.id }
+  }
+
+  return {
+    step,
+    formData: {
+      ...form,
+      productImages: images,
+      productImage: images ? images[0] : null,
+      imageApproach: images ? 'reference' : null,
+      brandLogo: brandLogo?.assetId ? brandLogo : null,
+    },
+    asciiHistory: snapshot.asciiHistory,
+    promptHistory: snapshot.promptHistory,
+    asciiImage,
+    banner,
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * Project Reviews Utility
+ * Review status (draft / in review / approved / rejected) and comments pinned to
+ * the banner of each banner version, stored with the project.
+ */
+
+import { getDeviceId } from './deviceId'
+
+const REVIEWER_NAME_KEY = 'smart-banner-reviewer-name'
+
+export const REVIEW_STATUSES = ['draft', 'in_review', 'approved', 'rejected']
+
+export const REVIEW_STATUS_LABELS = {
+  draft: '下書き',
+  in_review: 'レビュー中',
+  approved: '承認済み',
+  rejected: '却下',
+}
+
+export const REVIEW_STATUS_STYLES = {
+  draft: 'bg-gray-500/20 text-[var(--color-text-muted)]',
+  in_review: 'bg-yellow-500/20 text-yellow-400',
+  approved: 'bg-green-500/20 text-green-400',
+  rejected: 'bg-red-500/20 text-red-400',
+}
+
+/**
+ * Name shown with comments when not signed in (signed-in comments use the account email)
+ * @returns {string}
+ */
+export function getReviewerName() {
+  return localStorage.getItem(REVIEWER_NAME_KEY) || ''
+}
+
+export function setReviewerName(name) {
+  localStorage.setItem(REVIEWER_NAME_KEY, name.trim())
+}
+
+/**
+ * Group comments into threads: pinned comments in posting order, each with its replies
+ * @param {Array} comments - Comments of a version review
+ * @returns {Array} [{ ...comment, number, replies }]
+ */
+export function toThreads(comments) {
+  return comments
+    .filter(c => !c.parentId)
+    .map((c, i) => ({ ...c, number: i + 1, replies: comments.filter(r => r.parentId === c.id) }))
+}
+
+/**
+ * Number of versions per status other than draft (as in the project summary's reviewCounts)
+ * @param {Object} summaries - Review summaries by version ID
+ * @returns {Object} e.g. { approved: 2, in_review: 1 }
+ */
+export function countReviewStatuses(summaries) {
+  const counts = {}
+  for (const { status } of Object.values(summaries)) {
+    if (status !== 'draft') counts[status] = (counts[status] || 0) + 1
+  }
+  return counts
+}
+
+async function request(url, options, fallbackError) {
+  const response = await fetch(url, options)
+  const data = await response.json().catch(() => ({}))
+
+  if (!response.ok) {
+    throw new Error(data.error || fallbackError)
+  }
+  return data
+}
+
+/**
+ * Review status of every reviewed version of a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object>} { [versionId]: { status, statusUpdatedAt, commentCount } }
+ */
+export async function fetchReviewSummaries(projectId) {
+  const response = await fetch(`/api/projects/${projectId}/reviews?deviceId=${encodeURIComponent(getDeviceId())}`)
+  const data = await response.json()
+
+  if (data.error && data.error !== 'KV not configured') {
+    throw new Error(data.error)
+  }
+  return data.reviews || {}
+}
+
+/**
+ * Status and comments of a version
+ * @returns {Promise<Object>} { status, statusUpdatedAt, statusUpdatedBy, comments }
+ */
+export async function fetchReview(projectId, versionId) {
+  const data = await request(
+    `/api/projects/${projectId}/reviews/${versionId}?deviceId=${encodeURIComponent(getDeviceId())}`,
+    {},
+    'Failed to load review'
+  )
+  return data.review
+}
+
+/**
+ * Set the status of a version
+ * @returns {Promise<Object>} Updated review
+ */
+export async function updateReviewStatus(projectId, versionId, status) {
+  const data = await request(`/api/projects/${projectId}/reviews/${versionId}?deviceId=${encodeURIComponent(getDeviceId())}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ status, author: getReviewerName() }),
+  }, 'Failed to update review status')
+  return data.review
+}
+
+/**
+ * Comment on a version
+ * @param {string} projectId - Project ID
+ * @param {string} versionId - Version ID
+ * @param {Object} comment - { text, x, y, candidateIndex } for a pinned comment, { text, parentId } for a reply
+ * @returns {Promise<Object>} Updated review
+ */
+export async function addReviewComment(projectId, versionId, comment) {
+  const data = await request(`/api/projects/${projectId}/reviews/${versionId}/comments?deviceId=${encodeURIComponent(getDeviceId())}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...comment, author: getReviewerName() }),
+  }, 'Failed to add comment')
+  return data.review
+}
+
+/**
+ * Delete a comment (and its replies)
+ * @returns {Promise<Object>} Updated review
+ */
+export async function deleteReviewComment(projectId, versionId, commentId) {
+  const data = await request(
+    `/api/projects/${projectId}/reviews/${versionId}/comments/${commentId}?deviceId=${encodeURIComponent(getDeviceId())}`,
+    { method: 'DELETE' },
+    'Failed to delete comment'
+  )
+  return data.review
+}
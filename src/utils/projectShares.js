@@ -0,0 +1,86 @@
+/**
+ * Project Shares Utility
+ * Read-only links to a project (its latest banners) or a single banner version,
+ * for reviewers who don't use the app. Links expire and can be revoked.
+ */
+
+import { getDeviceId } from './deviceId'
+
+export const SHARE_EXPIRY_OPTIONS = [
+  { days: 1, label: '1日' },
+  { days: 7, label: '7日' },
+  { days: 30, label: '30日' },
+]
+
+/**
+ * URL of the review page for a share token
+ * The token is in the fragment so it is not sent to the server with the page request.
+ * @param {string} token - Share token
+ * @returns {string} URL
+ */
+export function getShareUrl(token) {
+  return `${window.location.origin}/review.html#${token}`
+}
+
+/**
+ * List the active share links of a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array>} [{ id, versionId, createdAt, expiresAt, token }]
+ */
+export async function fetchShares(projectId) {
+  const response = await fetch(`/api/projects/${projectId}/shares?deviceId=${encodeURIComponent(getDeviceId())}`)
+  const data = await response.json()
+
+  if (data.error && data.error !== 'KV not configured') {
+    throw new Error(data.error)
+  }
+  return data.shares || []
+}
+
+/**
+ * Create a share link
+ * @param {string} projectId - Project ID
+ * @param {Object} options - { versionId (omit to share the latest banners), expiresInDays }
+ * @returns {Promise<Object>} Share
+ */
+export async function createShare(projectId, { versionId = null, expiresInDays = 7 } = {}) {
+  const response = await fetch(`/api/projects/${projectId}/shares?deviceId=${encodeURIComponent(getDeviceId())}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ versionId, expiresInDays }),
+  })
+  const data = await response.json().catch(() => ({}))
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to create share link')
+  }
+  return data.share
+}
+
+export async function revokeShare(projectId, shareId) {
+  const response = await fetch(
+    `/api/projects/${projectId}/shares/${shareId}?deviceId=${encodeURIComponent(getDeviceId())}`,
+    { method: 'DELETE' }
+  )
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}))
+    throw new Error(data.error || 'Failed to revoke share link')
+  }
+}
+
+/**
+ * Get what a share link shows (used by the review page)
+ * @param {string} token - Share token
+ * @returns {Promise<Object>} { share, project, version }
+ */
+export async function fetchSharedReview(token) {
+  const response = await fetch(`/api/share/${encodeURIComponent(token)}`)
+  const data = await response.json().catch(() => ({}))
+
+  if (!response.ok) {
+    const error = new Error(data.error || 'Failed to load shared project')
+    error.status = response.status
+    throw error
+  }
+  return data
+}
@@ -0,0 +1,109 @@
+/**
+ * Refinement History Utility
+ * Keeps the refinement turns (feedback + result) of a layout or prompt as a tree,
+ * so going back to an earlier turn and refining again starts a new branch
+ * instead of discarding the turns that came after it.
+ */
+
+export const EMPTY_HISTORY = { turns: [], activeId: null }
+
+function generateTurnId() {
+  return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+}
+
+/**
+ * Start a history from an initial generation result
+ * @param {Object} result - Initial result
+ * @returns {Object} History { turns, activeId }
+ */
+export function createHistory(result) {
+  const turn = { id: generateTurnId(), parentId: null, feedback: null, result, createdAt: Date.now() }
+  return { turns: [turn], activeId: turn.id }
+}
+
+/**
+ * Add a refinement turn after the active turn and make it active
+ * @param {Object} history - Current history
+ * @param {string} feedback - Feedback that produced the result
+ * @param {Object} result - Refined result
+ * @returns {Object} New history
+ */
+export function addTurn(history, feedback, result) {
+  const turn = { id: generateTurnId(), parentId: history.activeId, feedback, result, createdAt: Date.now() }
+  return { turns: [...history.turns, turn], activeId: turn.id }
+}
+
+/**
+ * Make a turn active (the next refinement branches from it)
+ * @param {Object} history - Current history
+ * @param {string} turnId - Turn to activate
+ * @returns {Object} New history
+ */
+export function selectTurn(history, turnId) {
+  return { ...history, activeId: turnId }
+}
+
+/**
+ * Get the result of the active turn
+ * @param {Object} history - Current history
+ * @returns {Object|null} Active result
+ */
+export function getActiveResult(history) {
+  return history.turns.find(t => t.id === history.activeId)?.result || null
+}
+
+/**
+ * Get the turns from the initial generation down to a turn
+ * @param {Object} history - Current history
+ * @param {string} turnId - Last turn of the thread (defaults to the active turn)
+ * @returns {Array} Turns, oldest first
+ */
+export function getThread(history, turnId = history.activeId) {
+  const byId = new Map(history.turns.map(t => [t.id, t]))
+  const thread = []
+  let turn = byId.get(turnId)
+  while (turn) {
+    thread.unshift(turn)
+    turn = byId.get(turn.parentId)
+  }
+  return thread
+}
+
+/**
+ * Get the child turns of a turn that are not on the given thread
+ * @param {Object} history - Current history
+ * @param {string} turnId - Parent turn
+ * @param {Array} thread - Thread currently shown
+ * @returns {Array} Other branches starting at this turn
+ */
+export function getOtherBranches(history, turnId, thread) {
+  const onThread = new Set(thread.map(t => t.id))
+  return history.turns.filter(t => t.parentId === turnId && !onThread.has(t.id))
+}
+
+/**
+ * Get the most recent turn at the end of a branch
+ * @param {Object} history - Current history
+ * @param {string} turnId - Start of the branch
+ * @returns {string} Turn ID of the latest descendant
+ */
+export function getLatestLeaf(history, turnId) {
+  const children = history.turns.filter(t => t.parentId === turnId)
+  if (children.length === 0) return turnId
+  const latestChild = children.reduce((a, b) => (b.createdAt >= a.createdAt ? b : a))
+  return getLatestLeaf(history, latestChild.id)
+}
+
+/**
+ * Build the `history` payload for the refine APIs from the active thread
+ * @param {Object} history - Current history
+ * @returns {Array<{feedback: string|null, result: Object}>}
+ */
+export function toRequestHistory(history) {
+  return getThread(history).map(({ feedback, result }) => {
+    // The raw model output is only kept for debugging, don't send it back
+    const compactResult = { ...result }
+    delete compactResult.rawResponse
+    return { feedback, result: compactResult }
+  })
+}
@@ -0,0 +1,239 @@
+/**
+ * Text Overlay Utility
+ * Image models still garble Japanese text, so in 'overlay' mode the banner is
+ * generated as a text-free background and the copy is drawn on a canvas as real
+ * text layers: headline, subtext and a CTA button, placed at the [HEADLINE],
+ * [SUBTEXT] and [CTA] markers of the ASCII layout and editable in the preview.
+ */
+
+import { getLayoutElements } from './asciiLayout'
+
+export const TEXT_RENDERING_MODES = {
+  AI: 'ai', // Rendered by the image model
+  OVERLAY: 'overlay', // Text-free image, copy drawn as text layers
+}
+
+export const OVERLAY_FONTS = [
+  { id: 'gothic', label: 'ゴシック（Noto Sans JP）', family: '"Noto Sans JP", "Hiragino Sans", "Yu Gothic", sans-serif', webFont: 'Noto+Sans+JP' },
+  { id: 'mincho', label: '明朝（Noto Serif JP）', family: '"Noto Serif JP", "Hiragino Mincho ProN", "Yu Mincho", serif', webFont: 'Noto+Serif+JP' },
+  { id: 'maru', label: '丸ゴシック（M PLUS Rounded 1c）', family: '"M PLUS Rounded 1c", "Hiragino Maru Gothic ProN", sans-serif', webFont: 'M+PLUS+Rounded+1c' },
+]
+
+export const FONT_WEIGHTS = [
+  { value: 400, label: '標準' },
+  { value: 700, label: '太字' },
+  { value: 900, label: '極太' },
+]
+
+export const DEFAULT_TEXT_OVERLAY = { mode: TEXT_RENDERING_MODES.AI, font: 'gothic' }
+
+export const TEXT_LAYER_LABELS = {
+  headline: '見出し',
+  subtext: 'サブテキスト',
+  cta: 'CTAボタン',
+}
+
+// size and maxWidth are in % of the banner width, strokeWidth in % of the font size.
+// y is where the layer goes when the layout has no marker for it.
+const LAYER_DEFAULTS = {
+  headline: { tag: 'HEADLINE', y: 0.18, size: 8, weight: 900, maxWidth: 85, strokeWidth: 0, shadow: true },
+  subtext: { tag: 'SUBTEXT', y: 0.32, size: 4, weight: 700, maxWidth: 80, strokeWidth: 0, shadow: true },
+  cta: { tag: 'CTA', y: 0.85, size: 4.5, weight: 700, maxWidth: 60, strokeWidth: 0, shadow: false },
+}
+
+const LINE_HEIGHT = 1.3
+
+// Characters that must not start a line (kinsoku shori)
+const NO_LINE_START = '、。，．・：；？！ー」』）】〉》〕ぁぃぅぇぉっゃゅょゎァィゥェォッャュョヮ'
+
+/**
+ * Whether the copy of a generation is drawn as text layers
+ * @param {Object} formData - Submitted form data
+ * @returns {boolean}
+ */
+export function isTextOverlay(formData) {
+  return formData?.textOverlay?.mode === TEXT_RENDERING_MODES.OVERLAY
+}
+
+/**
+ * Text layers for the copy of a layout
+ * @param {Object} layout - Layout result ({ ascii, structure, copy } or, for older results, { ascii, copyText })
+ * @param {Object} options
+ * @param {string} options.font - Font ID for all layers
+ * @param {string[]} options.palette - Project palette; its first color fills the CTA button
+ * @returns {Array} Layers: { id, text, font, weight, size, color, x, y, maxWidth,
+ *   strokeWidth, strokeColor, shadow, buttonColor }, x / y being the center on the generated image (0-1)
+ */
+export function createTextLayers(layout, { font = DEFAULT_TEXT_OVERLAY.font, palette = [] } = {}) {
+  const [headline = '', subtext = '', cta = ''] = layout?.copyText || []
+  const copy = layout?.copy || { headline, subtext, cta }
+  const elements = getLayoutElements(layout)
+
+  return Object.entries(LAYER_DEFAULTS)
+    .filter(([id]) => copy[id]?.trim())
+    .map(([id, { tag, y, ...style }]) => {
+      const region = elements.find(element => element.type === tag)
+      return {
+        id,
+        text: copy[id].trim(),
+        font,
+        ...style,
+        color: '#ffffff',
+        strokeColor: '#000000',
+        buttonColor: id === 'cta' ? palette[0] || '#e11d48' : null,
+        x: region ? region.x + region.width / 2 : 0.5,
+        y: region ? region.y + region.height / 2 : y,
+      }
+    })
+}
+
+// Stylesheets of the web fonts, loaded once when a font is first used
+const fontStylesheets = new Map()
+
+function loadFontStylesheet(font) {
+  if (!fontStylesheets.has(font.id)) {
+    fontStylesheets.set(font.id, new Promise((resolve) => {
+      const link = document.createElement('link')
+      link.rel = 'stylesheet'
+      link.href = `https://fonts.googleapis.com/css2?family=${font.webFont}:wght@${FONT_WEIGHTS.map(w => w.value).join(';')}&display=swap`
+      // Without the web font the system fallbacks of the family are used
+      link.onload = resolve
+      link.onerror = resolve
+      document.head.appendChild(link)
+    }))
+  }
+  return fontStylesheets.get(font.id)
+}
+
+async function loadLayerFonts(layers) {
+  await Promise.all(layers.map(async (layer) => {
+    const font = getFont(layer.font)
+    await loadFontStylesheet(font)
+    await document.fonts.load(`${layer.weight} 32px ${font.family}`, layer.text).catch(() => null)
+  }))
+}
+
+const getFont = (id) => OVERLAY_FONTS.find(f => f.id === id) || OVERLAY_FONTS[0]
+
+/**
+ * Break text into lines that fit a width, character by character (Japanese has no spaces)
+ * @param {CanvasRenderingContext2D} ctx - Context with the font set
+ * @param {string} text - Text; newlines are kept
+ * @param {number} maxWidth - Line width in px
+ * @returns {string[]} Lines
+ */
+export function wrapText(ctx, text, maxWidth) {
+  return text.split('\n').flatMap((paragraph) => {
+    const lines = []
+    let line = ''
+    for (const char of paragraph) {
+      if (line && ctx.measureText(line + char).width > maxWidth && !NO_LINE_START.includes(char)) {
+        lines.push(line)
+        line = char
+      } else {
+        line += char
+      }
+    }
+    return [...lines, line]
+  })
+}
+
+function drawButton(ctx, box, color, radius) {
+  ctx.fillStyle = color
+  ctx.beginPath()
+  if (ctx.roundRect) {
+    ctx.roundRect(box.x, box.y, box.width, box.height, radius)
+  } else {
+    ctx.rect(box.x, box.y, box.width, box.height)
+  }
+  ctx.fill()
+}
+
+// Draw one layer and return its bounding box in canvas px
+function drawLayer(ctx, layer, area, canvasWidth) {
+  const fontSize = canvasWidth * layer.size / 100
+  ctx.font = `${layer.weight} ${fontSize}px ${getFont(layer.font).family}`
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+
+  const lines = wrapText(ctx, layer.text, canvasWidth * layer.maxWidth / 100)
+  const lineHeight = fontSize * LINE_HEIGHT
+  const textWidth = Math.max(...lines.map(line => ctx.measureText(line).width))
+  const textHeight = lines.length * lineHeight
+  const centerX = area.x + layer.x * area.width
+  const centerY = area.y + layer.y * area.height
+
+  const padX = layer.buttonColor ? fontSize * 1.2 : 0
+  const padY = layer.buttonColor ? fontSize * 0.5 : 0
+  const box = {
+    x: centerX - textWidth / 2 - padX,
+    y: centerY - textHeight / 2 - padY,
+    width: textWidth + padX * 2,
+    height: textHeight + padY * 2,
+  }
+
+  const setShadow = (on) => {
+    ctx.shadowColor = on ? 'rgba(0, 0, 0, 0.55)' : 'transparent'
+    ctx.shadowBlur = on ? fontSize * 0.25 : 0
+    ctx.shadowOffsetY = on ? fontSize * 0.06 : 0
+  }
+
+  ctx.save()
+  if (layer.buttonColor) {
+    setShadow(layer.shadow)
+    drawButton(ctx, box, layer.buttonColor, Math.min(box.height / 2, fontSize * 0.6))
+  }
+
+  lines.forEach((line, i) => {
+    const y = box.y + padY + lineHeight * (i + 0.5)
+    setShadow(layer.shadow && !layer.buttonColor) // On a button, the button carries the shadow
+    if (layer.strokeWidth > 0) {
+      // Stroke is centered on the outline; the fill covers its inner half
+      ctx.lineWidth = fontSize * layer.strokeWidth / 100 * 2
+      ctx.lineJoin = 'round'
+      ctx.strokeStyle = layer.strokeColor
+      ctx.strokeText(line, centerX, y)
+      setShadow(false)
+    }
+    ctx.fillStyle = layer.color
+    ctx.fillText(line, centerX, y)
+  })
+  ctx.restore()
+
+  return box
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image()
+    img.onload = () => resolve(img)
+    img.onerror = () => reject(new Error('Failed to load image for text overlay'))
+    img.src = src
+  })
+}
+
+/**
+ * Draw text layers onto a banner
+ * @param {string} imageSrc - Banner image (data URL)
+ * @param {Array} layers - Text layers (see createTextLayers)
+ * @param {Object} options
+ * @param {Object} options.frame - Where the generated image lies on the banner in px
+ *   (see fitToPlatform); the whole banner when omitted
+ * @returns {Promise<{dataUrl: string, width: number, height: number, frame: Object, boxes: Object}>}
+ *   boxes: { [layerId]: { x, y, width, height } } in banner px
+ */
+export async function renderTextOverlay(imageSrc, layers, { frame = null } = {}) {
+  const visible = layers.filter(layer => layer.text.trim())
+  const [banner] = await Promise.all([loadImage(imageSrc), loadLayerFonts(visible)])
+
+  const canvas = document.createElement('canvas')
+  canvas.width = banner.width
+  canvas.height = banner.height
+  const ctx = canvas.getContext('2d')
+  ctx.drawImage(banner, 0, 0)
+
+  const area = frame || { x: 0, y: 0, width: canvas.width, height: canvas.height }
+  const boxes = Object.fromEntries(visible.map(layer => [layer.id, drawLayer(ctx, layer, area, canvas.width)]))
+
+  return { dataUrl: canvas.toDataURL('image/png'), width: canvas.width, height: canvas.height, frame: area, boxes }
+}
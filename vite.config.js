@@ -1,7 +1,50 @@
+import { readFileSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
+// OCR files for the copy check (see src/utils/copyVerification.js), served from this
+// origin instead of tesseract.js's default CDN: from node_modules by the dev server,
+// and copied to dist/tesseract/ by builds. Only the LSTM cores are used.
+const TESSERACT_DIR = 'tesseract'
+const TESSERACT_FILES = {
+  'worker.min.js': 'tesseract.js/dist/worker.min.js',
+  'core/tesseract-core-lstm.wasm.js': 'tesseract.js-core/tesseract-core-lstm.wasm.js',
+  'core/tesseract-core-simd-lstm.wasm.js': 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js',
+  'core/tesseract-core-relaxedsimd-lstm.wasm.js': 'tesseract.js-core/tesseract-core-relaxedsimd-lstm.wasm.js',
+  'lang/jpn.traineddata.gz': '@tesseract.js-data/jpn/4.0.0_best_int/jpn.traineddata.gz',
+  'lang/eng.traineddata.gz': '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz',
+}
+
+const readTesseractFile = (name) =>
+  readFileSync(fileURLToPath(new URL(`./node_modules/${TESSERACT_FILES[name]}`, import.meta.url)))
+
+function tesseractAssets() {
+  return {
+    name: 'tesseract-assets',
+    configureServer(server) {
+      server.middlewares.use(`/${TESSERACT_DIR}/`, (req, res, next) => {
+        const name = req.url.split('?')[0].slice(1)
+        if (!TESSERACT_FILES[name]) return next()
+        res.setHeader('Content-Type', name.endsWith('.js') ? 'text/javascript' : 'application/octet-stream')
+        res.end(readTesseractFile(name))
+      })
+    },
+    generateBundle() {
+      for (const name of Object.keys(TESSERACT_FILES)) {
+        this.emitFile({ type: 'asset', fileName: `${TESSERACT_DIR}/${name}`, source: readTesseractFile(name) })
+      }
+    },
+  }
+}
+
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), tesseractAssets()],
+  build: {
+    rollupOptions: {
+      // review.html is the read-only page opened from share links
+      input: ['index.html', 'review.html'],
+    },
+  },
 })
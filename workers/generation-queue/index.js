@@ -0,0 +1,24 @@
+// Generation queue consumer
+//
+// /api/generate-banner queues async banner jobs on GENERATION_QUEUE; this Worker
+// runs them. A consumer invocation may run for minutes, unlike the ~30 seconds a
+// Pages Function gets in waitUntil() after its response, so jobs with several
+// candidates and retries can finish. Deployed separately from the Pages project:
+//   npx wrangler deploy -c workers/generation-queue/wrangler.toml
+
+import { runQueuedBannerJob } from '../../functions/_lib/bannerGeneration.js';
+
+export default {
+  async queue(batch, env) {
+    for (const message of batch.messages) {
+      try {
+        await runQueuedBannerJob(env, message.body);
+        message.ack();
+      } catch (error) {
+        // Only storage failures get here; the job starts over on redelivery
+        console.error('Failed to run queued job:', error);
+        message.retry();
+      }
+    }
+  },
+};
@@ -0,0 +1,27 @@
+// Space move queue consumer
+//
+// Moving a space (pairing devices, dissolving a linked space, claiming device projects
+// into a workspace) queues the move on SPACE_MOVE_QUEUE; this Worker runs it one batch
+// per message and queues the next batch until the source space is empty (see
+// functions/_lib/spaces.js). Deployed separately from the Pages project:
+//   npx wrangler deploy -c workers/space-move-queue/wrangler.toml
+
+import { runSpaceMoveBatch } from '../../functions/_lib/spaces.js';
+
+export default {
+  async queue(batch, env) {
+    for (const message of batch.messages) {
+      try {
+        const { done } = await runSpaceMoveBatch(env.PROJECTS_KV, env.PROJECTS_BUCKET, message.body.fromSpaceId);
+        if (!done) {
+          await env.SPACE_MOVE_QUEUE.send(message.body);
+        }
+        message.ack();
+      } catch (error) {
+        // Nothing is lost: the batch starts over from what is left in the source space
+        console.error('Failed to move space batch:', error);
+        message.retry();
+      }
+    }
+  },
+};